@@ -1,9 +1,18 @@
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
+import { createUpstream, maskUpstream, sealUpstream, listUpstreamModels } from './providers/openai-compatible.js';
+import { normalizeFallbackChains, getSystemFallbackChains } from './fallback.js';
+import { normalizeRateLimits } from './rate-limit.js';
+import { invalidateUserCache } from './cache.js';
+import { migrateApiKeys } from './api-keys.js';
+import { sealKey, openKey, getKeyFingerprint, getKeyPreview, SYSTEM_KEY_OWNER } from './key-vault.js';
+import { users, systemConfig, batch as storageBatch, deleteField } from './storage/index.js';
+import { isLocalAuth, verifySessionToken, isLocalAdmin } from './local-auth.js';
+import {
+  refreshModelRouting, getModelRoutingHistory, saveModelRouting, rollbackModelRouting, isRoutingFromFile
+} from './model-routing.js';
 
-// Initialize Firebase Admin
-let db = null;
+// Initialize Firebase Admin - sign-in only, data lives in storage/
 let auth = null;
 
 try {
@@ -11,18 +20,17 @@ try {
     const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
     if (serviceAccount.project_id) {
       initializeApp({ credential: cert(serviceAccount) });
-      db = getFirestore();
       auth = getAuth();
     }
   } else {
-    db = getFirestore();
     auth = getAuth();
   }
 } catch (e) {
   console.warn('Firebase not initialized:', e.message);
 }
 
-// Hardcoded admin user IDs
+// Hardcoded admin user IDs - in local auth mode, admins are marked in
+// AUTH_USERS_FILE
 const ADMIN_USER_IDS = ['7nMmX6NJHGX2mshNOeN7Zv97lrD2'];
 
 const PUTER_API_BASE = 'https://api.puter.com';
@@ -85,6 +93,7 @@ async function testPuterKey(key) {
 }
 
 async function verifyToken(idToken) {
+  if (isLocalAuth()) return verifySessionToken(idToken);
   if (!auth) return null;
   try {
     return await auth.verifyIdToken(idToken);
@@ -94,7 +103,7 @@ async function verifyToken(idToken) {
 }
 
 function isAdmin(uid) {
-  return ADMIN_USER_IDS.includes(uid);
+  return ADMIN_USER_IDS.includes(uid) || isLocalAdmin(uid);
 }
 
 export default async function handler(req, res) {
@@ -124,17 +133,18 @@ export default async function handler(req, res) {
   try {
     // GET - Get system config and admin keys
     if (req.method === 'GET') {
-      const configDoc = await db.collection('system').doc('config').get();
-      const config = configDoc.exists ? configDoc.data() : { systemPuterKeys: [] };
+      const config = await systemConfig.get();
+      const routing = await refreshModelRouting({ force: true });
       
       // Get some stats
-      const usersSnapshot = await db.collection('users').get();
-      const totalUsers = usersSnapshot.size;
+      const allUsers = await users.list();
+      const totalUsers = allUsers.length;
+      const plaintextKeyUsers = allUsers.filter(user => user.apiKey).length;
       
-      // Mask keys for display (show first 20 chars only)
+      // Stored keys are encrypted - list them by their preview
       const maskedKeys = (config.systemPuterKeys || []).map((key, index) => ({
         id: index,
-        preview: key.substring(0, 20) + '...',
+        preview: getKeyPreview(key),
         addedAt: config.keyAddedDates?.[index] || 'Unknown'
       }));
 
@@ -143,14 +153,23 @@ export default async function handler(req, res) {
         totalUsers,
         systemKeysCount: config.systemPuterKeys?.length || 0,
         systemKeys: maskedKeys,
+        systemUpstreams: (config.systemUpstreams || []).map(maskUpstream),
+        fallbackChains: getSystemFallbackChains(config),
         dailyFreeLimit: config.dailyFreeLimit || 15,
+        rateLimits: config.rateLimits || {},
+        allowPrivateUpstreams: !!config.allowPrivateUpstreams,
+        plaintextKeyUsers,
+        modelRouting: {
+          ...routing,
+          readOnly: isRoutingFromFile(),
+          history: await getModelRoutingHistory(),
+        },
       });
     }
 
     // POST - Add system Puter key or update config
     if (req.method === 'POST') {
-      const { action, key, dailyFreeLimit } = req.body;
-      const configRef = db.collection('system').doc('config');
+      const { action, key, dailyFreeLimit, fallbackChains, rateLimits, allowPrivateUpstreams } = req.body;
       
       if (action === 'testKey') {
         if (!key || !key.trim()) {
@@ -172,9 +191,9 @@ export default async function handler(req, res) {
         }
         
         // Check if already added
-        const configDoc = await configRef.get();
-        const config = configDoc.exists ? configDoc.data() : { systemPuterKeys: [] };
-        const isAlreadyAdded = (config.systemPuterKeys || []).includes(key.trim());
+        const config = await systemConfig.get();
+        const fingerprint = getKeyFingerprint(key.trim());
+        const isAlreadyAdded = (config.systemPuterKeys || []).some(k => getKeyFingerprint(k) === fingerprint);
         
         // Get usage info
         const usageInfo = await getPuterKeyUsage(key.trim());
@@ -189,16 +208,15 @@ export default async function handler(req, res) {
       }
       
       if (action === 'getSystemKeysUsage') {
-        const configDoc = await configRef.get();
-        const config = configDoc.exists ? configDoc.data() : { systemPuterKeys: [] };
+        const config = await systemConfig.get();
         const keys = config.systemPuterKeys || [];
         
         // Fetch usage for all keys in parallel
         const usagePromises = keys.map(async (k, index) => {
-          const usage = await getPuterKeyUsage(k);
+          const usage = await getPuterKeyUsage(openKey(k, SYSTEM_KEY_OWNER));
           return {
             id: index,
-            preview: k.substring(0, 20) + '...' + k.slice(-8),
+            preview: getKeyPreview(k),
             usage: usage,
             error: usage ? null : 'Failed to fetch'
           };
@@ -233,53 +251,179 @@ export default async function handler(req, res) {
           return res.status(400).json({ error: `Invalid key: ${testResult.message}` });
         }
         
-        const configDoc = await configRef.get();
-        const config = configDoc.exists ? configDoc.data() : { systemPuterKeys: [], keyAddedDates: [] };
+        const config = await systemConfig.get();
         const keys = config.systemPuterKeys || [];
         const dates = config.keyAddedDates || [];
         
         // Check if key already exists
-        if (keys.includes(key.trim())) {
+        const fingerprint = getKeyFingerprint(key.trim());
+        if (keys.some(k => getKeyFingerprint(k) === fingerprint)) {
           return res.status(400).json({ error: 'Key already exists' });
         }
         
-        keys.push(key.trim());
+        keys.push(sealKey(key.trim(), SYSTEM_KEY_OWNER));
         dates.push(new Date().toISOString());
         
-        await configRef.set({ 
+        await systemConfig.update({
           systemPuterKeys: keys, 
           keyAddedDates: dates,
           updatedAt: new Date().toISOString(),
           updatedBy: decoded.uid
-        }, { merge: true });
+        });
         
         return res.json({ success: true, keysCount: keys.length, warning: testResult.warning });
       }
       
+      if (action === 'testUpstream') {
+        const { upstream, error } = await createUpstream(req.body);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        try {
+          const models = await listUpstreamModels(upstream);
+          return res.json({ valid: true, message: `Connected - ${models.length} models available`, models });
+        } catch (e) {
+          return res.json({ valid: false, message: e.message });
+        }
+      }
+      
+      if (action === 'addSystemUpstream') {
+        const { upstream, error } = await createUpstream(req.body);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const upstreams = (await systemConfig.get()).systemUpstreams || [];
+        
+        if (upstreams.some(u => u.prefix === upstream.prefix)) {
+          return res.status(400).json({ error: `Prefix '${upstream.prefix}' is already in use` });
+        }
+        
+        upstreams.push(sealUpstream(upstream, SYSTEM_KEY_OWNER));
+        await systemConfig.update({
+          systemUpstreams: upstreams,
+          updatedAt: new Date().toISOString(),
+          updatedBy: decoded.uid
+        });
+        
+        return res.json({ success: true, upstream: maskUpstream(upstream) });
+      }
+      
+      if (action === 'removeSystemUpstream') {
+        const { upstreamId } = req.body;
+        if (!upstreamId) {
+          return res.status(400).json({ error: 'Upstream ID is required' });
+        }
+        
+        const upstreams = (await systemConfig.get()).systemUpstreams || [];
+        const remaining = upstreams.filter(u => u.id !== upstreamId);
+        
+        if (remaining.length === upstreams.length) {
+          return res.status(404).json({ error: 'Upstream not found' });
+        }
+        
+        await systemConfig.update({
+          systemUpstreams: remaining,
+          updatedAt: new Date().toISOString(),
+          updatedBy: decoded.uid
+        });
+        
+        return res.json({ success: true, upstreamsCount: remaining.length });
+      }
+      
       if (action === 'updateConfig') {
         const updates = { updatedAt: new Date().toISOString(), updatedBy: decoded.uid };
         if (dailyFreeLimit !== undefined) {
           updates.dailyFreeLimit = parseInt(dailyFreeLimit) || 15;
         }
-        await configRef.set(updates, { merge: true });
+        if (fallbackChains !== undefined) {
+          const { chains, error } = normalizeFallbackChains(fallbackChains);
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          updates.fallbackChains = chains;
+        }
+        if (rateLimits !== undefined) {
+          const { limits, error } = normalizeRateLimits(rateLimits);
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          updates.rateLimits = limits;
+        }
+        // Lets users' upstreams use http and private or loopback addresses
+        if (allowPrivateUpstreams !== undefined) {
+          updates.allowPrivateUpstreams = allowPrivateUpstreams === true;
+        }
+        // Each field is replaced whole, so models removed from fallbackChains drop out
+        await systemConfig.update(updates);
         return res.json({ success: true });
       }
       
-      if (action === 'getFullKey') {
-        const { keyIndex } = req.body;
-        if (keyIndex === undefined) {
-          return res.status(400).json({ error: 'Key index is required' });
+      // Model routing - baseVersion is the version the edit started from, so
+      // concurrent edits don't overwrite each other
+      if (action === 'updateModelRouting') {
+        const { routing, baseVersion } = req.body;
+        const { version, error, status } = await saveModelRouting(routing, { baseVersion, updatedBy: decoded.uid });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        return res.json({ success: true, version });
+      }
+
+      if (action === 'rollbackModelRouting') {
+        const { version } = req.body;
+        if (version === undefined) {
+          return res.status(400).json({ error: 'Version is required' });
+        }
+        const { version: saved, error, status } = await rollbackModelRouting(version, { updatedBy: decoded.uid });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        return res.json({ success: true, version: saved });
+      }
+      
+      // Per-user rate limits - empty fields fall back to the defaults above
+      if (action === 'setUserRateLimits') {
+        const { email } = req.body;
+        if (!email || !email.trim()) {
+          return res.status(400).json({ error: 'Email is required' });
+        }
+        const { limits, error } = normalizeRateLimits(rateLimits);
+        if (error) {
+          return res.status(400).json({ error });
         }
         
-        const configDoc = await configRef.get();
-        const config = configDoc.exists ? configDoc.data() : { systemPuterKeys: [] };
-        const keys = config.systemPuterKeys || [];
-        
-        if (keyIndex < 0 || keyIndex >= keys.length) {
-          return res.status(400).json({ error: 'Invalid key index' });
+        const user = await users.findByEmail(email.trim());
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
         }
         
-        return res.json({ key: keys[keyIndex] });
+        await users.update(user.id, {
+          rateLimits: Object.keys(limits).length > 0 ? limits : deleteField(),
+          updatedAt: new Date().toISOString()
+        });
+        invalidateUserCache(user.id);
+        return res.json({ success: true, email: email.trim(), rateLimits: limits });
+      }
+      
+      // Hash every plaintext API key left from before keys were stored as digests
+      if (action === 'migrateApiKeys') {
+        let migrated = 0;
+        let batch = storageBatch();
+        for (const user of await users.list()) {
+          const updates = migrateApiKeys(user);
+          if (!updates) continue;
+          batch.update(users, user.id, updates);
+          invalidateUserCache(user.id);
+          migrated++;
+          // Firestore batches hold at most 500 writes
+          if (migrated % 500 === 0) {
+            await batch.commit();
+            batch = storageBatch();
+          }
+        }
+        if (migrated % 500 !== 0) await batch.commit();
+        return res.json({ success: true, migrated });
       }
       
       return res.status(400).json({ error: 'Invalid action' });
@@ -293,14 +437,12 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Key index is required' });
       }
       
-      const configRef = db.collection('system').doc('config');
-      const configDoc = await configRef.get();
+      const config = await systemConfig.get();
       
-      if (!configDoc.exists) {
+      if (Object.keys(config).length === 0) {
         return res.status(404).json({ error: 'No config found' });
       }
       
-      const config = configDoc.data();
       const keys = config.systemPuterKeys || [];
       const dates = config.keyAddedDates || [];
       
@@ -311,12 +453,12 @@ export default async function handler(req, res) {
       keys.splice(keyIndex, 1);
       dates.splice(keyIndex, 1);
       
-      await configRef.set({ 
+      await systemConfig.update({
         systemPuterKeys: keys, 
         keyAddedDates: dates,
         updatedAt: new Date().toISOString(),
         updatedBy: decoded.uid
-      }, { merge: true });
+      });
       
       return res.json({ success: true, keysCount: keys.length });
     }
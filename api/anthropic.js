@@ -0,0 +1,395 @@
+// Anthropic Messages API compatibility
+// Converts /v1/messages requests (system arrays, content blocks, tool_use /
+// tool_result, thinking) into the OpenAI chat format that callPuter and
+// callPuterStream already send, and converts the chat handler's JSON and SSE
+// output back into Anthropic messages and stream events.
+
+import { RelayResponse } from './relay.js';
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  tool_calls: 'tool_use',
+  length: 'max_tokens',
+  content_filter: 'refusal',
+};
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  408: 'timeout_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error',
+};
+
+// Flatten a text-only block array (system prompts, tool results) to a string
+function blocksToText(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return String(content);
+  return content
+    .map(block => typeof block === 'string' ? block : (block.type === 'text' ? block.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Convert an Anthropic image/document block to an OpenAI content part
+function convertMediaBlock(block) {
+  const source = block.source || {};
+  const url = source.type === 'base64'
+    ? `data:${source.media_type};base64,${source.data}`
+    : source.url;
+  if (!url) return null;
+
+  if (block.type === 'image') {
+    return { type: 'image_url', image_url: { url } };
+  }
+  return { type: 'file', file: { filename: block.title || 'document', file_data: url } };
+}
+
+// Convert a tool_use block to an OpenAI tool call
+function toolUseToToolCall(block) {
+  return {
+    id: block.id,
+    type: 'function',
+    function: {
+      name: block.name,
+      arguments: typeof block.input === 'string' ? block.input : JSON.stringify(block.input || {}),
+    },
+  };
+}
+
+// Lift tool_use / tool_result content blocks into OpenAI tool_calls and tool
+// messages. Messages without such blocks are returned untouched, so this is
+// safe to run on plain chat completions requests (Claude Code sends Anthropic
+// style blocks inside OpenAI-format messages).
+export function expandToolParts(messages) {
+  const expanded = [];
+
+  for (const msg of messages) {
+    if (!Array.isArray(msg.content) ||
+      !msg.content.some(part => part?.type === 'tool_use' || part?.type === 'tool_result')) {
+      expanded.push(msg);
+      continue;
+    }
+
+    if (msg.role === 'assistant') {
+      const toolCalls = msg.content.filter(part => part.type === 'tool_use').map(toolUseToToolCall);
+      const text = blocksToText(msg.content.filter(part => part.type === 'text'));
+      expanded.push({
+        ...msg,
+        content: text || null,
+        tool_calls: [...(msg.tool_calls || []), ...toolCalls],
+      });
+      continue;
+    }
+
+    // Tool results must directly follow the assistant turn that requested them,
+    // so emit them before any other content the user turn carries
+    const rest = [];
+    for (const part of msg.content) {
+      if (part?.type === 'tool_result') {
+        const text = blocksToText(part.content);
+        expanded.push({
+          role: 'tool',
+          tool_call_id: part.tool_use_id,
+          content: part.is_error ? `Error: ${text}` : text,
+        });
+      } else {
+        rest.push(part);
+      }
+    }
+    if (rest.length > 0) {
+      expanded.push({ ...msg, content: rest });
+    }
+  }
+
+  return expanded;
+}
+
+// Convert Anthropic message content blocks to OpenAI content
+function convertContent(content) {
+  if (!Array.isArray(content)) return content;
+
+  const parts = content.map(block => {
+    if (typeof block === 'string') return { type: 'text', text: block };
+    if (block.type === 'image' || block.type === 'document') return convertMediaBlock(block);
+    // thinking / redacted_thinking blocks are not replayed upstream
+    if (block.type === 'thinking' || block.type === 'redacted_thinking') return null;
+    return block;
+  }).filter(Boolean);
+
+  // Plain text turns collapse to a string like regular chat messages
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (toolChoice.type === 'any') return 'required';
+  if (toolChoice.type === 'tool') return { type: 'function', function: { name: toolChoice.name } };
+  return toolChoice.type; // 'auto' | 'none'
+}
+
+// Convert an Anthropic Messages request body to a chat completions body
+export function anthropicToOpenAIRequest(body) {
+  const messages = [];
+
+  const system = blocksToText(body.system);
+  if (system) messages.push({ role: 'system', content: system });
+
+  for (const msg of expandToolParts(body.messages || [])) {
+    messages.push({ ...msg, content: convertContent(msg.content) });
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    stream: !!body.stream,
+  };
+
+  if (body.max_tokens) request.max_tokens = body.max_tokens;
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (body.stop_sequences?.length) request.stop = body.stop_sequences;
+  if (body.thinking?.type === 'enabled') request.thinking_budget = body.thinking.budget_tokens || 10000;
+  if (body.stream) request.stream_options = { include_usage: true };
+
+  if (body.tools?.length) {
+    request.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.input_schema || { type: 'object', properties: {} },
+      },
+    }));
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) request.tool_choice = toolChoice;
+  }
+
+  return request;
+}
+
+function messageId(chatId) {
+  return `msg_${String(chatId || Date.now()).replace(/^chatcmpl-/, '')}`;
+}
+
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args !== 'string') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+// Convert a chat completion response to an Anthropic message
+export function openAIToAnthropicResponse(completion, model) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  const reasoning = message.reasoning_content || message.reasoning;
+  if (reasoning) content.push({ type: 'thinking', thinking: reasoning, signature: '' });
+  if (message.content) content.push({ type: 'text', text: message.content });
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      input: parseToolArguments(toolCall.function?.arguments),
+    });
+  }
+
+  return {
+    id: messageId(completion.id),
+    type: 'message',
+    role: 'assistant',
+    model: completion.model || model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: completion.usage?.prompt_tokens || 0,
+      output_tokens: completion.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+// Convert a chat handler error body to an Anthropic error body
+export function anthropicError(status, body) {
+  const message = body?.error?.message || body?.error || 'Unknown error';
+  return {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[status] || 'api_error',
+      message: typeof message === 'string' ? message : JSON.stringify(message),
+    },
+  };
+}
+
+// Translates chat.completion.chunk objects into Anthropic SSE events.
+// Text and thinking blocks close when the next block opens; tool_use blocks
+// stay open until the message ends, since OpenAI streams may send more
+// arguments for an earlier tool call after a later one has started.
+class AnthropicStreamTranslator {
+  constructor(res, model) {
+    this.res = res;
+    this.model = model;
+    this.started = false;
+    this.stopped = false;
+    this.blockIndex = -1;
+    this.blockType = null;
+    this.toolBlocks = new Map(); // OpenAI tool call index -> content block index
+    this.stopReason = 'end_turn';
+    this.usage = { input_tokens: 0, output_tokens: 0 };
+  }
+
+  send(event, data) {
+    this.res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  }
+
+  start(chunk) {
+    if (this.started) return;
+    this.started = true;
+    this.send('message_start', {
+      message: {
+        id: messageId(chunk?.id),
+        type: 'message',
+        role: 'assistant',
+        model: chunk?.model || this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 },
+      },
+    });
+  }
+
+  closeBlock() {
+    if (this.blockType === null) return;
+    // Closed in finish()
+    if (this.blockType === 'tool_use') {
+      this.blockType = null;
+      return;
+    }
+    if (this.blockType === 'thinking') {
+      this.send('content_block_delta', { index: this.blockIndex, delta: { type: 'signature_delta', signature: '' } });
+    }
+    this.send('content_block_stop', { index: this.blockIndex });
+    this.blockType = null;
+  }
+
+  openBlock(type, contentBlock) {
+    this.closeBlock();
+    this.blockIndex++;
+    this.blockType = type;
+    this.send('content_block_start', { index: this.blockIndex, content_block: contentBlock });
+  }
+
+  chunk(chunk) {
+    if (this.stopped) return;
+    if (chunk.error) {
+      this.error(chunk.error.message || 'Stream error');
+      return;
+    }
+    this.start(chunk);
+
+    if (chunk.usage) {
+      this.usage = {
+        input_tokens: chunk.usage.prompt_tokens || 0,
+        output_tokens: chunk.usage.completion_tokens || 0,
+      };
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+
+    const reasoning = delta.reasoning_content || delta.reasoning;
+    if (reasoning) {
+      if (this.blockType !== 'thinking') this.openBlock('thinking', { type: 'thinking', thinking: '' });
+      this.send('content_block_delta', { index: this.blockIndex, delta: { type: 'thinking_delta', thinking: reasoning } });
+    }
+
+    if (delta.content) {
+      if (this.blockType !== 'text') this.openBlock('text', { type: 'text', text: '' });
+      this.send('content_block_delta', { index: this.blockIndex, delta: { type: 'text_delta', text: delta.content } });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const callIndex = toolCall.index ?? 0;
+      if (!this.toolBlocks.has(callIndex)) {
+        this.openBlock('tool_use', {
+          type: 'tool_use',
+          id: toolCall.id || `toolu_${Date.now()}_${callIndex}`,
+          name: toolCall.function?.name,
+          input: {},
+        });
+        this.toolBlocks.set(callIndex, this.blockIndex);
+      }
+      const args = toolCall.function?.arguments;
+      if (args) {
+        this.send('content_block_delta', {
+          index: this.toolBlocks.get(callIndex),
+          delta: { type: 'input_json_delta', partial_json: typeof args === 'string' ? args : JSON.stringify(args) },
+        });
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+    }
+  }
+
+  finish() {
+    if (this.stopped) return;
+    this.start();
+    this.closeBlock();
+    for (const index of this.toolBlocks.values()) {
+      this.send('content_block_stop', { index });
+    }
+    this.send('message_delta', {
+      delta: { stop_reason: this.stopReason, stop_sequence: null },
+      usage: { output_tokens: this.usage.output_tokens },
+    });
+    this.send('message_stop', {});
+    this.stopped = true;
+  }
+
+  error(message) {
+    if (this.stopped) return;
+    this.send('error', { error: { type: 'api_error', message } });
+    this.stopped = true;
+  }
+}
+
+// Build a relay response that lets handler() answer in Anthropic format
+export function createAnthropicRelay(res, model) {
+  const translator = new AnthropicStreamTranslator(res, model);
+
+  return new RelayResponse(res, {
+    json(status, body) {
+      if (status >= 400 || body?.error) {
+        return res.status(status >= 400 ? status : 500).json(anthropicError(status, body));
+      }
+      return res.status(status).json(openAIToAnthropicResponse(body, model));
+    },
+    chunk(data) {
+      translator.chunk(data);
+    },
+    done() {
+      translator.finish();
+    },
+    end() {
+      translator.finish();
+      res.end();
+    },
+  });
+}
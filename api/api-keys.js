@@ -0,0 +1,321 @@
+// Named API keys
+// Besides the account's default key (user.apiKey), users can create named keys
+// (user.apiKeys), e.g. one per app or environment. A named key can expire and
+// be limited to some models and endpoints, and carries its own rate limits,
+// budgets and fallback chains; the default key uses the account's
+// keyRateLimits / keyBudgets / fallbackChains.
+// Usage logs record the key a request came in with.
+//
+// Secrets are never stored: each key keeps an HMAC-SHA256 digest (salted with
+// API_KEY_SALT) and a short display prefix, and the secret is shown once, when
+// the key is issued. Without API_KEY_SALT no key can be issued or checked, and
+// the handlers answer 503 (see checkApiKeySalt). user.apiKeyHashes lists every
+// digest of the account so either kind of key resolves with one indexed query. Users from before
+// hashing have plaintext apiKey / apiKeys[].key / apiKeyValues fields; those
+// are migrated on first use (lookupApiKey, the dashboard) or all at once with
+// the admin migrateApiKeys action. In local auth mode, keys from
+// AUTH_USERS_FILE are taken up the first time they're used (see local-auth.js).
+
+import { createHmac, randomBytes } from 'crypto';
+import { getAuth } from 'firebase-admin/auth';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeRateLimits } from './rate-limit.js';
+import { normalizeBudgets } from './budget.js';
+import { normalizeFallbackChains } from './fallback.js';
+import { users, deleteField } from './storage/index.js';
+import { isLocalAuth, verifySessionToken, findStaticUserByApiKey } from './local-auth.js';
+
+export const API_KEY_ENDPOINTS = ['chat', 'images'];
+export const DEFAULT_API_KEY_ID = 'default';
+export const MAX_API_KEYS = 20;
+
+// Dashboard requests carry the signed-in user's session in this header
+export const SESSION_TOKEN_HEADER = 'x-session-token';
+export const DASHBOARD_KEY_ID = 'dashboard';
+
+const API_KEY_SALT = process.env.API_KEY_SALT || '';
+const API_KEY_PREFIX_LENGTH = 10;
+
+if (!API_KEY_SALT) {
+  console.warn('API_KEY_SALT is not set - API keys cannot be issued or checked');
+}
+
+// A deployment problem rather than a bad request, as { error, status, code }, or null
+export function checkApiKeySalt() {
+  if (API_KEY_SALT) return null;
+  return { error: 'API keys are not configured on this gateway - API_KEY_SALT is not set', status: 503, code: 'api_keys_not_configured' };
+}
+
+export function generateApiKey() {
+  return `sk-${uuidv4().replace(/-/g, '')}`;
+}
+
+export function generateApiKeyId() {
+  return `key_${randomBytes(6).toString('hex')}`;
+}
+
+export function hashApiKey(secret) {
+  if (!API_KEY_SALT) {
+    throw new Error('API_KEY_SALT is not configured - API keys cannot be issued or checked');
+  }
+  return createHmac('sha256', API_KEY_SALT).update(secret).digest('hex');
+}
+
+// A new secret (or a given one) with what gets stored for it
+export function issueApiKey(secret = generateApiKey()) {
+  return { secret, hash: hashApiKey(secret), prefix: secret.substring(0, API_KEY_PREFIX_LENGTH) };
+}
+
+// A new account's user document, with apiKey (from issueApiKey) as its
+// default key
+export function newUserRecord(uid, email, apiKey) {
+  const now = new Date().toISOString();
+  return {
+    uid,
+    email,
+    apiKeyHash: apiKey.hash,
+    apiKeyPrefix: apiKey.prefix,
+    apiKeyHashes: [apiKey.hash],
+    freeRequestsUsed: 0,
+    freeRequestsLimit: 20,
+    bytezKeys: [],
+    puterKeys: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+// Every key digest of an account, for the apiKeyHashes lookup field
+export function getApiKeyHashes(user) {
+  return [user.apiKeyHash, ...(user.apiKeys || []).map(key => key.hash)].filter(Boolean);
+}
+
+// Replace plaintext keys from before hashing with digests. Updates user in
+// place and returns the storage update, or null when there was nothing to do.
+export function migrateApiKeys(user) {
+  const hasPlaintext = user.apiKey || user.apiKeyValues || (user.apiKeys || []).some(key => key.key);
+  if (!hasPlaintext) return null;
+
+  if (user.apiKey) {
+    user.apiKeyHash = hashApiKey(user.apiKey);
+    user.apiKeyPrefix = user.apiKey.substring(0, API_KEY_PREFIX_LENGTH);
+  }
+  user.apiKeys = (user.apiKeys || []).map(({ key, ...rest }) => (key
+    ? { ...rest, hash: hashApiKey(key), prefix: key.substring(0, API_KEY_PREFIX_LENGTH) }
+    : rest));
+  delete user.apiKey;
+  delete user.apiKeyValues;
+
+  const updates = {
+    apiKeys: user.apiKeys,
+    apiKeyHashes: getApiKeyHashes(user),
+    apiKey: deleteField(),
+    apiKeyValues: deleteField(),
+  };
+  if (user.apiKeyHash) Object.assign(updates, { apiKeyHash: user.apiKeyHash, apiKeyPrefix: user.apiKeyPrefix });
+  return updates;
+}
+
+// The user a secret belongs to, with user.authKey set to the matching key
+// record, or null
+export async function lookupApiKey(secret) {
+  // Keys issued before hashing, and AUTH_USERS_FILE keys on their first use,
+  // are found by the secret itself
+  const user = (await users.findByApiKeyHash(hashApiKey(secret)))
+    || (await users.findByLegacyApiKey(secret))
+    || (await takeUpStaticApiKey(secret));
+  if (!user) return null;
+
+  const migration = migrateApiKeys(user);
+  if (migration) await users.update(user.id, migration);
+
+  user.authKey = findApiKey(user, secret);
+  return user.authKey ? user : null;
+}
+
+// A key from AUTH_USERS_FILE becomes its account's default key, creating the
+// account if nobody has signed in to it yet. Returns the user, or null.
+async function takeUpStaticApiKey(secret) {
+  const entry = isLocalAuth() ? findStaticUserByApiKey(secret) : null;
+  if (!entry) return null;
+
+  const apiKey = issueApiKey(secret);
+  const existing = await users.get(entry.uid);
+  if (!existing) {
+    const user = newUserRecord(entry.uid, entry.email, apiKey);
+    await users.create(entry.uid, user);
+    return { id: entry.uid, ...user };
+  }
+  const user = { ...existing, apiKeyHash: apiKey.hash, apiKeyPrefix: apiKey.prefix };
+  user.apiKeyHashes = getApiKeyHashes(user);
+  await users.update(user.id, {
+    apiKeyHash: user.apiKeyHash,
+    apiKeyPrefix: user.apiKeyPrefix,
+    apiKeyHashes: user.apiKeyHashes,
+    updatedAt: new Date().toISOString(),
+  });
+  return user;
+}
+
+// The dashboard (Playground, Images) can't read the user's key back, so it
+// calls with the signed-in user's Firebase ID token (or local session token)
+// in the X-Session-Token header instead. Authorization / X-API-Key only take
+// API keys and X-Session-Token only takes session tokens, so neither kind of
+// credential is accepted where the other is expected.
+// Returns { apiKey }, { sessionToken }, or {} when the request has neither.
+export function getRequestCredential(req) {
+  const authHeader = req.headers.authorization || req.headers['x-api-key'] || '';
+  const apiKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+  if (apiKey) return { apiKey };
+  const sessionToken = req.headers[SESSION_TOKEN_HEADER];
+  return sessionToken ? { sessionToken } : {};
+}
+
+// The user a credential from getRequestCredential belongs to, with
+// user.authKey set, or null
+export async function lookupCredential({ apiKey, sessionToken }) {
+  if (apiKey) return lookupApiKey(apiKey);
+  if (sessionToken) return lookupSessionToken(sessionToken);
+  return null;
+}
+
+// The user a dashboard session belongs to, or null. It acts with the
+// dashboard's own key record - no named key's restrictions or limits, and
+// usage logged under 'dashboard'.
+export async function lookupSessionToken(sessionToken) {
+  try {
+    const decoded = isLocalAuth() ? await verifySessionToken(sessionToken) : await getAuth().verifyIdToken(sessionToken);
+    if (!decoded) return null;
+    const user = await users.get(decoded.uid);
+    if (!user) return null;
+    user.authKey = { id: DASHBOARD_KEY_ID, name: 'Dashboard' };
+    return user;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The default key as a key record, so callers can treat both kinds alike
+export function getDefaultApiKey(user) {
+  return {
+    id: DEFAULT_API_KEY_ID,
+    name: 'Default',
+    rateLimits: user.keyRateLimits || null,
+    budgets: user.keyBudgets || null,
+  };
+}
+
+// The key record a secret belongs to, or null
+export function findApiKey(user, secret) {
+  if (!secret) return null;
+  const hash = hashApiKey(secret);
+  if (user.apiKeyHash === hash) return getDefaultApiKey(user);
+  return (user.apiKeys || []).find(key => key.hash === hash) || null;
+}
+
+function isExpired(key, now = new Date()) {
+  return !!key.expiresAt && new Date(key.expiresAt) <= now;
+}
+
+// 'gpt-4o' matches exactly, 'claude-*' matches by prefix
+function modelMatches(pattern, model) {
+  return pattern.endsWith('*') ? model.startsWith(pattern.slice(0, -1)) : pattern === model;
+}
+
+export function isModelAllowed(key, model) {
+  if (!key?.models?.length) return true;
+  return key.models.some(pattern => modelMatches(pattern, model));
+}
+
+// Why a key may not make this request, as { error, status, code, param }, or null
+export function checkApiKeyAccess(key, { endpoint, model } = {}) {
+  if (!key) return null;
+  if (isExpired(key)) {
+    return { error: `API key '${key.name}' expired on ${key.expiresAt}`, status: 401, code: 'api_key_expired' };
+  }
+  if (endpoint && key.endpoints?.length && !key.endpoints.includes(endpoint)) {
+    return { error: `API key '${key.name}' is not allowed to use the ${endpoint} endpoint`, status: 403, code: 'endpoint_not_allowed' };
+  }
+  if (model && !isModelAllowed(key, model)) {
+    return { error: `API key '${key.name}' is not allowed to use model '${model}'`, status: 403, code: 'model_not_allowed', param: 'model' };
+  }
+  return null;
+}
+
+function normalizeList(value, field) {
+  if (value === null || value === undefined || value === '') return { list: null };
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const list = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+  if (list.some(item => item.length > 200)) return { error: `${field} entries must be at most 200 characters` };
+  return { list: list.length > 0 ? list : null };
+}
+
+// Clean options from a request body. Only fields present are returned, so the
+// result can be merged into an existing key.
+export function normalizeApiKeyOptions(options) {
+  const result = {};
+
+  if (options.name !== undefined) {
+    const name = String(options.name || '').trim();
+    if (!name) return { error: 'name is required' };
+    if (name.length > 60) return { error: 'name must be at most 60 characters' };
+    result.name = name;
+  }
+
+  if (options.expiresAt !== undefined) {
+    if (!options.expiresAt) {
+      result.expiresAt = null;
+    } else {
+      const expiresAt = new Date(options.expiresAt);
+      if (Number.isNaN(expiresAt.getTime())) return { error: 'expiresAt must be a date' };
+      result.expiresAt = expiresAt.toISOString();
+    }
+  }
+
+  if (options.models !== undefined) {
+    const { list, error } = normalizeList(options.models, 'models');
+    if (error) return { error };
+    result.models = list;
+  }
+
+  if (options.endpoints !== undefined) {
+    const { list, error } = normalizeList(options.endpoints, 'endpoints');
+    if (error) return { error };
+    const unknown = (list || []).filter(endpoint => !API_KEY_ENDPOINTS.includes(endpoint));
+    if (unknown.length > 0) {
+      return { error: `Unknown endpoints: ${unknown.join(', ')}. Use ${API_KEY_ENDPOINTS.join(', ')}` };
+    }
+    result.endpoints = list;
+  }
+
+  if (options.rateLimits !== undefined) {
+    const { limits, error } = normalizeRateLimits(options.rateLimits);
+    if (error) return { error };
+    result.rateLimits = Object.keys(limits).length > 0 ? limits : null;
+  }
+
+  if (options.budgets !== undefined) {
+    const { budgets, error } = normalizeBudgets(options.budgets);
+    if (error) return { error };
+    result.budgets = budgets.daily || budgets.monthly ? budgets : null;
+  }
+
+  // Only the models listed override the account's chains
+  if (options.fallbackChains !== undefined) {
+    if (!options.fallbackChains) {
+      result.fallbackChains = null;
+    } else {
+      const { chains, error } = normalizeFallbackChains(options.fallbackChains);
+      if (error) return { error };
+      result.fallbackChains = Object.keys(chains).length > 0 ? chains : null;
+    }
+  }
+
+  return { options: result };
+}
+
+// Key record for display - the secret is only shown once, on creation
+export function maskApiKey(key) {
+  const { hash, ...rest } = key;
+  return { ...rest, preview: `${key.prefix}...`, expired: isExpired(key) };
+}
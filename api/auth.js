@@ -1,14 +1,27 @@
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
-import { v4 as uuidv4 } from 'uuid';
 import { 
   getCachedUser, setCachedUser, invalidateUserCache, invalidateAllUserCaches,
   USER_CACHE_TTL 
 } from './cache.js';
+import { createUpstream, maskUpstream, sealUpstream, listUpstreamModels } from './providers/openai-compatible.js';
+import { normalizeFallbackChains } from './fallback.js';
+import { CONTEXT_POLICIES, DEFAULT_CONTEXT_POLICY } from './context.js';
+import { normalizeRateLimits } from './rate-limit.js';
+import { normalizeBudgets, evaluateBudgets } from './budget.js';
+import { normalizePreset, MAX_PRESETS } from './presets.js';
+import { sealKey, getKeyFingerprint, getKeyPreview, userKeyOwner, orgKeyOwner } from './key-vault.js';
+import {
+  issueApiKey, newUserRecord, generateApiKeyId, getApiKeyHashes, migrateApiKeys, normalizeApiKeyOptions, maskApiKey, checkApiKeySalt, MAX_API_KEYS
+} from './api-keys.js';
+import { isLocalAuth, verifySessionToken, findStaticUser } from './local-auth.js';
+import {
+  loadUserOrg, canManageOrg, getOrgRole, generateOrgId, normalizeOrgName, normalizeMemberRole, maskOrg, listOrgInvites,
+  MAX_ORG_MEMBERS
+} from './organizations.js';
+import { users, organizations, systemConfig, batch as storageBatch, deleteField } from './storage/index.js';
 
-// Initialize Firebase Admin
-let db = null;
+// Initialize Firebase Admin - sign-in only, data lives in storage/
 let auth = null;
 
 try {
@@ -16,22 +29,15 @@ try {
     const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
     if (serviceAccount.project_id) {
       initializeApp({ credential: cert(serviceAccount) });
-      db = getFirestore();
       auth = getAuth();
     }
   } else {
-    db = getFirestore();
     auth = getAuth();
   }
 } catch (e) {
   console.warn('Firebase not initialized:', e.message);
 }
 
-// Generate API key
-function generateApiKey() {
-  return `sk-${uuidv4().replace(/-/g, '')}`;
-}
-
 const PUTER_API_BASE = 'https://api.puter.com';
 
 // Fetch Puter key usage info
@@ -118,8 +124,9 @@ async function testPuterKey(key) {
   }
 }
 
-// Verify Firebase ID token
+// Verify Firebase ID token, or a session token in local auth mode
 async function verifyToken(idToken) {
+  if (isLocalAuth()) return verifySessionToken(idToken);
   if (!auth) return null;
   try {
     return await auth.verifyIdToken(idToken);
@@ -128,40 +135,51 @@ async function verifyToken(idToken) {
   }
 }
 
-// Get or create user
+// Get or create user. A default API key issued (or migrated from plaintext)
+// here comes back once as newApiKey - only its digest is stored. Accounts from
+// AUTH_USERS_FILE start with the key configured there, if any.
 async function getOrCreateUser(uid, email, skipCache = false) {
-  if (!db) return null;
-  
   // Check cache first
   if (!skipCache) {
     const cached = getCachedUser(uid);
     if (cached) return cached;
   }
   
-  const userRef = db.collection('users').doc(uid);
-  const userDoc = await userRef.get();
+  const userData = await users.get(uid);
   
-  if (!userDoc.exists) {
-    const apiKey = generateApiKey();
-    const userData = {
-      uid,
-      email,
-      apiKey,
-      freeRequestsUsed: 0,
-      freeRequestsLimit: 20,
-      bytezKeys: [],
-      puterKeys: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-    await userRef.set(userData);
-    setCachedUser(uid, userData);
-    return userData;
+  if (!userData) {
+    const apiKey = issueApiKey(findStaticUser(email)?.apiKey);
+    const newUser = newUserRecord(uid, email, apiKey);
+    await users.create(uid, newUser);
+    setCachedUser(uid, newUser);
+    return { ...newUser, newApiKey: apiKey.secret };
   }
   
-  const userData = userDoc.data();
+  const legacyApiKey = userData.apiKey;
+  const migration = migrateApiKeys(userData);
+  if (migration) {
+    await users.update(uid, migration);
+  }
   setCachedUser(uid, userData);
-  return userData;
+  return legacyApiKey ? { ...userData, newApiKey: legacyApiKey } : userData;
+}
+
+// The caller's org for an org action, as { org } or { error, status }.
+// manage: only owners and admins may do it
+async function getOrgForAction(uid, { manage = false } = {}) {
+  const userData = await users.get(uid);
+  const org = await loadUserOrg(userData?.orgId, uid);
+  if (!org) return { error: 'You are not in an organization', status: 404 };
+  if (manage && !canManageOrg(org, uid)) {
+    return { error: 'Only organization owners and admins can do that', status: 403 };
+  }
+  return { org };
+}
+
+// The org as it is now, for the response of an org action
+async function getMaskedOrg(orgId, uid) {
+  const org = await loadUserOrg(orgId, uid);
+  return org ? maskOrg(org, uid) : null;
 }
 
 export default async function handler(req, res) {
@@ -185,24 +203,33 @@ export default async function handler(req, res) {
 
   const { uid, email } = decoded;
 
+  // Accounts get their API key on first sign-in, so nothing here works without the salt
+  const unconfigured = checkApiKeySalt();
+  if (unconfigured) {
+    return res.status(unconfigured.status).json({ error: unconfigured.error });
+  }
+
   try {
     // GET - Get user profile
     if (req.method === 'GET') {
       const user = await getOrCreateUser(uid, email);
+      const org = await loadUserOrg(user.orgId, uid);
       const today = new Date().toISOString().split('T')[0];
       // Reset daily count if it's a new day
       const dailyUsed = user.lastRequestDate === today ? (user.dailyRequestsUsed || 0) : 0;
       
-      // Mask keys for display (show first 15 and last 4 chars)
+      // Stored keys are encrypted - list them by their preview
       const maskedKeys = (user.puterKeys || []).map((key, index) => ({
         id: index,
-        preview: key.length > 25 ? `${key.substring(0, 15)}...${key.substring(key.length - 4)}` : key.substring(0, 20) + '...',
+        preview: getKeyPreview(key),
       }));
       
       return res.json({
         uid: user.uid,
         email: user.email,
-        apiKey: user.apiKey,
+        apiKey: user.newApiKey,
+        apiKeyPrefix: user.apiKeyPrefix,
+        apiKeys: (user.apiKeys || []).map(maskApiKey),
         freeRequestsUsed: user.freeRequestsUsed,
         freeRequestsLimit: user.freeRequestsLimit,
         dailyRequestsUsed: dailyUsed,
@@ -210,6 +237,17 @@ export default async function handler(req, res) {
         lastRequestDate: user.lastRequestDate,
         puterKeysCount: user.puterKeys?.length || 0,
         puterKeys: maskedKeys,
+        upstreams: (user.upstreams || []).map(maskUpstream),
+        fallbackChains: user.fallbackChains || {},
+        presets: user.presets || {},
+        contextPolicy: user.contextPolicy || DEFAULT_CONTEXT_POLICY,
+        rateLimits: user.rateLimits || null,
+        keyRateLimits: user.keyRateLimits || null,
+        budgets: user.budgets || null,
+        keyBudgets: user.keyBudgets || null,
+        budget: evaluateBudgets({ ...user, org }),
+        org: org ? maskOrg(org, uid) : null,
+        orgInvites: listOrgInvites(user),
         hasUnlimitedOpenAI: (user.puterKeys?.length || 0) > 0,
         hasClaudeAccess: (user.puterKeys?.length || 0) > 0,
         // Lifetime stats
@@ -223,7 +261,6 @@ export default async function handler(req, res) {
     // POST - Add provider key
     if (req.method === 'POST') {
       const { action, provider, key } = req.body;
-      const userRef = db.collection('users').doc(uid);
       
       if (action === 'testKey') {
         if (!key || !key.trim()) {
@@ -245,10 +282,10 @@ export default async function handler(req, res) {
         }
         
         // Check if key is already added
-        const userDoc = await userRef.get();
-        const userData = userDoc.data();
+        const userData = await users.get(uid);
         const existingKeys = userData?.puterKeys || [];
-        const isAlreadyAdded = existingKeys.includes(key.trim());
+        const fingerprint = getKeyFingerprint(key.trim());
+        const isAlreadyAdded = existingKeys.some(k => getKeyFingerprint(k) === fingerprint);
         
         // Get usage info
         const usageInfo = await getPuterKeyUsage(key.trim());
@@ -277,16 +314,16 @@ export default async function handler(req, res) {
         const usageInfo = await getPuterKeyUsage(key.trim());
         
         const field = 'puterKeys';
-        const userDoc = await userRef.get();
-        const userData = userDoc.data();
+        const userData = await users.get(uid);
         const keys = userData[field] || [];
         
-        if (keys.includes(key.trim())) {
+        const fingerprint = getKeyFingerprint(key.trim());
+        if (keys.some(k => getKeyFingerprint(k) === fingerprint)) {
           return res.status(400).json({ error: 'Key already added' });
         }
         
-        keys.push(key.trim());
-        await userRef.update({ [field]: keys, updatedAt: new Date().toISOString() });
+        keys.push(sealKey(key.trim(), userKeyOwner(uid)));
+        await users.update(uid, { [field]: keys, updatedAt: new Date().toISOString() });
         invalidateUserCache(uid);
         
         return res.json({ 
@@ -303,8 +340,7 @@ export default async function handler(req, res) {
           return res.status(400).json({ error: 'Key index is required' });
         }
         
-        const userDoc = await userRef.get();
-        const userData = userDoc.data();
+        const userData = await users.get(uid);
         const keys = userData.puterKeys || [];
         
         if (keyIndex < 0 || keyIndex >= keys.length) {
@@ -312,34 +348,518 @@ export default async function handler(req, res) {
         }
         
         keys.splice(keyIndex, 1);
-        await userRef.update({ puterKeys: keys, updatedAt: new Date().toISOString() });
+        await users.update(uid, { puterKeys: keys, updatedAt: new Date().toISOString() });
         invalidateUserCache(uid);
         
         return res.json({ success: true, keysCount: keys.length });
       }
       
-      if (action === 'regenerateApiKey') {
-        const newApiKey = generateApiKey();
-        await userRef.update({ apiKey: newApiKey, updatedAt: new Date().toISOString() });
+      // User upstreams are held to https and public addresses unless an admin allows private ones
+      if (action === 'testUpstream') {
+        const allowPrivateNetwork = !!(await systemConfig.get()).allowPrivateUpstreams;
+        const { upstream, error } = await createUpstream(req.body, { restricted: !allowPrivateNetwork });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        try {
+          const models = await listUpstreamModels({ ...upstream, scope: 'user', allowPrivateNetwork });
+          return res.json({ valid: true, message: `Connected - ${models.length} models available`, models });
+        } catch (e) {
+          return res.json({ valid: false, message: e.message });
+        }
+      }
+      
+      if (action === 'addUpstream') {
+        const allowPrivateNetwork = !!(await systemConfig.get()).allowPrivateUpstreams;
+        const { upstream, error } = await createUpstream(req.body, { restricted: !allowPrivateNetwork });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const upstreams = (await users.get(uid))?.upstreams || [];
+        
+        if (upstreams.some(u => u.prefix === upstream.prefix)) {
+          return res.status(400).json({ error: `Prefix '${upstream.prefix}' is already in use` });
+        }
+        
+        upstreams.push(sealUpstream(upstream, userKeyOwner(uid)));
+        await users.update(uid, { upstreams, updatedAt: new Date().toISOString() });
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, upstream: maskUpstream(upstream) });
+      }
+      
+      if (action === 'removeUpstream') {
+        const { upstreamId } = req.body;
+        if (!upstreamId) {
+          return res.status(400).json({ error: 'Upstream ID is required' });
+        }
+        
+        const upstreams = (await users.get(uid))?.upstreams || [];
+        const remaining = upstreams.filter(u => u.id !== upstreamId);
+        
+        if (remaining.length === upstreams.length) {
+          return res.status(404).json({ error: 'Upstream not found' });
+        }
+        
+        await users.update(uid, { upstreams: remaining, updatedAt: new Date().toISOString() });
         invalidateUserCache(uid);
-        return res.json({ success: true, apiKey: newApiKey });
+        
+        return res.json({ success: true, upstreamsCount: remaining.length });
       }
       
-      if (action === 'getFullKey') {
-        const { keyIndex } = req.body;
-        if (keyIndex === undefined) {
-          return res.status(400).json({ error: 'Key index is required' });
+      if (action === 'setFallbackChains') {
+        const { chains, error } = normalizeFallbackChains(req.body.fallbackChains);
+        if (error) {
+          return res.status(400).json({ error });
         }
         
-        const userDoc = await userRef.get();
-        const userData = userDoc.data();
-        const keys = userData.puterKeys || [];
+        await users.update(uid, { fallbackChains: chains, updatedAt: new Date().toISOString() });
+        invalidateUserCache(uid);
         
-        if (keyIndex < 0 || keyIndex >= keys.length) {
+        return res.json({ success: true, fallbackChains: chains });
+      }
+      
+      // Model presets - scope 'org' edits the organization's, for its owners
+      // and admins. Saving an existing name replaces that preset.
+      if (action === 'savePreset' || action === 'deletePreset') {
+        const scope = req.body.scope === 'org' ? 'org' : 'user';
+        let org = null;
+        if (scope === 'org') {
+          const result = await getOrgForAction(uid, { manage: true });
+          if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+          }
+          org = result.org;
+        }
+        const presets = { ...((scope === 'org' ? org : await users.get(uid))?.presets || {}) };
+        
+        if (action === 'savePreset') {
+          const { name, preset, error } = normalizePreset(req.body.name, req.body.preset);
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          if (!presets[name] && Object.keys(presets).length >= MAX_PRESETS) {
+            return res.status(400).json({ error: `Maximum ${MAX_PRESETS} presets allowed` });
+          }
+          presets[name] = preset;
+        } else {
+          if (!Object.hasOwn(presets, req.body.name || '')) {
+            return res.status(404).json({ error: 'Preset not found' });
+          }
+          delete presets[req.body.name];
+        }
+        
+        // The map is replaced whole - preset names may contain dots
+        const updates = { presets, updatedAt: new Date().toISOString() };
+        if (scope === 'org') {
+          await organizations.update(org.id, updates);
+          return res.json({ success: true, org: await getMaskedOrg(org.id, uid) });
+        }
+        await users.update(uid, updates);
+        invalidateUserCache(uid);
+        return res.json({ success: true, presets });
+      }
+      
+      if (action === 'setContextPolicy') {
+        const { contextPolicy } = req.body;
+        if (!CONTEXT_POLICIES.includes(contextPolicy)) {
+          return res.status(400).json({ error: `contextPolicy must be one of: ${CONTEXT_POLICIES.join(', ')}` });
+        }
+        
+        await users.update(uid, { contextPolicy, updatedAt: new Date().toISOString() });
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, contextPolicy });
+      }
+      
+      // Cap the API key below the account's limits - empty fields remove the cap
+      if (action === 'setKeyRateLimits') {
+        const { limits, error } = normalizeRateLimits(req.body.keyRateLimits);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const keyRateLimits = Object.keys(limits).length > 0 ? limits : null;
+        await users.update(uid, { keyRateLimits, updatedAt: new Date().toISOString() });
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, keyRateLimits });
+      }
+      
+      // Spending caps in Puter units - either object may be sent alone
+      if (action === 'setBudgets') {
+        const updates = { updatedAt: new Date().toISOString() };
+        for (const field of ['budgets', 'keyBudgets']) {
+          if (req.body[field] === undefined) continue;
+          const { budgets, error } = normalizeBudgets(req.body[field]);
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          updates[field] = budgets.daily || budgets.monthly ? budgets : null;
+        }
+        
+        await users.update(uid, updates);
+        invalidateAllUserCaches(uid);
+        
+        return res.json({ success: true, budgets: updates.budgets, keyBudgets: updates.keyBudgets });
+      }
+      
+      // Named API keys - the secret is only returned here, on creation
+      if (action === 'createApiKey') {
+        const { options, error } = normalizeApiKeyOptions({ name: '', ...req.body.apiKey });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const userData = await users.get(uid);
+        const apiKeys = userData.apiKeys || [];
+        if (apiKeys.length >= MAX_API_KEYS) {
+          return res.status(400).json({ error: `At most ${MAX_API_KEYS} API keys per account` });
+        }
+        
+        const { secret, hash, prefix } = issueApiKey();
+        const apiKey = {
+          id: generateApiKeyId(),
+          hash,
+          prefix,
+          expiresAt: null,
+          models: null,
+          endpoints: null,
+          rateLimits: null,
+          budgets: null,
+          fallbackChains: null,
+          ...options,
+          createdAt: new Date().toISOString(),
+        };
+        apiKeys.push(apiKey);
+        await users.update(uid, {
+          apiKeys,
+          apiKeyHashes: getApiKeyHashes({ ...userData, apiKeys }),
+          updatedAt: new Date().toISOString(),
+        });
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, apiKey: { ...maskApiKey(apiKey), key: secret } });
+      }
+      
+      if (action === 'updateApiKey' || action === 'revokeApiKey') {
+        const { keyId } = req.body;
+        const userData = await users.get(uid);
+        const apiKeys = userData.apiKeys || [];
+        const index = apiKeys.findIndex(k => k.id === keyId);
+        if (index === -1) {
+          return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        if (action === 'revokeApiKey') {
+          apiKeys.splice(index, 1);
+        } else {
+          const { options, error } = normalizeApiKeyOptions(req.body.apiKey || {});
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          apiKeys[index] = { ...apiKeys[index], ...options, updatedAt: new Date().toISOString() };
+        }
+        
+        await users.update(uid, {
+          apiKeys,
+          apiKeyHashes: getApiKeyHashes({ ...userData, apiKeys }),
+          updatedAt: new Date().toISOString(),
+        });
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, apiKeys: apiKeys.map(maskApiKey) });
+      }
+      
+      // Organizations - see organizations.js
+      if (action === 'createOrg') {
+        const { name, error } = normalizeOrgName(req.body.name);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const userData = await users.get(uid);
+        if (await loadUserOrg(userData.orgId, uid)) {
+          return res.status(400).json({ error: 'Leave your current organization first' });
+        }
+        
+        const orgId = generateOrgId();
+        const now = new Date().toISOString();
+        const batch = storageBatch();
+        batch.set(organizations, orgId, {
+          name,
+          ownerId: uid,
+          members: { [uid]: { email: userData.email || email, role: 'owner', joinedAt: now } },
+          puterKeys: [],
+          budgets: null,
+          createdAt: now,
+          updatedAt: now,
+        });
+        batch.update(users, uid, { orgId, updatedAt: now });
+        await batch.commit();
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, org: await getMaskedOrg(orgId, uid) });
+      }
+      
+      // Members join by accepting an invite - nobody is added to an org unasked
+      if (action === 'inviteOrgMember') {
+        const { org, error, status } = await getOrgForAction(uid, { manage: true });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        const { role, error: roleError } = normalizeMemberRole(req.body.role);
+        if (roleError) {
+          return res.status(400).json({ error: roleError });
+        }
+        if (Object.keys(org.members || {}).length + Object.keys(org.invites || {}).length >= MAX_ORG_MEMBERS) {
+          return res.status(400).json({ error: `At most ${MAX_ORG_MEMBERS} members and pending invites per organization` });
+        }
+        
+        // Invitees are existing accounts - they sign in once before being invited
+        const memberEmail = String(req.body.email || '').trim();
+        const member = memberEmail ? await users.findByEmail(memberEmail) : null;
+        if (!member) {
+          return res.status(404).json({ error: `No account for '${memberEmail}' - they need to sign in once first` });
+        }
+        if (org.members?.[member.id]) {
+          return res.status(400).json({ error: `${memberEmail} is already a member` });
+        }
+        if (org.invites?.[member.id]) {
+          return res.status(400).json({ error: `${memberEmail} already has an invite` });
+        }
+        
+        const now = new Date().toISOString();
+        const batch = storageBatch();
+        batch.update(organizations, org.id, {
+          [`invites.${member.id}`]: { email: memberEmail, role, invitedBy: uid, invitedAt: now },
+          updatedAt: now,
+        });
+        batch.update(users, member.id, {
+          [`orgInvites.${org.id}`]: { orgName: org.name, role, invitedBy: email || null, invitedAt: now },
+          updatedAt: now,
+        });
+        await batch.commit();
+        invalidateUserCache(member.id);
+        
+        return res.json({ success: true, org: await getMaskedOrg(org.id, uid) });
+      }
+      
+      if (action === 'cancelOrgInvite') {
+        const { org, error, status } = await getOrgForAction(uid, { manage: true });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        const { memberId } = req.body;
+        if (!memberId || !org.invites?.[memberId]) {
+          return res.status(404).json({ error: 'Invite not found' });
+        }
+        
+        const now = new Date().toISOString();
+        const batch = storageBatch();
+        batch.update(organizations, org.id, { [`invites.${memberId}`]: deleteField(), updatedAt: now });
+        batch.update(users, memberId, { [`orgInvites.${org.id}`]: deleteField(), updatedAt: now });
+        await batch.commit();
+        invalidateUserCache(memberId);
+        
+        return res.json({ success: true, org: await getMaskedOrg(org.id, uid) });
+      }
+      
+      // The invitee's answer - declining, or an invite the org has since
+      // withdrawn, just clears it
+      if (action === 'acceptOrgInvite' || action === 'declineOrgInvite') {
+        const { orgId } = req.body;
+        const userData = await users.get(uid);
+        if (!orgId || !userData.orgInvites || !Object.hasOwn(userData.orgInvites, orgId)) {
+          return res.status(404).json({ error: 'Invite not found' });
+        }
+        
+        const org = await organizations.get(orgId);
+        const invite = org?.invites?.[uid];
+        const now = new Date().toISOString();
+        const userUpdates = { [`orgInvites.${orgId}`]: deleteField(), updatedAt: now };
+        const orgUpdates = invite ? { [`invites.${uid}`]: deleteField(), updatedAt: now } : null;
+        
+        if (action === 'acceptOrgInvite') {
+          if (!invite) {
+            await users.update(uid, userUpdates);
+            invalidateUserCache(uid);
+            return res.status(404).json({ error: 'This invite has been withdrawn' });
+          }
+          if (await loadUserOrg(userData.orgId, uid)) {
+            return res.status(400).json({ error: 'Leave your current organization first' });
+          }
+          if (Object.keys(org.members || {}).length >= MAX_ORG_MEMBERS) {
+            return res.status(400).json({ error: `At most ${MAX_ORG_MEMBERS} members per organization` });
+          }
+          orgUpdates[`members.${uid}`] = { email: userData.email || email, role: invite.role, joinedAt: now };
+          userUpdates.orgId = orgId;
+        }
+        
+        const batch = storageBatch();
+        batch.update(users, uid, userUpdates);
+        if (orgUpdates) batch.update(organizations, orgId, orgUpdates);
+        await batch.commit();
+        invalidateUserCache(uid);
+        
+        const updated = await users.get(uid);
+        return res.json({
+          success: true,
+          org: await getMaskedOrg(updated.orgId, uid),
+          orgInvites: listOrgInvites(updated),
+        });
+      }
+      
+      if (action === 'updateOrgMember' || action === 'removeOrgMember') {
+        const { org, error, status } = await getOrgForAction(uid, { manage: true });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        const { memberId } = req.body;
+        const memberRole = getOrgRole(org, memberId);
+        if (!memberRole) {
+          return res.status(404).json({ error: 'Member not found' });
+        }
+        if (memberRole === 'owner') {
+          return res.status(400).json({ error: "The owner's membership can't be changed" });
+        }
+        
+        const now = new Date().toISOString();
+        if (action === 'updateOrgMember') {
+          const { role, error: roleError } = normalizeMemberRole(req.body.role);
+          if (roleError) {
+            return res.status(400).json({ error: roleError });
+          }
+          await organizations.update(org.id, { [`members.${memberId}.role`]: role, updatedAt: now });
+        } else {
+          const batch = storageBatch();
+          batch.update(organizations, org.id, { [`members.${memberId}`]: deleteField(), updatedAt: now });
+          batch.update(users, memberId, { orgId: deleteField(), updatedAt: now });
+          await batch.commit();
+          invalidateUserCache(memberId);
+        }
+        
+        return res.json({ success: true, org: await getMaskedOrg(org.id, uid) });
+      }
+      
+      if (action === 'leaveOrg') {
+        const { org, error, status } = await getOrgForAction(uid);
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        if (getOrgRole(org, uid) === 'owner') {
+          return res.status(400).json({ error: "The owner can't leave - delete the organization instead" });
+        }
+        
+        const now = new Date().toISOString();
+        const batch = storageBatch();
+        batch.update(organizations, org.id, { [`members.${uid}`]: deleteField(), updatedAt: now });
+        batch.update(users, uid, { orgId: deleteField(), updatedAt: now });
+        await batch.commit();
+        invalidateUserCache(uid);
+        
+        return res.json({ success: true, org: null });
+      }
+      
+      if (action === 'deleteOrg') {
+        const { org, error, status } = await getOrgForAction(uid);
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        if (getOrgRole(org, uid) !== 'owner') {
+          return res.status(403).json({ error: 'Only the owner can delete the organization' });
+        }
+        
+        // Usage logs keep their orgId; members go back to their own keys
+        const memberIds = Object.keys(org.members || {});
+        const inviteeIds = Object.keys(org.invites || {});
+        const batch = storageBatch();
+        for (const memberId of memberIds) {
+          batch.update(users, memberId, { orgId: deleteField() });
+        }
+        for (const inviteeId of inviteeIds) {
+          batch.update(users, inviteeId, { [`orgInvites.${org.id}`]: deleteField() });
+        }
+        batch.delete(organizations, org.id);
+        await batch.commit();
+        [...memberIds, ...inviteeIds].forEach(invalidateUserCache);
+        
+        return res.json({ success: true, org: null });
+      }
+      
+      if (action === 'addOrgKey') {
+        const { org, error, status } = await getOrgForAction(uid, { manage: true });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        if (!key || !key.trim()) {
+          return res.status(400).json({ error: 'Key is required' });
+        }
+        
+        const testResult = await testPuterKey(key.trim());
+        if (!testResult.valid) {
+          return res.status(400).json({ error: `Invalid key: ${testResult.message}` });
+        }
+        
+        const keys = org.puterKeys || [];
+        const fingerprint = getKeyFingerprint(key.trim());
+        if (keys.some(k => getKeyFingerprint(k) === fingerprint)) {
+          return res.status(400).json({ error: 'Key already added' });
+        }
+        
+        keys.push(sealKey(key.trim(), orgKeyOwner(org.id)));
+        await organizations.update(org.id, { puterKeys: keys, updatedAt: new Date().toISOString() });
+        
+        return res.json({ success: true, warning: testResult.warning, org: await getMaskedOrg(org.id, uid) });
+      }
+      
+      if (action === 'removeOrgKey') {
+        const { org, error, status } = await getOrgForAction(uid, { manage: true });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        const { keyIndex } = req.body;
+        const keys = org.puterKeys || [];
+        if (keyIndex === undefined || keyIndex < 0 || keyIndex >= keys.length) {
           return res.status(400).json({ error: 'Invalid key index' });
         }
         
-        return res.json({ key: keys[keyIndex] });
+        keys.splice(keyIndex, 1);
+        await organizations.update(org.id, { puterKeys: keys, updatedAt: new Date().toISOString() });
+        
+        return res.json({ success: true, org: await getMaskedOrg(org.id, uid) });
+      }
+      
+      if (action === 'setOrgBudgets') {
+        const { org, error, status } = await getOrgForAction(uid, { manage: true });
+        if (error) {
+          return res.status(status).json({ error });
+        }
+        const { budgets, error: budgetError } = normalizeBudgets(req.body.budgets);
+        if (budgetError) {
+          return res.status(400).json({ error: budgetError });
+        }
+        
+        await organizations.update(org.id, {
+          budgets: budgets.daily || budgets.monthly ? budgets : null,
+          updatedAt: new Date().toISOString(),
+        });
+        
+        return res.json({ success: true, org: await getMaskedOrg(org.id, uid) });
+      }
+      
+      if (action === 'regenerateApiKey') {
+        const userData = await users.get(uid);
+        const { secret, hash, prefix } = issueApiKey();
+        await users.update(uid, {
+          apiKeyHash: hash,
+          apiKeyPrefix: prefix,
+          apiKeyHashes: getApiKeyHashes({ ...userData, apiKeyHash: hash }),
+          updatedAt: new Date().toISOString(),
+        });
+        invalidateUserCache(uid);
+        return res.json({ success: true, apiKey: secret, apiKeyPrefix: prefix });
       }
     }
 
@@ -0,0 +1,124 @@
+// The 'auto' model
+// Requests for model 'auto' are sent to a model picked from the request's
+// features, using the rules table in the model routing config (auto section,
+// see model-routing.js):
+//   rules       [{ model, images?, tools?, thinking?, code?, minPromptTokens?,
+//                  maxPromptTokens?, category? }] - the first rule whose every
+//               condition holds picks its model
+//   default     model when no rule matches
+//   classifier  null, or { model, categories: { name: description } } - a cheap
+//               model asked which category the latest user message falls into,
+//               for rules with a category. It is only asked when such a rule is
+//               reached, and a failed answer matches none of them.
+// Features: images (an image part in any message), tools (the request has
+// tools), thinking (thinking_budget > 0), code (code-heavy user messages) and
+// the prompt's token count.
+
+import { countPromptTokens } from './tokenizer.js';
+import { getModelRouting } from './model-routing.js';
+
+export const AUTO_MODEL = 'auto';
+
+// Prompt length is counted with this model's tokenizer, before a model is chosen
+const FEATURE_TOKENIZER_MODEL = 'gpt-4o';
+
+// Most of the latest user message the classifier is shown (characters)
+const MAX_CLASSIFIER_INPUT_CHARS = 2000;
+
+// Lines that look like source code rather than prose
+const CODE_LINE_PATTERN = /^\s*(def |class |import |from \S+ import|function\b|const |let |var |return\b|if \(|for \(|while \(|#include|public |private |fn |func |SELECT |<\/?[a-z][\w-]*[ >])|[{};]\s*$/;
+
+function messageText(msg) {
+  if (typeof msg.content === 'string') return msg.content;
+  if (!Array.isArray(msg.content)) return '';
+  return msg.content.filter(part => part?.type === 'text').map(part => part.text || '').join('\n');
+}
+
+function hasImagePart(msg) {
+  return Array.isArray(msg.content) && msg.content.some(part => part?.type === 'image_url' || part?.type === 'image');
+}
+
+// Fenced code, or mostly code-looking lines
+function isCodeHeavy(text) {
+  if (/```/.test(text)) return true;
+  const lines = text.split('\n').filter(line => line.trim());
+  const codeLines = lines.filter(line => CODE_LINE_PATTERN.test(line)).length;
+  return codeLines >= 3 && codeLines / lines.length >= 0.3;
+}
+
+export async function getRequestFeatures({ messages, tools, thinking_budget }) {
+  const userText = messages.filter(msg => msg.role === 'user').map(messageText).join('\n');
+  return {
+    images: messages.some(hasImagePart),
+    tools: Array.isArray(tools) && tools.length > 0,
+    thinking: thinking_budget > 0,
+    code: isCodeHeavy(userText),
+    promptTokens: await countPromptTokens(FEATURE_TOKENIZER_MODEL, messages, tools),
+  };
+}
+
+function matchesRule(rule, features, category) {
+  for (const flag of ['images', 'tools', 'thinking', 'code']) {
+    if (rule[flag] !== undefined && rule[flag] !== features[flag]) return false;
+  }
+  if (rule.minPromptTokens !== undefined && features.promptTokens < rule.minPromptTokens) return false;
+  if (rule.maxPromptTokens !== undefined && features.promptTokens > rule.maxPromptTokens) return false;
+  if (rule.category !== undefined && rule.category !== category) return false;
+  return true;
+}
+
+function describeRule(rule, index) {
+  const conditions = Object.entries(rule)
+    .filter(([key]) => key !== 'model')
+    .map(([key, value]) => `${key}=${value}`);
+  return `rule ${index + 1} (${conditions.join(', ')})`;
+}
+
+// The classifier's question: one category name for the latest user message
+function buildClassifierMessages(messages, categories) {
+  const latest = [...messages].reverse().find(msg => msg.role === 'user');
+  const list = Object.entries(categories).map(([name, description]) => `- ${name}: ${description}`).join('\n');
+  return [
+    {
+      role: 'system',
+      content: `You are a request classifier. Given a user message, respond with ONLY the name of the category that fits it best. Categories:\n${list}\n\nRespond with ONLY the category name, nothing else.`
+    },
+    { role: 'user', content: (latest ? messageText(latest) : '').slice(0, MAX_CLASSIFIER_INPUT_CHARS) || '(empty)' },
+  ];
+}
+
+// Category name in the classifier's answer, or null
+function parseCategory(answer, categories) {
+  const text = String(answer || '').trim().toLowerCase();
+  return Object.keys(categories).find(name => text === name.toLowerCase())
+    || Object.keys(categories).find(name => text.includes(name.toLowerCase()))
+    || null;
+}
+
+// Pick the model for an 'auto' request.
+// classify(model, messages) -> the classifier model's answer text
+// Returns { model, reason, features, category? }; reason says which rule chose.
+export async function selectAutoModel(request, { classify }) {
+  const { rules, default: defaultModel, classifier } = getModelRouting().auto;
+  const features = await getRequestFeatures(request);
+
+  let category;
+  for (const [index, rule] of rules.entries()) {
+    if (rule.category !== undefined && category === undefined) {
+      category = null;
+      if (classifier) {
+        try {
+          const answer = await classify(classifier.model, buildClassifierMessages(request.messages, classifier.categories));
+          category = parseCategory(answer, classifier.categories);
+        } catch (error) {
+          console.error('[Auto] Classifier failed:', error.message);
+        }
+      }
+    }
+    if (matchesRule(rule, features, category)) {
+      return { model: rule.model, reason: describeRule(rule, index), features, ...(category ? { category } : {}) };
+    }
+  }
+
+  return { model: defaultModel, reason: 'default', features, ...(category ? { category } : {}) };
+}
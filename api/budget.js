@@ -0,0 +1,112 @@
+// Spending budgets
+// logUsage adds each request's cost (Puter units, 1e8 = $1) to the user's
+// dailySpend / monthlySpend counters, which reset when spendDate / spendMonth
+// go stale, and to the key's own counters in keySpend[keyId]. Budgets cap that
+// spend per day and per month:
+//   budgets      - the account's caps
+//   key budgets  - caps for the API key the request came in with (keyBudgets
+//                  for the default key, budgets on a named key - see api-keys.js)
+//   org budgets  - caps on the whole organization's spend (user.org, loaded
+//                  per request - see organizations.js)
+// Past alertPercent of a cap requests carry an X-Budget-Warning header and the
+// dashboard shows a banner; at the cap requests are rejected.
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+export const DEFAULT_ALERT_PERCENT = 80;
+
+const PUTER_UNITS_PER_DOLLAR = 100000000;
+
+function formatUnits(units) {
+  return `$${(units / PUTER_UNITS_PER_DOLLAR).toFixed(2)}`;
+}
+
+// Current period keys - UTC, like the daily free limit
+export function getSpendPeriods(now = new Date()) {
+  const iso = now.toISOString();
+  return { date: iso.split('T')[0], month: iso.slice(0, 7) };
+}
+
+// Clean { daily, monthly, alertPercent } - caps are non-negative Puter units,
+// unset or 0 means no cap
+export function normalizeBudgets(budgets) {
+  const result = {};
+  for (const period of BUDGET_PERIODS) {
+    const value = budgets?.[period];
+    if (value === undefined || value === null || value === '') continue;
+    const units = Number(value);
+    if (!Number.isFinite(units) || units < 0) {
+      return { error: `${period} budget must be a non-negative number` };
+    }
+    if (units > 0) result[period] = Math.round(units);
+  }
+
+  const alertPercent = budgets?.alertPercent;
+  if (alertPercent !== undefined && alertPercent !== null && alertPercent !== '') {
+    const percent = Number(alertPercent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      return { error: 'alertPercent must be between 1 and 100' };
+    }
+    result.alertPercent = percent;
+  }
+  return { budgets: result };
+}
+
+// Spend in the current day / month - stale counters count as 0
+export function getSpend(user, now = new Date()) {
+  const { date, month } = getSpendPeriods(now);
+  return {
+    daily: user.spendDate === date ? user.dailySpend || 0 : 0,
+    monthly: user.spendMonth === month ? user.monthlySpend || 0 : 0,
+  };
+}
+
+// Same for one API key's counters ({ daily, date, monthly, month })
+export function getKeySpend(user, keyId, now = new Date()) {
+  const { date, month } = getSpendPeriods(now);
+  const counters = user.keySpend?.[keyId] || {};
+  return {
+    daily: counters.date === date ? counters.daily || 0 : 0,
+    monthly: counters.month === month ? counters.monthly || 0 : 0,
+  };
+}
+
+// Every configured cap with its spend, for the account, the given key record
+// (the default key when omitted) and the user's org.
+// Returns { status: 'ok' | 'warning' | 'exceeded', items: [...], message }
+export function evaluateBudgets(user, key = { id: 'default', budgets: user.keyBudgets }, now = new Date()) {
+  const scopes = [
+    ['account', user.budgets, getSpend(user, now)],
+    ['key', key?.budgets, key && getKeySpend(user, key.id, now)],
+    ['org', user.org?.budgets, user.org && getSpend(user.org, now)],
+  ];
+  const items = [];
+
+  for (const [scope, budgets, spend] of scopes) {
+    if (!budgets) continue;
+    const alertPercent = budgets.alertPercent || DEFAULT_ALERT_PERCENT;
+    for (const period of BUDGET_PERIODS) {
+      const limit = budgets[period];
+      if (!limit) continue;
+      const spent = spend[period];
+      const percent = (spent / limit) * 100;
+      items.push({
+        scope,
+        period,
+        limit,
+        spent,
+        percent: Math.round(percent * 10) / 10,
+        status: percent >= 100 ? 'exceeded' : percent >= alertPercent ? 'warning' : 'ok',
+      });
+    }
+  }
+
+  const worst = items.find(item => item.status === 'exceeded') || items.find(item => item.status === 'warning');
+  if (!worst) return { status: 'ok', items, message: null };
+
+  const owner = { account: 'account', key: 'API key', org: 'organization' }[worst.scope];
+  const amounts = `${formatUnits(worst.spent)} of ${formatUnits(worst.limit)}`;
+  const message = worst.status === 'exceeded'
+    ? `Your ${worst.period} ${owner} budget is used up (${amounts}). It resets at the start of the next ${worst.period === 'daily' ? 'day' : 'month'} (UTC).`
+    : `${worst.percent}% of your ${worst.period} ${owner} budget used (${amounts})`;
+  return { status: worst.status, items, message };
+}
@@ -1,359 +1,34 @@
-import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { invalidateUsageCache, invalidateAllUserCaches } from './cache.js';
-import { callG4F, callG4FStream, isG4FModel } from './g4f.js';
+import { resolveAdapter, getAdapter } from './providers/index.js';
+import { getUpstreamPrefix } from './providers/openai-compatible.js';
+import { getSystemFallbackChains, getUserFallbackChains, resolveFallbackChain } from './fallback.js';
+import { ChatStreamWriter, USAGE_ESTIMATED_HEADER } from './stream-writer.js';
+import { estimateUsage } from './tokenizer.js';
+import { CONTEXT_POLICIES, SUMMARY_MODEL, resolveContextPolicy, fitContext } from './context.js';
+import {
+  wantsResponseCache, getResponseCacheKey, getCachedResponse, setCachedResponse, replayAsJSON, replayAsStream
+} from './response-cache.js';
+import { withIdempotency } from './idempotency.js';
+import { apiError, classifyError, sendError } from './errors.js';
+import { getRateLimitScopes, acquireRateLimit } from './rate-limit.js';
+import { getSpendPeriods, evaluateBudgets } from './budget.js';
+import { getRequestCredential, lookupCredential, checkApiKeyAccess, checkApiKeySalt, isModelAllowed } from './api-keys.js';
+import { loadUserOrg } from './organizations.js';
+import * as storage from './storage/index.js';
+import { increment, RESPONSE_RETENTION_DAYS } from './storage/index.js';
+import { keyPool } from './providers/puter.js';
+import { refreshModelRouting } from './model-routing.js';
+import { userKeyOwner, SYSTEM_KEY_OWNER } from './key-vault.js';
+import { resolvePreset, applyPreset } from './presets.js';
+import { AUTO_MODEL, selectAutoModel } from './auto-router.js';
+import { expandToolParts, anthropicToOpenAIRequest, createAnthropicRelay, anthropicError } from './anthropic.js';
+import { newResponseId, responsesToChatRequest, createResponsesRelay, responsesError } from './openai-responses.js';
 
-// Initialize Firebase Admin
-if (!getApps().length) {
-  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
-  if (serviceAccount.project_id) {
-    initializeApp({ credential: cert(serviceAccount) });
-  }
-}
-
-const db = getApps().length ? getFirestore() : null;
-
-const PUTER_BASE_URL = 'https://api.puter.com/drivers/call';
 const FREE_DAILY_LIMIT = 15;
 
-import { createHash } from 'crypto';
-
-// ============== O(1) Key Pool Manager ==============
-// Instead of checking each key, maintain a ready pool of available keys
-// and a blocked set for failed keys. All operations are O(1).
-
-// Puter API for checking key usage
-const PUTER_API_BASE = 'https://api.puter.com';
-
-// Check if a Puter key is active (has remaining allowance)
-async function checkPuterKeyActive(key) {
-  const origins = ['https://puter.com', 'https://g4f.dev', 'https://api.puter.com'];
-
-  for (const origin of origins) {
-    try {
-      const [whoamiRes, usageRes] = await Promise.all([
-        fetch(`${PUTER_API_BASE}/whoami`, {
-          headers: { 'Authorization': `Bearer ${key}`, 'Origin': origin }
-        }),
-        fetch(`${PUTER_API_BASE}/metering/usage`, {
-          headers: { 'Authorization': `Bearer ${key}`, 'Origin': origin }
-        })
-      ]);
-
-      const whoami = await whoamiRes.json();
-      const usageData = await usageRes.json();
-
-      if (whoami.username || whoami.uuid) {
-        const remaining = usageData.allowanceInfo?.remaining || 0;
-        const isActive = remaining > 0;
-        return {
-          valid: true,
-          active: isActive,
-          remaining,
-          username: whoami.username,
-          isTemp: whoami.is_temp
-        };
-      }
-    } catch (e) {
-      continue;
-    }
-  }
-
-  return { valid: false, active: false, remaining: 0 };
-}
-
-class KeyPoolManager {
-  constructor() {
-    this.blockedKeys = new Map(); // hash -> { until: timestamp, reason: string }
-    this.monthlyBlockedHashes = new Set(); // hashes blocked for the month
-    this.currentMonth = null;
-    this.dbCacheLoaded = false;
-    this.SHORT_COOLDOWN_MS = 5 * 60 * 1000; // 5 min for temp failures
-    this.keyStatusCache = new Map(); // hash -> { active: boolean, checkedAt: timestamp }
-    this.KEY_STATUS_CACHE_MS = 10 * 60 * 1000; // Cache key status for 10 minutes
-
-    // Pre-filtered active keys pool
-    this.activeKeysPool = new Map(); // poolId -> { keys: [], lastRefresh: timestamp }
-    this.POOL_REFRESH_MS = 10 * 60 * 1000; // Refresh pool every 10 minutes
-    this.poolRefreshInProgress = new Map(); // poolId -> Promise (to prevent concurrent refreshes)
-  }
-
-  // O(1) hash computation (cached per key instance via Map)
-  hashKey(key) {
-    return createHash('sha256').update(key).digest('hex').substring(0, 16);
-  }
-
-  // Generate pool ID from keys array
-  getPoolId(keys) {
-    if (!keys || keys.length === 0) return 'empty';
-    // Use first and last key hash + length for quick ID
-    return `${this.hashKey(keys[0])}_${this.hashKey(keys[keys.length - 1])}_${keys.length}`;
-  }
-
-  // Reset monthly blocks at start of new month
-  checkMonthReset() {
-    const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM format
-    if (this.currentMonth !== currentMonth) {
-      this.monthlyBlockedHashes.clear();
-      this.keyStatusCache.clear();
-      this.activeKeysPool.clear(); // Clear active pools on month change
-      this.currentMonth = currentMonth;
-      this.dbCacheLoaded = false;
-      console.log(`[KeyPool] Month reset: ${currentMonth}`);
-    }
-  }
-
-  // O(1) - Mark key as temporarily failed (short cooldown)
-  markTempFailed(key) {
-    const hash = this.hashKey(key);
-    this.blockedKeys.set(hash, {
-      until: Date.now() + this.SHORT_COOLDOWN_MS,
-      reason: 'temp'
-    });
-    console.log(`[KeyPool] Temp blocked: ${hash} for ${this.SHORT_COOLDOWN_MS / 1000}s`);
-  }
-
-  // O(1) - Mark key as usage-limited for the month
-  async markMonthlyLimited(key) {
-    this.checkMonthReset();
-    const hash = this.hashKey(key);
-    this.monthlyBlockedHashes.add(hash);
-
-    // Remove from all active pools
-    for (const [poolId, pool] of this.activeKeysPool) {
-      pool.keys = pool.keys.filter(k => this.hashKey(k) !== hash);
-    }
-
-    console.log(`[KeyPool] Monthly blocked: ${hash}`);
-
-    // Persist to DB (fire and forget for speed)
-    if (db) {
-      const currentMonth = new Date().toISOString().slice(0, 7);
-      db.collection('failed_keys').doc(currentMonth).set({
-        [hash]: { failedAt: new Date().toISOString(), reason: 'usage-limited' }
-      }, { merge: true }).catch(e => console.error('DB persist error:', e.message));
-    }
-  }
-
-  // Check if key status is cached and still valid
-  getCachedKeyStatus(key) {
-    const hash = this.hashKey(key);
-    const cached = this.keyStatusCache.get(hash);
-    if (cached && Date.now() - cached.checkedAt < this.KEY_STATUS_CACHE_MS) {
-      return cached;
-    }
-    return null;
-  }
-
-  // Cache key status
-  setCachedKeyStatus(key, active, remaining = 0) {
-    const hash = this.hashKey(key);
-    this.keyStatusCache.set(hash, { active, remaining, checkedAt: Date.now() });
-  }
-
-  // O(1) - Check if a specific key is available (sync check only)
-  isKeyAvailable(key) {
-    this.checkMonthReset();
-    const hash = this.hashKey(key);
-
-    // Check monthly block
-    if (this.monthlyBlockedHashes.has(hash)) return false;
-
-    // Check temp block
-    const block = this.blockedKeys.get(hash);
-    if (block) {
-      if (Date.now() < block.until) return false;
-      this.blockedKeys.delete(hash); // Expired, remove
-    }
-
-    // Check cached status - if we know it's inactive, skip it
-    const cached = this.keyStatusCache.get(hash);
-    if (cached && Date.now() - cached.checkedAt < this.KEY_STATUS_CACHE_MS) {
-      if (!cached.active) return false;
-    }
-
-    return true;
-  }
-
-  // Batch validate all keys in parallel - returns only active keys
-  async batchValidateKeys(keys) {
-    if (!keys || keys.length === 0) return [];
-
-    const startTime = Date.now();
-    console.log(`[KeyPool] Batch validating ${keys.length} keys in parallel...`);
-
-    // Filter out already blocked keys first (sync)
-    const candidateKeys = keys.filter(key => this.isKeyAvailable(key));
-    console.log(`[KeyPool] ${candidateKeys.length} keys passed sync check`);
-
-    if (candidateKeys.length === 0) return [];
-
-    // Check all candidates in parallel
-    const results = await Promise.all(
-      candidateKeys.map(async (key) => {
-        const cached = this.getCachedKeyStatus(key);
-        if (cached) {
-          return { key, active: cached.active, remaining: cached.remaining };
-        }
-
-        try {
-          const status = await checkPuterKeyActive(key);
-          this.setCachedKeyStatus(key, status.active, status.remaining);
-
-          if (!status.valid || !status.active) {
-            if (!status.active) {
-              // Don't await - fire and forget for speed
-              this.markMonthlyLimited(key).catch(() => { });
-            }
-            return { key, active: false, remaining: 0 };
-          }
-
-          return { key, active: true, remaining: status.remaining };
-        } catch (e) {
-          // On error, assume key might be available
-          return { key, active: true, remaining: -1 };
-        }
-      })
-    );
-
-    // Filter to only active keys, sorted by remaining allowance (highest first)
-    const activeKeys = results
-      .filter(r => r.active)
-      .sort((a, b) => b.remaining - a.remaining)
-      .map(r => r.key);
-
-    const elapsed = Date.now() - startTime;
-    console.log(`[KeyPool] Batch validation complete: ${activeKeys.length}/${keys.length} active keys (${elapsed}ms)`);
-
-    return activeKeys;
-  }
-
-  // Get or refresh the active keys pool
-  async getActiveKeysPool(keys) {
-    if (!keys || keys.length === 0) return [];
-
-    const poolId = this.getPoolId(keys);
-    const pool = this.activeKeysPool.get(poolId);
-
-    // Check if pool exists and is fresh
-    if (pool && Date.now() - pool.lastRefresh < this.POOL_REFRESH_MS && pool.keys.length > 0) {
-      return pool.keys;
-    }
-
-    // Check if refresh is already in progress
-    if (this.poolRefreshInProgress.has(poolId)) {
-      // Wait for existing refresh to complete
-      return await this.poolRefreshInProgress.get(poolId);
-    }
-
-    // Start new refresh
-    const refreshPromise = (async () => {
-      try {
-        const activeKeys = await this.batchValidateKeys(keys);
-        this.activeKeysPool.set(poolId, { keys: activeKeys, lastRefresh: Date.now() });
-        return activeKeys;
-      } finally {
-        this.poolRefreshInProgress.delete(poolId);
-      }
-    })();
-
-    this.poolRefreshInProgress.set(poolId, refreshPromise);
-    return await refreshPromise;
-  }
-
-  // O(1) amortized - Get first available key from array (uses index rotation)
-  getAvailableKey(keys, startIndex = 0) {
-    if (!keys || keys.length === 0) return null;
-
-    // Try from startIndex, wrap around once
-    for (let i = 0; i < keys.length; i++) {
-      const idx = (startIndex + i) % keys.length;
-      if (this.isKeyAvailable(keys[idx])) {
-        return { key: keys[idx], index: idx };
-      }
-    }
-    return null;
-  }
-
-  // Fast O(1) key selection from pre-filtered pool
-  async getValidatedKey(keys, startIndex = 0) {
-    if (!keys || keys.length === 0) return null;
-
-    // Get pre-filtered active keys pool
-    const activeKeys = await this.getActiveKeysPool(keys);
-
-    if (activeKeys.length === 0) {
-      console.log('[KeyPool] No active keys available in pool');
-      return null;
-    }
-
-    // Simple rotation within active pool
-    const idx = startIndex % activeKeys.length;
-    const key = activeKeys[idx];
-
-    // Find original index for logging
-    const originalIdx = keys.indexOf(key);
-
-    return { key, index: originalIdx !== -1 ? originalIdx : idx };
-  }
-
-  // Load monthly blocked keys from DB (called once per month per server instance)
-  async loadMonthlyBlockedFromDB() {
-    if (this.dbCacheLoaded || !db) return;
-
-    this.checkMonthReset();
-    const currentMonth = new Date().toISOString().slice(0, 7);
-
-    try {
-      const doc = await db.collection('failed_keys').doc(currentMonth).get();
-      if (doc.exists) {
-        const data = doc.data();
-        Object.keys(data).forEach(hash => this.monthlyBlockedHashes.add(hash));
-        console.log(`[KeyPool] Loaded ${Object.keys(data).length} blocked keys from DB for ${currentMonth}`);
-      }
-      this.dbCacheLoaded = true;
-    } catch (e) {
-      console.error('[KeyPool] Failed to load from DB:', e.message);
-    }
-  }
-}
-
-const keyPool = new KeyPoolManager();
-
-// Verified working text/chat models - route through OpenRouter for reliability
-// OpenRouter handles model availability and routing automatically
-const OPENROUTER_MODEL_MAP = {
-  // OpenAI models
-  'gpt-4.1': 'openai/gpt-4.1',
-  'gpt-4o': 'openai/gpt-4o',
-  'gpt-4o-mini': 'openai/gpt-4o-mini',
-  'o3': 'openai/o3',
-  'o3-mini': 'openai/o3-mini',
-  'o1': 'openai/o1',
-  'o1-mini': 'openai/o1-mini',
-  // Claude models
-  'claude-sonnet-4': 'anthropic/claude-sonnet-4',
-  'claude-sonnet-4-5': 'anthropic/claude-sonnet-4.5',
-  'claude-sonnet-4.5': 'anthropic/claude-sonnet-4.5',
-  'claude-3-5-sonnet': 'anthropic/claude-3.5-sonnet',
-  'claude-3.5-sonnet': 'anthropic/claude-3.5-sonnet',
-  'claude-3-7-sonnet': 'anthropic/claude-3.7-sonnet',
-  'claude-3.7-sonnet': 'anthropic/claude-3.7-sonnet',
-  'claude-3-haiku': 'anthropic/claude-3-haiku',
-  // DeepSeek models
-  'deepseek-chat': 'deepseek/deepseek-chat',
-  'deepseek-reasoner': 'deepseek/deepseek-reasoner',
-  // Mistral models
-  'mistral-large': 'mistralai/mistral-large',
-  'mistral-small': 'mistralai/mistral-small',
-  // Gemini models
-  'gemini-2.0-flash': 'google/gemini-2.0-flash-001',
-  'gemini-2.5-flash': 'google/gemini-2.5-flash-preview',
-  'gemini-pro': 'google/gemini-pro',
-  // Grok models
-  'grok-3': 'x-ai/grok-3',
-  'grok-2': 'x-ai/grok-2',
-};
+// Stored Responses API responses: kept this long, and at most this many per owner
+const RESPONSE_TTL_MS = RESPONSE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const MAX_STORED_RESPONSES = 200;
 
 // Check if content array contains images
 function hasImageContent(content) {
@@ -409,7 +84,7 @@ function normalizeContent(content, preserveMultimodal = false) {
           return normalizeContent(part.content);
         }
         if (part.type === 'tool_use') {
-          // Skip tool_use parts in content normalization
+          // tool_use parts are lifted into tool_calls by expandToolParts()
           return '';
         }
         return '';
@@ -420,111 +95,174 @@ function normalizeContent(content, preserveMultimodal = false) {
   return String(content);
 }
 
-function getDriverAndModel(modelId) {
-  // G4F models - route through G4F driver
-  if (modelId.startsWith('g4f:')) {
-    return { driver: 'g4f', model: modelId };
-  }
-
-  // Puter consolidated all chat providers into a single 'ai-chat' driver.
-  // The old per-provider drivers (openrouter, anthropic, etc.) were removed and
-  // now return "Driver not found". The model IDs themselves (incl. 'openrouter:'
-  // and 'anthropic:' prefixes) are still valid aliases in the ai-chat catalog,
-  // so we keep the model string and only swap the driver name.
-
-  // Already prefixed with openrouter: - keep ID, use ai-chat driver
-  if (modelId.startsWith('openrouter:')) {
-    return { driver: 'ai-chat', model: modelId };
-  }
-
-  // Anthropic models - keep ID, use ai-chat driver
-  if (modelId.startsWith('anthropic:')) {
-    return { driver: 'ai-chat', model: modelId };
-  }
-
-  // TogetherAI models
-  if (modelId.startsWith('togetherai:')) {
-    return { driver: 'together-ai', model: modelId };
-  }
-
-  // The ai-chat catalog accepts bare aliases directly (e.g. 'gpt-5.4',
-  // 'claude-opus-4-7', 'gemini-2.5-flash', 'grok-4.3'), so for everything else
-  // we pass the model ID through unchanged and let ai-chat resolve it. This is
-  // more robust than guessing an 'openrouter:provider/...' prefix, which no longer
-  // resolves for several providers (notably OpenAI gpt-5.x).
-  return { driver: 'ai-chat', model: modelId };
-}
-
-async function getUserByApiKey(apiKey) {
-  if (!db) return null;
-  const snapshot = await db.collection('users').where('apiKey', '==', apiKey).limit(1).get();
-  if (snapshot.empty) return null;
-  return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
-}
-
 async function incrementUsage(userId) {
-  if (!db) return;
-  const userRef = db.collection('users').doc(userId);
   const today = new Date().toISOString().split('T')[0];
-  await userRef.update({ dailyRequestsUsed: FieldValue.increment(1), lastRequestDate: today });
+  await storage.users.update(userId, { dailyRequestsUsed: increment(1), lastRequestDate: today });
 }
 
 async function getDailyUsage(user) {
   const today = new Date().toISOString().split('T')[0];
   if (user.lastRequestDate !== today) {
-    if (db) {
-      const userRef = db.collection('users').doc(user.id);
-      await userRef.update({ dailyRequestsUsed: 0, lastRequestDate: today });
-    }
+    await storage.users.update(user.id, { dailyRequestsUsed: 0, lastRequestDate: today });
     return 0;
   }
   return user.dailyRequestsUsed || 0;
 }
 
-// Get system Puter keys from Firestore
-async function getSystemKeys() {
-  if (!db) return [];
+// Fresh day / month counters for a user or org doc - updates spender in place
+// and returns the fields to write
+function staleSpendUpdates(spender) {
+  const { date, month } = getSpendPeriods();
+  const updates = {};
+  if (spender.spendDate !== date) Object.assign(updates, { dailySpend: 0, spendDate: date });
+  if (spender.spendMonth !== month) Object.assign(updates, { monthlySpend: 0, spendMonth: month });
+  Object.assign(spender, updates);
+  return updates;
+}
+
+// Start new spend counters when the day or month has rolled over, so logUsage
+// increments land in the current period - the account's, the API key's and
+// the org's
+async function resetStaleSpend(user) {
+  const { date, month } = getSpendPeriods();
+  const updates = staleSpendUpdates(user);
+
+  const keyId = user.authKey?.id;
+  if (keyId) {
+    const counters = { ...user.keySpend?.[keyId] };
+    if (counters.date !== date) {
+      Object.assign(counters, { daily: 0, date });
+      Object.assign(updates, { [`keySpend.${keyId}.daily`]: 0, [`keySpend.${keyId}.date`]: date });
+    }
+    if (counters.month !== month) {
+      Object.assign(counters, { monthly: 0, month });
+      Object.assign(updates, { [`keySpend.${keyId}.monthly`]: 0, [`keySpend.${keyId}.month`]: month });
+    }
+    user.keySpend = { ...user.keySpend, [keyId]: counters };
+  }
+  if (Object.keys(updates).length > 0) await storage.users.update(user.id, updates);
+
+  const orgUpdates = user.org ? staleSpendUpdates(user.org) : {};
+  if (Object.keys(orgUpdates).length > 0) await storage.organizations.update(user.org.id, orgUpdates);
+}
+
+// Get the system config (Puter keys, upstreams, fallback chains) from storage
+async function getSystemConfig() {
   try {
-    const configDoc = await db.collection('system').doc('config').get();
-    if (!configDoc.exists) return [];
-    const config = configDoc.data();
-    return config.systemPuterKeys || [];
+    return await storage.systemConfig.get();
   } catch (error) {
-    console.error('Failed to get system keys:', error.message);
-    return [];
+    console.error('Failed to get system config:', error.message);
+    return {};
   }
 }
 
-// Get available keys (excluding recently failed ones)
-function getAvailableKeys(keys) {
-  if (!keys || keys.length === 0) return [];
-  const now = Date.now();
-  return keys.filter(key => {
-    const failedAt = failedKeys.get(key);
-    if (!failedAt) return true;
-    // Key is available again after cooldown
-    if (now - failedAt > KEY_COOLDOWN_MS) {
-      failedKeys.delete(key);
-      return true;
-    }
-    return false;
-  });
+// System Puter keys from the config, fallback to env variable
+function getSystemKeys(config) {
+  const keys = config.systemPuterKeys || [];
+  if (keys.length === 0 && process.env.PUTER_API_KEY) {
+    return [process.env.PUTER_API_KEY];
+  }
+  return keys;
 }
 
-// Wrapper functions using the O(1) KeyPoolManager
-function markKeyFailed(key) {
-  keyPool.markTempFailed(key);
-}
+// Find the upstream a prefixed model ID belongs to - the user's own upstreams
+// take priority over admin ones
+function findUpstream(user, modelId, config) {
+  const prefix = getUpstreamPrefix(modelId);
+  if (!prefix) return null;
+
+  const own = (user.upstreams || []).find(u => u.prefix === prefix);
+  if (own) return { ...own, scope: 'user', keyOwner: userKeyOwner(user.id), allowPrivateNetwork: !!config.allowPrivateUpstreams };
 
-async function markKeyUsageLimited(key) {
-  await keyPool.markMonthlyLimited(key);
+  const system = (config.systemUpstreams || []).find(u => u.prefix === prefix);
+  return system ? { ...system, scope: 'system', keyOwner: SYSTEM_KEY_OWNER } : null;
 }
 
+// Work out how one model is served: the adapter, its credentials and the
+// provider name for logs. Free-tier routes (system Puter keys, admin
+// upstreams) count against the daily free limit; the user's org keys don't.
+function prepareRoute(user, modelId, puterToken, config) {
+  const upstream = findUpstream(user, modelId, config);
+  const adapter = upstream ? getAdapter('openai-compatible') : resolveAdapter(modelId);
+  if (!adapter) {
+    return { error: `No provider available for model '${modelId}'`, status: 404, code: 'model_not_found', param: 'model' };
+  }
 
+  const hasOwnKeys = user.puterKeys && user.puterKeys.length > 0;
+  const orgKeys = user.org?.puterKeys || [];
+  const hasPaidKeys = hasOwnKeys || orgKeys.length > 0;
+  const route = { adapter, credentials: {}, provider: getProvider(modelId), isFreeTier: false };
 
-// Log usage to Firestore
-async function logUsage(userId, model, usage, provider, success, errorMessage = null, keyUsed = null) {
-  if (!db) return;
+  if (upstream) {
+    console.log(`[Upstream] Routing ${modelId} to ${upstream.name} (${upstream.scope})`);
+    route.credentials = { upstream };
+    route.provider = upstream.prefix;
+    route.isFreeTier = upstream.scope === 'system' && !hasPaidKeys;
+  } else if (adapter.usesPuterKeys) {
+    const systemKeys = getSystemKeys(config);
+
+    if (puterToken) {
+      // Direct Puter token - no daily limit, system keys are only a fallback
+      route.credentials = { puterToken, systemKeys };
+    } else {
+      const userKeys = hasOwnKeys ? user.puterKeys : [];
+      if (systemKeys.length === 0 && !hasPaidKeys) {
+        return { error: 'No Puter API key configured', status: 503, code: 'no_keys_available' };
+      }
+      route.credentials = { userKeys, orgKeys, systemKeys, userId: user.id, orgId: user.org?.id };
+      route.isFreeTier = !hasPaidKeys;
+    }
+  }
+
+  return route;
+}
+
+// Summary of dropped turns for the 'summarize' context policy, from a cheap model
+async function summarizeTurns(user, transcript, puterToken, config, signal, rateLimit) {
+  const route = prepareRoute(user, SUMMARY_MODEL, puterToken, config);
+  if (route.error) throw new Error(route.error);
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'Summarize the conversation below for the assistant that will continue it. Keep facts, decisions, open questions, names, code identifiers and tool results that later turns may rely on. Be concise.'
+    },
+    { role: 'user', content: transcript },
+  ];
+  const { response, keyUsed } = await route.adapter.complete(messages, SUMMARY_MODEL, { max_tokens: 1024, signal }, route.credentials);
+  await logUsage(user, SUMMARY_MODEL, response.usage, route.provider, 'success', null, keyUsed);
+  rateLimit.addTokens(response.usage?.total_tokens);
+
+  const summary = response.choices?.[0]?.message?.content;
+  if (!summary) throw new Error('Summary model returned no text');
+  return summary;
+}
+
+// Answer of the 'auto' model's classifier (see auto-router.js). A free-tier
+// classifier isn't asked for callers with no free requests left - the
+// request itself is refused further on.
+async function classifyRequest(user, model, messages, puterToken, config, signal, rateLimit) {
+  const route = prepareRoute(user, model, puterToken, config);
+  if (route.error) throw new Error(route.error);
+  if (route.isFreeTier && await getDailyUsage(user) >= FREE_DAILY_LIMIT) {
+    throw new Error(`Daily free limit reached - ${model} not asked`);
+  }
+
+  const { response, keyUsed } = await route.adapter.complete(messages, model, { max_tokens: 20, temperature: 0, signal }, route.credentials);
+  await logUsage(user, model, response.usage, route.provider, 'success', null, keyUsed);
+  rateLimit.addTokens(response.usage?.total_tokens);
+  return response.choices?.[0]?.message?.content || '';
+}
+
+// Log usage to storage, attributed to the user, the API key they called with
+// and their org
+// status: 'success' | 'error' | 'cancelled' (client disconnected mid-request)
+async function logUsage(user, model, usage, provider, status, errorMessage = null, keyUsed = null, failovers = 0) {
+  const userId = user.id;
+  const apiKeyId = user.authKey?.id || null;
+  const orgId = user.org?.id || null;
+  // Direct Puter-token callers have no account to log against
+  if (userId === 'puter-direct') return;
 
   try {
     // Usage object now contains cost data from extractUsage()
@@ -539,6 +277,8 @@ async function logUsage(userId, model, usage, provider, success, errorMessage =
 
     const logEntry = {
       userId,
+      apiKeyId,
+      orgId,
       model,
       provider,
       promptTokens,
@@ -547,27 +287,51 @@ async function logUsage(userId, model, usage, provider, success, errorMessage =
       promptCost,
       completionCost,
       totalCost, // Cost in Puter units (1e8 = $1)
-      success,
+      success: status === 'success',
+      status,
       errorMessage,
-      keyType: keyUsed ? 'user' : 'system',
+      estimated: !!usage?.estimated, // Counted locally - the provider reported no usage
+      cached: !!usage?.cached, // Replayed from the response cache, nothing was spent
+      keyType: keyUsed === 'org-pool' ? 'org' : keyUsed ? 'user' : 'system',
+      failovers, // Mid-stream key switches
+      // Why the 'auto' model chose this model, for requests it routed
+      autoRoute: user.autoRoute?.model === model ? user.autoRoute.reason : null,
       timestamp: new Date().toISOString(),
       date: new Date().toISOString().split('T')[0],
     };
 
-    await db.collection('usage_logs').add(logEntry);
-
-    // Update user's total token counts
-    if (success && totalTokens > 0) {
-      const userRef = db.collection('users').doc(userId);
-      await userRef.update({
-        totalPromptTokens: FieldValue.increment(promptTokens),
-        totalCompletionTokens: FieldValue.increment(completionTokens),
-        totalTokens: FieldValue.increment(totalTokens),
-        totalCost: FieldValue.increment(totalCost),
-        totalRequests: FieldValue.increment(1),
+    await storage.usageLogs.add(logEntry);
+
+    // Update user's total token counts - cancelled requests still used tokens
+    if (status !== 'error' && totalTokens > 0) {
+      const keySpend = apiKeyId ? {
+        [`keySpend.${apiKeyId}.daily`]: increment(totalCost),
+        [`keySpend.${apiKeyId}.monthly`]: increment(totalCost),
+      } : {};
+      await storage.users.update(userId, {
+        ...keySpend,
+        totalPromptTokens: increment(promptTokens),
+        totalCompletionTokens: increment(completionTokens),
+        totalTokens: increment(totalTokens),
+        totalCost: increment(totalCost),
+        dailySpend: increment(totalCost),
+        monthlySpend: increment(totalCost),
+        totalRequests: increment(1),
         lastRequestAt: new Date().toISOString(),
       });
 
+      // Pooled org totals and the spend its budgets cap
+      if (orgId) {
+        await storage.organizations.update(orgId, {
+          totalTokens: increment(totalTokens),
+          totalCost: increment(totalCost),
+          dailySpend: increment(totalCost),
+          monthlySpend: increment(totalCost),
+          totalRequests: increment(1),
+          lastRequestAt: new Date().toISOString(),
+        });
+      }
+
       // Invalidate caches since user data changed
       invalidateAllUserCaches(userId);
     }
@@ -576,461 +340,6 @@ async function logUsage(userId, model, usage, provider, success, errorMessage =
   }
 }
 
-// Check if error is a rate limit / usage limit / auth error
-function isRateLimitError(error) {
-  const errorMsg = (error?.message || error || '').toLowerCase();
-  return errorMsg.includes('rate limit') ||
-    errorMsg.includes('usage limit') ||
-    errorMsg.includes('usage-limited') ||
-    errorMsg.includes('quota') ||
-    errorMsg.includes('exceeded') ||
-    errorMsg.includes('too many requests') ||
-    errorMsg.includes('permission denied') ||
-    errorMsg.includes('authentication failed') ||
-    errorMsg.includes('token_auth_failed') ||
-    errorMsg.includes('401') ||
-    errorMsg.includes('429');
-}
-
-// Check if error is specifically a usage limit or dead key (should be blocked for the month)
-function isUsageLimitedError(errorMsg) {
-  const msg = (errorMsg || '').toLowerCase();
-  return msg.includes('usage-limited') ||
-    msg.includes('usage limit') ||
-    msg.includes('permission denied') ||
-    msg.includes('authentication failed') ||
-    msg.includes('token_auth_failed');
-}
-
-// Models that support extended thinking with :thinking variant on Puter/OpenRouter
-// These models will be switched to their :thinking variant when thinking_budget is provided
-const THINKING_MODEL_MAP = {
-  'claude-3.7-sonnet': 'anthropic/claude-3.7-sonnet:thinking',
-  'claude-3-7-sonnet': 'anthropic/claude-3.7-sonnet:thinking',
-};
-
-// Note: Claude 4.x models (sonnet-4, sonnet-4.5, opus-4, etc.) don't have :thinking 
-// variants available on Puter/OpenRouter yet. They will use include_reasoning=true
-// but won't return reasoning content until Puter adds support.
-
-function supportsThinking(modelId) {
-  // Check if model is in thinking map or already has :thinking suffix
-  return modelId.includes(':thinking') ||
-    Object.keys(THINKING_MODEL_MAP).some(m => modelId.includes(m));
-}
-
-function getThinkingModel(modelId) {
-  // If already has :thinking suffix, return as-is
-  if (modelId.includes(':thinking')) return modelId;
-
-  // Check if we have a mapping for this model - use exact match first
-  if (THINKING_MODEL_MAP[modelId]) {
-    return THINKING_MODEL_MAP[modelId];
-  }
-
-  // Then try partial match (for prefixed models like openrouter:...)
-  for (const [key, value] of Object.entries(THINKING_MODEL_MAP)) {
-    if (modelId.includes(key)) {
-      return value;
-    }
-  }
-  return null;
-}
-
-// Timeout for API calls - thinking models need longer timeouts
-const API_TIMEOUT_MS = 120000; // 120 seconds for thinking models
-
-async function callPuter(messages, modelId, puterToken, options = {}) {
-  const hasTools = !!(options.tools && options.tools.length > 0);
-  let { driver, model } = getDriverAndModel(modelId, hasTools);
-
-  // Check if thinking is requested and model supports it
-  const wantsThinking = options.thinking_budget && options.thinking_budget > 0;
-  const thinkingModel = wantsThinking ? getThinkingModel(modelId) : null;
-
-  if (thinkingModel) {
-    // Override to use the :thinking variant
-    model = `openrouter:${thinkingModel}`;
-    console.log(`[Puter] Using thinking model variant: ${model}`);
-  }
-
-  const args = { messages, model };
-  if (options.max_tokens) args.max_tokens = options.max_tokens;
-  if (options.temperature !== undefined) args.temperature = options.temperature;
-  if (options.tools) args.tools = options.tools;
-  if (options.tool_choice) args.tool_choice = options.tool_choice;
-
-  // Always enable reasoning - non-thinking models will ignore it,
-  // but thinking models will return reasoning_content regardless of name pattern
-  args.include_reasoning = true;
-
-  // Enable extended thinking for supported models
-  if (thinkingModel || supportsThinking(modelId)) {
-    // Use thinking budget from options, or default to 10000 tokens
-    const thinkingBudget = options.thinking_budget || 10000;
-    args.thinking = {
-      type: 'enabled',
-      budget_tokens: thinkingBudget
-    };
-    console.log(`[Puter] Extended thinking enabled for ${modelId} with budget: ${thinkingBudget}`);
-  }
-
-  console.log(`[Puter] Non-streaming request to ${driver} with model ${model}`);
-
-  // Use AbortController for timeout
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
-
-  try {
-    const response = await fetch(PUTER_BASE_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${puterToken}`,
-        'Content-Type': 'application/json',
-        'Origin': 'https://puter.com',
-      },
-      body: JSON.stringify({
-        interface: 'puter-chat-completion',
-        driver,
-        method: 'complete',
-        args,
-      }),
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-
-    const data = await response.json();
-
-    // DEBUG: Log raw Puter response to see reasoning structure
-    console.log('[Puter DEBUG] Raw response:', JSON.stringify(data, null, 2).substring(0, 3000));
-
-    if (!data.success) {
-      const errorMsg = data.error?.message || data.error || 'Puter API error';
-      const error = new Error(errorMsg);
-      error.isRateLimit = isRateLimitError(errorMsg);
-      throw error;
-    }
-
-    // Check for usage-limited response (Puter returns success but with usage-limited content)
-    if (data.metadata?.usage_limited ||
-      data.result?.message?.model === 'usage-limited' ||
-      data.metadata?.service_used === 'usage-limited-chat') {
-      const error = new Error('usage-limited: This key has reached its AI usage limit');
-      error.isRateLimit = true;
-      error.isUsageLimited = true;
-      throw error;
-    }
-
-    return data.result;
-  } catch (err) {
-    clearTimeout(timeoutId);
-    if (err.name === 'AbortError') {
-      throw new Error(`Request timeout after ${API_TIMEOUT_MS / 1000}s - thinking models may need more time`);
-    }
-    throw err;
-  }
-}
-
-// Streaming version of callPuter - uses true streaming with readable stream
-async function callPuterStream(messages, modelId, puterToken, options = {}, onChunk) {
-  const hasTools = !!(options.tools && options.tools.length > 0);
-  let { driver, model } = getDriverAndModel(modelId, hasTools);
-
-  // Check if thinking is requested and model supports it
-  const wantsThinking = options.thinking_budget && options.thinking_budget > 0;
-  const thinkingModel = wantsThinking ? getThinkingModel(modelId) : null;
-
-  if (thinkingModel) {
-    // Override to use the :thinking variant
-    model = `openrouter:${thinkingModel}`;
-    console.log(`[Puter Stream] Using thinking model variant: ${model}`);
-  }
-
-  const args = { messages, model, stream: true };
-  if (options.max_tokens) args.max_tokens = options.max_tokens;
-  if (options.temperature !== undefined) args.temperature = options.temperature;
-  if (options.tools) args.tools = options.tools;
-  if (options.tool_choice) args.tool_choice = options.tool_choice;
-  args.include_reasoning = true;
-
-  // Enable extended thinking for supported models
-  if (thinkingModel || supportsThinking(modelId)) {
-    const thinkingBudget = options.thinking_budget || 10000;
-    args.thinking = {
-      type: 'enabled',
-      budget_tokens: thinkingBudget
-    };
-    console.log(`[Puter Stream] Extended thinking enabled for ${modelId} with budget: ${thinkingBudget}`);
-  }
-
-  console.log(`[Puter] Streaming request to ${driver} with model ${model}`);
-
-  // Use AbortController for timeout (longer for streaming)
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS * 2); // 240s for streaming
-
-  const response = await fetch(PUTER_BASE_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${puterToken}`,
-      'Content-Type': 'application/json',
-      'Origin': 'https://puter.com',
-    },
-    body: JSON.stringify({
-      interface: 'puter-chat-completion',
-      driver,
-      method: 'complete',
-      args,
-    }),
-    signal: controller.signal,
-  });
-  clearTimeout(timeoutId); // Clear once we get initial response
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Puter API error: ${response.status} - ${errorText}`);
-  }
-
-  // Check content-type to determine if it's a streaming response
-  const contentType = response.headers.get('content-type') || '';
-
-  // If it's a JSON response (non-streaming fallback), handle it
-  if (contentType.includes('application/json')) {
-    const data = await response.json();
-    if (data.success === false || data.error) {
-      throw new Error(data.error?.message || data.error || 'Puter API error');
-    }
-    // Non-streaming response - extract and send as single chunk
-    const content = extractContent(data.result || data);
-    const reasoning = extractReasoning(data.result || data);
-    if (reasoning) onChunk({ type: 'reasoning', text: reasoning });
-    if (content) onChunk({ type: 'text', text: content });
-    return;
-  }
-
-  // True streaming - read the response body as a stream
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
-
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete lines from buffer
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed === '%') continue;
-
-        try {
-          const data = JSON.parse(trimmed);
-
-          // Check for error in stream
-          if (data.success === false || data.error) {
-            throw new Error(data.error?.message || data.error || 'Stream error');
-          }
-
-          // Handle streaming chunks
-          if (data.type === 'text' && data.text) {
-            onChunk({ type: 'text', text: data.text });
-          } else if (data.type === 'reasoning' && (data.reasoning || data.text)) {
-            onChunk({ type: 'reasoning', text: data.reasoning || data.text });
-          } else if (data.type === 'tool_use') {
-            // Handle tool call in stream
-            onChunk({
-              type: 'tool_use',
-              id: data.id,
-              name: data.name,
-              arguments: typeof data.input === 'string' ? data.input : JSON.stringify(data.input || {})
-            });
-          }
-        } catch (parseError) {
-          // Skip non-JSON lines
-          if (parseError instanceof SyntaxError) continue;
-          throw parseError;
-        }
-      }
-    }
-
-    // Process any remaining data in buffer
-    if (buffer.trim() && buffer.trim() !== '%') {
-      try {
-        const data = JSON.parse(buffer.trim());
-        if (data.type === 'text' && data.text) {
-          onChunk({ type: 'text', text: data.text });
-        } else if (data.type === 'reasoning' && (data.reasoning || data.text)) {
-          onChunk({ type: 'reasoning', text: data.reasoning || data.text });
-        } else if (data.type === 'tool_use') {
-          onChunk({
-            type: 'tool_use',
-            id: data.id,
-            name: data.name,
-            arguments: typeof data.input === 'string' ? data.input : JSON.stringify(data.input || {})
-          });
-        }
-      } catch (e) {
-        // Ignore parse errors for final buffer
-      }
-    }
-  } finally {
-    reader.releaseLock();
-  }
-}
-
-// Call Puter with key rotation on rate limit errors - tries ALL keys in loop
-async function callPuterWithRotation(messages, modelId, userKeys, systemKeys, options = {}) {
-  // User keys take priority, then system keys
-  const allKeys = userKeys && userKeys.length > 0 ? [...userKeys] : [...(systemKeys || [])];
-  if (allKeys.length === 0) {
-    throw new Error('No API keys configured');
-  }
-
-  // Load monthly blocked keys from DB once per month (amortized O(1))
-  await keyPool.loadMonthlyBlockedFromDB();
-
-  let lastError = null;
-  let usedKey = null;
-  const triedKeys = new Set();
-
-  // Random start index for load distribution
-  let startIndex = Math.floor(Math.random() * allKeys.length);
-
-  // Try ALL keys in rotation - don't rely on pre-validation
-  for (let attempt = 0; attempt < allKeys.length; attempt++) {
-    const idx = (startIndex + attempt) % allKeys.length;
-    usedKey = allKeys[idx];
-
-    // Skip if we already tried this key
-    if (triedKeys.has(usedKey)) continue;
-    triedKeys.add(usedKey);
-
-    // Skip only if key is in monthly blocked set (confirmed exhausted)
-    const hash = keyPool.hashKey(usedKey);
-    if (keyPool.monthlyBlockedHashes.has(hash)) {
-      console.log(`[Rotation] Skipping key index ${idx} - monthly blocked`);
-      continue;
-    }
-
-    // Skip if temp blocked (recent failure)
-    const block = keyPool.blockedKeys.get(hash);
-    if (block && Date.now() < block.until) {
-      console.log(`[Rotation] Skipping key index ${idx} - temp blocked for ${Math.round((block.until - Date.now()) / 1000)}s`);
-      continue;
-    }
-
-    try {
-      console.log(`[Rotation] Attempt ${attempt + 1}/${allKeys.length}: Using key index ${idx}`);
-      const apiResult = await callPuter(messages, modelId, usedKey, options);
-      return { result: apiResult, usedKey };
-    } catch (error) {
-      lastError = error;
-      console.error(`Key index ${idx} failed:`, error.message);
-
-      if (error.isRateLimit || error.isUsageLimited || isRateLimitError(error.message)) {
-        markKeyFailed(usedKey);
-        if (error.isUsageLimited || isUsageLimitedError(error.message)) {
-          await markKeyUsageLimited(usedKey);
-        }
-      }
-
-      // Auth errors: mark key as dead but keep trying others
-      const errLower = (error.message || '').toLowerCase();
-      if (errLower.includes('401') || errLower.includes('authentication failed') || errLower.includes('token_auth_failed')) {
-        await markKeyUsageLimited(usedKey);
-      }
-
-      continue;
-    }
-  }
-
-  // All keys exhausted - clear caches and try one more full rotation
-  console.log('[Rotation] All keys failed, clearing caches and retrying...');
-  keyPool.blockedKeys.clear();
-  keyPool.keyStatusCache.clear();
-  keyPool.activeKeysPool.clear();
-
-  // Final attempt - try all keys again without any blocking
-  for (let attempt = 0; attempt < allKeys.length; attempt++) {
-    const idx = (startIndex + attempt) % allKeys.length;
-    usedKey = allKeys[idx];
-
-    try {
-      console.log(`[Rotation FINAL] Attempt ${attempt + 1}/${allKeys.length}: Using key index ${idx}`);
-      const apiResult = await callPuter(messages, modelId, usedKey, options);
-      return { result: apiResult, usedKey };
-    } catch (error) {
-      lastError = error;
-      console.error(`[FINAL] Key index ${idx} failed:`, error.message);
-      continue;
-    }
-  }
-
-  throw lastError || new Error('All API keys are exhausted. Please try again later or add more keys.');
-}
-
-function extractContent(result) {
-  // Check message.content
-  if (result.message?.content != null) {
-    if (typeof result.message.content === 'string') {
-      return result.message.content;
-    }
-    if (Array.isArray(result.message.content)) {
-      return result.message.content.map(c => c.text || '').join('');
-    }
-  }
-  // Check choices[0].message.content
-  if (result.choices?.[0]?.message?.content != null) {
-    return result.choices[0].message.content;
-  }
-  if (typeof result === 'string') return result;
-  return null;  // Return null instead of empty string for tool call compatibility
-}
-
-// Extract reasoning/thinking content from response
-function extractReasoning(result) {
-  // OpenRouter format: reasoning field in message or choices
-  const reasoning = result.message?.reasoning
-    || result.choices?.[0]?.message?.reasoning
-    || result.reasoning;
-
-  if (reasoning) return reasoning;
-
-  // DeepSeek native format: reasoning_content
-  const reasoningContent = result.message?.reasoning_content
-    || result.choices?.[0]?.message?.reasoning_content
-    || result.reasoning_content;
-
-  if (reasoningContent) return reasoningContent;
-
-  // Check reasoning_details array (OpenRouter extended thinking format)
-  const reasoningDetails = result.message?.reasoning_details
-    || result.choices?.[0]?.message?.reasoning_details;
-  if (reasoningDetails && Array.isArray(reasoningDetails) && reasoningDetails.length > 0) {
-    return reasoningDetails.map(d => d.text || '').join('\n');
-  }
-
-  // Check for thinking in content (some models wrap it in <think> tags)
-  const content = extractContent(result);
-  if (content && content.includes('<think>')) {
-    const match = content.match(/<think>([\s\S]*?)<\/think>/);
-    if (match) return match[1].trim();
-  }
-
-  return null;
-}
-
-// Remove <think> tags from content
-function removeThinkTags(content) {
-  if (!content || typeof content !== 'string') return content;
-  return content.replace(/<think>[\s\S]*?<\/think>\s*/g, '').trim();
-}
-
 // Add thinking system prompt for any model when thinking_budget is provided
 function addThinkingSystemPrompt(messages, thinkingBudget) {
   if (!thinkingBudget || thinkingBudget <= 0) return messages;
@@ -1070,53 +379,6 @@ function addThinkingSystemPrompt(messages, thinkingBudget) {
   }
 }
 
-function extractUsage(result) {
-  const usage = result.usage;
-
-  // Puter/OpenRouter array format: [{type: "prompt", amount: X, cost: Y}, {type: "completion", ...}]
-  if (Array.isArray(usage)) {
-    const promptData = usage.find(u => u.type === 'prompt') || {};
-    const completionData = usage.find(u => u.type === 'completion') || {};
-    return {
-      prompt_tokens: promptData.amount || 0,
-      completion_tokens: completionData.amount || 0,
-      total_tokens: (promptData.amount || 0) + (completionData.amount || 0),
-      // Preserve cost data for logging (in Puter units: 1e8 = $1)
-      prompt_cost: promptData.cost || 0,
-      completion_cost: completionData.cost || 0,
-      total_cost: (promptData.cost || 0) + (completionData.cost || 0),
-      _raw_usage: usage // Keep raw for debugging
-    };
-  }
-
-  // Claude driver format: {input_tokens, output_tokens}
-  if (usage?.input_tokens !== undefined) {
-    return {
-      prompt_tokens: usage.input_tokens || 0,
-      completion_tokens: usage.output_tokens || 0,
-      total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
-      // Claude driver doesn't report cost, estimate based on typical rates
-      prompt_cost: 0,
-      completion_cost: 0,
-      total_cost: 0
-    };
-  }
-
-  // Standard OpenAI format
-  if (usage?.prompt_tokens !== undefined) {
-    return {
-      prompt_tokens: usage.prompt_tokens || 0,
-      completion_tokens: usage.completion_tokens || 0,
-      total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
-      prompt_cost: 0,
-      completion_cost: 0,
-      total_cost: 0
-    };
-  }
-
-  return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, prompt_cost: 0, completion_cost: 0, total_cost: 0 };
-}
-
 function getProvider(modelId) {
   if (modelId.startsWith('gpt-') || modelId.startsWith('o1') || modelId.startsWith('o3') || modelId.startsWith('o4')) {
     return 'openai';
@@ -1128,71 +390,72 @@ function getProvider(modelId) {
   if (modelId.startsWith('grok')) return 'xai';
   if (modelId.startsWith('openrouter:')) return 'openrouter';
   if (modelId.startsWith('togetherai:')) return 'together';
+  if (modelId.startsWith('g4f:')) return 'g4f';
   return 'unknown';
 }
 
-function puterToOpenAI(puterResult, model) {
-  let content = extractContent(puterResult);
-  const reasoning = extractReasoning(puterResult);
-  const finishReason = puterResult.finish_reason || puterResult.finishReason || 'stop';
+// A chat.completion body keeps to the standard usage fields - usage counted
+// locally is flagged with the X-Usage-Estimated header instead
+function sendCompletion(res, response) {
+  const { estimated, ...usage } = response.usage || {};
+  if (estimated) res.setHeader(USAGE_ESTIMATED_HEADER, 'true');
+  return res.json({ ...response, usage });
+}
 
-  // Remove <think> tags from content (they're extracted to reasoning_content)
-  if (content && typeof content === 'string') {
-    content = removeThinkTags(content);
-  }
+// Signal that fires when the client disconnects before we finish responding,
+// so upstream requests stop instead of generating output nobody reads
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+}
 
-  // Build the assistant message
-  const message = { role: 'assistant', content: content || null };
+// Resolve the caller from the API key (or dashboard session token - see
+// api-keys.js), or a pseudo-user for a bare X-Puter-Token
+async function authenticateRequest(req) {
+  const puterToken = req.headers['x-puter-token'];
+  const credential = getRequestCredential(req);
 
-  // Add reasoning/thinking content if present (OpenAI-compatible extension)
-  if (reasoning) {
-    message.reasoning_content = reasoning;
+  // If Puter token is provided, we can skip our API key auth
+  if (!credential.apiKey && !credential.sessionToken && !puterToken) {
+    return { error: 'API key required' };
   }
 
-  // Handle tool calls in response
-  const rawToolCalls = puterResult.message?.tool_calls ||
-    puterResult.choices?.[0]?.message?.tool_calls ||
-    puterResult.tool_calls;
-  if (rawToolCalls && rawToolCalls.length > 0) {
-    // Normalize tool_calls to OpenAI format (remove 'index' field, ensure proper structure)
-    message.tool_calls = rawToolCalls.map((tc, idx) => ({
-      id: tc.id || `call_${Date.now()}_${idx}`,
-      type: tc.type || 'function',
-      function: {
-        name: tc.function?.name || tc.name,
-        arguments: typeof tc.function?.arguments === 'string'
-          ? tc.function.arguments
-          : JSON.stringify(tc.function?.arguments || tc.arguments || {})
-      }
-    }));
-    message.content = message.content || null;  // Content can be null when there are tool calls
+  // If we have an API key, validate it; otherwise create a pseudo-user for Puter token
+  if (credential.apiKey || credential.sessionToken) {
+    const unconfigured = credential.apiKey && checkApiKeySalt();
+    if (unconfigured) return unconfigured;
+    const user = await lookupCredential(credential);
+    if (!user) return { error: credential.apiKey ? 'Invalid API key' : 'Invalid or expired session token' };
+    const denied = checkApiKeyAccess(user.authKey);
+    if (denied) return { error: denied.error, code: denied.code };
+    user.org = await loadUserOrg(user.orgId, user.id);
+    return { user };
   }
 
-  const hasToolCalls = message.tool_calls && message.tool_calls.length > 0;
-
-  const response = {
-    id: `chatcmpl-${Date.now()}`,
-    object: 'chat.completion',
-    created: Math.floor(Date.now() / 1000),
-    model,
-    choices: [{
-      index: 0,
-      message,
-      finish_reason: hasToolCalls ? 'tool_calls' : finishReason,
-    }],
-    usage: extractUsage(puterResult),
-  };
-
-  return response;
+  // Pseudo-user for direct Puter token usage (no rate limiting, no logging to our DB)
+  return { user: { id: 'puter-direct', email: 'puter-token-user', puterKeys: [] } };
+}
+
+// /v1/chat/completions - a retry with the same Idempotency-Key gets the first
+// result instead of running (and counting) a second generation
+export default function chatCompletionsHandler(req, res) {
+  return withIdempotency(req, res, handler);
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Puter-Token');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Token, X-Puter-Token, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Model-Used, X-Auto-Route, X-Context-Management, X-Cache, X-Usage-Estimated, Idempotent-Replayed, Retry-After, X-Budget-Warning, x-ratelimit-limit-requests, x-ratelimit-remaining-requests, x-ratelimit-reset-requests, x-ratelimit-limit-tokens, x-ratelimit-remaining-tokens, x-ratelimit-reset-tokens');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'POST') return res.status(405).json({ error: { message: 'Method not allowed' } });
+  if (req.method !== 'POST') return sendError(res, apiError(405, 'Method not allowed'));
+
+  // Pick up model routing edits from the admin panel
+  await refreshModelRouting();
 
   let user = null;
   let model = null;
@@ -1201,28 +464,29 @@ export default async function handler(req, res) {
   const puterToken = req.headers['x-puter-token'];
 
   try {
-    const authHeader = req.headers.authorization || req.headers['x-api-key'] || '';
-    const apiKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-
-    // If Puter token is provided, we can skip our API key auth
-    if (!apiKey && !puterToken) {
-      return res.status(401).json({ error: { message: 'API key required' } });
+    // Wrapping handlers (e.g. /v1/responses) may have authenticated already
+    const authResult = req.gatewayAuth || await authenticateRequest(req);
+    if (authResult.error) {
+      return sendError(res, apiError(authResult.status || 401, authResult.error, { code: authResult.code || 'invalid_api_key' }));
     }
+    user = authResult.user;
 
-    // If we have an API key, validate it; otherwise create a pseudo-user for Puter token
-    if (apiKey) {
-      user = await getUserByApiKey(apiKey);
-      if (!user) {
-        return res.status(401).json({ error: { message: 'Invalid API key' } });
-      }
-    } else if (puterToken) {
-      // Pseudo-user for direct Puter token usage (no rate limiting, no logging to our DB)
-      user = { id: 'puter-direct', email: 'puter-token-user', puterKeys: [] };
+    // A preset name becomes its model and request defaults (see presets.js) -
+    // key restrictions and fallback chains then apply to the real model
+    const preset = resolvePreset(req.body.model, user);
+    if (preset) {
+      req.body = applyPreset(req.body, preset.preset);
+      console.log(`[Preset] ${preset.name} (${preset.scope}) -> ${req.body.model}`);
     }
 
-    const { stream, temperature, max_tokens, tools, tool_choice, thinking_budget } = req.body;
+    const { stream, stream_options, temperature, max_tokens, tools, tool_choice, thinking_budget } = req.body;
     model = req.body.model;
-    const provider = getProvider(model);
+
+    // Named keys can be limited to some endpoints and models
+    const denied = checkApiKeyAccess(user.authKey, { endpoint: 'chat', model });
+    if (denied) {
+      return sendError(res, apiError(denied.status, denied.error, { code: denied.code, param: denied.param }));
+    }
 
     // DEBUG: Log raw incoming request
     console.log('\n========== INCOMING REQUEST ==========');
@@ -1238,9 +502,12 @@ export default async function handler(req, res) {
     // Validate and sanitize messages
     let messages = req.body.messages;
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: { message: 'messages array is required' } });
+      return sendError(res, apiError(400, 'messages array is required', { param: 'messages' }));
     }
 
+    // Anthropic-style tool_use/tool_result blocks become tool_calls and tool messages
+    messages = expandToolParts(messages);
+
     // Check if any message contains multimodal content (images or files)
     const hasImages = messages.some(msg =>
       Array.isArray(msg.content) && hasImageContent(msg.content)
@@ -1303,7 +570,7 @@ export default async function handler(req, res) {
     });
 
     if (messages.length === 0) {
-      return res.status(400).json({ error: { message: 'At least one message with content is required' } });
+      return sendError(res, apiError(400, 'At least one message with content is required', { param: 'messages' }));
     }
 
     // Add thinking system prompt when thinking_budget is provided
@@ -1318,1011 +585,389 @@ export default async function handler(req, res) {
 
     console.log(`Request from ${user.email}: ${model}, stream=${stream}`);
 
-    // Handle G4F models - route through G4F driver
-    if (isG4FModel(model)) {
-      console.log(`[G4F] Handling G4F model: ${model}`);
+    const contextPolicy = resolveContextPolicy(req, user);
+    if (!contextPolicy) {
+      return sendError(res, apiError(400, `context_policy must be one of: ${CONTEXT_POLICIES.join(', ')}`, { param: 'context_policy' }));
+    }
 
-      try {
-        if (stream) {
-          // Streaming G4F response
-          res.setHeader('Content-Type', 'text/event-stream');
-          res.setHeader('Cache-Control', 'no-cache');
-          res.setHeader('Connection', 'keep-alive');
-          res.flushHeaders();
-
-          const requestId = `g4f-${Date.now()}`;
-          let fullContent = '';
-          let hasError = false;
-          let errorMessage = '';
-
-          try {
-            await callG4FStream(messages, model, { temperature, max_tokens }, (chunk) => {
-              if (chunk.type === 'text' && chunk.text) {
-                fullContent += chunk.text;
-                const sseData = {
-                  id: requestId,
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: model,
-                  choices: [{
-                    index: 0,
-                    delta: { content: chunk.text },
-                    finish_reason: null
-                  }]
-                };
-                res.write(`data: ${JSON.stringify(sseData)}\n\n`);
-              } else if (chunk.type === 'reasoning' && chunk.text) {
-                const sseData = {
-                  id: requestId,
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: model,
-                  choices: [{
-                    index: 0,
-                    delta: { reasoning: chunk.text },
-                    finish_reason: null
-                  }]
-                };
-                res.write(`data: ${JSON.stringify(sseData)}\n\n`);
-              }
-            });
-          } catch (streamErr) {
-            hasError = true;
-            errorMessage = streamErr.message;
-            // Send error in SSE format
-            const errorData = {
-              id: requestId,
-              object: 'chat.completion.chunk',
-              created: Math.floor(Date.now() / 1000),
-              model: model,
-              choices: [{
-                index: 0,
-                delta: { content: `\n\n[Error: ${streamErr.message}]` },
-                finish_reason: 'error'
-              }]
-            };
-            res.write(`data: ${JSON.stringify(errorData)}\n\n`);
-          }
-
-          // Send final chunk
-          const finalChunk = {
-            id: requestId,
-            object: 'chat.completion.chunk',
-            created: Math.floor(Date.now() / 1000),
-            model: model,
-            choices: [{
-              index: 0,
-              delta: {},
-              finish_reason: hasError ? 'error' : 'stop'
-            }]
-          };
-          res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
-          res.write('data: [DONE]\n\n');
-          res.end();
+    const systemConfig = await getSystemConfig();
 
-          // Log usage
-          if (user.id !== 'puter-direct') {
-            await logUsage(user.id, model, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }, 'g4f', !hasError, hasError ? errorMessage : null, null);
-          }
+    // Requests / tokens per minute - counted before the cache so hits count as requests too
+    const rateLimit = acquireRateLimit(getRateLimitScopes(req, user, systemConfig));
+    for (const [name, value] of Object.entries(rateLimit.headers)) res.setHeader(name, value);
+    if (!rateLimit.allowed) {
+      return sendError(res, apiError(429, rateLimit.message, { code: 'rate_limit_exceeded', retryAfter: rateLimit.retryAfter }));
+    }
 
-          return;
-        } else {
-          // Non-streaming G4F response
-          const result = await callG4F(messages, model, { temperature, max_tokens });
+    // Daily / monthly spending caps
+    if (user.id !== 'puter-direct') {
+      await resetStaleSpend(user);
+      const budget = evaluateBudgets(user, user.authKey);
+      if (budget.status === 'exceeded') {
+        return sendError(res, apiError(429, budget.message, { type: 'insufficient_quota', code: 'budget_exceeded' }));
+      }
+      if (budget.status === 'warning') res.setHeader('X-Budget-Warning', budget.message);
+    }
 
-          // Log usage
-          if (user.id !== 'puter-direct') {
-            await logUsage(user.id, model, result.usage, 'g4f', true, null, null);
-          }
+    const includeUsage = !!stream_options?.include_usage;
 
-          return res.json(result);
-        }
-      } catch (g4fError) {
-        console.error(`[G4F] Error: ${g4fError.message}`);
+    // Deterministic requests can opt in to replaying an earlier identical answer.
+    // Keyed on the requested model, so an 'auto' hit skips routing and its
+    // classifier call; a model the key may no longer use isn't replayed.
+    const cacheKey = wantsResponseCache(req)
+      ? getResponseCacheKey(getResponseCacheOwner(req, user), {
+        model, messages, tools, tool_choice, temperature, max_tokens, thinking_budget, contextPolicy
+      })
+      : null;
+    const cached = cacheKey && getCachedResponse(cacheKey);
+    if (cached && isModelAllowed(user.authKey, cached.model)) {
+      console.log(`[Cache] Hit for ${model}`);
+      res.setHeader('X-Cache', 'HIT');
+      await logUsage(user, cached.model, { total_tokens: 0, cached: true }, getProvider(cached.model), 'success');
+
+      if (stream) {
+        return replayAsStream(new ChatStreamWriter(res, cached.model, { includeUsage }), cached);
+      }
+      res.setHeader('X-Model-Used', cached.model);
+      return sendCompletion(res, replayAsJSON(cached));
+    }
+    if (cacheKey) res.setHeader('X-Cache', 'MISS');
 
-        // Log failed usage
-        if (user.id !== 'puter-direct') {
-          await logUsage(user.id, model, null, 'g4f', false, g4fError.message);
-        }
+    const signal = abortOnDisconnect(res);
 
-        // Only return JSON error if headers haven't been sent
-        if (!res.headersSent) {
-          return res.status(500).json({ error: { message: `G4F error: ${g4fError.message}` } });
-        }
-        // If headers are sent (streaming), just end the response
-        res.end();
-        return;
+    // 'auto' becomes a model picked from the request's features
+    if (model === AUTO_MODEL) {
+      user.autoRoute = await selectAutoModel({ messages, tools, thinking_budget }, {
+        classify: (classifierModel, classifierMessages) =>
+          classifyRequest(user, classifierModel, classifierMessages, puterToken, systemConfig, signal, rateLimit),
+      });
+      model = user.autoRoute.model;
+      console.log(`[Auto] ${model} - ${user.autoRoute.reason}`);
+      res.setHeader('X-Auto-Route', `${model}; ${user.autoRoute.reason}`);
+
+      const denied = checkApiKeyAccess(user.authKey, { endpoint: 'chat', model });
+      if (denied) {
+        return sendError(res, apiError(denied.status, denied.error, { code: denied.code, param: denied.param }));
       }
     }
 
-    // If Puter token provided, try using it directly first
-    if (puterToken) {
-      console.log(`[Puter Token] Direct token provided, attempting direct call for ${model}`);
-      try {
-        const requestOptions = { temperature, max_tokens, tools, tool_choice, thinking_budget };
+    // Fallbacks the key may not use are skipped
+    const candidates = resolveFallbackChain(model, getUserFallbackChains(user), getSystemFallbackChains(systemConfig))
+      .filter(candidate => isModelAllowed(user.authKey, candidate));
 
-        if (stream) {
-          // For streaming with Puter token, we need special handling for fallback
-          return handleStreamWithTokenAndFallback(res, messages, model, puterToken, requestOptions, user, provider);
-        }
+    let dailyCounted = false;
+    let dailyLimitReached = false;
+    let failure = null;
+    let attempts = 0;
 
-        const result = await callPuter(messages, model, puterToken, requestOptions);
-        const openAIResponse = puterToOpenAI(result, model);
-
-        // Log usage only if we have a real user
-        if (user.id !== 'puter-direct') {
-          await logUsage(user.id, model, openAIResponse.usage, provider, true, null, 'puter-token');
-        }
+    // Try the requested model, then each fallback until one answers
+    for (const candidate of candidates) {
+      if (candidate !== model) {
+        console.log(`[Fallback] ${model} failed, trying ${candidate}`);
+      }
 
-        return res.json(openAIResponse);
-      } catch (puterError) {
-        console.error(`[Puter Token] Direct token failed: ${puterError.message}`);
-        // Fall back to system keys for any error (invalid, rate limited, usage limited, etc.)
-        console.log('[Puter Token] Falling back to system keys...');
+      const route = prepareRoute(user, candidate, puterToken, systemConfig);
+      if (route.error) {
+        failure = apiError(route.status, route.error, { code: route.code, param: route.param });
+        continue;
+      }
 
-        // Get system keys for fallback
-        let systemKeys = await getSystemKeys();
-        if (systemKeys.length === 0 && process.env.PUTER_API_KEY) {
-          systemKeys = [process.env.PUTER_API_KEY];
+      // Count the request once, against the first free-tier model tried
+      if (route.isFreeTier && !dailyCounted) {
+        if (dailyLimitReached) continue;
+        const dailyUsed = await getDailyUsage(user);
+        if (dailyUsed >= FREE_DAILY_LIMIT) {
+          dailyLimitReached = true;
+          await logUsage(user, candidate, null, route.provider, 'error', 'Daily limit exceeded');
+          failure = apiError(403, `Daily free limit (${FREE_DAILY_LIMIT} requests) reached. Add your own Puter API key for unlimited access.`, {
+            type: 'insufficient_quota',
+            code: 'DAILY_LIMIT_EXCEEDED'
+          });
+          Object.assign(failure.body.error, { dailyUsed, dailyLimit: FREE_DAILY_LIMIT });
+          continue;
         }
+        await incrementUsage(user.id);
+        dailyCounted = true;
+      }
 
-        if (systemKeys.length === 0) {
-          return res.status(500).json({ error: { message: `Puter token error: ${puterError.message}. No system keys available for fallback.` } });
-        }
+      const requestOptions = { temperature, max_tokens, tools, tool_choice, thinking_budget, signal };
 
-        // Try with system keys
-        try {
-          const requestOptions = { temperature, max_tokens, tools, tool_choice, thinking_budget };
+      // Drop tools the backend can't call rather than failing the request
+      if (tools && !route.adapter.capabilities.tools) {
+        console.log(`[${route.adapter.name}] Tools not supported, ignoring ${tools.length} tools`);
+        delete requestOptions.tools;
+        delete requestOptions.tool_choice;
+      }
 
-          if (stream) {
-            return handleStream(res, messages, model, [], systemKeys, requestOptions, user, provider);
-          }
+      // Fit the conversation into this model's context window
+      const context = await fitContext({
+        modelId: candidate,
+        messages,
+        tools: requestOptions.tools,
+        maxTokens: max_tokens,
+        policy: contextPolicy,
+        summarize: transcript => summarizeTurns(user, transcript, puterToken, systemConfig, signal, rateLimit),
+      });
+      if (context.error) {
+        res.setHeader('X-Context-Management', 'rejected');
+        failure = context.error;
+        continue;
+      }
+      res.setHeader('X-Context-Management', context.action);
 
-          const { result } = await callPuterWithRotation(messages, model, [], systemKeys, requestOptions);
-          const openAIResponse = puterToOpenAI(result, model);
+      attempts++;
+      try {
+        if (stream) {
+          const completed = await streamCompletion(res, route.adapter, context.messages, candidate, requestOptions, route.credentials, user, route.provider, includeUsage, rateLimit);
+          if (completed && cacheKey) setCachedResponse(cacheKey, completed);
+          return;
+        }
 
-          if (user.id !== 'puter-direct') {
-            await logUsage(user.id, model, openAIResponse.usage, provider, true, null, 'system-fallback');
-          }
+        const { response, keyUsed } = await route.adapter.complete(context.messages, candidate, requestOptions, route.credentials);
+        response.model = candidate;
 
-          return res.json(openAIResponse);
-        } catch (fallbackError) {
-          console.error(`[Puter Token Fallback] System keys also failed: ${fallbackError.message}`);
-          return res.status(500).json({ error: { message: `Both Puter token and system keys failed. Original: ${puterError.message}. Fallback: ${fallbackError.message}` } });
+        // G4F and some Puter replies carry no token counts - count them locally
+        if (!response.usage?.total_tokens) {
+          response.usage = await estimateUsage(candidate, context.messages, getCompletionOutput(response), requestOptions.tools);
         }
-      }
-    }
-
-    const hasOwnKeys = user.puterKeys && user.puterKeys.length > 0;
-
-    if (!hasOwnKeys) {
-      const dailyUsed = await getDailyUsage(user);
-      if (dailyUsed >= FREE_DAILY_LIMIT) {
-        await logUsage(user.id, model, null, provider, false, 'Daily limit exceeded');
-        return res.status(403).json({
-          error: {
-            message: `Daily free limit (${FREE_DAILY_LIMIT} requests) reached. Add your own Puter API key for unlimited access.`,
-            code: 'DAILY_LIMIT_EXCEEDED',
-            dailyUsed,
-            dailyLimit: FREE_DAILY_LIMIT
-          }
-        });
-      }
-    }
 
-    // Get system keys from Firestore, fallback to env variable
-    let systemKeys = await getSystemKeys();
-    if (systemKeys.length === 0 && process.env.PUTER_API_KEY) {
-      systemKeys = [process.env.PUTER_API_KEY];
-    }
-    const userKeys = hasOwnKeys ? user.puterKeys : [];
+        // Log successful usage
+        await logUsage(user, candidate, response.usage, route.provider, 'success', null, keyUsed);
+        rateLimit.addTokens(response.usage.total_tokens);
+        if (cacheKey) setCachedResponse(cacheKey, response);
 
-    if (systemKeys.length === 0 && userKeys.length === 0) {
-      return res.status(500).json({ error: { message: 'No Puter API key configured' } });
-    }
+        res.setHeader('X-Model-Used', candidate);
+        return sendCompletion(res, response);
+      } catch (error) {
+        if (signal.aborted) {
+          console.log(`[${route.adapter.name}] ${candidate} cancelled by client`);
+          return await logUsage(user, candidate, null, route.provider, 'cancelled');
+        }
 
-    if (!hasOwnKeys) {
-      await incrementUsage(user.id);
+        // Nothing reached the client yet, so the next model can still answer
+        console.error(`[${route.adapter.name}] ${candidate} failed:`, error.message);
+        await logUsage(user, candidate, null, route.provider, 'error', error.message, null, error.failovers);
+        failure = classifyError(error);
+      }
     }
 
-    const requestOptions = { temperature, max_tokens, tools, tool_choice, thinking_budget };
-
-    if (stream) {
-      return handleStream(res, messages, model, userKeys, systemKeys, requestOptions, user, provider);
+    // Status, type and code describe the last model's failure
+    if (attempts > 1) {
+      failure.body.error.message = `All models failed (${candidates.join(' → ')}). Last error: ${failure.body.error.message}`;
     }
-
-    // Non-streaming request with key rotation
-    const { result, usedKey } = await callPuterWithRotation(messages, model, userKeys, systemKeys, requestOptions);
-    const openAIResponse = puterToOpenAI(result, model);
-
-    // Log successful usage
-    await logUsage(user.id, model, openAIResponse.usage, provider, true, null, hasOwnKeys ? usedKey : null);
-
-    return res.json(openAIResponse);
+    return sendError(res, failure);
 
   } catch (error) {
     console.error('Chat error:', error);
 
     // Log failed usage
     if (user && model) {
-      await logUsage(user.id, model, null, getProvider(model), false, error.message);
+      await logUsage(user, model, null, getProvider(model), 'error', error.message);
     }
 
-    return res.status(500).json({ error: { message: error.message } });
+    return sendError(res, apiError(500, error.message));
   }
 }
 
-async function handleStream(res, messages, model, userKeys, systemKeys, options = {}, user, provider) {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  const id = `chatcmpl-${Date.now()}`;
-  const created = Math.floor(Date.now() / 1000);
-
-  // Get the keys to use - user keys take priority
-  const hasUserKeys = userKeys && userKeys.length > 0;
-  const allKeys = hasUserKeys ? [...userKeys] : [...(systemKeys || [])];
+// Anthropic Messages API (/v1/messages)
+// Converts the request to chat completions format and runs it through handler(),
+// so auth, key rotation, limits and logging stay in one place
+export async function messagesHandler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Token, X-Puter-Token, anthropic-version, anthropic-beta');
 
-  if (allKeys.length === 0) {
-    res.write(`data: ${JSON.stringify({ error: { message: 'No API keys configured' } })}\n\n`);
-    res.end();
-    return;
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') {
+    return res.status(405).json(anthropicError(405, { error: { message: 'Method not allowed' } }));
   }
 
-  // Load monthly blocked keys from DB once per month (amortized O(1))
-  await keyPool.loadMonthlyBlockedFromDB();
-
-  console.log(`[Stream] User has ${userKeys?.length || 0} personal keys, ${systemKeys?.length || 0} system keys. Using: ${hasUserKeys ? 'USER' : 'SYSTEM'} keys`);
-
-  let totalContent = '';
-  let totalReasoning = '';
-  let lastError = null;
-  let usedKey = null;
-  let success = false;
-
-  // Random start index for load distribution
-  let startIndex = Math.floor(Math.random() * allKeys.length);
-  const triedKeys = new Set();
-
-  // Try ALL keys in rotation - don't rely on pre-validation
-  for (let attempt = 0; attempt < allKeys.length && !success; attempt++) {
-    const idx = (startIndex + attempt) % allKeys.length;
-    usedKey = allKeys[idx];
-
-    // Skip if we already tried this key
-    if (triedKeys.has(usedKey)) continue;
-    triedKeys.add(usedKey);
-
-    // Skip only if key is in monthly blocked set (confirmed exhausted)
-    const hash = keyPool.hashKey(usedKey);
-    if (keyPool.monthlyBlockedHashes.has(hash)) {
-      console.log(`[Stream Rotation] Skipping key index ${idx} - monthly blocked`);
-      continue;
-    }
-
-    // Skip if temp blocked (recent failure)
-    const block = keyPool.blockedKeys.get(hash);
-    if (block && Date.now() < block.until) {
-      console.log(`[Stream Rotation] Skipping key index ${idx} - temp blocked`);
-      continue;
-    }
-
-    console.log(`[Stream Rotation] Attempt ${attempt + 1}/${allKeys.length}: Using key index ${idx}`);
-
-    // Reset content for retry
-    totalContent = '';
-    totalReasoning = '';
-    let toolCalls = [];
-    let toolCallIndex = 0;
-
-    try {
-      // Only send initial role chunk on first attempt
-      if (attempt === 0) {
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }] })}\n\n`);
-      }
-
-      // Track if we're inside <think> tags for streaming
-      let insideThinkTag = false;
-      let tagBuffer = ''; // Small buffer only for detecting partial tags
-
-      // Call Puter with streaming, process chunks via callback
-      await callPuterStream(messages, model, usedKey, options, (chunk) => {
-        if (chunk.type === 'text' && chunk.text) {
-          // Combine any buffered partial tag with new text
-          let text = tagBuffer + chunk.text;
-          tagBuffer = '';
-
-          // Process text character by character for real-time streaming
-          while (text.length > 0) {
-            if (!insideThinkTag) {
-              // Look for opening <think> tag
-              const thinkStart = text.indexOf('<think>');
-              if (thinkStart !== -1) {
-                // Send content before <think> tag immediately
-                const beforeThink = text.substring(0, thinkStart);
-                if (beforeThink) {
-                  totalContent += beforeThink;
-                  res.write(`data: ${JSON.stringify({
-                    id, object: 'chat.completion.chunk', created, model,
-                    choices: [{ index: 0, delta: { content: beforeThink }, finish_reason: null }]
-                  })}\n\n`);
-                }
-                insideThinkTag = true;
-                text = text.substring(thinkStart + 7); // Skip '<think>'
-              } else {
-                // Check for partial <think> tag at end (e.g., "<thi", "<think")
-                let partialMatch = '';
-                for (let len = Math.min(6, text.length); len > 0; len--) {
-                  const suffix = text.substring(text.length - len);
-                  if ('<think>'.startsWith(suffix)) {
-                    partialMatch = suffix;
-                    break;
-                  }
-                }
-
-                if (partialMatch) {
-                  // Buffer the potential partial tag, send the rest
-                  const toSend = text.substring(0, text.length - partialMatch.length);
-                  if (toSend) {
-                    totalContent += toSend;
-                    res.write(`data: ${JSON.stringify({
-                      id, object: 'chat.completion.chunk', created, model,
-                      choices: [{ index: 0, delta: { content: toSend }, finish_reason: null }]
-                    })}\n\n`);
-                  }
-                  tagBuffer = partialMatch;
-                } else {
-                  // No tag, send all text immediately
-                  totalContent += text;
-                  res.write(`data: ${JSON.stringify({
-                    id, object: 'chat.completion.chunk', created, model,
-                    choices: [{ index: 0, delta: { content: text }, finish_reason: null }]
-                  })}\n\n`);
-                }
-                text = '';
-              }
-            } else {
-              // Inside <think> tag - stream reasoning content in real-time
-              const thinkEnd = text.indexOf('</think>');
-              if (thinkEnd !== -1) {
-                // Send thinking content before closing tag immediately
-                const thinkContent = text.substring(0, thinkEnd);
-                if (thinkContent) {
-                  totalReasoning += thinkContent;
-                  res.write(`data: ${JSON.stringify({
-                    id, object: 'chat.completion.chunk', created, model,
-                    choices: [{ index: 0, delta: { reasoning_content: thinkContent }, finish_reason: null }]
-                  })}\n\n`);
-                }
-                insideThinkTag = false;
-                text = text.substring(thinkEnd + 8); // Skip '</think>'
-              } else {
-                // Check for partial </think> tag at end
-                let partialMatch = '';
-                for (let len = Math.min(7, text.length); len > 0; len--) {
-                  const suffix = text.substring(text.length - len);
-                  if ('</think>'.startsWith(suffix)) {
-                    partialMatch = suffix;
-                    break;
-                  }
-                }
-
-                if (partialMatch) {
-                  // Buffer the potential partial tag, stream the rest as reasoning immediately
-                  const toSend = text.substring(0, text.length - partialMatch.length);
-                  if (toSend) {
-                    totalReasoning += toSend;
-                    res.write(`data: ${JSON.stringify({
-                      id, object: 'chat.completion.chunk', created, model,
-                      choices: [{ index: 0, delta: { reasoning_content: toSend }, finish_reason: null }]
-                    })}\n\n`);
-                  }
-                  tagBuffer = partialMatch;
-                } else {
-                  // No closing tag yet, stream all as reasoning immediately
-                  totalReasoning += text;
-                  res.write(`data: ${JSON.stringify({
-                    id, object: 'chat.completion.chunk', created, model,
-                    choices: [{ index: 0, delta: { reasoning_content: text }, finish_reason: null }]
-                  })}\n\n`);
-                }
-                text = '';
-              }
-            }
-          }
-        } else if (chunk.type === 'reasoning' && chunk.text) {
-          totalReasoning += chunk.text;
-          res.write(`data: ${JSON.stringify({
-            id, object: 'chat.completion.chunk', created, model,
-            choices: [{ index: 0, delta: { reasoning_content: chunk.text }, finish_reason: null }]
-          })}\n\n`);
-        } else if (chunk.type === 'tool_use') {
-          // OpenAI streaming format for tool calls
-          const toolCall = {
-            index: toolCallIndex,
-            id: chunk.id,
-            type: 'function',
-            function: { name: chunk.name, arguments: chunk.arguments }
-          };
-          toolCalls.push(toolCall);
-
-          // Send tool call chunk in OpenAI format
-          res.write(`data: ${JSON.stringify({
-            id, object: 'chat.completion.chunk', created, model,
-            choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }]
-          })}\n\n`);
-          toolCallIndex++;
-        } else if (chunk.message?.content) {
-          const content = removeThinkTags(chunk.message.content);
-          totalContent = content;
-          res.write(`data: ${JSON.stringify({
-            id, object: 'chat.completion.chunk', created, model,
-            choices: [{ index: 0, delta: { content }, finish_reason: null }]
-          })}\n\n`);
-        }
-      });
-
-      success = true;
-
-      // Send final chunk with appropriate finish_reason
-      const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
-      res.write(`data: ${JSON.stringify({
-        id, object: 'chat.completion.chunk', created, model,
-        choices: [{ index: 0, delta: {}, finish_reason: finishReason }],
-        usage: { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) }
-      })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
-
-      // Log usage (approximate)
-      await logUsage(user.id, model, { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) }, provider, true, null, hasUserKeys ? usedKey : null);
-    } catch (error) {
-      lastError = error;
-      console.error(`[Stream] Key index failed:`, error.message);
-
-      if (isRateLimitError(error.message)) {
-        markKeyFailed(usedKey);
-        if (isUsageLimitedError(error.message)) {
-          await markKeyUsageLimited(usedKey);
-        }
-      }
-
-      // Auth errors: mark key as monthly blocked (dead) but keep trying other keys
-      const errLower = (error.message || '').toLowerCase();
-      if (errLower.includes('401') || errLower.includes('authentication failed') || errLower.includes('token_auth_failed')) {
-        await markKeyUsageLimited(usedKey);
-      }
-
-      continue;
-    }
+  const body = req.body || {};
+  if (!body.model) {
+    return res.status(400).json(anthropicError(400, { error: { message: 'model is required' } }));
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return res.status(400).json(anthropicError(400, { error: { message: 'messages array is required' } }));
   }
 
-  // If all keys failed, send error immediately (don't retry full rotation for auth errors)
-  if (!success) {
-    const isAuthError = lastError && ((lastError.message || '').toLowerCase().includes('401') || (lastError.message || '').toLowerCase().includes('authentication failed') || (lastError.message || '').toLowerCase().includes('token_auth_failed'));
-
-    if (isAuthError) {
-      // All keys are dead for this model — don't waste time retrying
-      console.log('[Stream] All keys auth-failed, sending error');
-      res.write(`data: ${JSON.stringify({ error: { message: lastError.message } })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
-      if (user?.id && user.id !== 'puter-direct') {
-        await logUsage(user.id, model, null, provider, false, lastError.message);
-      }
-      return;
-    }
-
-    console.log('[Stream] All keys failed, clearing caches and retrying...');
-    keyPool.blockedKeys.clear();
-    keyPool.keyStatusCache.clear();
-    keyPool.activeKeysPool.clear();
-
-    // Final attempt - try all keys again without any blocking
-    for (let attempt = 0; attempt < allKeys.length && !success; attempt++) {
-      const idx = (startIndex + attempt) % allKeys.length;
-      usedKey = allKeys[idx];
-
-      console.log(`[Stream FINAL] Attempt ${attempt + 1}/${allKeys.length}: Using key index ${idx}`);
-
-      // Reset content for retry
-      totalContent = '';
-      totalReasoning = '';
-      let toolCalls = [];
-      let toolCallIndex = 0;
-
-      try {
-        // Send initial role chunk on first attempt
-        if (attempt === 0) {
-          res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }] })}\n\n`);
-        }
+  req.body = anthropicToOpenAIRequest(body);
+  return handler(req, createAnthropicRelay(res, body.model));
+}
 
-        let insideThinkTag = false;
-        let tagBuffer = '';
-
-        await callPuterStream(messages, model, usedKey, options, (chunk) => {
-          if (chunk.type === 'text' && chunk.text) {
-            let text = tagBuffer + chunk.text;
-            tagBuffer = '';
-
-            while (text.length > 0) {
-              if (!insideThinkTag) {
-                const thinkStart = text.indexOf('<think>');
-                if (thinkStart !== -1) {
-                  const beforeThink = text.substring(0, thinkStart);
-                  if (beforeThink) {
-                    totalContent += beforeThink;
-                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: beforeThink }, finish_reason: null }] })}\n\n`);
-                  }
-                  insideThinkTag = true;
-                  text = text.substring(thinkStart + 7);
-                } else {
-                  totalContent += text;
-                  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: text }, finish_reason: null }] })}\n\n`);
-                  text = '';
-                }
-              } else {
-                const thinkEnd = text.indexOf('</think>');
-                if (thinkEnd !== -1) {
-                  const thinkContent = text.substring(0, thinkEnd);
-                  if (thinkContent) {
-                    totalReasoning += thinkContent;
-                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: thinkContent }, finish_reason: null }] })}\n\n`);
-                  }
-                  insideThinkTag = false;
-                  text = text.substring(thinkEnd + 8);
-                } else {
-                  totalReasoning += text;
-                  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: text }, finish_reason: null }] })}\n\n`);
-                  text = '';
-                }
-              }
-            }
-          } else if (chunk.type === 'reasoning' && chunk.text) {
-            totalReasoning += chunk.text;
-            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: chunk.text }, finish_reason: null }] })}\n\n`);
-          } else if (chunk.type === 'tool_use') {
-            const toolCall = { index: toolCallIndex, id: chunk.id, type: 'function', function: { name: chunk.name, arguments: chunk.arguments } };
-            toolCalls.push(toolCall);
-            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }] })}\n\n`);
-            toolCallIndex++;
-          }
-        });
+// Owner of stored responses - Puter-token callers are keyed by a token hash
+function getResponseOwner(req, user) {
+  if (user.id !== 'puter-direct') return user.id;
+  return `puter:${keyPool.hashKey(req.headers['x-puter-token'])}`;
+}
 
-        success = true;
+// Cached answers are per API key - two keys of one account don't share them
+function getResponseCacheOwner(req, user) {
+  const owner = getResponseOwner(req, user);
+  return user.authKey ? `${owner}:${user.authKey.id}` : owner;
+}
 
-        const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage: { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) } })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
+function isResponseExpired(stored) {
+  return Date.now() - new Date(stored.createdAt).getTime() > RESPONSE_TTL_MS;
+}
 
-        await logUsage(user.id, model, { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) }, provider, true, null, hasUserKeys ? usedKey : null);
-      } catch (error) {
-        lastError = error;
-        console.error(`[Stream FINAL] Key index ${idx} failed:`, error.message);
-        continue;
-      }
-    }
+// Expired responses are deleted when they are looked up
+async function getStoredResponse(responseId, owner) {
+  const stored = await storage.responses.get(responseId);
+  if (stored?.owner !== owner) return null;
+  if (isResponseExpired(stored)) {
+    await storage.responses.delete(responseId);
+    return null;
   }
+  return stored;
+}
 
-  if (!success) {
-    // Log failed streaming usage
-    await logUsage(user.id, model, null, provider, false, lastError?.message || 'All keys failed');
-
-    res.write(`data: ${JSON.stringify({ error: { message: lastError?.message || 'All API keys failed' } })}\n\n`);
-    res.end();
+// Drop an owner's expired responses and all but their newest MAX_STORED_RESPONSES
+async function pruneStoredResponses(owner) {
+  const stored = await storage.responses.listByOwner(owner);
+  const stale = stored.filter((entry, index) => index >= MAX_STORED_RESPONSES || isResponseExpired(entry));
+  // Firestore takes at most 500 writes per batch
+  for (let i = 0; i < stale.length; i += 500) {
+    const batch = storage.batch();
+    for (const { id } of stale.slice(i, i + 500)) batch.delete(storage.responses, id);
+    await batch.commit();
   }
 }
 
-// Streaming handler for direct Puter token (no key rotation)
-async function handleStreamWithToken(res, messages, model, puterToken, options = {}, user, provider) {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  const id = `chatcmpl-${Date.now()}`;
-  const created = Math.floor(Date.now() / 1000);
-
-  let totalContent = '';
-  let totalReasoning = '';
-  let toolCalls = [];
-  let toolCallIndex = 0;
-
+async function storeResponse(response, owner, messages) {
   try {
-    // Send initial role chunk
-    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }] })}\n\n`);
-
-    let insideThinkTag = false;
-    let tagBuffer = '';
-
-    await callPuterStream(messages, model, puterToken, options, (chunk) => {
-      if (chunk.type === 'text' && chunk.text) {
-        let text = tagBuffer + chunk.text;
-        tagBuffer = '';
-
-        while (text.length > 0) {
-          if (!insideThinkTag) {
-            const thinkStart = text.indexOf('<think>');
-            if (thinkStart !== -1) {
-              const beforeThink = text.substring(0, thinkStart);
-              if (beforeThink) {
-                totalContent += beforeThink;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: beforeThink }, finish_reason: null }] })}\n\n`);
-              }
-              insideThinkTag = true;
-              text = text.substring(thinkStart + 7);
-            } else {
-              let partialMatch = '';
-              for (let len = Math.min(6, text.length); len > 0; len--) {
-                const suffix = text.substring(text.length - len);
-                if ('<think>'.startsWith(suffix)) { partialMatch = suffix; break; }
-              }
-              if (partialMatch) {
-                const toSend = text.substring(0, text.length - partialMatch.length);
-                if (toSend) {
-                  totalContent += toSend;
-                  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: toSend }, finish_reason: null }] })}\n\n`);
-                }
-                tagBuffer = partialMatch;
-              } else {
-                totalContent += text;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: text }, finish_reason: null }] })}\n\n`);
-              }
-              text = '';
-            }
-          } else {
-            const thinkEnd = text.indexOf('</think>');
-            if (thinkEnd !== -1) {
-              const thinkContent = text.substring(0, thinkEnd);
-              if (thinkContent) {
-                totalReasoning += thinkContent;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: thinkContent }, finish_reason: null }] })}\n\n`);
-              }
-              insideThinkTag = false;
-              text = text.substring(thinkEnd + 8);
-            } else {
-              let partialMatch = '';
-              for (let len = Math.min(7, text.length); len > 0; len--) {
-                const suffix = text.substring(text.length - len);
-                if ('</think>'.startsWith(suffix)) { partialMatch = suffix; break; }
-              }
-              if (partialMatch) {
-                const toSend = text.substring(0, text.length - partialMatch.length);
-                if (toSend) {
-                  totalReasoning += toSend;
-                  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: toSend }, finish_reason: null }] })}\n\n`);
-                }
-                tagBuffer = partialMatch;
-              } else {
-                totalReasoning += text;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: text }, finish_reason: null }] })}\n\n`);
-              }
-              text = '';
-            }
-          }
-        }
-      } else if (chunk.type === 'reasoning' && chunk.text) {
-        totalReasoning += chunk.text;
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: chunk.text }, finish_reason: null }] })}\n\n`);
-      } else if (chunk.type === 'tool_use') {
-        const toolCall = { index: toolCallIndex, id: chunk.id, type: 'function', function: { name: chunk.name, arguments: chunk.arguments } };
-        toolCalls.push(toolCall);
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }] })}\n\n`);
-        toolCallIndex++;
-      } else if (chunk.message?.content) {
-        const content = removeThinkTags(chunk.message.content);
-        totalContent = content;
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content }, finish_reason: null }] })}\n\n`);
-      }
+    await storage.responses.set(response.id, {
+      owner,
+      model: response.model,
+      previousResponseId: response.previous_response_id,
+      messages, // Full chat history incl. this turn's output, for previous_response_id
+      response,
+      createdAt: new Date().toISOString(),
     });
-
-    const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
-    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage: { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) } })}\n\n`);
-    res.write('data: [DONE]\n\n');
-    res.end();
-
-    if (user.id !== 'puter-direct') {
-      await logUsage(user.id, model, { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) }, provider, true, null, 'puter-token');
-    }
+    await pruneStoredResponses(owner);
   } catch (error) {
-    console.error(`[Stream Puter Token] Failed:`, error.message);
-    if (user.id !== 'puter-direct') {
-      await logUsage(user.id, model, null, provider, false, error.message);
-    }
-    res.write(`data: ${JSON.stringify({ error: { message: error.message } })}\n\n`);
-    res.end();
+    console.error('Failed to store response:', error.message);
   }
 }
 
-// Streaming handler for direct Puter token with automatic fallback to system keys
-async function handleStreamWithTokenAndFallback(res, messages, model, puterToken, options = {}, user, provider) {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  const id = `chatcmpl-${Date.now()}`;
-  const created = Math.floor(Date.now() / 1000);
+// OpenAI Responses API (/v1/responses, /v1/responses/:id)
+// Requests run through handler() like /v1/messages; finished responses are stored
+// so previous_response_id can rebuild the conversation server-side
+export async function responsesHandler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Token, X-Puter-Token');
 
-  let totalContent = '';
-  let totalReasoning = '';
-  let toolCalls = [];
-  let toolCallIndex = 0;
-  let streamStarted = false;
+  if (req.method === 'OPTIONS') return res.status(200).end();
 
   try {
-    // Send initial role chunk
-    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }] })}\n\n`);
-    streamStarted = true;
-
-    let insideThinkTag = false;
-    let tagBuffer = '';
-
-    await callPuterStream(messages, model, puterToken, options, (chunk) => {
-      if (chunk.type === 'text' && chunk.text) {
-        let text = tagBuffer + chunk.text;
-        tagBuffer = '';
-
-        while (text.length > 0) {
-          if (!insideThinkTag) {
-            const thinkStart = text.indexOf('<think>');
-            if (thinkStart !== -1) {
-              const beforeThink = text.substring(0, thinkStart);
-              if (beforeThink) {
-                totalContent += beforeThink;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: beforeThink }, finish_reason: null }] })}\n\n`);
-              }
-              insideThinkTag = true;
-              text = text.substring(thinkStart + 7);
-            } else {
-              let partialMatch = '';
-              for (let len = Math.min(6, text.length); len > 0; len--) {
-                const suffix = text.substring(text.length - len);
-                if ('<think>'.startsWith(suffix)) { partialMatch = suffix; break; }
-              }
-              if (partialMatch) {
-                const toSend = text.substring(0, text.length - partialMatch.length);
-                if (toSend) {
-                  totalContent += toSend;
-                  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: toSend }, finish_reason: null }] })}\n\n`);
-                }
-                tagBuffer = partialMatch;
-              } else {
-                totalContent += text;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: text }, finish_reason: null }] })}\n\n`);
-              }
-              text = '';
-            }
-          } else {
-            const thinkEnd = text.indexOf('</think>');
-            if (thinkEnd !== -1) {
-              const thinkContent = text.substring(0, thinkEnd);
-              if (thinkContent) {
-                totalReasoning += thinkContent;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: thinkContent }, finish_reason: null }] })}\n\n`);
-              }
-              insideThinkTag = false;
-              text = text.substring(thinkEnd + 8);
-            } else {
-              let partialMatch = '';
-              for (let len = Math.min(7, text.length); len > 0; len--) {
-                const suffix = text.substring(text.length - len);
-                if ('</think>'.startsWith(suffix)) { partialMatch = suffix; break; }
-              }
-              if (partialMatch) {
-                const toSend = text.substring(0, text.length - partialMatch.length);
-                if (toSend) {
-                  totalReasoning += toSend;
-                  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: toSend }, finish_reason: null }] })}\n\n`);
-                }
-                tagBuffer = partialMatch;
-              } else {
-                totalReasoning += text;
-                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: text }, finish_reason: null }] })}\n\n`);
-              }
-              text = '';
-            }
-          }
-        }
-      } else if (chunk.type === 'reasoning' && chunk.text) {
-        totalReasoning += chunk.text;
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: chunk.text }, finish_reason: null }] })}\n\n`);
-      } else if (chunk.type === 'tool_use') {
-        const toolCall = { index: toolCallIndex, id: chunk.id, type: 'function', function: { name: chunk.name, arguments: chunk.arguments } };
-        toolCalls.push(toolCall);
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }] })}\n\n`);
-        toolCallIndex++;
-      } else if (chunk.message?.content) {
-        const content = removeThinkTags(chunk.message.content);
-        totalContent = content;
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content }, finish_reason: null }] })}\n\n`);
+    const authResult = await authenticateRequest(req);
+    if (authResult.error) {
+      const status = authResult.status || 401;
+      return res.status(status).json(responsesError(status, { error: { message: authResult.error } }));
+    }
+    const owner = getResponseOwner(req, authResult.user);
+    const responseId = req.params?.id || req.query?.id;
+
+    // GET/DELETE - retrieve or delete a stored response
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      const stored = responseId ? await getStoredResponse(responseId, owner) : null;
+      if (!stored) {
+        return res.status(404).json(responsesError(404, { error: { message: `Response '${responseId}' not found` } }));
       }
-    });
-
-    const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
-    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage: { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) } })}\n\n`);
-    res.write('data: [DONE]\n\n');
-    res.end();
+      if (req.method === 'GET') return res.json(stored.response);
 
-    if (user.id !== 'puter-direct') {
-      await logUsage(user.id, model, { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) }, provider, true, null, 'puter-token');
+      await storage.responses.delete(responseId);
+      return res.json({ id: responseId, object: 'response.deleted', deleted: true });
     }
-  } catch (error) {
-    console.error(`[Stream Puter Token] Failed:`, error.message);
-    console.log('[Stream Puter Token] Attempting fallback to system keys...');
 
-    // Get system keys for fallback
-    let systemKeys = await getSystemKeys();
-    if (systemKeys.length === 0 && process.env.PUTER_API_KEY) {
-      systemKeys = [process.env.PUTER_API_KEY];
+    if (req.method !== 'POST') {
+      return res.status(405).json(responsesError(405, { error: { message: 'Method not allowed' } }));
     }
 
-    if (systemKeys.length === 0) {
-      if (user.id !== 'puter-direct') {
-        await logUsage(user.id, model, null, provider, false, error.message);
-      }
-      if (!streamStarted) {
-        res.write(`data: ${JSON.stringify({ error: { message: `Puter token failed: ${error.message}. No system keys for fallback.` } })}\n\n`);
-      } else {
-        res.write(`data: ${JSON.stringify({ error: { message: error.message } })}\n\n`);
-      }
-      res.end();
-      return;
+    const body = req.body || {};
+    if (!body.model) {
+      return res.status(400).json(responsesError(400, { error: { message: 'model is required' } }));
     }
 
-    // If stream already started with content, we can't cleanly fallback - just error
-    if (totalContent.length > 0 || totalReasoning.length > 0) {
-      if (user.id !== 'puter-direct') {
-        await logUsage(user.id, model, null, provider, false, error.message);
+    // Rebuild the earlier conversation from the stored chain
+    let history = [];
+    if (body.previous_response_id) {
+      const previous = await getStoredResponse(body.previous_response_id, owner);
+      if (!previous) {
+        return res.status(404).json(responsesError(404, { error: { message: `Previous response '${body.previous_response_id}' not found` } }));
       }
-      res.write(`data: ${JSON.stringify({ error: { message: `Stream interrupted: ${error.message}` } })}\n\n`);
-      res.end();
-      return;
+      history = previous.messages || [];
     }
 
-    // Fallback to system keys - use the regular handleStream which handles key rotation
-    console.log('[Stream Puter Token] Falling back to system keys for streaming...');
-
-    // Note: We already sent the initial role chunk, so handleStream will handle the rest
-    // We need to continue the stream, not start a new one
-    await keyPool.loadMonthlyBlockedFromDB();
+    const { request, inputMessages } = responsesToChatRequest(body, history);
+    if (inputMessages.length === 0) {
+      return res.status(400).json(responsesError(400, { error: { message: 'input is required' } }));
+    }
 
-    let fallbackSuccess = false;
-    let lastFallbackError = null;
-    let startIndex = 0;
+    const id = newResponseId();
+    const onComplete = async (response, assistantMessage) => {
+      if (body.store === false) return;
+      await storeResponse(response, owner, [...history, ...inputMessages, assistantMessage]);
+    };
 
-    for (let attempt = 0; attempt < systemKeys.length && !fallbackSuccess; attempt++) {
-      const keyResult = await keyPool.getValidatedKey(systemKeys, startIndex);
-      if (!keyResult) break;
+    req.body = request;
+    req.gatewayAuth = authResult;
+    return handler(req, createResponsesRelay(res, id, body, onComplete));
+  } catch (error) {
+    console.error('Responses error:', error);
+    return res.status(500).json(responsesError(500, { error: { message: error.message } }));
+  }
+}
 
-      const usedKey = keyResult.key;
-      startIndex = keyResult.index + 1;
-      console.log(`[Stream Fallback] Attempt ${attempt + 1}: Using system key index ${keyResult.index}`);
+// Metered usage from the provider when it sent any, otherwise a local count
+async function getStreamUsage(writer, messages, model, tools) {
+  if (writer.usage?.total_tokens) return writer.usage;
+  return estimateUsage(model, messages, writer.output, tools);
+}
 
-      totalContent = '';
-      totalReasoning = '';
-      toolCalls = [];
-      toolCallIndex = 0;
+// Everything a non-streamed completion generated, for local token counting
+function getCompletionOutput(response) {
+  const message = response.choices?.[0]?.message || {};
+  const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? '');
+  const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+  return (message.reasoning_content || '') + content + toolCalls;
+}
 
-      try {
-        let insideThinkTag = false;
-        let tagBuffer = '';
-
-        await callPuterStream(messages, model, usedKey, options, (chunk) => {
-          if (chunk.type === 'text' && chunk.text) {
-            let text = tagBuffer + chunk.text;
-            tagBuffer = '';
-
-            while (text.length > 0) {
-              if (!insideThinkTag) {
-                const thinkStart = text.indexOf('<think>');
-                if (thinkStart !== -1) {
-                  const beforeThink = text.substring(0, thinkStart);
-                  if (beforeThink) {
-                    totalContent += beforeThink;
-                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: beforeThink }, finish_reason: null }] })}\n\n`);
-                  }
-                  insideThinkTag = true;
-                  text = text.substring(thinkStart + 7);
-                } else {
-                  let partialMatch = '';
-                  for (let len = Math.min(6, text.length); len > 0; len--) {
-                    const suffix = text.substring(text.length - len);
-                    if ('<think>'.startsWith(suffix)) { partialMatch = suffix; break; }
-                  }
-                  if (partialMatch) {
-                    const toSend = text.substring(0, text.length - partialMatch.length);
-                    if (toSend) {
-                      totalContent += toSend;
-                      res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: toSend }, finish_reason: null }] })}\n\n`);
-                    }
-                    tagBuffer = partialMatch;
-                  } else {
-                    totalContent += text;
-                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: text }, finish_reason: null }] })}\n\n`);
-                  }
-                  text = '';
-                }
-              } else {
-                const thinkEnd = text.indexOf('</think>');
-                if (thinkEnd !== -1) {
-                  const thinkContent = text.substring(0, thinkEnd);
-                  if (thinkContent) {
-                    totalReasoning += thinkContent;
-                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: thinkContent }, finish_reason: null }] })}\n\n`);
-                  }
-                  insideThinkTag = false;
-                  text = text.substring(thinkEnd + 8);
-                } else {
-                  let partialMatch = '';
-                  for (let len = Math.min(7, text.length); len > 0; len--) {
-                    const suffix = text.substring(text.length - len);
-                    if ('</think>'.startsWith(suffix)) { partialMatch = suffix; break; }
-                  }
-                  if (partialMatch) {
-                    const toSend = text.substring(0, text.length - partialMatch.length);
-                    if (toSend) {
-                      totalReasoning += toSend;
-                      res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: toSend }, finish_reason: null }] })}\n\n`);
-                    }
-                    tagBuffer = partialMatch;
-                  } else {
-                    totalReasoning += text;
-                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: text }, finish_reason: null }] })}\n\n`);
-                  }
-                  text = '';
-                }
-              }
-            }
-          } else if (chunk.type === 'reasoning' && chunk.text) {
-            totalReasoning += chunk.text;
-            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { reasoning_content: chunk.text }, finish_reason: null }] })}\n\n`);
-          } else if (chunk.type === 'tool_use') {
-            const toolCall = { index: toolCallIndex, id: chunk.id, type: 'function', function: { name: chunk.name, arguments: chunk.arguments } };
-            toolCalls.push(toolCall);
-            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }] })}\n\n`);
-            toolCallIndex++;
-          } else if (chunk.message?.content) {
-            const content = removeThinkTags(chunk.message.content);
-            totalContent = content;
-            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content }, finish_reason: null }] })}\n\n`);
-          }
-        });
+// Stream a completion from any provider adapter as chat.completion.chunk events.
+// Headers go out with the first chunk: a failure before that is thrown so the
+// caller can fall back to another model; later failures end the stream.
+// A client disconnect aborts the upstream request via options.signal.
+// Returns the finished answer as a chat.completion, or null if it didn't finish.
+async function streamCompletion(res, adapter, messages, model, options, credentials, user, provider, includeUsage, rateLimit) {
+  const writer = new ChatStreamWriter(res, model, { includeUsage });
 
-        fallbackSuccess = true;
+  try {
+    const { keyUsed, failovers = 0 } = await adapter.stream(messages, model, options, credentials, chunk => writer.push(chunk));
 
-        const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
-        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage: { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) } })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
+    writer.flush();
+    const usage = await getStreamUsage(writer, messages, model, options.tools);
+    writer.finish(usage);
 
-        if (user.id !== 'puter-direct') {
-          await logUsage(user.id, model, { prompt_tokens: 0, completion_tokens: Math.ceil(totalContent.length / 4), total_tokens: Math.ceil(totalContent.length / 4) }, provider, true, null, 'system-fallback');
-        }
-      } catch (fallbackError) {
-        lastFallbackError = fallbackError;
-        console.error(`[Stream Fallback] Key failed:`, fallbackError.message);
-
-        if (isRateLimitError(fallbackError.message)) {
-          markKeyFailed(usedKey);
-          if (isUsageLimitedError(fallbackError.message)) {
-            await markKeyUsageLimited(usedKey);
-          }
-          continue;
-        }
-        break;
-      }
+    await logUsage(user, model, usage, provider, 'success', null, keyUsed, failovers);
+    rateLimit.addTokens(usage.total_tokens);
+    return writer.toResponse(usage);
+  } catch (error) {
+    writer.stopHeartbeat();
+
+    // Client went away - log what was generated up to that point
+    if (options.signal?.aborted) {
+      console.log(`[Stream] ${adapter.name} cancelled by client after ${writer.content.length} chars`);
+      const usage = await getStreamUsage(writer, messages, model, options.tools);
+      await logUsage(user, model, usage, provider, 'cancelled', null, null, error.failovers);
+      rateLimit.addTokens(usage.total_tokens);
+      return null;
     }
 
-    if (!fallbackSuccess) {
-      if (user.id !== 'puter-direct') {
-        await logUsage(user.id, model, null, provider, false, lastFallbackError?.message || 'All fallback keys failed');
-      }
-      res.write(`data: ${JSON.stringify({ error: { message: lastFallbackError?.message || 'All system keys failed after Puter token failure' } })}\n\n`);
-      res.end();
-    }
+    if (!writer.started) throw error;
+
+    console.error(`[Stream] ${adapter.name} failed:`, error.message);
+    await logUsage(user, model, null, provider, 'error', error.message, null, error.failovers);
+    writer.error(classifyError(error).body.error);
+    return null;
   }
 }
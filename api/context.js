@@ -0,0 +1,156 @@
+// Context-window management
+// Requests longer than the model's context window used to die upstream with a
+// generic error. Before each model is tried the prompt is counted against its
+// window and, when it doesn't fit, one of these policies applies:
+//   reject     - fail with a context_length_exceeded error (default)
+//   truncate   - drop the oldest turns, keeping system messages and tool call /
+//                tool result pairs together
+//   summarize  - replace the oldest turns with a summary from a cheap model
+// The policy comes from the request (context_policy field or X-Context-Policy
+// header) or the user's account setting (contextPolicy).
+
+import { countPromptTokens, countMessageTokens } from './tokenizer.js';
+
+export const CONTEXT_POLICIES = ['reject', 'truncate', 'summarize'];
+export const DEFAULT_CONTEXT_POLICY = 'reject';
+
+// Model used to summarize dropped turns
+export const SUMMARY_MODEL = 'gpt-4o-mini';
+
+// Context windows by model family, first match wins (provider prefixes and
+// vendor paths are stripped before matching)
+const CONTEXT_WINDOWS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-5/, 400000],
+  [/^(gpt-4o|chatgpt-4o|gpt-4-turbo|gpt-4\.5)/, 128000],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5/, 16385],
+  [/^(o1|o3|o4)/, 200000],
+  [/^claude/, 200000],
+  [/^gemini/, 1048576],
+  [/^(deepseek|kimi|glm|minimax)/, 128000],
+  [/^(qwen|qwq)/, 131072],
+  [/^(llama|meta-llama|mistral|mixtral|grok)/, 128000],
+];
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Room left for the answer when the request sets no max_tokens
+const DEFAULT_OUTPUT_RESERVE = 4096;
+
+// Most of the dropped transcript the summary model is shown (characters)
+const MAX_SUMMARY_INPUT_CHARS = 200000;
+
+export function getContextWindow(modelId) {
+  const name = modelId.toLowerCase().split(':').pop().split('/').pop();
+  const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Policy for a request: request field / header, then the account setting
+export function resolveContextPolicy(req, user) {
+  const requested = req.body?.context_policy || req.headers?.['x-context-policy'] || user?.contextPolicy;
+  const policy = (requested || DEFAULT_CONTEXT_POLICY).toString().toLowerCase();
+  return CONTEXT_POLICIES.includes(policy) ? policy : null;
+}
+
+// Split the conversation into droppable units. An assistant message with
+// tool_calls and the tool results that answer it form one unit, so trimming
+// never leaves a tool result without its call (or the other way round).
+function groupTurns(messages) {
+  const units = [];
+  for (const msg of messages) {
+    const last = units[units.length - 1];
+    if (msg.role === 'tool' && last && last[0].role === 'assistant' && last[0].tool_calls) {
+      last.push(msg);
+    } else {
+      units.push([msg]);
+    }
+  }
+  return units;
+}
+
+function renderTranscript(messages) {
+  return messages.map(msg => {
+    const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content ?? '');
+    const calls = msg.tool_calls ? ` [tool calls: ${JSON.stringify(msg.tool_calls)}]` : '';
+    return `${msg.role}: ${content}${calls}`;
+  }).join('\n\n');
+}
+
+function contextError(modelId, window, promptTokens, outputReserve) {
+  return {
+    status: 400,
+    body: {
+      error: {
+        message: `This model's maximum context length is ${window} tokens. However, your messages resulted in ${promptTokens} tokens (plus ${outputReserve} reserved for the completion). Shorten the conversation or set context_policy to 'truncate' or 'summarize'.`,
+        type: 'invalid_request_error',
+        param: 'messages',
+        code: 'context_length_exceeded',
+        model: modelId,
+      }
+    }
+  };
+}
+
+// Fit messages into modelId's context window.
+// summarize(transcript) -> summary text, used by the 'summarize' policy.
+// Returns { messages, action } or { error: { status, body } }; action is the
+// X-Context-Management header value ('none', 'truncated; ...', 'summarized; ...').
+export async function fitContext({ modelId, messages, tools, maxTokens, policy, summarize }) {
+  const window = getContextWindow(modelId);
+  const outputReserve = Math.min(maxTokens || DEFAULT_OUTPUT_RESERVE, Math.floor(window / 2));
+  const budget = window - outputReserve;
+
+  const promptTokens = await countPromptTokens(modelId, messages, tools);
+  if (promptTokens <= budget) {
+    return { messages, action: 'none' };
+  }
+
+  console.log(`[Context] ${modelId}: ${promptTokens} prompt tokens over budget ${budget} (policy: ${policy})`);
+  if (policy === 'reject') {
+    return { error: contextError(modelId, window, promptTokens, outputReserve) };
+  }
+
+  const system = messages.filter(m => m.role === 'system');
+  const units = groupTurns(messages.filter(m => m.role !== 'system'));
+
+  // Drop the oldest units until the rest fits - the latest turn always stays
+  const dropped = [];
+  let kept = units;
+  let keptTokens = promptTokens;
+  while (kept.length > 1 && keptTokens > budget) {
+    keptTokens -= await countMessageTokens(modelId, kept[0]);
+    dropped.push(...kept[0]);
+    kept = kept.slice(1);
+  }
+
+  if (keptTokens > budget) {
+    return { error: contextError(modelId, window, keptTokens, outputReserve) };
+  }
+
+  const trimmed = [...system, ...kept.flat()];
+  const truncated = {
+    messages: trimmed,
+    action: `truncated; dropped=${dropped.length}; tokens=${promptTokens}->${keptTokens}`,
+  };
+  if (policy !== 'summarize') return truncated;
+
+  try {
+    const transcript = renderTranscript(dropped).slice(-MAX_SUMMARY_INPUT_CHARS);
+    const summary = await summarize(transcript);
+    const summaryMessage = { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+    const summarized = [...system, summaryMessage, ...kept.flat()];
+    const summarizedTokens = await countPromptTokens(modelId, summarized, tools);
+
+    // A long summary could push the last kept turn back over the limit
+    if (summarizedTokens > budget) return truncated;
+
+    return {
+      messages: summarized,
+      action: `summarized; dropped=${dropped.length}; tokens=${promptTokens}->${summarizedTokens}`,
+    };
+  } catch (error) {
+    console.error('[Context] Summary failed, truncating instead:', error.message);
+    return { ...truncated, action: `${truncated.action}; summary-failed` };
+  }
+}
@@ -0,0 +1,123 @@
+// OpenAI-style API errors
+// SDK retry logic branches on the HTTP status and on the error's type / code,
+// so failures are classified here instead of all coming back as 500s:
+//   400 invalid request / prompt over the context window
+//                                  401 rejected credentials
+//   403 daily limit / forbidden    404 unknown model
+//   408 upstream timeout           429 rate limited or out of quota
+//   502 upstream failure           503 no usable upstream keys
+// Rate limits carry Retry-After while the key pool is cooling down.
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  405: 'invalid_request_error',
+  408: 'timeout_error',
+  422: 'invalid_request_error',
+  429: 'rate_limit_error',
+};
+
+// A prompt or max_tokens too large for the model - retrying never helps
+const CONTEXT_LENGTH_PATTERN = /context[_ ](length|window)|maximum context|prompt is too long|input (is )?too long|too many tokens|max(imum)?[_ ]tokens|reduce the length/;
+
+// Only rate and quota wording - 'exceeded' alone also covers context limits
+const LIMIT_EXCEEDED_PATTERN = /(rate|quota|usage|request)s?[ _-]?(limit )?exceeded|exceeded (your |the )?(current )?(rate|quota|usage)/;
+
+export function isContextLengthError(error) {
+  return CONTEXT_LENGTH_PATTERN.test((error?.message || error || '').toLowerCase());
+}
+
+// Check if error is a rate limit / usage limit / auth error
+export function isRateLimitError(error) {
+  const errorMsg = (error?.message || error || '').toLowerCase();
+  if (CONTEXT_LENGTH_PATTERN.test(errorMsg)) return false;
+  return errorMsg.includes('rate limit') ||
+    errorMsg.includes('usage limit') ||
+    errorMsg.includes('usage-limited') ||
+    errorMsg.includes('quota') ||
+    LIMIT_EXCEEDED_PATTERN.test(errorMsg) ||
+    errorMsg.includes('too many requests') ||
+    errorMsg.includes('permission denied') ||
+    errorMsg.includes('authentication failed') ||
+    errorMsg.includes('token_auth_failed') ||
+    errorMsg.includes('401') ||
+    errorMsg.includes('429');
+}
+
+// Check if error is specifically a usage limit or dead key (should be blocked for the month)
+export function isUsageLimitedError(errorMsg) {
+  const msg = (errorMsg || '').toLowerCase();
+  return msg.includes('usage-limited') ||
+    msg.includes('usage limit') ||
+    msg.includes('permission denied') ||
+    msg.includes('authentication failed') ||
+    msg.includes('token_auth_failed');
+}
+
+export function isAuthError(errorMsg) {
+  const msg = (errorMsg || '').toLowerCase();
+  return msg.includes('401') || msg.includes('authentication failed') || msg.includes('token_auth_failed');
+}
+
+// { status, body, retryAfter? } - the failure shape the handlers send
+export function apiError(status, message, { type, code = null, param = null, retryAfter = null } = {}) {
+  const failure = {
+    status,
+    body: { error: { message, type: type || ERROR_TYPES[status] || 'server_error', param, code } },
+  };
+  if (retryAfter) failure.retryAfter = retryAfter;
+  return failure;
+}
+
+export function sendError(res, failure) {
+  if (failure.retryAfter) res.setHeader('Retry-After', String(failure.retryAfter));
+  return res.status(failure.status).json(failure.body);
+}
+
+// Map an upstream / provider error to an API error.
+// Adapters flag errors where they know more than the message says: status
+// (upstream HTTP status), isRateLimit, isUsageLimited, retryAfter (seconds
+// until a cooling-down key is usable again), isContextLength and
+// puterTokenRejected. Messages are the adapters' own - upstream bodies stay in
+// the server log.
+export function classifyError(error) {
+  const message = error?.message || String(error);
+  const msg = message.toLowerCase();
+  const status = error?.status;
+
+  if (error?.puterTokenRejected) {
+    return apiError(401, message, { code: 'invalid_puter_token' });
+  }
+  // Checked before the rate limit wording - 'context length exceeded' is not a 429
+  if (error?.isContextLength || isContextLengthError(msg)) {
+    return apiError(400, 'The request exceeds the model\'s context length - shorten the messages or lower max_tokens', {
+      code: 'context_length_exceeded',
+      param: 'messages',
+    });
+  }
+  if (status === 404 || /model[^.]*not (found|supported|available)|unknown model|no such model|model_not_found/.test(msg)) {
+    return apiError(404, message, { code: 'model_not_found', param: 'model' });
+  }
+  if (status === 408 || status === 504 || msg.includes('timeout') || msg.includes('timed out')) {
+    return apiError(408, message, { code: 'timeout' });
+  }
+  if (status === 400 || status === 413 || status === 422) {
+    return apiError(400, message);
+  }
+  if (/no (puter )?api keys? configured|all api keys are exhausted/.test(msg)) {
+    return apiError(503, message, { code: 'no_keys_available' });
+  }
+  // Our upstream credentials were rejected - nothing the caller can fix
+  if (status === 401 || status === 403 || isAuthError(msg)) {
+    return apiError(503, message, { code: 'upstream_auth_failed' });
+  }
+  if (error?.isUsageLimited || isUsageLimitedError(msg) || msg.includes('quota') || msg.includes('insufficient')) {
+    return apiError(429, message, { type: 'insufficient_quota', code: 'insufficient_quota', retryAfter: error?.retryAfter });
+  }
+  if (status === 429 || error?.isRateLimit || isRateLimitError(msg)) {
+    return apiError(429, message, { code: 'rate_limit_exceeded', retryAfter: error?.retryAfter });
+  }
+  return apiError(502, message, { type: 'api_error', code: 'upstream_error' });
+}
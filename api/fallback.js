@@ -0,0 +1,59 @@
+// Cross-provider fallback chains
+// A chain lists the models to try, in order, when the requested model fails
+// before answering. Chains are keyed by requested model ID and may span any
+// provider (Puter, G4F, registered upstreams). Admins set the defaults in the
+// system config (fallbackChains), users override them for their account
+// (user.fallbackChains), and a named API key can override those in turn
+// (apiKeys[].fallbackChains) - the default key uses the account's.
+
+// Built-in defaults, used unless the admin config replaces a model's chain
+export const DEFAULT_FALLBACK_CHAINS = {
+  'gpt-5.1': ['gpt-5', 'gpt-4.1', 'gpt-4o', 'gpt-4o-mini'],
+  'gpt-5': ['gpt-4.1', 'gpt-4o', 'gpt-4o-mini'],
+  'gpt-4.1': ['gpt-4o', 'gpt-4o-mini'],
+  'gpt-4o': ['gpt-4o-mini'],
+};
+
+export const MAX_FALLBACK_MODELS = 5;
+
+// Validate chains from the dashboard: { model: [fallback, ...] }
+// An empty list is kept - it switches fallback off for that model.
+export function normalizeFallbackChains(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'fallbackChains must be an object of model -> fallback models' };
+  }
+
+  const chains = {};
+  for (const [rawModel, rawChain] of Object.entries(input)) {
+    const model = rawModel.trim();
+    if (!model) continue;
+    if (!Array.isArray(rawChain)) {
+      return { error: `Fallback chain for '${model}' must be a list of models` };
+    }
+
+    const chain = [...new Set(rawChain.map(m => String(m).trim()).filter(m => m && m !== model))];
+    if (chain.length > MAX_FALLBACK_MODELS) {
+      return { error: `Fallback chain for '${model}' is limited to ${MAX_FALLBACK_MODELS} models` };
+    }
+    chains[model] = chain;
+  }
+
+  return { chains };
+}
+
+// Admin chains merged over the built-in defaults
+export function getSystemFallbackChains(config) {
+  return { ...DEFAULT_FALLBACK_CHAINS, ...(config?.fallbackChains || {}) };
+}
+
+// The caller's chains: the key's over the account's, model by model
+export function getUserFallbackChains(user) {
+  return { ...(user.fallbackChains || {}), ...(user.authKey?.fallbackChains || {}) };
+}
+
+// Models to try for a request: the requested model, then its fallbacks.
+// A user's chain for a model replaces the system one entirely.
+export function resolveFallbackChain(modelId, userChains, systemChains) {
+  const chain = userChains?.[modelId] ?? systemChains?.[modelId] ?? [];
+  return [modelId, ...chain.filter(m => m !== modelId)].slice(0, MAX_FALLBACK_MODELS + 1);
+}
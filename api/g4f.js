@@ -6,6 +6,7 @@
  */
 
 import crypto from 'crypto';
+import { getModelRouting } from './model-routing.js';
 
 // Known G4F backend hosts to probe for discovery
 // The Cloudflare tunnel URL changes periodically, so we try multiple options
@@ -32,7 +33,7 @@ let secretExpiresAt = 0;
 const SECRET_TTL = 60 * 1000; // 1 minute (challenges expire quickly)
 
 /**
- * Fetch with timeout
+ * Fetch with timeout - options.signal (client disconnect) also aborts the request
  */
 async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT) {
     const controller = new AbortController();
@@ -41,13 +42,13 @@ async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT) {
     try {
         const response = await fetch(url, {
             ...options,
-            signal: controller.signal
+            signal: options.signal ? AbortSignal.any([controller.signal, options.signal]) : controller.signal
         });
         clearTimeout(timeoutId);
         return response;
     } catch (error) {
         clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
+        if (error.name === 'AbortError' && !options.signal?.aborted) {
             throw new Error(`Request timeout after ${timeout}ms`);
         }
         throw error;
@@ -216,70 +217,30 @@ function convertMessages(messages) {
     }));
 }
 
-/**
- * Model mapping from g4f: format to G4F backend format
- * Multiple providers available - each with different model support
- */
-const G4F_MODEL_MAP = {
-    // PollinationsAI provider - free, no auth
-    'gpt-4o': { model: 'openai', provider: 'PollinationsAI' },
-    'gpt-4o-mini': { model: 'openai-fast', provider: 'PollinationsAI' },
-    'gpt-4.1': { model: 'openai-large', provider: 'PollinationsAI' },
-    'deepseek-v3': { model: 'deepseek', provider: 'PollinationsAI' },
-    'deepseek-chat': { model: 'deepseek', provider: 'PollinationsAI' },
-    'gemini-fast': { model: 'gemini-fast', provider: 'PollinationsAI' },
-    'mistral': { model: 'mistral', provider: 'PollinationsAI' },
-    'qwen-coder': { model: 'qwen-coder', provider: 'PollinationsAI' },
-
-    // LMArena provider - no auth, has cutting-edge models
-    'gemini-3-pro': { model: 'gemini-3-pro', provider: 'LMArena' },
-    'gemini-3-flash': { model: 'gemini-3-flash', provider: 'LMArena' },
-    'grok-4.1': { model: 'grok-4.1-thinking', provider: 'LMArena' },
-    'claude-opus-4': { model: 'claude-opus-4-5-20251101', provider: 'LMArena' },
-
-    // GeminiPro provider - no auth, high live score
-    'gemini-2.0-flash': { model: 'models/gemini-2.0-flash', provider: 'GeminiPro' },
-    'gemini-2.5-flash': { model: 'models/gemini-2.5-flash-preview-05-20', provider: 'GeminiPro' },
-    'gemini-pro': { model: 'models/gemini-1.5-pro', provider: 'GeminiPro' },
-
-    // DeepInfra provider - no auth, diverse models
-    'glm-4.7': { model: 'zai-org/GLM-4.7', provider: 'DeepInfra' },
-    'deepseek-v3.2': { model: 'deepseek-ai/DeepSeek-V3.2', provider: 'DeepInfra' },
-    'minimax-m2': { model: 'MiniMaxAI/MiniMax-M2', provider: 'DeepInfra' },
-    'kimi-k2': { model: 'moonshotai/Kimi-K2-Thinking', provider: 'DeepInfra' },
-
-    // Groq provider - no auth, fast inference
-    'groq-compound': { model: 'groq/compound', provider: 'Groq' },
-    'groq-compound-mini': { model: 'groq/compound-mini', provider: 'Groq' },
-
-    // Qwen provider - no auth, powerful Chinese models  
-    'qwen3-max': { model: 'qwen3-max-preview', provider: 'Qwen' },
-    'qwen-plus': { model: 'qwen-plus-2025-09-11', provider: 'Qwen' },
-    'qwen3-235b': { model: 'qwen3-235b-a22b', provider: 'Qwen' },
-    'qwen3-coder-plus': { model: 'qwen3-coder-plus', provider: 'Qwen' },
-    'qwq-32b': { model: 'qwq-32b', provider: 'Qwen' },
-};
-
 /**
  * Convert user model to G4F backend model format
- * Returns both model and provider
+ * Returns both model and provider, from the routing config's g4f section
+ * (see model-routing.js) - each backend provider has different model support
  */
 function mapModelToG4F(model) {
+    const { models, prefixProviders, fallback } = getModelRouting().g4f;
+
     // Remove g4f: prefix if present
     const cleanModel = model.replace(/^g4f:/, '');
 
     // Check if we have a direct mapping
-    if (G4F_MODEL_MAP[cleanModel]) {
-        return G4F_MODEL_MAP[cleanModel];
+    if (Object.hasOwn(models, cleanModel)) {
+        return models[cleanModel];
     }
 
-    // For qwen models, use Qwen provider
-    if (cleanModel.startsWith('qwen') || cleanModel.startsWith('qwq')) {
-        return { model: cleanModel, provider: 'Qwen' };
+    // Model families served by one provider (e.g. qwen -> Qwen)
+    const prefix = Object.keys(prefixProviders).find(p => cleanModel.startsWith(p));
+    if (prefix) {
+        return { model: cleanModel, provider: prefixProviders[prefix] };
     }
 
-    // Default: use PollinationsAI with 'openai' (their default model)
-    return { model: 'openai', provider: 'PollinationsAI' };
+    // Default model (PollinationsAI's 'openai' unless configured otherwise)
+    return fallback;
 }
 
 /**
@@ -345,6 +306,19 @@ async function* parseSSEStream(response) {
     }
 }
 
+/**
+ * Convert a G4F usage event to OpenAI usage fields
+ */
+function normalizeUsage(usage) {
+    const promptTokens = usage.prompt_tokens || usage.input_tokens || 0;
+    const completionTokens = usage.completion_tokens || usage.output_tokens || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usage.total_tokens || promptTokens + completionTokens,
+    };
+}
+
 /**
  * Call G4F API (non-streaming)
  */
@@ -375,6 +349,7 @@ export async function callG4F(messages, model, options = {}) {
             'x-secret': secret,
         },
         body: JSON.stringify(requestBody),
+        signal: options.signal,
     }, 60000); // 60 second timeout for API calls
 
     if (!response.ok) {
@@ -384,16 +359,21 @@ export async function callG4F(messages, model, options = {}) {
             secretExpiresAt = 0;
         }
         const errorText = await response.text();
-        throw new Error(`G4F API error: ${response.status} - ${errorText}`);
+        const error = new Error(`G4F API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        throw error;
     }
 
     // Collect all SSE chunks
     let content = '';
     let reasoning = '';
+    let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
 
     for await (const chunk of parseSSEStream(response)) {
         // Handle various response formats
-        if (chunk.type === 'content' && chunk.content) {
+        if (chunk.type === 'usage' && chunk.usage) {
+            usage = normalizeUsage(chunk.usage);
+        } else if (chunk.type === 'content' && chunk.content) {
             content += chunk.content;
         } else if (chunk.type === 'reasoning' && (chunk.reasoning || chunk.content)) {
             reasoning += chunk.reasoning || chunk.content;
@@ -429,11 +409,7 @@ export async function callG4F(messages, model, options = {}) {
             },
             finish_reason: 'stop',
         }],
-        usage: {
-            prompt_tokens: 0,
-            completion_tokens: 0,
-            total_tokens: 0,
-        },
+        usage,
     };
 }
 
@@ -467,6 +443,7 @@ export async function callG4FStream(messages, model, options = {}, onChunk) {
             'x-secret': secret,
         },
         body: JSON.stringify(requestBody),
+        signal: options.signal,
     }, 60000); // 60 second timeout
 
     if (!response.ok) {
@@ -476,12 +453,16 @@ export async function callG4FStream(messages, model, options = {}, onChunk) {
             secretExpiresAt = 0;
         }
         const errorText = await response.text();
-        throw new Error(`G4F API error: ${response.status} - ${errorText}`);
+        const error = new Error(`G4F API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        throw error;
     }
 
     // Stream SSE chunks to callback
     for await (const chunk of parseSSEStream(response)) {
-        if (chunk.type === 'content' && chunk.content) {
+        if (chunk.type === 'usage' && chunk.usage) {
+            onChunk({ type: 'usage', usage: normalizeUsage(chunk.usage) });
+        } else if (chunk.type === 'content' && chunk.content) {
             onChunk({ type: 'text', text: chunk.content });
         } else if (chunk.type === 'reasoning' && (chunk.reasoning || chunk.content)) {
             onChunk({ type: 'reasoning', text: chunk.reasoning || chunk.content });
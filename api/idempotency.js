@@ -0,0 +1,205 @@
+// Idempotency-Key support for generation endpoints
+// A client that retries after a network blip sends the same Idempotency-Key
+// again. The first request runs normally while its response is recorded; a
+// duplicate gets that recorded response back (waiting for it if the first one
+// is still running) instead of a second generation and a second daily-limit
+// count. Keys are scoped to the caller's credential, kept for 24 hours, and a
+// key reused with a different body is rejected. Only successes and errors that
+// a retry would hit again (400, 404, 422) are kept - auth failures, timeouts,
+// conflicts, rate limits, server errors, cut-off streams and cancelled
+// requests are not, so the retry runs again.
+// Keys are held in this process's memory - a retry that reaches another
+// serverless instance is not recognized.
+
+import { createHash } from 'crypto';
+import { stableStringify } from './response-cache.js';
+import { apiError, sendError } from './errors.js';
+
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_ENTRIES = 1000;
+const MAX_BYTES = 100 * 1024 * 1024; // 100 MB of recorded responses (images are large)
+const MAX_KEY_LENGTH = 255;
+
+// Client errors that don't depend on when the request is sent
+const REPLAYABLE_ERROR_STATUSES = new Set([400, 404, 422]);
+
+function isReplayableStatus(statusCode) {
+  return (statusCode >= 200 && statusCode < 300) || REPLAYABLE_ERROR_STATUSES.has(statusCode);
+}
+
+// key -> { fingerprint, timestamp, pending, record, size }
+const entries = new Map();
+let totalBytes = 0;
+
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+// Records what a handler sends while passing everything through to the client
+class RecordingResponse {
+  constructor(res) {
+    this.res = res;
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+    this.body = undefined;
+    this.finished = false;
+  }
+
+  get headersSent() {
+    return this.res.headersSent;
+  }
+
+  get writableEnded() {
+    return this.res.writableEnded;
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+    this.res.setHeader(name, value);
+    return this;
+  }
+
+  getHeader(name) {
+    return this.res.getHeader(name);
+  }
+
+  removeHeader(name) {
+    delete this.headers[name];
+    this.res.removeHeader(name);
+  }
+
+  flushHeaders() {
+    this.res.flushHeaders();
+  }
+
+  on(event, listener) {
+    this.res.on(event, listener);
+    return this;
+  }
+
+  once(event, listener) {
+    this.res.once(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.res.off(event, listener);
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    this.res.status(code);
+    return this;
+  }
+
+  json(body) {
+    this.body = body;
+    this.finished = true;
+    this.res.json(body);
+    return this;
+  }
+
+  write(data) {
+    this.chunks.push(typeof data === 'string' ? data : data.toString());
+    return this.res.write(data);
+  }
+
+  end(data) {
+    if (data) this.chunks.push(typeof data === 'string' ? data : data.toString());
+    this.finished = true;
+    this.res.end(data);
+    return this;
+  }
+
+  // Recorded response, or null if it shouldn't be replayed
+  toRecord() {
+    if (!this.finished || !isReplayableStatus(this.statusCode)) return null;
+    // Stream that failed part-way - the chat stream writer's error event
+    if (this.chunks.some(chunk => chunk.startsWith('data: {"error"'))) return null;
+    return { statusCode: this.statusCode, headers: this.headers, body: this.body, chunks: this.chunks };
+  }
+}
+
+function replay(res, record) {
+  for (const [name, value] of Object.entries(record.headers)) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.status(record.statusCode);
+
+  if (record.body !== undefined) return res.json(record.body);
+  for (const chunk of record.chunks) res.write(chunk);
+  return res.end();
+}
+
+function deleteEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  totalBytes -= entry.size || 0;
+  entries.delete(key);
+}
+
+function pruneEntries() {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    const expired = now - entry.timestamp > IDEMPOTENCY_TTL;
+    const overLimit = entries.size > MAX_ENTRIES || totalBytes > MAX_BYTES;
+    if (!expired && !overLimit) break;
+    // Never drop a request that is still running - duplicates wait on it
+    if (entry.record) deleteEntry(key);
+  }
+}
+
+// Run handler(req, res) at most once per Idempotency-Key
+export async function withIdempotency(req, res, handler) {
+  const idempotencyKey = req.method === 'POST' ? req.headers['idempotency-key'] : null;
+  if (!idempotencyKey) return handler(req, res);
+
+  if (idempotencyKey.length > MAX_KEY_LENGTH) {
+    return sendError(res, apiError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+  }
+
+  const credential = req.headers.authorization || req.headers['x-api-key'] || req.headers['x-session-token'] || req.headers['x-puter-token'] || '';
+  const key = `${hash(credential)}:${idempotencyKey}`;
+  const fingerprint = hash(`${req.path || req.url}:${stableStringify(req.body)}`);
+
+  pruneEntries();
+
+  // A released key (first attempt failed) may be claimed by another waiter first - check again
+  for (let entry = entries.get(key); entry; entry = entries.get(key)) {
+    if (entry.fingerprint !== fingerprint) {
+      return sendError(res, apiError(422, 'Idempotency-Key was already used with a different request', {
+        code: 'idempotency_key_reused'
+      }));
+    }
+
+    const record = entry.record || await entry.pending;
+    if (record) {
+      console.log(`[Idempotency] Replaying stored response for key ${idempotencyKey}`);
+      return replay(res, record);
+    }
+  }
+
+  let settle;
+  const entry = { fingerprint, timestamp: Date.now(), pending: new Promise(resolve => { settle = resolve; }), record: null };
+  entries.set(key, entry);
+
+  const recorder = new RecordingResponse(res);
+  try {
+    await handler(req, recorder);
+  } finally {
+    const record = recorder.toRecord();
+    const size = record ? JSON.stringify(record).length : 0;
+
+    if (record && size <= MAX_BYTES) {
+      entry.record = record;
+      entry.size = size;
+      totalBytes += size;
+    } else {
+      deleteEntry(key);
+    }
+    settle(entry.record);
+  }
+}
@@ -1,16 +1,12 @@
-import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
-import { createHash } from 'crypto';
-
-// Initialize Firebase Admin
-if (!getApps().length) {
-  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
-  if (serviceAccount.project_id) {
-    initializeApp({ credential: cert(serviceAccount) });
-  }
-}
-
-const db = getApps().length ? getFirestore() : null;
+import { withIdempotency } from './idempotency.js';
+import { apiError, classifyError, sendError, isAuthError } from './errors.js';
+import { getRateLimitScopes, acquireRateLimit } from './rate-limit.js';
+import { getRequestCredential, lookupCredential, checkApiKeyAccess, checkApiKeySalt } from './api-keys.js';
+import { openKey, getKeyFingerprint, userKeyOwner, orgKeyOwner, SYSTEM_KEY_OWNER } from './key-vault.js';
+import { loadUserOrg } from './organizations.js';
+import * as storage from './storage/index.js';
+import { increment } from './storage/index.js';
+import { getModelRouting, refreshModelRouting } from './model-routing.js';
 
 const PUTER_BASE_URL = 'https://api.puter.com/drivers/call';
 const FREE_DAILY_LIMIT = 15;
@@ -25,7 +21,7 @@ class ImageKeyPoolManager {
   }
 
   hashKey(key) {
-    return createHash('sha256').update(key).digest('hex').substring(0, 16);
+    return getKeyFingerprint(key);
   }
 
   checkDateReset() {
@@ -61,6 +57,18 @@ class ImageKeyPoolManager {
     return true;
   }
 
+  // Seconds until the first temp-blocked key among keys is usable again (null if none is)
+  getRetryAfter(keys) {
+    let soonest = null;
+    for (const key of keys) {
+      const block = this.blockedKeys.get(this.hashKey(key));
+      if (block && block.until > Date.now() && (soonest === null || block.until < soonest)) {
+        soonest = block.until;
+      }
+    }
+    return soonest && Math.ceil((soonest - Date.now()) / 1000);
+  }
+
   getAvailableKey(keys, startIndex = 0) {
     if (!keys || keys.length === 0) return null;
     for (let i = 0; i < keys.length; i++) {
@@ -75,43 +83,32 @@ class ImageKeyPoolManager {
 
 const imageKeyPool = new ImageKeyPoolManager();
 
-// Dynamic driver detection based on model name
-function getDriverForModel(model) {
-  const modelLower = model.toLowerCase();
-  
-  // OpenAI models
-  if (modelLower.includes('gpt-image') || modelLower.includes('dall-e') || modelLower.includes('dalle')) {
-    return 'openai-image-generation';
-  }
-  
-  // Gemini/Google models (Nano Banana)
-  if (modelLower.includes('gemini') && modelLower.includes('image')) {
-    return 'gemini-image-generation';
-  }
-  if (modelLower.includes('imagen')) {
-    return 'together-image-generation'; // Google Imagen via Together
-  }
-  if (modelLower.includes('flash-image')) {
-    return 'together-image-generation';
+// API error for a failed generation - rate limits get Retry-After from the
+// image key pool. With no error every key was skipped as still cooling down.
+function imageFailure(error, keys, message = error?.message) {
+  if (!error) {
+    return apiError(429, message || 'All image keys are cooling down. Try again shortly.', {
+      code: 'rate_limit_exceeded',
+      retryAfter: imageKeyPool.getRetryAfter(keys)
+    });
   }
-  
-  // Together AI models (FLUX, Stable Diffusion, Seedream, etc.)
-  const togetherPrefixes = [
-    'black-forest-labs/', 'stabilityai/', 'bytedance', 'flux', 
-    'stable-diffusion', 'sdxl', 'sd3', 'seedream', 'hidream',
-    'juggernaut', 'rundiffusion', 'ideogram', 'qwen/qwen-image'
-  ];
-  if (togetherPrefixes.some(p => modelLower.includes(p))) {
-    return 'together-image-generation';
+  const failure = classifyError(Object.assign(new Error(message), error));
+  if (failure.status === 429 && !failure.retryAfter) {
+    failure.retryAfter = imageKeyPool.getRetryAfter(keys);
   }
-  
-  // If model starts with togetherai: prefix
-  if (model.startsWith('togetherai:')) {
-    return 'together-image-generation';
-  }
-  
-  // Default to together for unknown image models
-  return 'together-image-generation';
+  return failure;
+}
+
+// Driver for a model name - the first rule of the routing config's
+// images.drivers whose substrings match (see model-routing.js)
+function getDriverForModel(model) {
+  const { drivers, defaultDriver } = getModelRouting().images;
+  const modelLower = model.toLowerCase();
+
+  const rule = drivers.find(({ any, all }) =>
+    (!any || any.some(s => modelLower.includes(s))) &&
+    (!all || all.every(s => modelLower.includes(s))));
+  return rule ? rule.driver : defaultDriver;
 }
 
 // Normalize model name (remove prefixes, handle aliases)
@@ -126,98 +123,62 @@ function normalizeModelName(model) {
     normalized = normalized.replace('openrouter:', '');
   }
   
-  // Map OpenRouter/Google model names to Puter-compatible names
-  const modelMappings = {
-    'google/gemini-2.5-flash-image': 'gemini-2.5-flash-image-preview',
-    'google/gemini-2.5-flash-image-preview': 'gemini-2.5-flash-image-preview',
-    'google/gemini-3-pro-image': 'gemini-3-pro-image-preview',
-    'google/gemini-3-pro-image-preview': 'gemini-3-pro-image-preview',
-  };
-  
-  if (modelMappings[normalized]) {
-    normalized = modelMappings[normalized];
-  }
-
-  // Common aliases
-  const aliases = {
-    'nano-banana': 'gemini-2.5-flash-image-preview',
-    'nano-banana-pro': 'gemini-3-pro-image-preview',
-    'flux-schnell': 'black-forest-labs/FLUX.1-schnell',
-    'flux-schnell-free': 'black-forest-labs/FLUX.1-schnell-Free',
-    'flux-dev': 'black-forest-labs/FLUX.1-dev',
-    'flux-pro': 'black-forest-labs/FLUX.1-pro',
-    'flux-kontext': 'black-forest-labs/FLUX.1-kontext-dev',
-    'sdxl': 'stabilityai/stable-diffusion-xl-base-1.0',
-    'sd3': 'stabilityai/stable-diffusion-3-medium',
-    'stable-diffusion-3': 'stabilityai/stable-diffusion-3-medium',
-    'seedream-3': 'ByteDance-Seed/Seedream-3.0',
-    'seedream-4': 'ByteDance-Seed/Seedream-4.0',
-    'gpt-image-1': 'gpt-image-1',
-    'dall-e-3': 'dall-e-3',
-    'dall-e-2': 'dall-e-2',
-    'imagen-4': 'google/imagen-4.0-preview',
-    'imagen-4-fast': 'google/imagen-4.0-fast',
-    'imagen-4-ultra': 'google/imagen-4.0-ultra',
-  };
-  
-  return aliases[normalized.toLowerCase()] || normalized;
+  // OpenRouter/Google names and common aliases -> Puter-compatible names
+  const { aliases } = getModelRouting().images;
+  const alias = Object.keys(aliases).find(name => name.toLowerCase() === normalized.toLowerCase());
+  return alias ? aliases[alias] : normalized;
 }
 
-// Get system Puter keys from Firestore
-async function getSystemKeys() {
-  if (!db) return [];
+// Get system Puter keys from storage
+async function getSystemConfig() {
   try {
-    const configDoc = await db.collection('system').doc('config').get();
-    if (!configDoc.exists) return [];
-    const config = configDoc.data();
-    return config.systemPuterKeys || [];
+    return await storage.systemConfig.get();
   } catch (error) {
-    console.error('Failed to get system keys:', error.message);
-    return [];
+    console.error('Failed to get system config:', error.message);
+    return {};
   }
 }
 
-async function getUserByApiKey(apiKey) {
-  if (!db) return null;
-  const snapshot = await db.collection('users').where('apiKey', '==', apiKey).limit(1).get();
-  if (snapshot.empty) return null;
-  return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+async function getSystemKeys() {
+  const config = await getSystemConfig();
+  return config.systemPuterKeys || [];
 }
 
 async function incrementUsage(userId) {
-  if (!db) return;
-  const userRef = db.collection('users').doc(userId);
   const today = new Date().toISOString().split('T')[0];
-  await userRef.update({ dailyRequestsUsed: FieldValue.increment(1), lastRequestDate: today });
+  await storage.users.update(userId, { dailyRequestsUsed: increment(1), lastRequestDate: today });
 }
 
 async function getDailyUsage(user) {
   const today = new Date().toISOString().split('T')[0];
   if (user.lastRequestDate !== today) {
-    if (db) {
-      const userRef = db.collection('users').doc(user.id);
-      await userRef.update({ dailyRequestsUsed: 0, lastRequestDate: today });
-    }
+    await storage.users.update(user.id, { dailyRequestsUsed: 0, lastRequestDate: today });
     return 0;
   }
   return user.dailyRequestsUsed || 0;
 }
 
-async function logImageUsage(userId, model, type, success, errorMessage = null) {
-  if (!db) return;
+async function logImageUsage(user, model, type, success, errorMessage = null) {
+  const userId = user.id;
   try {
-    await db.collection('usage_logs').add({
-      userId, model, type, success, errorMessage,
+    await storage.usageLogs.add({
+      userId, apiKeyId: user.authKey?.id || null, orgId: user.org?.id || null, model, type, success, errorMessage,
       timestamp: new Date().toISOString(),
       date: new Date().toISOString().split('T')[0],
     });
     if (success) {
-      const userRef = db.collection('users').doc(userId);
-      await userRef.update({
-        totalImageGenerations: FieldValue.increment(1),
-        totalRequests: FieldValue.increment(1),
+      await storage.users.update(userId, {
+        totalImageGenerations: increment(1),
+        totalRequests: increment(1),
         lastRequestAt: new Date().toISOString(),
       });
+      if (user.org) {
+        await storage.organizations.update(user.org.id, {
+          totalImageGenerations: increment(1),
+          totalRequests: increment(1),
+          lastRequestAt: new Date().toISOString(),
+        });
+      }
     }
   } catch (error) {
     console.error('Failed to log image usage:', error.message);
@@ -265,13 +226,8 @@ async function callOpenRouterImageGeneration(prompt, model, puterToken, options
   let openRouterModel = model;
   if (!openRouterModel.startsWith('openrouter:')) {
     // Map common models to OpenRouter equivalents
-    const orMappings = {
-      'nano-banana': 'openrouter:google/gemini-2.5-flash-image-preview',
-      'nano-banana-pro': 'openrouter:google/gemini-3-pro-image-preview',
-      'gemini-2.5-flash-image-preview': 'openrouter:google/gemini-2.5-flash-image-preview',
-      'gemini-3-pro-image-preview': 'openrouter:google/gemini-3-pro-image-preview',
-    };
-    openRouterModel = orMappings[model] || `openrouter:${model}`;
+    const orMappings = getModelRouting().images.openrouter;
+    openRouterModel = Object.hasOwn(orMappings, model) ? orMappings[model] : `openrouter:${model}`;
   }
   
   console.log(`[OpenRouter Image] model: ${openRouterModel}, img2img: ${!!options.input_image}`);
@@ -451,13 +407,19 @@ function getDefaultImageModelsList() {
   ];
 }
 
-// Main handler
-export default async function handler(req, res) {
+// Main handler - POSTs with an Idempotency-Key run once, retries get the stored result
+export default function imagesHandler(req, res) {
+  return withIdempotency(req, res, handler);
+}
+
+async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Puter-Token');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Token, X-Puter-Token, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed, Retry-After, x-ratelimit-limit-requests, x-ratelimit-remaining-requests, x-ratelimit-reset-requests, x-ratelimit-limit-tokens, x-ratelimit-remaining-tokens, x-ratelimit-reset-tokens');
   
   if (req.method === 'OPTIONS') return res.status(200).end();
+  await refreshModelRouting();
   
   // GET - List available image models
   if (req.method === 'GET') {
@@ -497,7 +459,7 @@ export default async function handler(req, res) {
   }
   
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: { message: 'Method not allowed' } });
+    return sendError(res, apiError(405, 'Method not allowed'));
   }
 
   let user = null;
@@ -507,20 +469,26 @@ export default async function handler(req, res) {
   const puterToken = req.headers['x-puter-token'];
 
   try {
-    const authHeader = req.headers.authorization || req.headers['x-api-key'] || '';
-    const apiKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+    // An API key, or a dashboard session token (see api-keys.js)
+    const credential = getRequestCredential(req);
     
     // If Puter token is provided, we can skip our API key auth
-    if (!apiKey && !puterToken) {
-      return res.status(401).json({ error: { message: 'API key required' } });
+    if (!credential.apiKey && !credential.sessionToken && !puterToken) {
+      return sendError(res, apiError(401, 'API key required', { code: 'missing_api_key' }));
     }
 
     // If we have an API key, validate it; otherwise create a pseudo-user for Puter token
-    if (apiKey) {
-      user = await getUserByApiKey(apiKey);
+    if (credential.apiKey || credential.sessionToken) {
+      const unconfigured = credential.apiKey && checkApiKeySalt();
+      if (unconfigured) {
+        return sendError(res, apiError(unconfigured.status, unconfigured.error, { code: unconfigured.code }));
+      }
+      user = await lookupCredential(credential);
       if (!user) {
-        return res.status(401).json({ error: { message: 'Invalid API key' } });
+        const message = credential.apiKey ? 'Invalid API key' : 'Invalid or expired session token';
+        return sendError(res, apiError(401, message, { code: 'invalid_api_key' }));
       }
+      user.org = await loadUserOrg(user.orgId, user.id);
     } else if (puterToken) {
       user = { id: 'puter-direct', email: 'puter-token-user', puterKeys: [] };
     }
@@ -528,8 +496,20 @@ export default async function handler(req, res) {
     const { prompt, size, quality, n, style, response_format, image } = req.body;
     model = req.body.model || 'flux-schnell-free';
 
+    const denied = checkApiKeyAccess(user.authKey, { endpoint: 'images', model });
+    if (denied) {
+      return sendError(res, apiError(denied.status, denied.error, { code: denied.code, param: denied.param }));
+    }
+
     if (!prompt) {
-      return res.status(400).json({ error: { message: 'prompt is required' } });
+      return sendError(res, apiError(400, 'prompt is required', { param: 'prompt' }));
+    }
+
+    // Image requests count against the same requests-per-minute limits as chat
+    const rateLimit = acquireRateLimit(getRateLimitScopes(req, user, await getSystemConfig()));
+    for (const [name, value] of Object.entries(rateLimit.headers)) res.setHeader(name, value);
+    if (!rateLimit.allowed) {
+      return sendError(res, apiError(429, rateLimit.message, { code: 'rate_limit_exceeded', retryAfter: rateLimit.retryAfter }));
     }
 
     const isImg2Img = !!image;
@@ -584,7 +564,7 @@ export default async function handler(req, res) {
         }
         
         if (user.id !== 'puter-direct') {
-          await logImageUsage(user.id, model, isImg2Img ? 'img2img' : 'txt2img', true);
+          await logImageUsage(user, model, isImg2Img ? 'img2img' : 'txt2img', true);
         }
         
         const responseData = { created: Math.floor(Date.now() / 1000), data: result.data || [] };
@@ -607,7 +587,8 @@ export default async function handler(req, res) {
         }
         
         if (systemKeys.length === 0) {
-          return res.status(500).json({ error: { message: `Puter token error: ${puterError.message}. No system keys available for fallback.` } });
+          puterError.puterTokenRejected = isAuthError(puterError.message);
+          return sendError(res, imageFailure(puterError, [], `Puter token error: ${puterError.message}. No system keys available for fallback.`));
         }
         
         // Try with system keys using key rotation
@@ -629,13 +610,13 @@ export default async function handler(req, res) {
           try {
             let result;
             if (useOpenRouterDirectly) {
-              result = await callOpenRouterImageGeneration(prompt, model, key, options);
+              result = await callOpenRouterImageGeneration(prompt, model, openKey(key, SYSTEM_KEY_OWNER), options);
             } else {
-              result = await callPuterImageGeneration(prompt, model, key, options);
+              result = await callPuterImageGeneration(prompt, model, openKey(key, SYSTEM_KEY_OWNER), options);
             }
             
             if (user.id !== 'puter-direct') {
-              await logImageUsage(user.id, model + ' (fallback)', isImg2Img ? 'img2img' : 'txt2img', true);
+              await logImageUsage(user, model + ' (fallback)', isImg2Img ? 'img2img' : 'txt2img', true);
             }
             
             const responseData = { created: Math.floor(Date.now() / 1000), data: result.data || [] };
@@ -661,23 +642,23 @@ export default async function handler(req, res) {
         }
         
         // All fallback attempts failed
-        return res.status(500).json({ 
-          error: { 
-            message: `Both Puter token and system keys failed. Original: ${puterError.message}. Fallback: ${lastFallbackError?.message || 'All system keys exhausted'}` 
-          } 
-        });
+        return sendError(res, imageFailure(lastFallbackError, systemKeys,
+          `Both Puter token and system keys failed. Original: ${puterError.message}. Fallback: ${lastFallbackError?.message || 'All system keys exhausted'}`));
       }
     }
 
-    // Check daily limits for free users
+    // Check daily limits for free users - org keys count as the user's own
     const hasOwnKeys = user.puterKeys && user.puterKeys.length > 0;
-    if (!hasOwnKeys) {
+    const orgKeys = user.org?.puterKeys || [];
+    const hasPaidKeys = hasOwnKeys || orgKeys.length > 0;
+    if (!hasPaidKeys) {
       const dailyUsed = await getDailyUsage(user);
       if (dailyUsed >= FREE_DAILY_LIMIT) {
-        await logImageUsage(user.id, model, isImg2Img ? 'img2img' : 'txt2img', false, 'Daily limit exceeded');
-        return res.status(403).json({ 
-          error: { message: `Daily free limit (${FREE_DAILY_LIMIT}) reached.`, code: 'DAILY_LIMIT_EXCEEDED' } 
-        });
+        await logImageUsage(user, model, isImg2Img ? 'img2img' : 'txt2img', false, 'Daily limit exceeded');
+        return sendError(res, apiError(403, `Daily free limit (${FREE_DAILY_LIMIT}) reached.`, {
+          type: 'insufficient_quota',
+          code: 'DAILY_LIMIT_EXCEEDED'
+        }));
       }
     }
 
@@ -686,14 +667,16 @@ export default async function handler(req, res) {
     if (systemKeys.length === 0 && process.env.PUTER_API_KEY) {
       systemKeys = [process.env.PUTER_API_KEY];
     }
-    const userKeys = hasOwnKeys ? user.puterKeys.map(k => k.key || k) : [];
-    const allKeys = userKeys.length > 0 ? userKeys : systemKeys;
+    // Stored keys stay sealed until the call that uses them
+    const userKeys = hasOwnKeys ? user.puterKeys : [];
+    const allKeys = userKeys.length > 0 ? userKeys : orgKeys.length > 0 ? orgKeys : systemKeys;
+    const keyOwner = userKeys.length > 0 ? userKeyOwner(user.id) : orgKeys.length > 0 ? orgKeyOwner(user.org.id) : SYSTEM_KEY_OWNER;
 
     if (allKeys.length === 0) {
-      return res.status(500).json({ error: { message: 'No Puter API key configured' } });
+      return sendError(res, apiError(503, 'No Puter API key configured', { code: 'no_keys_available' }));
     }
 
-    if (!hasOwnKeys) await incrementUsage(user.id);
+    if (!hasPaidKeys) await incrementUsage(user.id);
 
     // Try keys using KeyPoolManager for O(1) selection
     let lastError = null;
@@ -717,13 +700,13 @@ export default async function handler(req, res) {
         
         if (useOpenRouterDirectly) {
           // Use OpenRouter directly for Gemini image models
-          result = await callOpenRouterImageGeneration(prompt, model, key, options);
+          result = await callOpenRouterImageGeneration(prompt, model, openKey(key, keyOwner), options);
         } else {
           // Use native Puter image generation for other models
-          result = await callPuterImageGeneration(prompt, model, key, options);
+          result = await callPuterImageGeneration(prompt, model, openKey(key, keyOwner), options);
         }
         
-        await logImageUsage(user.id, model, isImg2Img ? 'img2img' : 'txt2img', true);
+        await logImageUsage(user, model, isImg2Img ? 'img2img' : 'txt2img', true);
         
         const responseData = {
           created: Math.floor(Date.now() / 1000),
@@ -776,8 +759,8 @@ export default async function handler(req, res) {
         triedCount++;
         
         try {
-          const result = await callOpenRouterImageGeneration(prompt, model, key, options);
-          await logImageUsage(user.id, model + ' (openrouter)', isImg2Img ? 'img2img' : 'txt2img', true);
+          const result = await callOpenRouterImageGeneration(prompt, model, openKey(key, keyOwner), options);
+          await logImageUsage(user, model + ' (openrouter)', isImg2Img ? 'img2img' : 'txt2img', true);
           
           const responseData = {
             created: Math.floor(Date.now() / 1000),
@@ -805,20 +788,18 @@ export default async function handler(req, res) {
         }
       }
       
-      return res.status(402).json({ 
-        error: { 
-          message: 'Insufficient credits for both native and OpenRouter image generation. Try flux-schnell-free or add new Puter API keys.',
-          code: 'INSUFFICIENT_CREDITS'
-        } 
-      });
+      return sendError(res, apiError(402, 'Insufficient credits for both native and OpenRouter image generation. Try flux-schnell-free or add new Puter API keys.', {
+        type: 'insufficient_quota',
+        code: 'INSUFFICIENT_CREDITS'
+      }));
     }
     
-    await logImageUsage(user.id, model, isImg2Img ? 'img2img' : 'txt2img', false, lastError?.message);
-    return res.status(500).json({ error: { message: lastError?.message || 'Image generation failed' } });
+    await logImageUsage(user, model, isImg2Img ? 'img2img' : 'txt2img', false, lastError?.message);
+    return sendError(res, imageFailure(lastError, allKeys));
 
   } catch (error) {
     console.error('Image API error:', error);
-    if (user && model) await logImageUsage(user.id, model, 'error', false, error.message);
-    return res.status(500).json({ error: { message: error.message } });
+    if (user && model) await logImageUsage(user, model, 'error', false, error.message);
+    return sendError(res, apiError(500, error.message));
   }
 }
@@ -0,0 +1,154 @@
+// Envelope encryption for stored Puter and upstream keys
+// users.puterKeys, organizations.puterKeys, system config.systemPuterKeys and
+// the apiKey of users' and admin upstreams hold sealed records instead of plaintext: each key is encrypted (AES-256-GCM)
+// with its own random data key, and the data key is wrapped with the master key
+// from PUTER_KEYS_MASTER_KEY (32 bytes, base64). A record looks like
+//   { v: 2, kid, wrappedKey, iv, tag, data, fingerprint, preview }
+// The key's owner ('user:<uid>', 'org:<orgId>' or 'system') is the additional
+// authenticated data, so a record copied into another account's document
+// doesn't open. Version 1 records, sealed before owners were bound, still open
+// without one until `npm run reencrypt-keys` upgrades them.
+// kid names the master key that wrapped it (PUTER_KEYS_MASTER_KEY_ID), so the
+// master key can rotate: set the new one, keep the old one as
+// PUTER_KEYS_PREVIOUS_MASTER_KEY(_ID) and run `npm run reencrypt-keys`, which
+// re-wraps every data key (and seals keys still stored as plaintext).
+// fingerprint and preview let the dashboard list keys and spot duplicates
+// without decrypting. Keys are opened only right before they are sent to
+// Puter or the upstream and are never returned to a client.
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+const RECORD_VERSION = 2;
+const UNBOUND_RECORD_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+
+export const SYSTEM_KEY_OWNER = 'system';
+
+export function userKeyOwner(uid) {
+  return `user:${uid}`;
+}
+
+export function orgKeyOwner(orgId) {
+  return `org:${orgId}`;
+}
+
+function loadMasterKey(value, name) {
+  if (!value) return null;
+  const key = Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    console.warn(`${name} must be 32 bytes, base64-encoded - ignoring it`);
+    return null;
+  }
+  return key;
+}
+
+// kid -> master key
+const masterKeys = new Map();
+const currentKid = process.env.PUTER_KEYS_MASTER_KEY_ID || 'k1';
+const currentKey = loadMasterKey(process.env.PUTER_KEYS_MASTER_KEY, 'PUTER_KEYS_MASTER_KEY');
+if (currentKey) masterKeys.set(currentKid, currentKey);
+const previousKey = loadMasterKey(process.env.PUTER_KEYS_PREVIOUS_MASTER_KEY, 'PUTER_KEYS_PREVIOUS_MASTER_KEY');
+if (previousKey) masterKeys.set(process.env.PUTER_KEYS_PREVIOUS_MASTER_KEY_ID || 'k0', previousKey);
+
+export function isSealed(stored) {
+  return typeof stored === 'object' && stored !== null
+    && (stored.v === RECORD_VERSION || stored.v === UNBOUND_RECORD_VERSION);
+}
+
+// Plaintext from before encryption - a string, or an early { key } object
+function legacyPlaintext(stored) {
+  return typeof stored === 'string' ? stored : stored?.key;
+}
+
+function encrypt(key, plaintext, aad = null) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+function decrypt(key, iv, tag, data, aad = null) {
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+function requireOwner(owner) {
+  if (!owner) throw new Error('A key owner is required to seal or open a key');
+  return owner;
+}
+
+// Same digest the key pools block keys by
+function fingerprint(plaintext) {
+  return createHash('sha256').update(plaintext).digest('hex').substring(0, 16);
+}
+
+function preview(plaintext) {
+  return plaintext.length > 25
+    ? `${plaintext.substring(0, 15)}...${plaintext.substring(plaintext.length - 4)}`
+    : `${plaintext.substring(0, 20)}...`;
+}
+
+// Wrap a data key with the current master key
+function wrapDataKey(dataKey) {
+  if (!currentKey) {
+    throw new Error('PUTER_KEYS_MASTER_KEY is not configured - keys cannot be stored');
+  }
+  const wrapped = encrypt(currentKey, dataKey);
+  return {
+    kid: currentKid,
+    wrappedKey: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.data]).toString('base64'),
+  };
+}
+
+function unwrapDataKey(record) {
+  const masterKey = masterKeys.get(record.kid);
+  if (!masterKey) {
+    throw new Error(`Master key '${record.kid}' is not configured - cannot open key ${record.fingerprint}`);
+  }
+  const wrapped = Buffer.from(record.wrappedKey, 'base64');
+  return decrypt(masterKey, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28));
+}
+
+// Seal a plaintext key for storage under owner (see userKeyOwner / orgKeyOwner)
+export function sealKey(plaintext, owner) {
+  const dataKey = randomBytes(32);
+  const { iv, tag, data } = encrypt(dataKey, plaintext, requireOwner(owner));
+  return {
+    v: RECORD_VERSION,
+    ...wrapDataKey(dataKey),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    data: data.toString('base64'),
+    fingerprint: fingerprint(plaintext),
+    preview: preview(plaintext),
+  };
+}
+
+// The plaintext key - only to send it to Puter. owner is the document the
+// record was read from; a record sealed for anyone else fails to open.
+export function openKey(stored, owner) {
+  if (!isSealed(stored)) return legacyPlaintext(stored);
+  const aad = stored.v === UNBOUND_RECORD_VERSION ? null : requireOwner(owner);
+  return decrypt(unwrapDataKey(stored), stored.iv, stored.tag, stored.data, aad).toString('utf8');
+}
+
+export function getKeyFingerprint(stored) {
+  return isSealed(stored) ? stored.fingerprint : fingerprint(legacyPlaintext(stored));
+}
+
+export function getKeyPreview(stored) {
+  return isSealed(stored) ? stored.preview : preview(legacyPlaintext(stored));
+}
+
+// The record under the current master key and bound to owner, or null when it
+// already is one. Current records only get their data key re-wrapped; the key
+// itself stays encrypted as it was.
+export function resealKey(stored, owner) {
+  if (!isSealed(stored)) return sealKey(legacyPlaintext(stored), owner);
+  if (stored.v === UNBOUND_RECORD_VERSION) return sealKey(openKey(stored), owner);
+  if (stored.kid === currentKid) return null;
+  return { ...stored, ...wrapDataKey(unwrapDataKey(stored)) };
+}
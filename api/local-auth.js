@@ -0,0 +1,154 @@
+// Local authentication
+// For self-hosting without Firebase: with AUTH_MODE=local the dashboard signs
+// in with an email and password instead of Google, and /api/session hands out
+// session tokens that every route taking a Firebase ID token accepts instead.
+// Accounts come from two places:
+//   - registered on the sign-in page, only with LOCAL_AUTH_SIGNUP=true - the
+//     password's scrypt hash is kept in storage (credentials/{uid})
+//   - AUTH_USERS_FILE, a JSON list of
+//     { email, password | passwordHash, apiKey?, admin? }, managed by whoever
+//     runs the server. apiKey is the account's default API key and works
+//     before its first sign-in; admin opens the admin panel.
+// Session tokens are HS256 JWTs signed with AUTH_SESSION_SECRET and last a
+// week. A local account's uid is derived from its email.
+
+import { createHash, createHmac, randomBytes, scrypt as scryptCallback, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { promisify } from 'util';
+import { credentials } from './storage/index.js';
+
+export const AUTH_MODE = process.env.AUTH_MODE === 'local' ? 'local' : 'firebase';
+export const LOCAL_SIGNUP_ENABLED = process.env.LOCAL_AUTH_SIGNUP === 'true';
+export const MIN_PASSWORD_LENGTH = 8;
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Runs on the libuv thread pool, so hashing doesn't hold up other requests
+const scrypt = promisify(scryptCallback);
+
+let sessionSecret = process.env.AUTH_SESSION_SECRET || '';
+if (AUTH_MODE === 'local' && !sessionSecret) {
+  console.warn('AUTH_SESSION_SECRET is not set - sessions end when the server restarts');
+  sessionSecret = randomBytes(32).toString('hex');
+}
+
+export function isLocalAuth() {
+  return AUTH_MODE === 'local';
+}
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+export function getLocalUserId(email) {
+  return `local_${createHash('sha256').update(normalizeEmail(email)).digest('hex').slice(0, 20)}`;
+}
+
+// scrypt$<salt>$<hash>, both base64
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+let staticUsers = null;
+
+// uid -> plain password of AUTH_USERS_FILE entries without a passwordHash,
+// until their first sign-in hashes it
+const plainPasswords = new Map();
+
+// Accounts from AUTH_USERS_FILE, read once - only in local mode
+export function getStaticUsers() {
+  if (staticUsers) return staticUsers;
+  staticUsers = [];
+  const path = process.env.AUTH_USERS_FILE;
+  if (!isLocalAuth() || !path) return staticUsers;
+
+  try {
+    const entries = JSON.parse(readFileSync(path, 'utf8'));
+    staticUsers = (Array.isArray(entries) ? entries : [])
+      .filter(entry => normalizeEmail(entry?.email))
+      .map(({ password, ...entry }) => {
+        const uid = getLocalUserId(entry.email);
+        if (!entry.passwordHash && password) plainPasswords.set(uid, String(password));
+        return { ...entry, email: normalizeEmail(entry.email), uid, passwordHash: entry.passwordHash || null };
+      });
+  } catch (error) {
+    console.error('Failed to read AUTH_USERS_FILE:', error.message);
+  }
+  return staticUsers;
+}
+
+// Whether password signs in to account (an AUTH_USERS_FILE entry or a
+// credentials document)
+// Checked against for unknown accounts, so they take as long to refuse as a wrong password
+let dummyPasswordHash = null;
+
+// False for a missing account too, after the same scrypt work
+export async function checkAccountPassword(account, password) {
+  if (!account) {
+    dummyPasswordHash ??= hashPassword(randomBytes(16).toString('hex'));
+    await verifyPassword(password, await dummyPasswordHash);
+    return false;
+  }
+  if (!account.passwordHash && plainPasswords.has(account.uid)) {
+    account.passwordHash = await hashPassword(plainPasswords.get(account.uid));
+    plainPasswords.delete(account.uid);
+  }
+  return verifyPassword(password, account.passwordHash);
+}
+
+export function findStaticUser(email) {
+  const normalized = normalizeEmail(email);
+  return getStaticUsers().find(user => user.email === normalized) || null;
+}
+
+// Compared by digest, so the lookup takes the same time for every key
+export function findStaticUserByApiKey(secret) {
+  const digest = createHash('sha256').update(secret).digest();
+  return getStaticUsers().find(user => user.apiKey
+    && timingSafeEqual(createHash('sha256').update(user.apiKey).digest(), digest)) || null;
+}
+
+export function isLocalAdmin(uid) {
+  return getStaticUsers().some(user => user.uid === uid && user.admin === true);
+}
+
+function sign(data) {
+  return createHmac('sha256', sessionSecret).update(data).digest('base64url');
+}
+
+export function issueSessionToken({ uid, email }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ uid, email, iat: now, exp: now + SESSION_TTL_SECONDS })).toString('base64url');
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// The claims of a valid, unexpired session token whose account still exists -
+// { uid, email }, like a decoded Firebase ID token - or null
+export async function verifySessionToken(token) {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!(claims.exp > Date.now() / 1000)) return null;
+    const exists = findStaticUser(claims.email) || (await credentials.get(claims.uid));
+    return exists ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,2 @@
+// Anthropic Messages API entry point (Vercel) - the handler lives in chat.js
+export { messagesHandler as default } from './chat.js';
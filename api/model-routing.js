@@ -0,0 +1,510 @@
+// Model routing
+// The model-name maps that follow upstream renames, kept as data so a rename
+// is a config change rather than a redeploy:
+//   chat.aliases        model ID -> model ID sent upstream, applied before the
+//                       driver is picked (so an alias may move a model to g4f:)
+//   chat.thinking       model ID -> its :thinking variant on OpenRouter, used
+//                       when a request sets thinking_budget
+//   g4f.models          G4F model name -> { model, provider } on the G4F backend
+//   g4f.prefixProviders name prefix -> G4F provider for unmapped models
+//   g4f.fallback        { model, provider } for everything else
+//   images.aliases      image model name -> Puter model name (case-insensitive)
+//   images.openrouter   image model name -> OpenRouter model ID
+//   images.drivers      [{ driver, any?: [...], all?: [...] }] - the first rule
+//                       whose substrings match the model name picks its driver
+//   images.defaultDriver driver for models no rule matches
+//   auto.rules / auto.default / auto.classifier
+//                       how the 'auto' model picks a model (see auto-router.js)
+//
+// The routing lives in storage (system/modelRouting) with a version number and
+// the previous versions for rollback, edited from the admin panel. Set
+// MODEL_ROUTING_FILE to read it from a JSON file instead, which is then the
+// only way to change it. Either way handlers call refreshModelRouting() first
+// and pick up a change within ROUTING_TTL_MS - no restart needed. Sections
+// missing from the stored config use the defaults below.
+
+import { readFile, stat } from 'fs/promises';
+import { modelRouting as routingStore } from './storage/index.js';
+
+export const IMAGE_DRIVERS = ['openai-image-generation', 'gemini-image-generation', 'together-image-generation'];
+
+export const MAX_ROUTING_HISTORY = 10;
+const MAX_MAP_ENTRIES = 500;
+const MAX_NAME_LENGTH = 200;
+const ROUTING_TTL_MS = 30 * 1000;
+
+export const DEFAULT_MODEL_ROUTING = {
+  chat: {
+    aliases: {},
+    // Claude 4.x has no :thinking variant on Puter/OpenRouter yet - those
+    // models get include_reasoning instead
+    thinking: {
+      'claude-3.7-sonnet': 'anthropic/claude-3.7-sonnet:thinking',
+      'claude-3-7-sonnet': 'anthropic/claude-3.7-sonnet:thinking',
+    },
+  },
+  g4f: {
+    models: {
+      // PollinationsAI provider - free, no auth
+      'gpt-4o': { model: 'openai', provider: 'PollinationsAI' },
+      'gpt-4o-mini': { model: 'openai-fast', provider: 'PollinationsAI' },
+      'gpt-4.1': { model: 'openai-large', provider: 'PollinationsAI' },
+      'deepseek-v3': { model: 'deepseek', provider: 'PollinationsAI' },
+      'deepseek-chat': { model: 'deepseek', provider: 'PollinationsAI' },
+      'gemini-fast': { model: 'gemini-fast', provider: 'PollinationsAI' },
+      'mistral': { model: 'mistral', provider: 'PollinationsAI' },
+      'qwen-coder': { model: 'qwen-coder', provider: 'PollinationsAI' },
+
+      // LMArena provider - no auth, has cutting-edge models
+      'gemini-3-pro': { model: 'gemini-3-pro', provider: 'LMArena' },
+      'gemini-3-flash': { model: 'gemini-3-flash', provider: 'LMArena' },
+      'grok-4.1': { model: 'grok-4.1-thinking', provider: 'LMArena' },
+      'claude-opus-4': { model: 'claude-opus-4-5-20251101', provider: 'LMArena' },
+
+      // GeminiPro provider - no auth, high live score
+      'gemini-2.0-flash': { model: 'models/gemini-2.0-flash', provider: 'GeminiPro' },
+      'gemini-2.5-flash': { model: 'models/gemini-2.5-flash-preview-05-20', provider: 'GeminiPro' },
+      'gemini-pro': { model: 'models/gemini-1.5-pro', provider: 'GeminiPro' },
+
+      // DeepInfra provider - no auth, diverse models
+      'glm-4.7': { model: 'zai-org/GLM-4.7', provider: 'DeepInfra' },
+      'deepseek-v3.2': { model: 'deepseek-ai/DeepSeek-V3.2', provider: 'DeepInfra' },
+      'minimax-m2': { model: 'MiniMaxAI/MiniMax-M2', provider: 'DeepInfra' },
+      'kimi-k2': { model: 'moonshotai/Kimi-K2-Thinking', provider: 'DeepInfra' },
+
+      // Groq provider - no auth, fast inference
+      'groq-compound': { model: 'groq/compound', provider: 'Groq' },
+      'groq-compound-mini': { model: 'groq/compound-mini', provider: 'Groq' },
+
+      // Qwen provider - no auth, powerful Chinese models
+      'qwen3-max': { model: 'qwen3-max-preview', provider: 'Qwen' },
+      'qwen-plus': { model: 'qwen-plus-2025-09-11', provider: 'Qwen' },
+      'qwen3-235b': { model: 'qwen3-235b-a22b', provider: 'Qwen' },
+      'qwen3-coder-plus': { model: 'qwen3-coder-plus', provider: 'Qwen' },
+      'qwq-32b': { model: 'qwq-32b', provider: 'Qwen' },
+    },
+    prefixProviders: {
+      'qwen': 'Qwen',
+      'qwq': 'Qwen',
+    },
+    // PollinationsAI's default model
+    fallback: { model: 'openai', provider: 'PollinationsAI' },
+  },
+  images: {
+    aliases: {
+      // OpenRouter/Google names -> Puter-compatible names
+      'google/gemini-2.5-flash-image': 'gemini-2.5-flash-image-preview',
+      'google/gemini-2.5-flash-image-preview': 'gemini-2.5-flash-image-preview',
+      'google/gemini-3-pro-image': 'gemini-3-pro-image-preview',
+      'google/gemini-3-pro-image-preview': 'gemini-3-pro-image-preview',
+
+      'nano-banana': 'gemini-2.5-flash-image-preview',
+      'nano-banana-pro': 'gemini-3-pro-image-preview',
+      'flux-schnell': 'black-forest-labs/FLUX.1-schnell',
+      'flux-schnell-free': 'black-forest-labs/FLUX.1-schnell-Free',
+      'flux-dev': 'black-forest-labs/FLUX.1-dev',
+      'flux-pro': 'black-forest-labs/FLUX.1-pro',
+      'flux-kontext': 'black-forest-labs/FLUX.1-kontext-dev',
+      'sdxl': 'stabilityai/stable-diffusion-xl-base-1.0',
+      'sd3': 'stabilityai/stable-diffusion-3-medium',
+      'stable-diffusion-3': 'stabilityai/stable-diffusion-3-medium',
+      'seedream-3': 'ByteDance-Seed/Seedream-3.0',
+      'seedream-4': 'ByteDance-Seed/Seedream-4.0',
+      'gpt-image-1': 'gpt-image-1',
+      'dall-e-3': 'dall-e-3',
+      'dall-e-2': 'dall-e-2',
+      'imagen-4': 'google/imagen-4.0-preview',
+      'imagen-4-fast': 'google/imagen-4.0-fast',
+      'imagen-4-ultra': 'google/imagen-4.0-ultra',
+    },
+    openrouter: {
+      'nano-banana': 'openrouter:google/gemini-2.5-flash-image-preview',
+      'nano-banana-pro': 'openrouter:google/gemini-3-pro-image-preview',
+      'gemini-2.5-flash-image-preview': 'openrouter:google/gemini-2.5-flash-image-preview',
+      'gemini-3-pro-image-preview': 'openrouter:google/gemini-3-pro-image-preview',
+    },
+    drivers: [
+      { driver: 'openai-image-generation', any: ['gpt-image', 'dall-e', 'dalle'] },
+      // Gemini/Google models (Nano Banana)
+      { driver: 'gemini-image-generation', all: ['gemini', 'image'] },
+      // Google Imagen and FLUX, Stable Diffusion, Seedream etc. via Together
+      {
+        driver: 'together-image-generation',
+        any: [
+          'imagen', 'flash-image', 'black-forest-labs/', 'stabilityai/', 'bytedance', 'flux',
+          'stable-diffusion', 'sdxl', 'sd3', 'seedream', 'hidream',
+          'juggernaut', 'rundiffusion', 'ideogram', 'qwen/qwen-image',
+        ],
+      },
+    ],
+    defaultDriver: 'together-image-generation',
+  },
+  auto: {
+    rules: [
+      { images: true, model: 'gpt-4o' },
+      { thinking: true, model: 'claude-3.7-sonnet' },
+      // Long prompts go to a 1M-token context window
+      { minPromptTokens: 100000, model: 'gemini-2.5-flash' },
+      { tools: true, model: 'gpt-4.1' },
+      { code: true, model: 'gpt-4.1' },
+    ],
+    default: 'gpt-4o-mini',
+    // e.g. { model: 'openrouter:google/gemini-2.0-flash-lite-001',
+    //        categories: { chat: '...', code: '...', reasoning: '...' } }
+    classifier: null,
+  },
+};
+
+const SECTION_FIELDS = {
+  chat: ['aliases', 'thinking'],
+  g4f: ['models', 'prefixProviders', 'fallback'],
+  images: ['aliases', 'openrouter', 'drivers', 'defaultDriver'],
+  auto: ['rules', 'default', 'classifier'],
+};
+
+const MAX_AUTO_CATEGORIES = 20;
+const AUTO_RULE_FLAGS = ['images', 'tools', 'thinking', 'code'];
+const AUTO_RULE_LIMITS = ['minPromptTokens', 'maxPromptTokens'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  return name && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+// { name: name } with non-empty names on both sides
+function normalizeNameMap(input, path) {
+  if (!isPlainObject(input)) return { error: `${path} must be an object of name -> name` };
+  const entries = Object.entries(input);
+  if (entries.length > MAX_MAP_ENTRIES) return { error: `${path} is limited to ${MAX_MAP_ENTRIES} entries` };
+
+  const map = {};
+  for (const [rawKey, rawValue] of entries) {
+    const key = normalizeName(rawKey);
+    const value = normalizeName(rawValue);
+    if (!key || !value) return { error: `${path}['${rawKey}'] must map a model name to a model name` };
+    map[key] = value;
+  }
+  return { value: map };
+}
+
+function normalizeG4FTarget(input, path) {
+  const model = normalizeName(input?.model);
+  const provider = normalizeName(input?.provider);
+  if (!isPlainObject(input) || !model || !provider) {
+    return { error: `${path} must be { model, provider }` };
+  }
+  return { value: { model, provider } };
+}
+
+function normalizeG4FModels(input, path) {
+  if (!isPlainObject(input)) return { error: `${path} must be an object of name -> { model, provider }` };
+  const entries = Object.entries(input);
+  if (entries.length > MAX_MAP_ENTRIES) return { error: `${path} is limited to ${MAX_MAP_ENTRIES} entries` };
+
+  const models = {};
+  for (const [rawKey, rawTarget] of entries) {
+    const key = normalizeName(rawKey);
+    if (!key) return { error: `${path} has an empty model name` };
+    const { value, error } = normalizeG4FTarget(rawTarget, `${path}['${key}']`);
+    if (error) return { error };
+    models[key] = value;
+  }
+  return { value: models };
+}
+
+function normalizeSubstrings(input, path) {
+  if (input === undefined) return { value: undefined };
+  if (!Array.isArray(input) || input.length === 0) return { error: `${path} must be a non-empty list of strings` };
+  const substrings = [];
+  for (const raw of input) {
+    const substring = normalizeName(raw);
+    if (!substring) return { error: `${path} must be a non-empty list of strings` };
+    substrings.push(substring.toLowerCase());
+  }
+  return { value: substrings };
+}
+
+function normalizeDriverRules(input, path) {
+  if (!Array.isArray(input)) return { error: `${path} must be a list of { driver, any?, all? } rules` };
+  if (input.length > MAX_MAP_ENTRIES) return { error: `${path} is limited to ${MAX_MAP_ENTRIES} rules` };
+
+  const rules = [];
+  for (const [index, rawRule] of input.entries()) {
+    const rulePath = `${path}[${index}]`;
+    if (!isPlainObject(rawRule)) return { error: `${rulePath} must be { driver, any?, all? }` };
+    if (!IMAGE_DRIVERS.includes(rawRule.driver)) {
+      return { error: `${rulePath}.driver must be one of ${IMAGE_DRIVERS.join(', ')}` };
+    }
+    const any = normalizeSubstrings(rawRule.any, `${rulePath}.any`);
+    if (any.error) return any;
+    const all = normalizeSubstrings(rawRule.all, `${rulePath}.all`);
+    if (all.error) return all;
+    if (!any.value && !all.value) return { error: `${rulePath} needs 'any' or 'all' substrings` };
+
+    const rule = { driver: rawRule.driver };
+    if (any.value) rule.any = any.value;
+    if (all.value) rule.all = all.value;
+    rules.push(rule);
+  }
+  return { value: rules };
+}
+
+// A model 'auto' may route to - anything but itself
+function normalizeAutoTarget(input, path) {
+  const model = normalizeName(input);
+  if (!model) return { error: `${path} must be a model name` };
+  if (model === 'auto') return { error: `${path} cannot be 'auto'` };
+  return { value: model };
+}
+
+function normalizeAutoRules(input, path) {
+  if (!Array.isArray(input)) return { error: `${path} must be a list of rules` };
+  if (input.length > MAX_MAP_ENTRIES) return { error: `${path} is limited to ${MAX_MAP_ENTRIES} rules` };
+
+  const known = ['model', 'category', ...AUTO_RULE_FLAGS, ...AUTO_RULE_LIMITS];
+  const rules = [];
+  for (const [index, rawRule] of input.entries()) {
+    const rulePath = `${path}[${index}]`;
+    if (!isPlainObject(rawRule)) return { error: `${rulePath} must be an object with a model` };
+    const unknown = Object.keys(rawRule).find(key => !known.includes(key));
+    if (unknown) return { error: `Unknown condition '${rulePath}.${unknown}' - expected ${known.slice(1).join(', ')}` };
+
+    const { value: model, error } = normalizeAutoTarget(rawRule.model, `${rulePath}.model`);
+    if (error) return { error };
+    const rule = {};
+    for (const flag of AUTO_RULE_FLAGS) {
+      if (rawRule[flag] === undefined) continue;
+      if (typeof rawRule[flag] !== 'boolean') return { error: `${rulePath}.${flag} must be true or false` };
+      rule[flag] = rawRule[flag];
+    }
+    for (const limit of AUTO_RULE_LIMITS) {
+      if (rawRule[limit] === undefined) continue;
+      if (!Number.isInteger(rawRule[limit]) || rawRule[limit] < 0) {
+        return { error: `${rulePath}.${limit} must be a whole number of tokens` };
+      }
+      rule[limit] = rawRule[limit];
+    }
+    if (rawRule.category !== undefined) {
+      const category = normalizeName(rawRule.category);
+      if (!category) return { error: `${rulePath}.category must be a category name` };
+      rule.category = category;
+    }
+    if (Object.keys(rule).length === 0) {
+      return { error: `${rulePath} has no conditions - use auto.default for the fallback model` };
+    }
+    rules.push({ ...rule, model });
+  }
+  return { value: rules };
+}
+
+function normalizeAutoClassifier(input, path) {
+  if (input === null) return { value: null };
+  if (!isPlainObject(input)) return { error: `${path} must be null or { model, categories }` };
+  const { value: model, error } = normalizeAutoTarget(input.model, `${path}.model`);
+  if (error) return { error };
+
+  const categories = normalizeNameMap(input.categories, `${path}.categories`);
+  if (categories.error) return categories;
+  const count = Object.keys(categories.value).length;
+  if (count === 0 || count > MAX_AUTO_CATEGORIES) {
+    return { error: `${path}.categories must have 1-${MAX_AUTO_CATEGORIES} categories` };
+  }
+  return { value: { model, categories: categories.value } };
+}
+
+const FIELD_VALIDATORS = {
+  'chat.aliases': normalizeNameMap,
+  'chat.thinking': normalizeNameMap,
+  'g4f.models': normalizeG4FModels,
+  'g4f.prefixProviders': normalizeNameMap,
+  'g4f.fallback': normalizeG4FTarget,
+  'images.aliases': normalizeNameMap,
+  'images.openrouter': normalizeNameMap,
+  'images.drivers': normalizeDriverRules,
+  'images.defaultDriver': (input, path) => (IMAGE_DRIVERS.includes(input)
+    ? { value: input }
+    : { error: `${path} must be one of ${IMAGE_DRIVERS.join(', ')}` }),
+  'auto.rules': normalizeAutoRules,
+  'auto.default': normalizeAutoTarget,
+  'auto.classifier': normalizeAutoClassifier,
+};
+
+// Validate a routing config from the admin panel or MODEL_ROUTING_FILE.
+// Unknown sections and fields are rejected so a typo doesn't silently fall
+// back to the defaults; sections and fields left out take the defaults.
+export function normalizeModelRouting(input) {
+  if (!isPlainObject(input)) {
+    return { error: 'Model routing must be an object with chat, g4f, images and auto sections' };
+  }
+
+  const routing = {};
+  for (const section of Object.keys(input)) {
+    if (!SECTION_FIELDS[section]) {
+      return { error: `Unknown model routing section '${section}' - expected ${Object.keys(SECTION_FIELDS).join(', ')}` };
+    }
+    if (!isPlainObject(input[section])) {
+      return { error: `${section} must be an object` };
+    }
+  }
+
+  for (const [section, fields] of Object.entries(SECTION_FIELDS)) {
+    const given = input[section] || {};
+    const unknown = Object.keys(given).find(field => !fields.includes(field));
+    if (unknown) {
+      return { error: `Unknown field '${section}.${unknown}' - expected ${fields.join(', ')}` };
+    }
+
+    routing[section] = {};
+    for (const field of fields) {
+      if (given[field] === undefined) {
+        routing[section][field] = DEFAULT_MODEL_ROUTING[section][field];
+        continue;
+      }
+      const { value, error } = FIELD_VALIDATORS[`${section}.${field}`](given[field], `${section}.${field}`);
+      if (error) return { error };
+      routing[section][field] = value;
+    }
+  }
+
+  // Category rules need a classifier that knows the category
+  const { rules, classifier } = routing.auto;
+  const unknownCategory = rules.find(rule => rule.category !== undefined
+    && !(classifier && Object.hasOwn(classifier.categories, rule.category)));
+  if (unknownCategory) {
+    return { error: `auto.rules: category '${unknownCategory.category}' is not one of auto.classifier's categories` };
+  }
+
+  return { routing };
+}
+
+// Current routing, refreshed by refreshModelRouting()
+let current = {
+  version: 0,
+  source: 'default',
+  routing: DEFAULT_MODEL_ROUTING,
+};
+let loadedAt = 0;
+let fileMtime = null;
+let pending = null;
+
+function getRoutingFile() {
+  return process.env.MODEL_ROUTING_FILE || null;
+}
+
+export function isRoutingFromFile() {
+  return !!getRoutingFile();
+}
+
+// The file is read again only when it has changed
+async function loadFromFile(path) {
+  const { mtimeMs } = await stat(path);
+  if (mtimeMs === fileMtime) return current;
+
+  const { routing, error } = normalizeModelRouting(JSON.parse(await readFile(path, 'utf8')));
+  if (error) throw new Error(`${path}: ${error}`);
+  fileMtime = mtimeMs;
+  return { version: Math.floor(mtimeMs), source: 'file', updatedAt: new Date(mtimeMs).toISOString(), routing };
+}
+
+// A stored config that no longer validates (e.g. after a driver was removed)
+// is skipped, keeping the last good routing
+async function loadFromStorage() {
+  const doc = await routingStore.get();
+  if (!doc) return { version: 0, source: 'default', routing: DEFAULT_MODEL_ROUTING };
+  if (doc.version === current.version && current.source === 'storage') return current;
+
+  const { routing, error } = normalizeModelRouting(doc.routing);
+  if (error) throw new Error(`stored version ${doc.version}: ${error}`);
+  return { version: doc.version, source: 'storage', updatedAt: doc.updatedAt, updatedBy: doc.updatedBy, routing };
+}
+
+// Reload the routing when it is older than ROUTING_TTL_MS (or always with
+// force). Never throws - a failed load keeps serving the current routing.
+export async function refreshModelRouting({ force = false } = {}) {
+  if (!force && Date.now() - loadedAt < ROUTING_TTL_MS) return current;
+  if (pending) return pending;
+
+  const path = getRoutingFile();
+  pending = (path ? loadFromFile(path) : loadFromStorage())
+    .then(loaded => {
+      if (loaded.version !== current.version || loaded.source !== current.source) {
+        console.log(`[ModelRouting] Using ${loaded.source} routing, version ${loaded.version}`);
+      }
+      current = loaded;
+      return current;
+    })
+    .catch(error => {
+      console.error('[ModelRouting] Failed to load, keeping current routing:', error.message);
+      return current;
+    })
+    .finally(() => {
+      loadedAt = Date.now();
+      pending = null;
+    });
+  return pending;
+}
+
+// The routing handlers read from, synchronously
+export function getModelRouting() {
+  return current.routing;
+}
+
+// { version, source, updatedAt?, updatedBy?, routing } for the admin panel
+export function getModelRoutingState() {
+  return current;
+}
+
+// Previous versions, newest first, without their routing
+export async function getModelRoutingHistory() {
+  if (isRoutingFromFile()) return [];
+  const doc = await routingStore.get();
+  return (doc?.history || []).map(({ version, updatedAt, updatedBy }) => ({ version, updatedAt, updatedBy }));
+}
+
+// Store a new version. baseVersion is the version the admin edited - if
+// someone saved in between, the save is refused rather than overwriting it.
+// Returns { version } or { error, status }.
+export async function saveModelRouting(input, { baseVersion, updatedBy }) {
+  if (isRoutingFromFile()) {
+    return { error: 'Model routing is read from MODEL_ROUTING_FILE - edit that file instead', status: 409 };
+  }
+  const { routing, error } = normalizeModelRouting(input);
+  if (error) return { error, status: 400 };
+
+  const doc = await routingStore.get();
+  const version = doc?.version || 0;
+  if (baseVersion !== undefined && Number(baseVersion) !== version) {
+    return { error: `Model routing was changed by someone else (now version ${version}) - reload and try again`, status: 409 };
+  }
+
+  const history = doc
+    ? [{ version, updatedAt: doc.updatedAt, updatedBy: doc.updatedBy, routing: doc.routing }, ...(doc.history || [])]
+    : [];
+  await routingStore.set({
+    version: version + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+    routing,
+    history: history.slice(0, MAX_ROUTING_HISTORY),
+  });
+
+  await refreshModelRouting({ force: true });
+  return { version: version + 1 };
+}
+
+// Store an earlier version's routing again, as a new version
+export async function rollbackModelRouting(version, { updatedBy }) {
+  if (isRoutingFromFile()) {
+    return { error: 'Model routing is read from MODEL_ROUTING_FILE - edit that file instead', status: 409 };
+  }
+  const doc = await routingStore.get();
+  const previous = (doc?.history || []).find(entry => entry.version === Number(version));
+  if (!previous) return { error: `Version ${version} is not in the routing history`, status: 404 };
+
+  return saveModelRouting(previous.routing, { baseVersion: doc.version, updatedBy });
+}
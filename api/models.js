@@ -1,9 +1,11 @@
-// Cache for models list
-let modelsCache = null;
-let cacheTime = 0;
+// Cache TTL for the image models list
 const CACHE_TTL = 3600000; // 1 hour
 
-import { getG4FModels } from './g4f.js';
+import { listAdapters } from './providers/index.js';
+import { getRequestCredential, lookupCredential, isModelAllowed } from './api-keys.js';
+import { loadUserOrg } from './organizations.js';
+import { listPresets } from './presets.js';
+import { AUTO_MODEL } from './auto-router.js';
 
 // Non-chat models to exclude (code models, embedding models, image models, etc.)
 const NON_CHAT_MODEL_PATTERNS = [
@@ -39,40 +41,17 @@ function isChatModel(modelId) {
   return true;
 }
 
-async function fetchPuterModels() {
-  if (modelsCache && Date.now() - cacheTime < CACHE_TTL) {
-    return modelsCache;
-  }
-
-  try {
-    const response = await fetch('https://api.puter.com/puterai/chat/models', {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'UnifiedAI/1.0',
-      }
-    });
-
-    // Check if response is JSON
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('application/json')) {
-      console.error('Puter models endpoint returned non-JSON:', contentType);
-      return modelsCache || getDefaultModels();
+// Collect chat models from every registered provider adapter
+async function fetchChatModels() {
+  const lists = await Promise.all(listAdapters().map(async (adapter) => {
+    try {
+      return await adapter.listModels();
+    } catch (error) {
+      console.error(`Failed to fetch ${adapter.name} models:`, error);
+      return [];
     }
-
-    const data = await response.json();
-    // Filter to only include OpenRouter chat/text models and driver-supported models
-    modelsCache = (data.models || []).filter(id => isChatModel(id));
-    cacheTime = Date.now();
-    return modelsCache;
-  } catch (error) {
-    console.error('Failed to fetch Puter models:', error);
-    return modelsCache || getDefaultModels();
-  }
-}
-
-// Fallback models if Puter API is unavailable
-function getDefaultModels() {
-  return [];
+  }));
+  return lists.flat().filter(model => isChatModel(model.id));
 }
 
 function categorizeModel(modelId) {
@@ -189,10 +168,34 @@ function getDefaultImageModels() {
   ];
 }
 
+// The caller's presets (see presets.js) as model entries. The list itself is
+// public - presets are only added when the request carries an API key or ID
+// token, and only those whose target the key may use.
+async function fetchPresetModels(req) {
+  const credential = getRequestCredential(req);
+  if (!credential.apiKey && !credential.sessionToken) return [];
+
+  try {
+    const user = await lookupCredential(credential);
+    if (!user) return [];
+    user.org = await loadUserOrg(user.orgId, user.id);
+
+    return listPresets(user)
+      .filter(preset => isModelAllowed(user.authKey, preset.model))
+      .map(({ name, scope, model, ...defaults }) => {
+        const { tier, via } = categorizeModel(model);
+        return { id: name, provider: 'preset', tier, via, type: 'chat', target: model, scope, defaults };
+      });
+  } catch (error) {
+    console.error('Failed to load presets:', error.message);
+    return [];
+  }
+}
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Token');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
 
@@ -211,28 +214,17 @@ export default async function handler(req, res) {
       return res.json({ models: imageModels, total: imageModels.length, type: 'image' });
     }
 
-    const allModels = await fetchPuterModels();
+    const [chatModels, presetModels] = await Promise.all([fetchChatModels(), fetchPresetModels(req)]);
 
-    // Add G4F models
-    const g4fModelsMap = getG4FModels();
-    const g4fModelIds = Object.keys(g4fModelsMap);
-
-    // Transform to enriched format
-    let models = allModels.map(id => {
+    // Transform to enriched format - the caller's presets and 'auto' first
+    const autoModel = {
+      id: AUTO_MODEL, provider: 'auto', tier: 'standard', via: 'auto', type: 'chat',
+      description: 'Picks a model for each request from its features (images, tools, thinking, code, length)',
+    };
+    let models = [...presetModels, autoModel, ...chatModels.map(({ id, description }) => {
       const { provider, tier, via } = categorizeModel(id);
-      return { id, provider, tier, via, type: 'chat' };
-    });
-
-    // Add G4F models to the list
-    const g4fModels = g4fModelIds.map(id => ({
-      id,
-      provider: 'g4f',
-      tier: 'free',
-      via: 'g4f',
-      type: 'chat',
-      description: g4fModelsMap[id].description
-    }));
-    models = [...g4fModels, ...models];
+      return { id, provider, tier, via, type: 'chat', ...(description ? { description } : {}) };
+    })];
 
     // Include image models if type=all
     if (type === 'all') {
@@ -252,7 +244,7 @@ export default async function handler(req, res) {
     }
     if (search) {
       const s = search.toLowerCase();
-      models = models.filter(m => m.id.toLowerCase().includes(s));
+      models = models.filter(m => m.id.toLowerCase().includes(s) || m.target?.toLowerCase().includes(s));
     }
 
     // OpenAI-compatible format
@@ -262,7 +254,8 @@ export default async function handler(req, res) {
         data: models.map(m => ({
           id: m.id,
           object: 'model',
-          owned_by: m.provider,
+          owned_by: m.target ? (m.scope === 'org' ? 'organization' : 'user') : m.provider,
+          ...(m.target ? { target: m.target } : {}),
           permission: [],
         })),
       });
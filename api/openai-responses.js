@@ -0,0 +1,425 @@
+// OpenAI Responses API compatibility
+// Converts /v1/responses requests (input items, instructions, function tools)
+// into chat completions bodies for the chat handler, and converts the handler's
+// JSON and SSE output back into response objects and typed stream events.
+
+import { randomUUID } from 'crypto';
+import { RelayResponse } from './relay.js';
+
+// Rough thinking budgets for reasoning.effort
+const REASONING_BUDGETS = { minimal: 1000, low: 2000, medium: 8000, high: 16000 };
+
+function newId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '')}`;
+}
+
+export function newResponseId() {
+  return newId('resp');
+}
+
+// Convert Responses content parts to chat message content
+function convertContent(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+
+  const parts = content.map(part => {
+    if (typeof part === 'string') return { type: 'text', text: part };
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      return { type: 'text', text: part.text || '' };
+    }
+    if (part.type === 'input_image') {
+      const url = part.image_url || part.url;
+      return url ? { type: 'image_url', image_url: { url, detail: part.detail } } : null;
+    }
+    if (part.type === 'input_file') {
+      return part.file_data ? { type: 'file', file: { filename: part.filename || 'file', file_data: part.file_data } } : null;
+    }
+    return null;
+  }).filter(Boolean);
+
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+// Convert Responses input (string or item list) to chat messages
+export function inputToMessages(input) {
+  if (input == null) return [];
+  if (typeof input === 'string') return [{ role: 'user', content: input }];
+
+  const messages = [];
+  for (const item of input) {
+    const type = item.type || 'message';
+
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      messages.push({ role, content: convertContent(item.content) });
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' },
+      };
+      // Calls from the same turn share one assistant message
+      const last = messages[messages.length - 1];
+      if (last?.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls || []), toolCall];
+        if (last.content === '') last.content = null;
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output),
+      });
+    }
+    // reasoning and item_reference items are not replayed upstream
+  }
+  return messages;
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice || typeof toolChoice === 'string') return toolChoice;
+  if (toolChoice.type === 'function') return { type: 'function', function: { name: toolChoice.name } };
+  return undefined;
+}
+
+// Build the chat completions body for a Responses request.
+// history: chat messages rebuilt from previous_response_id (may be empty)
+export function responsesToChatRequest(body, history = []) {
+  const inputMessages = inputToMessages(body.input);
+  const messages = [...history, ...inputMessages];
+  if (body.instructions) {
+    messages.unshift({ role: 'system', content: body.instructions });
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    stream: !!body.stream,
+  };
+
+  if (body.max_output_tokens) request.max_tokens = body.max_output_tokens;
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (body.reasoning?.effort) request.thinking_budget = REASONING_BUDGETS[body.reasoning.effort] || REASONING_BUDGETS.medium;
+  if (body.stream) request.stream_options = { include_usage: true };
+
+  const tools = (body.tools || []).filter(tool => tool.type === 'function');
+  if (tools.length > 0) {
+    request.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} },
+      },
+    }));
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) request.tool_choice = toolChoice;
+  }
+
+  return { request, inputMessages };
+}
+
+// Skeleton response object shared by JSON and streaming replies
+function baseResponse(id, body, model) {
+  return {
+    id,
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status: 'in_progress',
+    error: null,
+    incomplete_details: null,
+    instructions: body.instructions || null,
+    max_output_tokens: body.max_output_tokens || null,
+    model,
+    output: [],
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id || null,
+    reasoning: body.reasoning || null,
+    store: body.store !== false,
+    temperature: body.temperature ?? null,
+    tool_choice: body.tool_choice || 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p ?? null,
+    usage: null,
+    metadata: body.metadata || {},
+  };
+}
+
+function messageItem(text) {
+  return {
+    type: 'message',
+    id: newId('msg'),
+    status: 'completed',
+    role: 'assistant',
+    content: [{ type: 'output_text', text, annotations: [] }],
+  };
+}
+
+function reasoningItem(text) {
+  return { type: 'reasoning', id: newId('rs'), summary: [{ type: 'summary_text', text }] };
+}
+
+function functionCallItem(toolCall) {
+  return {
+    type: 'function_call',
+    id: newId('fc'),
+    call_id: toolCall.id,
+    name: toolCall.function?.name,
+    arguments: typeof toolCall.function?.arguments === 'string'
+      ? toolCall.function.arguments
+      : JSON.stringify(toolCall.function?.arguments || {}),
+    status: 'completed',
+  };
+}
+
+function convertUsage(usage) {
+  const input = usage?.prompt_tokens || 0;
+  const output = usage?.completion_tokens || 0;
+  return {
+    input_tokens: input,
+    output_tokens: output,
+    total_tokens: usage?.total_tokens || input + output,
+  };
+}
+
+// Assistant chat message for the stored conversation
+function assistantMessage(text, toolCalls) {
+  const message = { role: 'assistant', content: text || null };
+  if (toolCalls.length > 0) message.tool_calls = toolCalls;
+  return message;
+}
+
+// Convert a chat completion to a completed response object
+export function chatToResponse(id, body, completion) {
+  const response = baseResponse(id, body, completion.model || body.model);
+  const message = completion.choices?.[0]?.message || {};
+  const toolCalls = message.tool_calls || [];
+
+  const reasoning = message.reasoning_content || message.reasoning;
+  if (reasoning) response.output.push(reasoningItem(reasoning));
+  if (message.content) response.output.push(messageItem(message.content));
+  for (const toolCall of toolCalls) response.output.push(functionCallItem(toolCall));
+
+  response.status = completion.choices?.[0]?.finish_reason === 'length' ? 'incomplete' : 'completed';
+  if (response.status === 'incomplete') response.incomplete_details = { reason: 'max_output_tokens' };
+  response.output_text = message.content || '';
+  response.usage = convertUsage(completion.usage);
+
+  return { response, message: assistantMessage(message.content, toolCalls) };
+}
+
+// Convert a chat handler error body to a Responses error body
+export function responsesError(status, body) {
+  const message = body?.error?.message || body?.error || 'Unknown error';
+  return {
+    error: {
+      message: typeof message === 'string' ? message : JSON.stringify(message),
+      type: body?.error?.type || (status === 401 ? 'authentication_error' : status < 500 ? 'invalid_request_error' : 'server_error'),
+      code: body?.error?.code || null,
+      param: body?.error?.param || null,
+    },
+  };
+}
+
+// Translates chat.completion.chunk objects into Responses stream events
+class ResponsesStreamTranslator {
+  constructor(res, id, body, onComplete) {
+    this.res = res;
+    this.body = body;
+    this.onComplete = onComplete;
+    this.response = baseResponse(id, body, body.model);
+    this.sequence = 0;
+    this.started = false;
+    this.current = null; // { kind, item, outputIndex, text }
+    this.text = '';
+    this.toolCalls = new Map(); // chat tool call index -> { item, outputIndex, toolCall }
+    this.finishReason = 'stop';
+    this.usage = null;
+    this.finishing = null;
+  }
+
+  send(type, data) {
+    this.res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: this.sequence++, ...data })}\n\n`);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.send('response.created', { response: this.response });
+    this.send('response.in_progress', { response: this.response });
+  }
+
+  addItem(item) {
+    this.closeCurrent();
+    const outputIndex = this.response.output.length;
+    this.response.output.push(item);
+    this.send('response.output_item.added', { output_index: outputIndex, item: { ...item, status: 'in_progress' } });
+    return outputIndex;
+  }
+
+  openText(kind) {
+    const item = kind === 'reasoning'
+      ? { type: 'reasoning', id: newId('rs'), summary: [] }
+      : { type: 'message', id: newId('msg'), status: 'in_progress', role: 'assistant', content: [] };
+    const outputIndex = this.addItem(item);
+    this.current = { kind, item, outputIndex, text: '' };
+
+    if (kind === 'reasoning') {
+      this.send('response.reasoning_summary_part.added', {
+        item_id: item.id, output_index: outputIndex, summary_index: 0, part: { type: 'summary_text', text: '' },
+      });
+    } else {
+      this.send('response.content_part.added', {
+        item_id: item.id, output_index: outputIndex, content_index: 0, part: { type: 'output_text', text: '', annotations: [] },
+      });
+    }
+  }
+
+  closeCurrent() {
+    const current = this.current;
+    if (!current) return;
+    this.current = null;
+    const { kind, item, outputIndex, text } = current;
+
+    if (kind === 'reasoning') {
+      const part = { type: 'summary_text', text };
+      item.summary = [part];
+      this.send('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text });
+      this.send('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+    } else {
+      const part = { type: 'output_text', text, annotations: [] };
+      item.content = [part];
+      item.status = 'completed';
+      this.send('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+      this.send('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+    }
+    this.send('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  appendText(kind, delta) {
+    if (this.current?.kind !== kind) this.openText(kind);
+    const { item, outputIndex } = this.current;
+    this.current.text += delta;
+
+    if (kind === 'reasoning') {
+      this.send('response.reasoning_summary_text.delta', { item_id: item.id, output_index: outputIndex, summary_index: 0, delta });
+    } else {
+      this.text += delta;
+      this.send('response.output_text.delta', { item_id: item.id, output_index: outputIndex, content_index: 0, delta });
+    }
+  }
+
+  appendToolCall(delta) {
+    const callIndex = delta.index ?? 0;
+    let entry = this.toolCalls.get(callIndex);
+    if (!entry) {
+      const toolCall = { id: delta.id || `call_${Date.now()}_${callIndex}`, type: 'function', function: { name: delta.function?.name, arguments: '' } };
+      const item = { type: 'function_call', id: newId('fc'), call_id: toolCall.id, name: toolCall.function.name, arguments: '', status: 'in_progress' };
+      entry = { item, toolCall, outputIndex: this.addItem(item) };
+      this.toolCalls.set(callIndex, entry);
+    }
+
+    const args = delta.function?.arguments;
+    if (args) {
+      const text = typeof args === 'string' ? args : JSON.stringify(args);
+      entry.toolCall.function.arguments += text;
+      entry.item.arguments += text;
+      this.send('response.function_call_arguments.delta', { item_id: entry.item.id, output_index: entry.outputIndex, delta: text });
+    }
+  }
+
+  closeToolCalls() {
+    for (const { item, outputIndex } of this.toolCalls.values()) {
+      item.status = 'completed';
+      this.send('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+      this.send('response.output_item.done', { output_index: outputIndex, item });
+    }
+  }
+
+  chunk(chunk) {
+    if (this.finishing) return;
+    if (chunk.error) {
+      this.fail(chunk.error.message || 'Stream error');
+      return;
+    }
+    this.start();
+
+    if (chunk.model) this.response.model = chunk.model;
+    if (chunk.usage) this.usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+
+    const reasoning = delta.reasoning_content || delta.reasoning;
+    if (reasoning) this.appendText('reasoning', reasoning);
+    if (delta.content) this.appendText('message', delta.content);
+    for (const toolCall of delta.tool_calls || []) this.appendToolCall(toolCall);
+    if (choice.finish_reason) this.finishReason = choice.finish_reason;
+  }
+
+  // Idempotent - called on [DONE] and again when the handler ends the response
+  finish() {
+    if (!this.finishing) this.finishing = this.complete();
+    return this.finishing;
+  }
+
+  async complete() {
+    this.start();
+    this.closeCurrent();
+    this.closeToolCalls();
+
+    const response = this.response;
+    response.status = this.finishReason === 'length' ? 'incomplete' : 'completed';
+    if (response.status === 'incomplete') response.incomplete_details = { reason: 'max_output_tokens' };
+    response.output_text = this.text;
+    response.usage = convertUsage(this.usage);
+
+    const toolCalls = [...this.toolCalls.values()].map(entry => entry.toolCall);
+    await this.onComplete(response, assistantMessage(this.text, toolCalls));
+
+    this.send(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+  }
+
+  fail(message) {
+    if (this.finishing) return;
+    this.finishing = Promise.resolve();
+    this.start();
+    this.response.status = 'failed';
+    this.response.error = { code: 'server_error', message };
+    this.send('response.failed', { response: this.response });
+  }
+}
+
+// Build a relay response that lets handler() answer in Responses format.
+// onComplete(response, assistantMessage) persists the finished response.
+export function createResponsesRelay(res, id, body, onComplete) {
+  const translator = new ResponsesStreamTranslator(res, id, body, onComplete);
+
+  return new RelayResponse(res, {
+    async json(status, payload) {
+      if (status >= 400 || payload?.error) {
+        return res.status(status >= 400 ? status : 500).json(responsesError(status, payload));
+      }
+      const { response, message } = chatToResponse(id, body, payload);
+      await onComplete(response, message);
+      return res.status(status).json(response);
+    },
+    chunk(data) {
+      translator.chunk(data);
+    },
+    done() {
+      translator.finish();
+    },
+    async end() {
+      await translator.finish();
+      res.end();
+    },
+  });
+}
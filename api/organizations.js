@@ -0,0 +1,94 @@
+// Organizations
+// A team shares Puter keys and spend through an organization
+// (organizations/{orgId}). A user belongs to at most one (users.orgId) and has
+// a role in its members map:
+//   owner  - created it; everything admins can do, plus deleting it
+//   admin  - manages members, the org's Puter keys and budgets
+//   member - uses the org's keys and sees its usage
+// Owners and admins invite existing accounts by email; the invite waits in the
+// org's invites map and the invitee's users.orgInvites until they accept or
+// decline it, and a member can leave at any time.
+// The org's puterKeys are sealed like users' keys (see key-vault.js) and are
+// drawn on after a member's own keys and before the system pool. Requests are
+// logged with both userId and orgId, and logUsage adds their cost to the org's
+// spend counters - the same dailySpend / monthlySpend fields a user has - which
+// the org's budgets cap (see budget.js). Its presets are model presets every
+// member can call (see presets.js).
+
+import { randomBytes } from 'crypto';
+import { getKeyPreview } from './key-vault.js';
+import { evaluateBudgets } from './budget.js';
+import { organizations } from './storage/index.js';
+
+export const ORG_ROLES = ['owner', 'admin', 'member'];
+export const MAX_ORG_MEMBERS = 50;
+
+export function generateOrgId() {
+  return `org_${randomBytes(6).toString('hex')}`;
+}
+
+// The org a user belongs to, or null - including when they were removed from
+// its members but users.orgId wasn't cleared
+export async function loadUserOrg(orgId, uid) {
+  if (!orgId) return null;
+  const org = await organizations.get(orgId);
+  return org?.members?.[uid] ? org : null;
+}
+
+export function getOrgRole(org, uid) {
+  return org?.members?.[uid]?.role || null;
+}
+
+export function canManageOrg(org, uid) {
+  const role = getOrgRole(org, uid);
+  return role === 'owner' || role === 'admin';
+}
+
+export function normalizeOrgName(value) {
+  const name = String(value || '').trim();
+  if (!name) return { error: 'name is required' };
+  if (name.length > 60) return { error: 'name must be at most 60 characters' };
+  return { name };
+}
+
+// Role a member can be given - there is only one owner
+export function normalizeMemberRole(value = 'member') {
+  if (!['admin', 'member'].includes(value)) return { error: 'role must be admin or member' };
+  return { role: value };
+}
+
+// Org for display to one of its members - keys by their preview only, spend
+// against the org's own budgets
+export function maskOrg(org, uid) {
+  return {
+    id: org.id,
+    name: org.name,
+    ownerId: org.ownerId,
+    role: getOrgRole(org, uid),
+    members: Object.entries(org.members || {})
+      .map(([memberId, member]) => ({ uid: memberId, ...member }))
+      .sort((a, b) => ORG_ROLES.indexOf(a.role) - ORG_ROLES.indexOf(b.role) || (a.email || '').localeCompare(b.email || '')),
+    puterKeys: (org.puterKeys || []).map((key, index) => ({ id: index, preview: getKeyPreview(key) })),
+    puterKeysCount: org.puterKeys?.length || 0,
+    budgets: org.budgets || null,
+    budget: evaluateBudgets({ org }, null),
+    presets: org.presets || {},
+    // Pending invites, for the people who can withdraw them
+    invites: canManageOrg(org, uid)
+      ? Object.entries(org.invites || {})
+        .map(([inviteeId, invite]) => ({ uid: inviteeId, ...invite }))
+        .sort((a, b) => a.invitedAt.localeCompare(b.invitedAt))
+      : [],
+    totalRequests: org.totalRequests || 0,
+    totalTokens: org.totalTokens || 0,
+    totalCost: org.totalCost || 0,
+    createdAt: org.createdAt,
+  };
+}
+
+// Invites waiting for a user's answer
+export function listOrgInvites(user) {
+  return Object.entries(user?.orgInvites || {})
+    .map(([orgId, invite]) => ({ orgId, ...invite }))
+    .sort((a, b) => a.invitedAt.localeCompare(b.invitedAt));
+}
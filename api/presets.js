@@ -0,0 +1,106 @@
+// Model presets
+// A preset is a model name of the user's own (or their organization's) that
+// stands for a real model plus request defaults, e.g.
+//   "team-fast": { model: "g4f:gpt-4o-mini", temperature: 0.2, max_tokens: 1024,
+//                  system: "Answer briefly." }
+// Chat requests for "team-fast" are rewritten before routing:
+//   model        replaces the requested name (one step - a preset can't point
+//                at another preset)
+//   temperature  used when the request doesn't set one
+//   max_tokens   caps the request's max_tokens, or sets it
+//   system       prefixed to the request's system prompt
+// A preset without the other fields is a plain alias. Users keep theirs in
+// users.presets, organizations in organizations.presets (managed by owners and
+// admins); a user's preset wins over an org preset of the same name.
+
+export const MAX_PRESETS = 50;
+export const MAX_PRESET_SYSTEM_LENGTH = 4000;
+
+// No ':' so a preset can't look like a provider-prefixed model ID
+const PRESET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Validate one preset from the dashboard, as { name, preset } or { error }
+export function normalizePreset(rawName, input) {
+  const name = String(rawName || '').trim();
+  if (!PRESET_NAME_PATTERN.test(name)) {
+    return { error: 'Preset name must be 1-64 letters, digits, dots, dashes or underscores' };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'preset must be an object with a model' };
+  }
+
+  const model = String(input.model || '').trim();
+  if (!model) return { error: 'Preset model is required' };
+  if (model === name) return { error: 'A preset cannot point at itself' };
+
+  const preset = { model };
+
+  if (input.temperature !== undefined && input.temperature !== null && input.temperature !== '') {
+    const temperature = Number(input.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      return { error: 'temperature must be between 0 and 2' };
+    }
+    preset.temperature = temperature;
+  }
+
+  if (input.max_tokens !== undefined && input.max_tokens !== null && input.max_tokens !== '') {
+    const maxTokens = Number(input.max_tokens);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      return { error: 'max_tokens must be a positive whole number' };
+    }
+    preset.max_tokens = maxTokens;
+  }
+
+  const system = String(input.system || '').trim();
+  if (system.length > MAX_PRESET_SYSTEM_LENGTH) {
+    return { error: `system prompt is limited to ${MAX_PRESET_SYSTEM_LENGTH} characters` };
+  }
+  if (system) preset.system = system;
+
+  return { name, preset };
+}
+
+// The preset a request's model names for this user, as
+// { name, scope: 'user' | 'org', preset } or null
+export function resolvePreset(model, user) {
+  if (typeof model !== 'string') return null;
+  for (const [scope, presets] of [['user', user?.presets], ['org', user?.org?.presets]]) {
+    if (presets && Object.hasOwn(presets, model)) {
+      return { name: model, scope, preset: presets[model] };
+    }
+  }
+  return null;
+}
+
+// A chat request body with the preset applied
+export function applyPreset(body, preset) {
+  const applied = { ...body, model: preset.model };
+
+  if (applied.temperature === undefined || applied.temperature === null) {
+    if (preset.temperature !== undefined) applied.temperature = preset.temperature;
+  }
+  if (preset.max_tokens) {
+    applied.max_tokens = applied.max_tokens ? Math.min(applied.max_tokens, preset.max_tokens) : preset.max_tokens;
+  }
+
+  if (preset.system && Array.isArray(body.messages)) {
+    const [first, ...rest] = body.messages;
+    applied.messages = first?.role === 'system' && typeof first.content === 'string'
+      ? [{ ...first, content: `${preset.system}\n\n${first.content}` }, ...rest]
+      : [{ role: 'system', content: preset.system }, ...body.messages];
+  }
+
+  return applied;
+}
+
+// Every preset a user can call, for the models list - the user's own over the
+// org's of the same name
+export function listPresets(user) {
+  const merged = new Map();
+  for (const [scope, presets] of [['org', user?.org?.presets], ['user', user?.presets]]) {
+    for (const [name, preset] of Object.entries(presets || {})) {
+      merged.set(name, { name, scope, ...preset });
+    }
+  }
+  return [...merged.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
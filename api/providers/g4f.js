@@ -0,0 +1,24 @@
+// G4F provider - free models through the g4f.dev backend (see ../g4f.js)
+
+import { callG4F, callG4FStream, getG4FModels } from '../g4f.js';
+
+export const g4fAdapter = {
+  id: 'g4f',
+  name: 'G4F',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: false, vision: false, thinking: false },
+
+  async complete(messages, modelId, options) {
+    const response = await callG4F(messages, modelId, options);
+    return { response, keyUsed: null };
+  },
+
+  async stream(messages, modelId, options, credentials, onChunk) {
+    await callG4FStream(messages, modelId, options, onChunk);
+    return { keyUsed: null };
+  },
+
+  async listModels() {
+    return Object.entries(getG4FModels()).map(([id, info]) => ({ id, description: info.description }));
+  },
+};
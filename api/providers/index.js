@@ -0,0 +1,51 @@
+// Provider adapter registry
+// Each backend is an adapter the chat handler routes to by driver name:
+//
+//   id              driver name returned by getDriverAndModel()
+//   name            display name for logs
+//   usesPuterKeys   requests draw on Puter tokens / key pools (daily limit applies)
+//   capabilities    { streaming, tools, vision, thinking }
+//   complete(messages, model, options, credentials) -> { response, keyUsed }
+//     response is an OpenAI chat.completion object
+//   stream(messages, model, options, credentials, onChunk) -> { keyUsed, failovers? }
+//     failovers counts mid-stream key switches; onChunk gets { type: 'text' | 'reasoning', text },
+//     { type: 'tool_use', id, name, arguments }, when the upstream meters
+//     tokens { type: 'usage', usage } (OpenAI usage fields, optional costs),
+//     and when it says why it stopped { type: 'finish', reason } (e.g. 'length')
+//   listModels() -> [{ id, description? }]
+//
+// options: { temperature, max_tokens, tools, tool_choice, thinking_budget, signal }
+//   signal aborts upstream requests when the client disconnects
+// credentials: { puterToken, userKeys, orgKeys, systemKeys, userId, orgId } for Puter adapters,
+//   { upstream } for the OpenAI-compatible adapter
+
+import { getDriverAndModel, aiChatAdapter, togetherAdapter } from './puter.js';
+import { g4fAdapter } from './g4f.js';
+import { openAICompatibleAdapter } from './openai-compatible.js';
+
+const adapters = new Map();
+
+export function registerAdapter(adapter) {
+  adapters.set(adapter.id, adapter);
+}
+
+export function getAdapter(id) {
+  return adapters.get(id) || null;
+}
+
+export function listAdapters() {
+  return [...adapters.values()];
+}
+
+// Pick the adapter that serves a model ID
+export function resolveAdapter(modelId) {
+  const { driver } = getDriverAndModel(modelId);
+  return getAdapter(driver);
+}
+
+registerAdapter(g4fAdapter);
+registerAdapter(aiChatAdapter);
+registerAdapter(togetherAdapter);
+registerAdapter(openAICompatibleAdapter);
+
+export { getDriverAndModel };
@@ -0,0 +1,365 @@
+// OpenAI-compatible upstream provider
+// Sends requests straight to any /v1/chat/completions server - OpenRouter with
+// our own key, a vLLM deployment, a local llama.cpp or Ollama server. Upstreams
+// are registered by users (users.upstreams) and admins (system config
+// systemUpstreams) and claim models by prefix: 'myvllm:llama-3-8b' goes to the
+// 'myvllm' upstream as model 'llama-3-8b'.
+// A user's upstream is fetched on the gateway's network, so unless an admin
+// sets allowPrivateUpstreams it must use https and may only connect to public
+// addresses - the check runs on every connection, after DNS resolution, so a
+// hostname can't be re-pointed at 127.0.0.1 or 169.254.169.254 later.
+// Redirects are not followed. Stored upstream keys are sealed like Puter keys
+// (see key-vault.js) and opened only to build the Authorization header.
+
+import { randomUUID } from 'crypto';
+import { lookup as dnsLookup, promises as dnsPromises } from 'dns';
+import { BlockList, isIP } from 'net';
+import http from 'http';
+import https from 'https';
+import { Readable } from 'stream';
+import { sealKey, openKey, getKeyPreview } from '../key-vault.js';
+
+// Prefixes the built-in drivers already route on
+export const RESERVED_PREFIXES = ['g4f', 'openrouter', 'anthropic', 'togetherai'];
+
+const PREFIX_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+const UPSTREAM_TIMEOUT_MS = 120000;
+// Longest silence allowed once the response has started (streams included)
+const UPSTREAM_IDLE_TIMEOUT_MS = 60000;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved
+// ranges, and the NAT64 prefixes that would reach any IPv4 address through a gateway
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// Statuses a Response can't carry a body for
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+// Prefix of a model ID if it could belong to a registered upstream
+export function getUpstreamPrefix(modelId) {
+  const idx = modelId.indexOf(':');
+  if (idx <= 0) return null;
+  const prefix = modelId.slice(0, idx).toLowerCase();
+  return RESERVED_PREFIXES.includes(prefix) ? null : prefix;
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Whether requests to this upstream are held to https and public addresses
+function isRestricted(upstream) {
+  return upstream.scope === 'user' && !upstream.allowPrivateNetwork;
+}
+
+function getHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+// dns.lookup for restricted upstreams - fails when any address is private
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      const error = new Error(`${hostname} resolves to a private address`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Validate user input and build a stored upstream record, as { upstream } or
+// { error }. restricted holds the base URL to https and public addresses.
+export async function createUpstream({ name, baseUrl, apiKey, prefix } = {}, { restricted = false } = {}) {
+  const normalizedPrefix = (prefix || '').trim().toLowerCase();
+  if (!PREFIX_PATTERN.test(normalizedPrefix)) {
+    return { error: 'Prefix must be 1-32 characters: lowercase letters, digits, ".", "_" or "-"' };
+  }
+  if (RESERVED_PREFIXES.includes(normalizedPrefix)) {
+    return { error: `Prefix '${normalizedPrefix}' is reserved` };
+  }
+
+  let url;
+  try {
+    url = new URL((baseUrl || '').trim());
+  } catch (e) {
+    return { error: 'Base URL must be a valid URL, e.g. http://localhost:11434/v1' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'Base URL must use http or https' };
+  }
+
+  if (restricted) {
+    if (url.protocol !== 'https:') {
+      return { error: 'Base URL must use https' };
+    }
+    const hostname = getHostname(url);
+    let addresses;
+    try {
+      addresses = isIP(hostname) ? [hostname] : (await dnsPromises.lookup(hostname, { all: true })).map(a => a.address);
+    } catch (e) {
+      return { error: `Base URL host ${hostname} could not be resolved` };
+    }
+    if (addresses.some(isPrivateAddress)) {
+      return { error: 'Base URL must point at a public address' };
+    }
+  }
+
+  return {
+    upstream: {
+      id: randomUUID(),
+      name: (name || '').trim() || normalizedPrefix,
+      baseUrl: url.toString().replace(/\/+$/, ''),
+      apiKey: (apiKey || '').trim(),
+      prefix: normalizedPrefix,
+      createdAt: new Date().toISOString(),
+    }
+  };
+}
+
+// The record to store, with its key sealed for owner ('user:<uid>' or 'system')
+export function sealUpstream(upstream, owner) {
+  return { ...upstream, apiKey: upstream.apiKey ? sealKey(upstream.apiKey, owner) : '' };
+}
+
+// Upstream record safe to return to the dashboard
+export function maskUpstream(upstream) {
+  const { apiKey, ...rest } = upstream;
+  return {
+    ...rest,
+    keyPreview: apiKey ? getKeyPreview(apiKey) : null,
+  };
+}
+
+// One HTTP request as a fetch Response. The body errors out when the upstream
+// goes quiet for UPSTREAM_IDLE_TIMEOUT_MS, so a stalled stream can't hang.
+function sendRequest(upstream, url, { method, headers, body, signal }) {
+  const transport = url.protocol === 'https:' ? https : http;
+  const options = { method, headers: { ...headers }, signal, ...(isRestricted(upstream) ? { lookup: publicLookup } : {}) };
+  if (body) options.headers['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, options, (incoming) => {
+      let idleTimer;
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          incoming.destroy(new Error(`Upstream ${upstream.prefix} stalled - no data for ${UPSTREAM_IDLE_TIMEOUT_MS / 1000}s`));
+        }, UPSTREAM_IDLE_TIMEOUT_MS);
+      };
+      resetIdleTimer();
+      incoming.on('data', resetIdleTimer);
+      incoming.on('close', () => clearTimeout(idleTimer));
+
+      const responseHeaders = new Headers();
+      for (const [name, value] of Object.entries(incoming.headers)) {
+        for (const item of [].concat(value)) responseHeaders.append(name, item);
+      }
+      const status = incoming.statusCode;
+      const responseBody = NULL_BODY_STATUSES.has(status) ? null : Readable.toWeb(incoming);
+      if (!responseBody) incoming.resume();
+      resolve(new Response(responseBody, { status, headers: responseHeaders }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function fetchUpstream(upstream, path, options = {}) {
+  const url = new URL(`${upstream.baseUrl}${path}`);
+  if (isRestricted(upstream)) {
+    if (url.protocol !== 'https:') {
+      throw new Error(`Upstream ${upstream.prefix} must use https`);
+    }
+    if (isPrivateAddress(getHostname(url))) {
+      throw new Error(`Upstream ${upstream.prefix} points at a private address`);
+    }
+  }
+
+  const headers = { 'Content-Type': 'application/json', ...options.headers };
+  // keyOwner is set by the route for stored upstreams; keys not yet saved are plaintext
+  if (upstream.apiKey) headers['Authorization'] = `Bearer ${openKey(upstream.apiKey, upstream.keyOwner)}`;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+
+  try {
+    const signal = options.signal ? AbortSignal.any([controller.signal, options.signal]) : controller.signal;
+    const response = await sendRequest(upstream, url, { ...options, headers, signal });
+    if (!response.ok) {
+      // The body stays in the logs - it may come from a server the caller can't otherwise see
+      const errorText = await response.text().catch(() => '');
+      console.error(`[Upstream] ${upstream.prefix} returned ${response.status}: ${errorText.substring(0, 500)}`);
+      const error = new Error(`Upstream ${upstream.prefix} error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  } catch (err) {
+    if (err.name === 'AbortError' && !options.signal?.aborted) {
+      throw new Error(`Upstream ${upstream.prefix} timeout after ${UPSTREAM_TIMEOUT_MS / 1000}s`);
+    }
+    if (err.code === 'EPRIVATEADDRESS') {
+      throw new Error(`Upstream ${upstream.prefix} points at a private address`);
+    }
+    throw err;
+  } finally {
+    // Only the wait for headers is timed here - the body has the idle timeout
+    clearTimeout(timeoutId);
+  }
+}
+
+// List the models an upstream serves, as prefixed IDs (also used as a connectivity test)
+export async function listUpstreamModels(upstream) {
+  const response = await fetchUpstream(upstream, '/models', { method: 'GET' });
+  const data = await response.json();
+  return (data.data || data.models || [])
+    .map(m => typeof m === 'string' ? m : m.id)
+    .filter(Boolean)
+    .map(id => `${upstream.prefix}:${id}`);
+}
+
+function buildRequestBody(messages, modelId, options, upstream, stream) {
+  const body = {
+    model: modelId.slice(upstream.prefix.length + 1),
+    messages,
+    stream,
+  };
+  // Ask for the final usage chunk so streamed requests are metered too
+  if (stream) body.stream_options = { include_usage: true };
+  if (options.max_tokens) body.max_tokens = options.max_tokens;
+  if (options.temperature !== undefined) body.temperature = options.temperature;
+  if (options.tools) body.tools = options.tools;
+  if (options.tool_choice) body.tool_choice = options.tool_choice;
+  return body;
+}
+
+// Only a user's own upstream counts as a user key in usage logs
+function getKeyUsed(upstream) {
+  return upstream.scope === 'user' ? `upstream:${upstream.id}` : null;
+}
+
+export const openAICompatibleAdapter = {
+  id: 'openai-compatible',
+  name: 'OpenAI-compatible',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: false },
+
+  async complete(messages, modelId, options, { upstream }) {
+    console.log(`[Upstream] Non-streaming request to ${upstream.baseUrl} for ${modelId}`);
+    const response = await fetchUpstream(upstream, '/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(buildRequestBody(messages, modelId, options, upstream, false)),
+      signal: options.signal,
+    });
+    const data = await response.json();
+
+    return {
+      response: {
+        ...data,
+        object: 'chat.completion',
+        model: modelId,
+        usage: data.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      },
+      keyUsed: getKeyUsed(upstream),
+    };
+  },
+
+  async stream(messages, modelId, options, { upstream }, onChunk) {
+    console.log(`[Upstream] Streaming request to ${upstream.baseUrl} for ${modelId}`);
+    const response = await fetchUpstream(upstream, '/chat/completions', {
+      method: 'POST',
+      headers: { 'Accept': 'text/event-stream' },
+      body: JSON.stringify(buildRequestBody(messages, modelId, options, upstream, true)),
+      signal: options.signal,
+    });
+
+    // Tool call deltas arrive in pieces - assemble them and emit whole calls at the end
+    const toolCalls = new Map();
+
+    const handleEvent = (payload) => {
+      if (payload === '[DONE]') return;
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (e) {
+        return; // Skip non-JSON lines
+      }
+      if (data.error) {
+        console.error(`[Upstream] ${upstream.prefix} stream error:`, data.error.message || JSON.stringify(data.error));
+        throw new Error(`Upstream ${upstream.prefix} stream error`);
+      }
+
+      if (data.usage) onChunk({ type: 'usage', usage: data.usage });
+
+      const delta = data.choices?.[0]?.delta || {};
+      const reasoning = delta.reasoning_content || delta.reasoning;
+      if (reasoning) onChunk({ type: 'reasoning', text: reasoning });
+      if (delta.content) onChunk({ type: 'text', text: delta.content });
+      if (data.choices?.[0]?.finish_reason) onChunk({ type: 'finish', reason: data.choices[0].finish_reason });
+
+      for (const tc of delta.tool_calls || []) {
+        const idx = tc.index ?? toolCalls.size;
+        const call = toolCalls.get(idx) || { id: null, name: '', arguments: '' };
+        if (tc.id) call.id = tc.id;
+        if (tc.function?.name) call.name += tc.function.name;
+        if (tc.function?.arguments) call.arguments += tc.function.arguments;
+        toolCalls.set(idx, call);
+      }
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (trimmed.startsWith('data:')) handleEvent(trimmed.slice(5).trim());
+        }
+      }
+
+      const trimmed = buffer.trim();
+      if (trimmed.startsWith('data:')) handleEvent(trimmed.slice(5).trim());
+    } finally {
+      reader.releaseLock();
+    }
+
+    for (const [idx, call] of [...toolCalls.entries()].sort((a, b) => a[0] - b[0])) {
+      onChunk({
+        type: 'tool_use',
+        id: call.id || `call_${Date.now()}_${idx}`,
+        name: call.name,
+        arguments: call.arguments || '{}',
+      });
+    }
+
+    return { keyUsed: getKeyUsed(upstream) };
+  },
+
+  // Upstreams belong to individual users, so there is no global model list
+  async listModels() {
+    return [];
+  },
+};
@@ -0,0 +1,1100 @@
+// Puter provider - the ai-chat and together-ai drivers
+// Holds the Puter key pool, the raw driver calls and key rotation, and exposes
+// both drivers as provider adapters (see ./index.js).
+
+import { isRateLimitError, isUsageLimitedError, isAuthError, isContextLengthError } from '../errors.js';
+import { openKey, getKeyFingerprint, userKeyOwner, orgKeyOwner, SYSTEM_KEY_OWNER } from '../key-vault.js';
+import { failedKeys } from '../storage/index.js';
+import { getModelRouting } from '../model-routing.js';
+
+const PUTER_BASE_URL = 'https://api.puter.com/drivers/call';
+
+// ============== O(1) Key Pool Manager ==============
+// Instead of checking each key, maintain a ready pool of available keys
+// and a blocked set for failed keys. All operations are O(1).
+
+// Puter API for checking key usage
+const PUTER_API_BASE = 'https://api.puter.com';
+
+// Check if a Puter key is active (has remaining allowance)
+async function checkPuterKeyActive(key) {
+  const origins = ['https://puter.com', 'https://g4f.dev', 'https://api.puter.com'];
+
+  for (const origin of origins) {
+    try {
+      const [whoamiRes, usageRes] = await Promise.all([
+        fetch(`${PUTER_API_BASE}/whoami`, {
+          headers: { 'Authorization': `Bearer ${key}`, 'Origin': origin }
+        }),
+        fetch(`${PUTER_API_BASE}/metering/usage`, {
+          headers: { 'Authorization': `Bearer ${key}`, 'Origin': origin }
+        })
+      ]);
+
+      const whoami = await whoamiRes.json();
+      const usageData = await usageRes.json();
+
+      if (whoami.username || whoami.uuid) {
+        const remaining = usageData.allowanceInfo?.remaining || 0;
+        const isActive = remaining > 0;
+        return {
+          valid: true,
+          active: isActive,
+          remaining,
+          username: whoami.username,
+          isTemp: whoami.is_temp
+        };
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+
+  return { valid: false, active: false, remaining: 0 };
+}
+
+class KeyPoolManager {
+  constructor() {
+    this.blockedKeys = new Map(); // hash -> { until: timestamp, reason: string }
+    this.monthlyBlockedHashes = new Set(); // hashes blocked for the month
+    this.currentMonth = null;
+    this.dbCacheLoaded = false;
+    this.SHORT_COOLDOWN_MS = 5 * 60 * 1000; // 5 min for temp failures
+    this.keyStatusCache = new Map(); // hash -> { active: boolean, checkedAt: timestamp }
+    this.KEY_STATUS_CACHE_MS = 10 * 60 * 1000; // Cache key status for 10 minutes
+
+    // Pre-filtered active keys pool
+    this.activeKeysPool = new Map(); // poolId -> { keys: [], lastRefresh: timestamp }
+    this.POOL_REFRESH_MS = 10 * 60 * 1000; // Refresh pool every 10 minutes
+    this.poolRefreshInProgress = new Map(); // poolId -> Promise (to prevent concurrent refreshes)
+  }
+
+  // O(1) hash computation (cached per key instance via Map)
+  // Works on sealed records too, without decrypting them
+  hashKey(key) {
+    return getKeyFingerprint(key);
+  }
+
+  // Generate pool ID from keys array
+  getPoolId(keys) {
+    if (!keys || keys.length === 0) return 'empty';
+    // Use first and last key hash + length for quick ID
+    return `${this.hashKey(keys[0])}_${this.hashKey(keys[keys.length - 1])}_${keys.length}`;
+  }
+
+  // Reset monthly blocks at start of new month
+  checkMonthReset() {
+    const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM format
+    if (this.currentMonth !== currentMonth) {
+      this.monthlyBlockedHashes.clear();
+      this.keyStatusCache.clear();
+      this.activeKeysPool.clear(); // Clear active pools on month change
+      this.currentMonth = currentMonth;
+      this.dbCacheLoaded = false;
+      console.log(`[KeyPool] Month reset: ${currentMonth}`);
+    }
+  }
+
+  // O(1) - Mark key as temporarily failed (short cooldown)
+  markTempFailed(key) {
+    const hash = this.hashKey(key);
+    this.blockedKeys.set(hash, {
+      until: Date.now() + this.SHORT_COOLDOWN_MS,
+      reason: 'temp'
+    });
+    console.log(`[KeyPool] Temp blocked: ${hash} for ${this.SHORT_COOLDOWN_MS / 1000}s`);
+  }
+
+  // Seconds until the first temp-blocked key among keys is usable again (null if none is)
+  getRetryAfter(keys) {
+    let soonest = null;
+    for (const key of keys) {
+      const block = this.blockedKeys.get(this.hashKey(key));
+      if (block && block.until > Date.now() && (soonest === null || block.until < soonest)) {
+        soonest = block.until;
+      }
+    }
+    return soonest && Math.ceil((soonest - Date.now()) / 1000);
+  }
+
+  // O(1) - Mark key as usage-limited for the month
+  async markMonthlyLimited(key) {
+    this.checkMonthReset();
+    const hash = this.hashKey(key);
+    this.monthlyBlockedHashes.add(hash);
+
+    // Remove from all active pools
+    for (const [poolId, pool] of this.activeKeysPool) {
+      pool.keys = pool.keys.filter(k => this.hashKey(k) !== hash);
+    }
+
+    console.log(`[KeyPool] Monthly blocked: ${hash}`);
+
+    // Persist to DB (fire and forget for speed)
+    const currentMonth = new Date().toISOString().slice(0, 7);
+    failedKeys.add(currentMonth, hash, { failedAt: new Date().toISOString(), reason: 'usage-limited' })
+      .catch(e => console.error('DB persist error:', e.message));
+  }
+
+  // Check if key status is cached and still valid
+  getCachedKeyStatus(key) {
+    const hash = this.hashKey(key);
+    const cached = this.keyStatusCache.get(hash);
+    if (cached && Date.now() - cached.checkedAt < this.KEY_STATUS_CACHE_MS) {
+      return cached;
+    }
+    return null;
+  }
+
+  // Cache key status
+  setCachedKeyStatus(key, active, remaining = 0) {
+    const hash = this.hashKey(key);
+    this.keyStatusCache.set(hash, { active, remaining, checkedAt: Date.now() });
+  }
+
+  // O(1) - Check if a specific key is available (sync check only)
+  isKeyAvailable(key) {
+    this.checkMonthReset();
+    const hash = this.hashKey(key);
+
+    // Check monthly block
+    if (this.monthlyBlockedHashes.has(hash)) return false;
+
+    // Check temp block
+    const block = this.blockedKeys.get(hash);
+    if (block) {
+      if (Date.now() < block.until) return false;
+      this.blockedKeys.delete(hash); // Expired, remove
+    }
+
+    // Check cached status - if we know it's inactive, skip it
+    const cached = this.keyStatusCache.get(hash);
+    if (cached && Date.now() - cached.checkedAt < this.KEY_STATUS_CACHE_MS) {
+      if (!cached.active) return false;
+    }
+
+    return true;
+  }
+
+  // Batch validate all keys in parallel - returns only active keys.
+  // owner is the keys' owner for openKey (see key-vault.js).
+  async batchValidateKeys(keys, owner) {
+    if (!keys || keys.length === 0) return [];
+
+    const startTime = Date.now();
+    console.log(`[KeyPool] Batch validating ${keys.length} keys in parallel...`);
+
+    // Filter out already blocked keys first (sync)
+    const candidateKeys = keys.filter(key => this.isKeyAvailable(key));
+    console.log(`[KeyPool] ${candidateKeys.length} keys passed sync check`);
+
+    if (candidateKeys.length === 0) return [];
+
+    // Check all candidates in parallel
+    const results = await Promise.all(
+      candidateKeys.map(async (key) => {
+        const cached = this.getCachedKeyStatus(key);
+        if (cached) {
+          return { key, active: cached.active, remaining: cached.remaining };
+        }
+
+        try {
+          const status = await checkPuterKeyActive(openKey(key, owner));
+          this.setCachedKeyStatus(key, status.active, status.remaining);
+
+          if (!status.valid || !status.active) {
+            if (!status.active) {
+              // Don't await - fire and forget for speed
+              this.markMonthlyLimited(key).catch(() => { });
+            }
+            return { key, active: false, remaining: 0 };
+          }
+
+          return { key, active: true, remaining: status.remaining };
+        } catch (e) {
+          // On error, assume key might be available
+          return { key, active: true, remaining: -1 };
+        }
+      })
+    );
+
+    // Filter to only active keys, sorted by remaining allowance (highest first)
+    const activeKeys = results
+      .filter(r => r.active)
+      .sort((a, b) => b.remaining - a.remaining)
+      .map(r => r.key);
+
+    const elapsed = Date.now() - startTime;
+    console.log(`[KeyPool] Batch validation complete: ${activeKeys.length}/${keys.length} active keys (${elapsed}ms)`);
+
+    return activeKeys;
+  }
+
+  // Get or refresh the active keys pool
+  async getActiveKeysPool(keys, owner) {
+    if (!keys || keys.length === 0) return [];
+
+    const poolId = this.getPoolId(keys);
+    const pool = this.activeKeysPool.get(poolId);
+
+    // Check if pool exists and is fresh
+    if (pool && Date.now() - pool.lastRefresh < this.POOL_REFRESH_MS && pool.keys.length > 0) {
+      return pool.keys;
+    }
+
+    // Check if refresh is already in progress
+    if (this.poolRefreshInProgress.has(poolId)) {
+      // Wait for existing refresh to complete
+      return await this.poolRefreshInProgress.get(poolId);
+    }
+
+    // Start new refresh
+    const refreshPromise = (async () => {
+      try {
+        const activeKeys = await this.batchValidateKeys(keys, owner);
+        this.activeKeysPool.set(poolId, { keys: activeKeys, lastRefresh: Date.now() });
+        return activeKeys;
+      } finally {
+        this.poolRefreshInProgress.delete(poolId);
+      }
+    })();
+
+    this.poolRefreshInProgress.set(poolId, refreshPromise);
+    return await refreshPromise;
+  }
+
+  // O(1) amortized - Get first available key from array (uses index rotation)
+  getAvailableKey(keys, startIndex = 0) {
+    if (!keys || keys.length === 0) return null;
+
+    // Try from startIndex, wrap around once
+    for (let i = 0; i < keys.length; i++) {
+      const idx = (startIndex + i) % keys.length;
+      if (this.isKeyAvailable(keys[idx])) {
+        return { key: keys[idx], index: idx };
+      }
+    }
+    return null;
+  }
+
+  // Fast O(1) key selection from pre-filtered pool
+  async getValidatedKey(keys, owner, startIndex = 0) {
+    if (!keys || keys.length === 0) return null;
+
+    // Get pre-filtered active keys pool
+    const activeKeys = await this.getActiveKeysPool(keys, owner);
+
+    if (activeKeys.length === 0) {
+      console.log('[KeyPool] No active keys available in pool');
+      return null;
+    }
+
+    // Simple rotation within active pool
+    const idx = startIndex % activeKeys.length;
+    const key = activeKeys[idx];
+
+    // Find original index for logging
+    const originalIdx = keys.indexOf(key);
+
+    return { key, index: originalIdx !== -1 ? originalIdx : idx };
+  }
+
+  // Load monthly blocked keys from DB (called once per month per server instance)
+  async loadMonthlyBlockedFromDB() {
+    if (this.dbCacheLoaded) return;
+
+    this.checkMonthReset();
+    const currentMonth = new Date().toISOString().slice(0, 7);
+
+    try {
+      const hashes = Object.keys(await failedKeys.getMonth(currentMonth));
+      if (hashes.length > 0) {
+        hashes.forEach(hash => this.monthlyBlockedHashes.add(hash));
+        console.log(`[KeyPool] Loaded ${hashes.length} blocked keys from DB for ${currentMonth}`);
+      }
+      this.dbCacheLoaded = true;
+    } catch (e) {
+      console.error('[KeyPool] Failed to load from DB:', e.message);
+    }
+  }
+}
+
+export const keyPool = new KeyPoolManager();
+
+// Map a model ID to its driver - the registry routes requests by this driver name.
+// Renamed upstream models are followed through the routing config's chat.aliases.
+export function getDriverAndModel(requestedModelId) {
+  const { aliases } = getModelRouting().chat;
+  const modelId = Object.hasOwn(aliases, requestedModelId) ? aliases[requestedModelId] : requestedModelId;
+
+  // G4F models - route through G4F driver
+  if (modelId.startsWith('g4f:')) {
+    return { driver: 'g4f', model: modelId };
+  }
+
+  // Puter consolidated all chat providers into a single 'ai-chat' driver.
+  // The old per-provider drivers (openrouter, anthropic, etc.) were removed and
+  // now return "Driver not found". The model IDs themselves (incl. 'openrouter:'
+  // and 'anthropic:' prefixes) are still valid aliases in the ai-chat catalog,
+  // so we keep the model string and only swap the driver name.
+
+  // Already prefixed with openrouter: - keep ID, use ai-chat driver
+  if (modelId.startsWith('openrouter:')) {
+    return { driver: 'ai-chat', model: modelId };
+  }
+
+  // Anthropic models - keep ID, use ai-chat driver
+  if (modelId.startsWith('anthropic:')) {
+    return { driver: 'ai-chat', model: modelId };
+  }
+
+  // TogetherAI models
+  if (modelId.startsWith('togetherai:')) {
+    return { driver: 'together-ai', model: modelId };
+  }
+
+  // The ai-chat catalog accepts bare aliases directly (e.g. 'gpt-5.4',
+  // 'claude-opus-4-7', 'gemini-2.5-flash', 'grok-4.3'), so for everything else
+  // we pass the model ID through unchanged and let ai-chat resolve it. This is
+  // more robust than guessing an 'openrouter:provider/...' prefix, which no longer
+  // resolves for several providers (notably OpenAI gpt-5.x).
+  return { driver: 'ai-chat', model: modelId };
+}
+
+// Models that support extended thinking with :thinking variant on Puter/OpenRouter
+// are switched to it when thinking_budget is provided - the variants are the
+// routing config's chat.thinking (see model-routing.js)
+
+function supportsThinking(modelId) {
+  // Check if model is in thinking map or already has :thinking suffix
+  return modelId.includes(':thinking') ||
+    Object.keys(getModelRouting().chat.thinking).some(m => modelId.includes(m));
+}
+
+function getThinkingModel(modelId) {
+  // If already has :thinking suffix, return as-is
+  if (modelId.includes(':thinking')) return modelId;
+
+  // Check if we have a mapping for this model - use exact match first
+  const thinkingModels = getModelRouting().chat.thinking;
+  if (Object.hasOwn(thinkingModels, modelId)) {
+    return thinkingModels[modelId];
+  }
+
+  // Then try partial match (for prefixed models like openrouter:...)
+  for (const [key, value] of Object.entries(thinkingModels)) {
+    if (modelId.includes(key)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+// Timeout for API calls - thinking models need longer timeouts
+const API_TIMEOUT_MS = 120000; // 120 seconds for thinking models
+
+// A stream that sends nothing for this long is abandoned, so another key can
+// resume it
+const STREAM_IDLE_TIMEOUT_MS = 60000;
+
+// Timeout controller's signal, also aborted when the client disconnects
+// (options.signal) so an abandoned request stops using key allowance
+function withClientSignal(controller, clientSignal) {
+  return clientSignal ? AbortSignal.any([controller.signal, clientSignal]) : controller.signal;
+}
+
+async function callPuter(messages, modelId, puterToken, options = {}) {
+  const hasTools = !!(options.tools && options.tools.length > 0);
+  let { driver, model } = getDriverAndModel(modelId, hasTools);
+
+  // Check if thinking is requested and model supports it
+  const wantsThinking = options.thinking_budget && options.thinking_budget > 0;
+  const thinkingModel = wantsThinking ? getThinkingModel(modelId) : null;
+
+  if (thinkingModel) {
+    // Override to use the :thinking variant
+    model = `openrouter:${thinkingModel}`;
+    console.log(`[Puter] Using thinking model variant: ${model}`);
+  }
+
+  const args = { messages, model };
+  if (options.max_tokens) args.max_tokens = options.max_tokens;
+  if (options.temperature !== undefined) args.temperature = options.temperature;
+  if (options.tools) args.tools = options.tools;
+  if (options.tool_choice) args.tool_choice = options.tool_choice;
+
+  // Always enable reasoning - non-thinking models will ignore it,
+  // but thinking models will return reasoning_content regardless of name pattern
+  args.include_reasoning = true;
+
+  // Enable extended thinking for supported models
+  if (thinkingModel || supportsThinking(modelId)) {
+    // Use thinking budget from options, or default to 10000 tokens
+    const thinkingBudget = options.thinking_budget || 10000;
+    args.thinking = {
+      type: 'enabled',
+      budget_tokens: thinkingBudget
+    };
+    console.log(`[Puter] Extended thinking enabled for ${modelId} with budget: ${thinkingBudget}`);
+  }
+
+  console.log(`[Puter] Non-streaming request to ${driver} with model ${model}`);
+
+  // Use AbortController for timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(PUTER_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${puterToken}`,
+        'Content-Type': 'application/json',
+        'Origin': 'https://puter.com',
+      },
+      body: JSON.stringify({
+        interface: 'puter-chat-completion',
+        driver,
+        method: 'complete',
+        args,
+      }),
+      signal: withClientSignal(controller, options.signal),
+    });
+    clearTimeout(timeoutId);
+
+    const data = await response.json();
+
+    // DEBUG: Log raw Puter response to see reasoning structure
+    console.log('[Puter DEBUG] Raw response:', JSON.stringify(data, null, 2).substring(0, 3000));
+
+    if (!data.success) {
+      const errorMsg = data.error?.message || data.error || 'Puter API error';
+      const error = new Error(errorMsg);
+      error.isRateLimit = isRateLimitError(errorMsg);
+      throw error;
+    }
+
+    // Check for usage-limited response (Puter returns success but with usage-limited content)
+    if (data.metadata?.usage_limited ||
+      data.result?.message?.model === 'usage-limited' ||
+      data.metadata?.service_used === 'usage-limited-chat') {
+      const error = new Error('usage-limited: This key has reached its AI usage limit');
+      error.isRateLimit = true;
+      error.isUsageLimited = true;
+      throw error;
+    }
+
+    return data.result;
+  } catch (err) {
+    clearTimeout(timeoutId);
+    if (err.name === 'AbortError' && !options.signal?.aborted) {
+      throw new Error(`Request timeout after ${API_TIMEOUT_MS / 1000}s - thinking models may need more time`);
+    }
+    throw err;
+  }
+}
+
+// Streaming version of callPuter - uses true streaming with readable stream
+async function callPuterStream(messages, modelId, puterToken, options = {}, onChunk) {
+  const hasTools = !!(options.tools && options.tools.length > 0);
+  let { driver, model } = getDriverAndModel(modelId, hasTools);
+
+  // Check if thinking is requested and model supports it
+  const wantsThinking = options.thinking_budget && options.thinking_budget > 0;
+  const thinkingModel = wantsThinking ? getThinkingModel(modelId) : null;
+
+  if (thinkingModel) {
+    // Override to use the :thinking variant
+    model = `openrouter:${thinkingModel}`;
+    console.log(`[Puter Stream] Using thinking model variant: ${model}`);
+  }
+
+  const args = { messages, model, stream: true };
+  if (options.max_tokens) args.max_tokens = options.max_tokens;
+  if (options.temperature !== undefined) args.temperature = options.temperature;
+  if (options.tools) args.tools = options.tools;
+  if (options.tool_choice) args.tool_choice = options.tool_choice;
+  args.include_reasoning = true;
+
+  // Enable extended thinking for supported models
+  if (thinkingModel || supportsThinking(modelId)) {
+    const thinkingBudget = options.thinking_budget || 10000;
+    args.thinking = {
+      type: 'enabled',
+      budget_tokens: thinkingBudget
+    };
+    console.log(`[Puter Stream] Extended thinking enabled for ${modelId} with budget: ${thinkingBudget}`);
+  }
+
+  console.log(`[Puter] Streaming request to ${driver} with model ${model}`);
+
+  // Use AbortController for timeout (longer for streaming)
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS * 2); // 240s for streaming
+
+  const response = await fetch(PUTER_BASE_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${puterToken}`,
+      'Content-Type': 'application/json',
+      'Origin': 'https://puter.com',
+    },
+    body: JSON.stringify({
+      interface: 'puter-chat-completion',
+      driver,
+      method: 'complete',
+      args,
+    }),
+    signal: withClientSignal(controller, options.signal),
+  });
+  clearTimeout(timeoutId); // Clear once we get initial response
+
+  // The body is only logged - it is classified here, never sent to the client
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`[Puter Stream] ${response.status} from Puter:`, errorText.slice(0, 1000));
+    const error = new Error(`Puter API error: ${response.status}`);
+    error.status = response.status;
+    error.isRateLimit = isRateLimitError(errorText);
+    error.isUsageLimited = isUsageLimitedError(errorText);
+    error.isContextLength = isContextLengthError(errorText);
+    throw error;
+  }
+
+  // Check content-type to determine if it's a streaming response
+  const contentType = response.headers.get('content-type') || '';
+
+  // If it's a JSON response (non-streaming fallback), handle it
+  if (contentType.includes('application/json')) {
+    const data = await response.json();
+    if (data.success === false || data.error) {
+      throw new Error(data.error?.message || data.error || 'Puter API error');
+    }
+    // Non-streaming response - extract and send as single chunk
+    const content = extractContent(data.result || data);
+    const reasoning = extractReasoning(data.result || data);
+    if (reasoning) onChunk({ type: 'reasoning', text: reasoning });
+    if (content) onChunk({ type: 'text', text: content });
+    if ((data.result || data).usage) onChunk({ type: 'usage', usage: extractUsage(data.result || data) });
+    const finishReason = (data.result || data).finish_reason || (data.result || data).finishReason;
+    if (finishReason) onChunk({ type: 'finish', reason: finishReason });
+    return;
+  }
+
+  // True streaming - read the response body as a stream
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let stalled = false;
+  let idleTimer;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      stalled = true;
+      controller.abort();
+    }, STREAM_IDLE_TIMEOUT_MS);
+  };
+
+  try {
+    resetIdleTimer();
+    while (true) {
+      const { done, value } = await reader.read();
+      resetIdleTimer();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Process complete lines from buffer
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed === '%') continue;
+
+        try {
+          const data = JSON.parse(trimmed);
+
+          // Check for error in stream
+          if (data.success === false || data.error) {
+            throw new Error(data.error?.message || data.error || 'Stream error');
+          }
+
+          // Handle streaming chunks
+          if (data.type === 'usage' || (data.usage && !data.type)) {
+            // Token metering, when the driver reports it
+            onChunk({ type: 'usage', usage: extractUsage(data) });
+          } else if (data.type === 'text' && data.text) {
+            onChunk({ type: 'text', text: data.text });
+          } else if (data.type === 'reasoning' && (data.reasoning || data.text)) {
+            onChunk({ type: 'reasoning', text: data.reasoning || data.text });
+          } else if (data.type === 'tool_use') {
+            // Handle tool call in stream
+            onChunk({
+              type: 'tool_use',
+              id: data.id,
+              name: data.name,
+              arguments: typeof data.input === 'string' ? data.input : JSON.stringify(data.input || {})
+            });
+          }
+        } catch (parseError) {
+          // Skip non-JSON lines
+          if (parseError instanceof SyntaxError) continue;
+          throw parseError;
+        }
+      }
+    }
+
+    // Process any remaining data in buffer
+    if (buffer.trim() && buffer.trim() !== '%') {
+      try {
+        const data = JSON.parse(buffer.trim());
+        if (data.type === 'usage' || (data.usage && !data.type)) {
+          onChunk({ type: 'usage', usage: extractUsage(data) });
+        } else if (data.type === 'text' && data.text) {
+          onChunk({ type: 'text', text: data.text });
+        } else if (data.type === 'reasoning' && (data.reasoning || data.text)) {
+          onChunk({ type: 'reasoning', text: data.reasoning || data.text });
+        } else if (data.type === 'tool_use') {
+          onChunk({
+            type: 'tool_use',
+            id: data.id,
+            name: data.name,
+            arguments: typeof data.input === 'string' ? data.input : JSON.stringify(data.input || {})
+          });
+        }
+      } catch (e) {
+        // Ignore parse errors for final buffer
+      }
+    }
+  } catch (error) {
+    if (stalled) throw new Error(`Puter stream stalled - no data for ${STREAM_IDLE_TIMEOUT_MS / 1000}s`);
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+    reader.releaseLock();
+  }
+}
+
+function extractContent(result) {
+  // Check message.content
+  if (result.message?.content != null) {
+    if (typeof result.message.content === 'string') {
+      return result.message.content;
+    }
+    if (Array.isArray(result.message.content)) {
+      return result.message.content.map(c => c.text || '').join('');
+    }
+  }
+  // Check choices[0].message.content
+  if (result.choices?.[0]?.message?.content != null) {
+    return result.choices[0].message.content;
+  }
+  if (typeof result === 'string') return result;
+  return null;  // Return null instead of empty string for tool call compatibility
+}
+
+// Extract reasoning/thinking content from response
+function extractReasoning(result) {
+  // OpenRouter format: reasoning field in message or choices
+  const reasoning = result.message?.reasoning
+    || result.choices?.[0]?.message?.reasoning
+    || result.reasoning;
+
+  if (reasoning) return reasoning;
+
+  // DeepSeek native format: reasoning_content
+  const reasoningContent = result.message?.reasoning_content
+    || result.choices?.[0]?.message?.reasoning_content
+    || result.reasoning_content;
+
+  if (reasoningContent) return reasoningContent;
+
+  // Check reasoning_details array (OpenRouter extended thinking format)
+  const reasoningDetails = result.message?.reasoning_details
+    || result.choices?.[0]?.message?.reasoning_details;
+  if (reasoningDetails && Array.isArray(reasoningDetails) && reasoningDetails.length > 0) {
+    return reasoningDetails.map(d => d.text || '').join('\n');
+  }
+
+  // Check for thinking in content (some models wrap it in <think> tags)
+  const content = extractContent(result);
+  if (content && content.includes('<think>')) {
+    const match = content.match(/<think>([\s\S]*?)<\/think>/);
+    if (match) return match[1].trim();
+  }
+
+  return null;
+}
+
+// Remove <think> tags from content
+function removeThinkTags(content) {
+  if (!content || typeof content !== 'string') return content;
+  return content.replace(/<think>[\s\S]*?<\/think>\s*/g, '').trim();
+}
+
+function extractUsage(result) {
+  const usage = result.usage;
+
+  // Puter/OpenRouter array format: [{type: "prompt", amount: X, cost: Y}, {type: "completion", ...}]
+  if (Array.isArray(usage)) {
+    const promptData = usage.find(u => u.type === 'prompt') || {};
+    const completionData = usage.find(u => u.type === 'completion') || {};
+    return {
+      prompt_tokens: promptData.amount || 0,
+      completion_tokens: completionData.amount || 0,
+      total_tokens: (promptData.amount || 0) + (completionData.amount || 0),
+      // Preserve cost data for logging (in Puter units: 1e8 = $1)
+      prompt_cost: promptData.cost || 0,
+      completion_cost: completionData.cost || 0,
+      total_cost: (promptData.cost || 0) + (completionData.cost || 0),
+      _raw_usage: usage // Keep raw for debugging
+    };
+  }
+
+  // Claude driver format: {input_tokens, output_tokens}
+  if (usage?.input_tokens !== undefined) {
+    return {
+      prompt_tokens: usage.input_tokens || 0,
+      completion_tokens: usage.output_tokens || 0,
+      total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
+      // Claude driver doesn't report cost, estimate based on typical rates
+      prompt_cost: 0,
+      completion_cost: 0,
+      total_cost: 0
+    };
+  }
+
+  // Standard OpenAI format
+  if (usage?.prompt_tokens !== undefined) {
+    return {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+      prompt_cost: 0,
+      completion_cost: 0,
+      total_cost: 0
+    };
+  }
+
+  return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, prompt_cost: 0, completion_cost: 0, total_cost: 0 };
+}
+
+function puterToOpenAI(puterResult, model) {
+  let content = extractContent(puterResult);
+  const reasoning = extractReasoning(puterResult);
+  const finishReason = puterResult.finish_reason || puterResult.finishReason || 'stop';
+
+  // Remove <think> tags from content (they're extracted to reasoning_content)
+  if (content && typeof content === 'string') {
+    content = removeThinkTags(content);
+  }
+
+  // Build the assistant message
+  const message = { role: 'assistant', content: content || null };
+
+  // Add reasoning/thinking content if present (OpenAI-compatible extension)
+  if (reasoning) {
+    message.reasoning_content = reasoning;
+  }
+
+  // Handle tool calls in response
+  const rawToolCalls = puterResult.message?.tool_calls ||
+    puterResult.choices?.[0]?.message?.tool_calls ||
+    puterResult.tool_calls;
+  if (rawToolCalls && rawToolCalls.length > 0) {
+    // Normalize tool_calls to OpenAI format (remove 'index' field, ensure proper structure)
+    message.tool_calls = rawToolCalls.map((tc, idx) => ({
+      id: tc.id || `call_${Date.now()}_${idx}`,
+      type: tc.type || 'function',
+      function: {
+        name: tc.function?.name || tc.name,
+        arguments: typeof tc.function?.arguments === 'string'
+          ? tc.function.arguments
+          : JSON.stringify(tc.function?.arguments || tc.arguments || {})
+      }
+    }));
+    message.content = message.content || null;  // Content can be null when there are tool calls
+  }
+
+  const hasToolCalls = message.tool_calls && message.tool_calls.length > 0;
+
+  const response = {
+    id: `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: hasToolCalls ? 'tool_calls' : finishReason,
+    }],
+    usage: extractUsage(puterResult),
+  };
+
+  return response;
+}
+
+// Block a key after a failure - briefly for rate limits, for the month if it is
+// usage-limited or no longer authenticates
+async function handleKeyFailure(key, error) {
+  const message = error.message || '';
+  if (error.isUsageLimited || isUsageLimitedError(message) || isAuthError(message)) {
+    keyPool.markTempFailed(key);
+    await keyPool.markMonthlyLimited(key);
+  } else if (error.isRateLimit || isRateLimitError(message)) {
+    keyPool.markTempFailed(key);
+  }
+}
+
+// Run attempt(key) with each key in turn until one succeeds - tries ALL keys.
+// keys may be sealed records (see key-vault.js); each is opened only for its attempt.
+// Starts at a random index for load distribution and skips blocked keys; if every
+// key fails, caches are cleared and the keys are tried once more. Errors flagged
+// streamStarted (output already sent to the client) or cancelled (client went
+// away) are not retried, and partialOutput ones (a resumable stream that
+// already sent text) skip the second pass.
+async function withKeyRotation(keys, owner, attempt) {
+  if (!keys || keys.length === 0) {
+    throw new Error('No API keys configured');
+  }
+
+  // Load monthly blocked keys from DB once per month (amortized O(1))
+  await keyPool.loadMonthlyBlockedFromDB();
+
+  let lastError = null;
+  const triedKeys = new Set();
+  const startIndex = Math.floor(Math.random() * keys.length);
+
+  for (let i = 0; i < keys.length; i++) {
+    const idx = (startIndex + i) % keys.length;
+    const key = keys[idx];
+
+    // Skip if we already tried this key
+    if (triedKeys.has(key)) continue;
+    triedKeys.add(key);
+
+    // Skip only if key is in monthly blocked set (confirmed exhausted)
+    const hash = keyPool.hashKey(key);
+    if (keyPool.monthlyBlockedHashes.has(hash)) {
+      console.log(`[Rotation] Skipping key index ${idx} - monthly blocked`);
+      continue;
+    }
+
+    // Skip if temp blocked (recent failure)
+    const block = keyPool.blockedKeys.get(hash);
+    if (block && Date.now() < block.until) {
+      console.log(`[Rotation] Skipping key index ${idx} - temp blocked for ${Math.round((block.until - Date.now()) / 1000)}s`);
+      continue;
+    }
+
+    try {
+      console.log(`[Rotation] Attempt ${i + 1}/${keys.length}: Using key index ${idx}`);
+      return { result: await attempt(openKey(key, owner)), usedKey: key };
+    } catch (error) {
+      lastError = error;
+      console.error(`Key index ${idx} failed:`, error.message);
+      if (error.cancelled) throw error;
+      await handleKeyFailure(key, error);
+      if (error.streamStarted) throw error;
+    }
+  }
+
+  // All keys are dead for this model - don't waste time retrying
+  if (lastError && isAuthError(lastError.message)) {
+    throw lastError;
+  }
+
+  // A stream already resumed on every key gets no second pass - each retry
+  // would be another paid continuation
+  if (lastError?.partialOutput) {
+    throw lastError;
+  }
+
+  // Blocks are cleared for the final pass - remember when the pool would have cooled down
+  const retryAfter = keyPool.getRetryAfter(keys);
+
+  console.log('[Rotation] All keys failed, clearing caches and retrying...');
+  keyPool.blockedKeys.clear();
+  keyPool.keyStatusCache.clear();
+  keyPool.activeKeysPool.clear();
+
+  // Final attempt - try all keys again without any blocking
+  for (let i = 0; i < keys.length; i++) {
+    const idx = (startIndex + i) % keys.length;
+    try {
+      console.log(`[Rotation FINAL] Attempt ${i + 1}/${keys.length}: Using key index ${idx}`);
+      return { result: await attempt(openKey(keys[idx], owner)), usedKey: keys[idx] };
+    } catch (error) {
+      lastError = error;
+      console.error(`[FINAL] Key index ${idx} failed:`, error.message);
+      if (error.streamStarted || error.cancelled) throw error;
+    }
+  }
+
+  const error = lastError || new Error('All API keys are exhausted. Please try again later or add more keys.');
+  if (retryAfter) error.retryAfter = retryAfter;
+  throw error;
+}
+
+// Pick the Puter keys for a request and run attempt(key) with them.
+// credentials: { puterToken, userKeys, orgKeys, systemKeys, userId, orgId } -
+// userId and orgId name the documents the user and org keys were read from
+// A direct X-Puter-Token is tried first and falls back to the system keys;
+// otherwise the user's own keys take priority over their org's pool, and
+// either over the system pool.
+// keyUsed is what logUsage() records (null = system key, 'org-pool' = org key).
+async function withPuterCredentials(credentials, attempt) {
+  const { puterToken, userKeys = [], orgKeys = [], systemKeys = [], userId, orgId } = credentials;
+
+  if (puterToken) {
+    try {
+      return { result: await attempt(puterToken), keyUsed: 'puter-token' };
+    } catch (error) {
+      console.error(`[Puter Token] Direct token failed: ${error.message}`);
+      if (error.streamStarted || error.cancelled) throw error;
+      if (systemKeys.length === 0) {
+        const tokenError = new Error(`Puter token error: ${error.message}. No system keys available for fallback.`);
+        tokenError.puterTokenRejected = isAuthError(error.message);
+        tokenError.isRateLimit = error.isRateLimit;
+        tokenError.isUsageLimited = error.isUsageLimited;
+        throw tokenError;
+      }
+
+      // Fall back to system keys for any error (invalid, rate limited, usage limited, etc.)
+      console.log('[Puter Token] Falling back to system keys...');
+      const { result } = await withKeyRotation(systemKeys, SYSTEM_KEY_OWNER, attempt);
+      return { result, keyUsed: 'system-fallback' };
+    }
+  }
+
+  const source = userKeys.length > 0 ? 'USER' : orgKeys.length > 0 ? 'ORG' : 'SYSTEM';
+  console.log(`[Puter] ${userKeys.length} personal keys, ${orgKeys.length} org keys, ${systemKeys.length} system keys. Using: ${source} keys`);
+  const keys = { USER: userKeys, ORG: orgKeys, SYSTEM: systemKeys }[source];
+  const owner = source === 'USER' ? userKeyOwner(userId) : source === 'ORG' ? orgKeyOwner(orgId) : SYSTEM_KEY_OWNER;
+  const { result, usedKey } = await withKeyRotation(keys, owner, attempt);
+  return { result, keyUsed: { USER: usedKey, ORG: 'org-pool', SYSTEM: null }[source] };
+}
+
+// Puter's model catalog, shared by both adapters
+let catalogCache = null;
+let catalogTime = 0;
+const CATALOG_TTL = 3600000; // 1 hour
+
+async function fetchPuterCatalog() {
+  if (catalogCache && Date.now() - catalogTime < CATALOG_TTL) {
+    return catalogCache;
+  }
+
+  try {
+    const response = await fetch('https://api.puter.com/puterai/chat/models', {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'UnifiedAI/1.0',
+      }
+    });
+
+    // Check if response is JSON
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      console.error('Puter models endpoint returned non-JSON:', contentType);
+      return catalogCache || [];
+    }
+
+    const data = await response.json();
+    catalogCache = data.models || [];
+    catalogTime = Date.now();
+    return catalogCache;
+  } catch (error) {
+    console.error('Failed to fetch Puter models:', error);
+    return catalogCache || [];
+  }
+}
+
+// Conversation for resuming a cut-off answer on another key: the partial
+// answer goes back as the assistant turn with a request to carry on
+const CONTINUE_PROMPT = 'Your previous answer was cut off. Continue it from exactly where it stopped, without repeating any of it.';
+
+function buildContinuationMessages(messages, partialText) {
+  return [
+    ...messages,
+    { role: 'assistant', content: partialText },
+    { role: 'user', content: CONTINUE_PROMPT },
+  ];
+}
+
+function createPuterAdapter(id, name, ownsModel) {
+  return {
+    id,
+    name,
+    usesPuterKeys: true,
+    capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+
+    async complete(messages, modelId, options, credentials) {
+      const { result, keyUsed } = await withPuterCredentials(credentials, async (key) => {
+        try {
+          return await callPuter(messages, modelId, key, options);
+        } catch (error) {
+          error.cancelled = !!options.signal?.aborted;
+          throw error;
+        }
+      });
+      return { response: puterToOpenAI(result, modelId), keyUsed };
+    },
+
+    async stream(messages, modelId, options, credentials, onChunk) {
+      // If a key dies mid-answer, the next key continues from the text already
+      // sent so the client sees one uninterrupted stream
+      let partialText = '';
+      let sentReasoning = false;
+      let sentToolCall = false;
+      let failovers = 0;
+
+      try {
+        const { keyUsed } = await withPuterCredentials(credentials, async (key) => {
+          const resuming = partialText.length > 0 || sentReasoning;
+          if (resuming) {
+            failovers++;
+            console.log(`[Puter Stream] Failover #${failovers}: resuming after ${partialText.length} chars`);
+          }
+
+          try {
+            const attemptMessages = partialText ? buildContinuationMessages(messages, partialText) : messages;
+            await callPuterStream(attemptMessages, modelId, key, options, (chunk) => {
+              if (chunk.type === 'reasoning') {
+                // The client already saw the first attempt's thinking
+                if (resuming) return;
+                sentReasoning = true;
+              } else if (chunk.type === 'text') {
+                partialText += chunk.text;
+              } else if (chunk.type === 'tool_use') {
+                sentToolCall = true;
+              }
+              onChunk(chunk);
+            });
+          } catch (error) {
+            // A tool call can't be continued - retrying would send a second one
+            error.streamStarted = sentToolCall;
+            error.partialOutput = partialText.length > 0 || sentReasoning;
+            error.cancelled = !!options.signal?.aborted;
+            throw error;
+          }
+        });
+        return { keyUsed, failovers };
+      } catch (error) {
+        // Key switches made before the last key failed still count in the usage log
+        error.failovers = failovers;
+        if (failovers > 0) console.error(`[Puter Stream] Failed after ${failovers} failover(s): ${error.message}`);
+        throw error;
+      }
+    },
+
+    async listModels() {
+      const catalog = await fetchPuterCatalog();
+      return catalog.filter(ownsModel).map(modelId => ({ id: modelId }));
+    },
+  };
+}
+
+export const togetherAdapter = createPuterAdapter('together-ai', 'TogetherAI', modelId => modelId.startsWith('togetherai:'));
+export const aiChatAdapter = createPuterAdapter('ai-chat', 'Puter', modelId => !modelId.startsWith('togetherai:'));
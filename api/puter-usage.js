@@ -1,13 +1,14 @@
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
 import { 
   userCache, puterUsageCache, 
   USER_CACHE_TTL, PUTER_CACHE_TTL 
 } from './cache.js';
+import { openKey, getKeyFingerprint, getKeyPreview, userKeyOwner } from './key-vault.js';
+import { users } from './storage/index.js';
+import { isLocalAuth, verifySessionToken } from './local-auth.js';
 
-// Initialize Firebase Admin
-let db = null;
+// Initialize Firebase Admin - sign-in only, data lives in storage/
 let auth = null;
 
 try {
@@ -17,13 +18,13 @@ try {
       initializeApp({ credential: cert(serviceAccount) });
     }
   }
-  db = getFirestore();
   auth = getAuth();
 } catch (e) {
   console.warn('Firebase not initialized:', e.message);
 }
 
 async function verifyToken(idToken) {
+  if (isLocalAuth()) return verifySessionToken(idToken);
   if (!auth) return null;
   try {
     return await auth.verifyIdToken(idToken);
@@ -101,11 +102,10 @@ export default async function handler(req, res) {
     if (cachedUser && Date.now() - cachedUser.timestamp < USER_CACHE_TTL) {
       userData = cachedUser.data;
     } else {
-      const userDoc = await db.collection('users').doc(decoded.uid).get();
-      if (!userDoc.exists) {
+      userData = await users.get(decoded.uid);
+      if (!userData) {
         return res.json({ keys: [], totalUsage: null });
       }
-      userData = userDoc.data();
       userCache.set(decoded.uid, { data: userData, timestamp: Date.now() });
     }
 
@@ -116,27 +116,28 @@ export default async function handler(req, res) {
     }
 
     // Fetch usage for each key (with caching for Puter API calls)
-    const usagePromises = puterKeys.map(async (keyData, index) => {
-      const key = typeof keyData === 'string' ? keyData : keyData.key;
+    const usagePromises = puterKeys.map(async (stored, index) => {
+      const fingerprint = getKeyFingerprint(stored);
+      const preview = getKeyPreview(stored);
       
       // Check Puter usage cache
-      const cachedUsage = puterUsageCache.get(key);
+      const cachedUsage = puterUsageCache.get(fingerprint);
       if (cachedUsage && Date.now() - cachedUsage.timestamp < PUTER_CACHE_TTL) {
         return {
           id: index,
-          preview: key.substring(0, 20) + '...' + key.slice(-8),
+          preview,
           usage: cachedUsage.data.error ? null : cachedUsage.data,
           error: cachedUsage.data.error || null,
           cached: true
         };
       }
       
-      const usage = await getPuterUsage(key);
-      puterUsageCache.set(key, { data: usage, timestamp: Date.now() });
+      const usage = await getPuterUsage(openKey(stored, userKeyOwner(decoded.uid)));
+      puterUsageCache.set(fingerprint, { data: usage, timestamp: Date.now() });
       
       return {
         id: index,
-        preview: key.substring(0, 20) + '...' + key.slice(-8),
+        preview,
         usage: usage.error ? null : usage,
         error: usage.error || null
       };
@@ -0,0 +1,182 @@
+// Requests-per-minute and tokens-per-minute limits
+// Applies to every caller, with or without their own Puter keys (the daily
+// free limit only covers the free tier). Limits come from the admin defaults
+// (config.rateLimits), which an admin can override per user (user.rateLimits);
+// users can also cap each API key lower (keyRateLimits for the default key,
+// rateLimits on a named key; user.authKey is the key in use). Each scope is
+// counted in its own sliding one-minute window. A request is admitted while
+// its scopes are under their request and token counts; tokens are added once
+// the answer's usage is known. 0 or unset means unlimited.
+// Responses carry OpenAI's x-ratelimit-* headers for the tightest scope.
+// Windows are kept in this process's memory: the limits are exact on a single
+// server, but each serverless instance counts on its own.
+
+import { createHash } from 'crypto';
+
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// scope id -> [{ time, tokens }], oldest first
+const windows = new Map();
+
+// Scopes that stop sending are dropped once their window has emptied
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex').substring(0, 16);
+}
+
+// Clean { rpm, tpm } from a config / request body - non-negative integers, 0 = unlimited
+export function normalizeRateLimits(limits) {
+  const result = {};
+  for (const field of ['rpm', 'tpm']) {
+    const value = limits?.[field];
+    if (value === undefined || value === null || value === '') continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+    result[field] = number;
+  }
+  return { limits: result };
+}
+
+// Per-field override: a user's own setting wins over the admin default
+function resolveLimits(override, defaults) {
+  return {
+    rpm: override?.rpm ?? defaults?.rpm ?? 0,
+    tpm: override?.tpm ?? defaults?.tpm ?? 0,
+  };
+}
+
+// Scopes a request counts against. Direct Puter-token callers share one
+// pseudo-user, so they are counted per token instead.
+export function getRateLimitScopes(req, user, config) {
+  const defaults = config?.rateLimits;
+  if (user.id === 'puter-direct') {
+    return [{ id: `puter:${hash(req.headers['x-puter-token'] || '')}`, limits: resolveLimits(null, defaults) }];
+  }
+
+  const scopes = [{ id: `user:${user.id}`, limits: resolveLimits(user.rateLimits, defaults) }];
+  const key = user.authKey;
+  if (key?.rateLimits) {
+    scopes.push({ id: `key:${user.id}:${key.id}`, limits: resolveLimits(key.rateLimits, null) });
+  }
+  return scopes;
+}
+
+function getEntries(id, now) {
+  const entries = windows.get(id) || [];
+  while (entries.length > 0 && now - entries[0].time >= RATE_LIMIT_WINDOW_MS) entries.shift();
+  if (entries.length === 0) windows.delete(id);
+  return entries;
+}
+
+// Forget every scope with nothing left in its window. Returns how many are
+// still tracked.
+export function sweepRateLimitWindows(now = Date.now()) {
+  for (const id of windows.keys()) getEntries(id, now);
+  return windows.size;
+}
+
+setInterval(sweepRateLimitWindows, SWEEP_INTERVAL_MS).unref();
+
+// Milliseconds until the window's total, measured by weight(entry), is at most limit
+function msUntilWithin(entries, limit, weight, now) {
+  let excess = entries.reduce((sum, entry) => sum + weight(entry), 0) - limit;
+  for (const entry of entries) {
+    if (excess <= 0) break;
+    excess -= weight(entry);
+    if (excess <= 0) return entry.time + RATE_LIMIT_WINDOW_MS - now;
+  }
+  return 0;
+}
+
+// Milliseconds until the last entry with weight leaves the window (OpenAI's
+// reset: back to the full limit)
+function msUntilEmpty(entries, weight, now) {
+  const last = entries.findLast(entry => weight(entry) > 0);
+  return last ? last.time + RATE_LIMIT_WINDOW_MS - now : 0;
+}
+
+const countRequest = () => 1;
+const countTokens = entry => entry.tokens;
+
+// OpenAI's reset format, e.g. "20ms", "6s", "1m30s"
+function formatReset(ms) {
+  if (ms < 1000) return `${Math.max(0, Math.ceil(ms))}ms`;
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m${seconds % 60}s`;
+}
+
+// Headers for the scope with the least room left, per limit kind
+function buildHeaders(states) {
+  const headers = {};
+  for (const [kind, field] of [['requests', 'rpm'], ['tokens', 'tpm']]) {
+    const limited = states.filter(state => state.scope.limits[field] > 0);
+    if (limited.length === 0) continue;
+
+    const tightest = limited.reduce((a, b) => (a[kind].remaining <= b[kind].remaining ? a : b));
+    headers[`x-ratelimit-limit-${kind}`] = String(tightest.scope.limits[field]);
+    headers[`x-ratelimit-remaining-${kind}`] = String(tightest[kind].remaining);
+    headers[`x-ratelimit-reset-${kind}`] = formatReset(tightest[kind].reset);
+  }
+  return headers;
+}
+
+// Admit a request against its scopes.
+// Returns { allowed, headers, retryAfter?, message?, addTokens(count) }
+export function acquireRateLimit(scopes) {
+  const now = Date.now();
+  const active = scopes.filter(scope => scope.limits.rpm > 0 || scope.limits.tpm > 0);
+
+  const states = active.map(scope => {
+    const entries = getEntries(scope.id, now);
+    const tokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+    const { rpm, tpm } = scope.limits;
+    return {
+      scope,
+      entries,
+      requestsFull: rpm > 0 && entries.length >= rpm,
+      tokensFull: tpm > 0 && tokens >= tpm,
+      requests: { remaining: Math.max(0, rpm - entries.length), reset: msUntilEmpty(entries, countRequest, now) },
+      tokens: { remaining: Math.max(0, tpm - tokens), reset: msUntilEmpty(entries, countTokens, now) },
+    };
+  });
+
+  const blocked = states.filter(state => state.requestsFull || state.tokensFull);
+  if (blocked.length > 0) {
+    // Until every blocked scope has room for one more request
+    const waitMs = Math.max(...blocked.map(state => Math.max(
+      state.requestsFull ? msUntilWithin(state.entries, state.scope.limits.rpm - 1, countRequest, now) : 0,
+      state.tokensFull ? msUntilWithin(state.entries, state.scope.limits.tpm - 1, countTokens, now) : 0
+    )));
+    const { scope, requestsFull } = blocked[0];
+    const kind = requestsFull ? `${scope.limits.rpm} requests` : `${scope.limits.tpm} tokens`;
+    return {
+      allowed: false,
+      headers: buildHeaders(states),
+      retryAfter: Math.max(1, Math.ceil(waitMs / 1000)),
+      message: `Rate limit reached for ${scope.id.split(':')[0] === 'key' ? 'this API key' : 'this account'}: ${kind} per minute. Try again in ${formatReset(waitMs)}.`,
+      addTokens() {},
+    };
+  }
+
+  // Count this request in every scope
+  const admitted = states.map(state => {
+    const entry = { time: now, tokens: 0 };
+    state.entries.push(entry);
+    windows.set(state.scope.id, state.entries);
+    state.requests.remaining = Math.max(0, state.requests.remaining - 1);
+    state.requests.reset = RATE_LIMIT_WINDOW_MS;
+    return entry;
+  });
+
+  return {
+    allowed: true,
+    headers: buildHeaders(states),
+    addTokens(count) {
+      if (!count) return;
+      admitted.forEach(entry => { entry.tokens += count; });
+    },
+  };
+}
@@ -0,0 +1,107 @@
+// Relay response for protocol translators
+// Wraps the real Express response so the chat completions handler can run
+// unchanged while another API format (Anthropic Messages, OpenAI Responses)
+// is sent to the client. JSON bodies and SSE chunks written by the handler
+// are parsed and handed to hooks that convert them.
+
+export class RelayResponse {
+  // hooks: { json(status, body), chunk(data), done(), end() }
+  constructor(res, hooks) {
+    this.res = res;
+    this.hooks = hooks;
+    this.statusCode = 200;
+    this.buffer = '';
+    this.finished = false;
+  }
+
+  get headersSent() {
+    return this.res.headersSent;
+  }
+
+  get writableEnded() {
+    return this.res.writableEnded;
+  }
+
+  setHeader(name, value) {
+    this.res.setHeader(name, value);
+    return this;
+  }
+
+  getHeader(name) {
+    return this.res.getHeader(name);
+  }
+
+  removeHeader(name) {
+    this.res.removeHeader(name);
+  }
+
+  flushHeaders() {
+    this.res.flushHeaders();
+  }
+
+  addTrailers(trailers) {
+    this.res.addTrailers(trailers);
+  }
+
+  on(event, listener) {
+    this.res.on(event, listener);
+    return this;
+  }
+
+  once(event, listener) {
+    this.res.once(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.res.off(event, listener);
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(body) {
+    this.finished = true;
+    this.hooks.json(this.statusCode, body);
+    return this;
+  }
+
+  // Parse "data: {...}\n\n" events written by the chat stream handlers
+  write(data) {
+    this.buffer += typeof data === 'string' ? data : data.toString();
+    const events = this.buffer.split('\n\n');
+    this.buffer = events.pop() || '';
+
+    for (const event of events) {
+      for (const line of event.split('\n')) {
+        if (!line.startsWith('data: ')) continue;
+        const payload = line.slice(6).trim();
+        if (payload === '[DONE]') {
+          this.hooks.done();
+          continue;
+        }
+        try {
+          this.hooks.chunk(JSON.parse(payload));
+        } catch (e) {
+          // Skip non-JSON payloads (comments, heartbeats)
+        }
+      }
+    }
+    return true;
+  }
+
+  end(data) {
+    if (data) this.write(data);
+    if (this.finished) return this;
+    this.finished = true;
+    if (this.hooks.end) {
+      this.hooks.end();
+    } else {
+      this.res.end();
+    }
+    return this;
+  }
+}
@@ -0,0 +1,109 @@
+// Exact-match response cache for deterministic chat requests
+// Opt-in per request (cache: true in the body, or an X-Response-Cache: true
+// header) and only for temperature 0, where replaying an earlier answer is
+// what the caller asked for. Entries are keyed on a normalized hash of the
+// caller's API key, model, messages, tools and sampling parameters, expire
+// after a TTL and are evicted least-recently-used once the cache is full. A
+// hit is replayed as JSON or as a simulated stream, whichever the request
+// wants.
+// The cache is this process's memory - serverless instances don't share it.
+
+import { createHash } from 'crypto';
+
+const RESPONSE_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const MAX_ENTRIES = 1000;
+const MAX_BYTES = 50 * 1024 * 1024; // 50 MB of serialized responses
+
+// Replayed streams are cut into pieces of this many characters
+const REPLAY_CHUNK_CHARS = 64;
+
+// Map keeps insertion order - re-inserting on every hit makes it an LRU
+const entries = new Map();
+let totalBytes = 0;
+
+export function wantsResponseCache(req) {
+  const header = (req.headers?.['x-response-cache'] || '').toString().toLowerCase();
+  const requested = req.body?.cache === true || header === 'true' || header === '1';
+  return requested && req.body?.temperature === 0;
+}
+
+// JSON with object keys sorted, so key order in the request doesn't matter
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Entries are per caller (see getResponseCacheOwner in chat.js) - one key's
+// answers are never replayed to another
+export function getResponseCacheKey(ownerId, params) {
+  return createHash('sha256').update(`${ownerId}:${stableStringify(params)}`).digest('hex');
+}
+
+export function getCachedResponse(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.timestamp > RESPONSE_CACHE_TTL) {
+    deleteEntry(key);
+    return null;
+  }
+
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.response;
+}
+
+export function setCachedResponse(key, response) {
+  const size = JSON.stringify(response).length;
+  if (size > MAX_BYTES) return;
+
+  deleteEntry(key);
+  entries.set(key, { response, size, timestamp: Date.now() });
+  totalBytes += size;
+
+  // Evict least recently used entries past either bound
+  for (const oldestKey of entries.keys()) {
+    if (entries.size <= MAX_ENTRIES && totalBytes <= MAX_BYTES) break;
+    deleteEntry(oldestKey);
+  }
+}
+
+function deleteEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  totalBytes -= entry.size;
+  entries.delete(key);
+}
+
+// Cached chat.completion for a new request - fresh id and timestamp
+export function replayAsJSON(response) {
+  return {
+    ...response,
+    id: `chatcmpl-${Date.now()}`,
+    created: Math.floor(Date.now() / 1000),
+  };
+}
+
+// Replay a cached chat.completion through a ChatStreamWriter
+export function replayAsStream(writer, response) {
+  const message = response.choices?.[0]?.message || {};
+  const pieces = (text) => text.match(new RegExp(`[\\s\\S]{1,${REPLAY_CHUNK_CHARS}}`, 'g')) || [];
+
+  for (const text of pieces(message.reasoning_content || '')) {
+    writer.writePart({ type: 'reasoning', text });
+  }
+  for (const text of pieces(typeof message.content === 'string' ? message.content : '')) {
+    writer.writePart({ type: 'content', text });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    writer.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, arguments: toolCall.function?.arguments });
+  }
+  writer.push({ type: 'finish', reason: response.choices?.[0]?.finish_reason });
+  writer.finish(response.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
@@ -0,0 +1,2 @@
+// OpenAI Responses API entry point (Vercel) - the handler lives in chat.js
+export { responsesHandler as default } from './chat.js';
@@ -0,0 +1,138 @@
+// Dashboard sign-in for local auth mode (see local-auth.js)
+// GET tells the dashboard which sign-in to offer; POST with action 'login' or
+// 'register' and an email and password answers with a session token, used
+// like a Firebase ID token from then on. Failed sign-ins are throttled per
+// account and client address pair, so nobody can lock an account's owner out
+// from elsewhere, and per client address across accounts.
+
+import {
+  AUTH_MODE, LOCAL_SIGNUP_ENABLED, MIN_PASSWORD_LENGTH, isLocalAuth, normalizeEmail, getLocalUserId,
+  hashPassword, checkAccountPassword, findStaticUser, isLocalAdmin, issueSessionToken
+} from './local-auth.js';
+import { credentials } from './storage/index.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Failed sign-ins allowed within LOGIN_WINDOW_MS - once either limit is
+// reached, sign-in answers 429 until the oldest of them ages out
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS_PER_ACCOUNT = 5;
+const MAX_FAILED_LOGINS_PER_ADDRESS = 20;
+const MAX_TRACKED_LOGIN_KEYS = 10000;
+
+// 'account:<uid>:<ip>' / 'address:<ip>' -> times of recent failed sign-ins
+const failedLogins = new Map();
+
+function recentFailures(key, now) {
+  const times = (failedLogins.get(key) || []).filter(time => now - time < LOGIN_WINDOW_MS);
+  if (times.length) failedLogins.set(key, times);
+  else failedLogins.delete(key);
+  return times;
+}
+
+// Seconds until another sign-in may be tried for these [key, limit] pairs, or 0
+function loginRetryAfter(limits, now) {
+  let wait = 0;
+  for (const [key, limit] of limits) {
+    const times = recentFailures(key, now);
+    if (times.length >= limit) wait = Math.max(wait, times[times.length - limit] + LOGIN_WINDOW_MS - now);
+  }
+  return Math.ceil(wait / 1000);
+}
+
+function recordFailedLogin(limits, now) {
+  if (failedLogins.size >= MAX_TRACKED_LOGIN_KEYS) {
+    for (const key of [...failedLogins.keys()]) recentFailures(key, now);
+    // Still full: forget the longest-tracked keys first
+    for (const key of failedLogins.keys()) {
+      if (failedLogins.size < MAX_TRACKED_LOGIN_KEYS) break;
+      failedLogins.delete(key);
+    }
+  }
+  for (const [key] of limits) failedLogins.set(key, [...recentFailures(key, now), now]);
+}
+
+function clientAddress(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+function startSession(res, uid, email) {
+  return res.json({
+    token: issueSessionToken({ uid, email }),
+    user: { uid, email, isAdmin: isLocalAdmin(uid) },
+  });
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method === 'GET') {
+    return res.json({ mode: AUTH_MODE, signup: isLocalAuth() && LOCAL_SIGNUP_ENABLED });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!isLocalAuth()) {
+    return res.status(404).json({ error: 'Local sign-in is not enabled' });
+  }
+
+  const { action, password } = req.body || {};
+  const email = normalizeEmail(req.body?.email);
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+
+  try {
+    const uid = getLocalUserId(email);
+
+    if (action === 'login') {
+      const now = Date.now();
+      const address = clientAddress(req);
+      const limits = [
+        [`account:${uid}:${address}`, MAX_FAILED_LOGINS_PER_ACCOUNT],
+        [`address:${address}`, MAX_FAILED_LOGINS_PER_ADDRESS],
+      ];
+      const retryAfter = loginRetryAfter(limits, now);
+      if (retryAfter) {
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed sign-in attempts - try again later' });
+      }
+
+      const account = findStaticUser(email) || (await credentials.get(uid));
+      if (!(await checkAccountPassword(account, password))) {
+        recordFailedLogin(limits, now);
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      failedLogins.delete(`account:${uid}:${address}`);
+      return startSession(res, uid, email);
+    }
+
+    if (action === 'register') {
+      if (!LOCAL_SIGNUP_ENABLED) {
+        return res.status(403).json({ error: 'Sign-up is disabled - ask an administrator for an account' });
+      }
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: 'Enter a valid email address' });
+      }
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (findStaticUser(email) || (await credentials.get(uid))) {
+        return res.status(400).json({ error: 'An account with this email already exists' });
+      }
+
+      await credentials.create(uid, { email, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() });
+      return startSession(res, uid, email);
+    }
+
+    return res.status(400).json({ error: 'Invalid action' });
+  } catch (error) {
+    console.error('Session error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
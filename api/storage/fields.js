@@ -0,0 +1,22 @@
+// Field values for partial updates that every storage backend understands -
+// the portable counterparts of Firestore's FieldValue.increment / .delete
+
+export class FieldIncrement {
+  constructor(by) {
+    this.by = by;
+  }
+}
+
+export class FieldDelete {}
+
+const DELETE_FIELD = new FieldDelete();
+
+// Add to a numeric field (a missing field counts as 0)
+export function increment(by) {
+  return new FieldIncrement(by);
+}
+
+// Remove a field
+export function deleteField() {
+  return DELETE_FIELD;
+}
@@ -0,0 +1,85 @@
+// Firestore storage backend - documents in Firestore via firebase-admin,
+// with the service account from FIREBASE_SERVICE_ACCOUNT
+
+import { initializeApp, cert, getApps } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { FieldIncrement, FieldDelete } from './fields.js';
+
+// Portable field values (see fields.js) as Firestore FieldValues
+function toFirestore(data) {
+  const result = {};
+  for (const [field, value] of Object.entries(data)) {
+    if (value instanceof FieldIncrement) result[field] = FieldValue.increment(value.by);
+    else if (value instanceof FieldDelete) result[field] = FieldValue.delete();
+    else result[field] = value;
+  }
+  return result;
+}
+
+function toDocument(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+export function createFirestoreStore() {
+  if (!getApps().length) {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
+    initializeApp({ credential: cert(serviceAccount) });
+  }
+  const db = getFirestore();
+  const ref = (collection, id) => db.collection(collection).doc(id);
+
+  return {
+    name: 'firestore',
+
+    async get(collection, id) {
+      const doc = await ref(collection, id).get();
+      return doc.exists ? toDocument(doc) : null;
+    },
+
+    async set(collection, id, data) {
+      await ref(collection, id).set(toFirestore(data));
+    },
+
+    // Replace the given top-level fields whole, creating the doc if needed
+    async merge(collection, id, fields) {
+      await ref(collection, id).set(toFirestore(fields), { mergeFields: Object.keys(fields) });
+    },
+
+    async update(collection, id, updates) {
+      await ref(collection, id).update(toFirestore(updates));
+    },
+
+    async add(collection, data) {
+      const doc = await db.collection(collection).add(toFirestore(data));
+      return doc.id;
+    },
+
+    async delete(collection, id) {
+      await ref(collection, id).delete();
+    },
+
+    // where: [[field, op, value]] with op '==', 'array-contains', '<', '<=', '>', '>='
+    // orderBy: [field, 'asc' | 'desc']
+    // select: [field] - return only these fields
+    async query(collection, { where = [], orderBy, limit, select } = {}) {
+      let query = db.collection(collection);
+      for (const [field, op, value] of where) query = query.where(field, op, value);
+      if (orderBy) query = query.orderBy(orderBy[0], orderBy[1]);
+      if (limit) query = query.limit(limit);
+      if (select) query = query.select(...select);
+      const snapshot = await query.get();
+      return snapshot.docs.map(toDocument);
+    },
+
+    // Atomic writes - Firestore takes at most 500 per batch
+    batch() {
+      const batch = db.batch();
+      return {
+        set(collection, id, data) { batch.set(ref(collection, id), toFirestore(data)); },
+        update(collection, id, updates) { batch.update(ref(collection, id), toFirestore(updates)); },
+        delete(collection, id) { batch.delete(ref(collection, id)); },
+        commit: () => batch.commit(),
+      };
+    },
+  };
+}
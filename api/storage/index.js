@@ -0,0 +1,199 @@
+// Storage
+// Everything the gateway keeps - users, organizations, system config, model
+// routing, usage logs, failed Puter keys, stored responses, local sign-in
+// accounts - goes through the repositories below, so it can run on either
+// backend:
+//   firestore - Firebase Firestore (firestore.js); the default when
+//               FIREBASE_SERVICE_ACCOUNT has a project_id
+//   local     - one JSON file on disk (local.js) at STORAGE_PATH, by default
+//               data/gateway.json, plus a log of recent changes beside it;
+//               ':memory:' keeps it in memory only. Usage logs are kept for
+//               USAGE_LOG_RETENTION_DAYS (90 by default) and stored responses
+//               for RESPONSE_RETENTION_DAYS.
+// STORAGE_BACKEND picks one explicitly. On Vercel the local backend is only
+// used when asked for: each function instance would keep its own copy, so a
+// deployment without Firebase fails instead of losing data between instances. Documents come back as plain objects
+// with their id, or null when missing; updates take dotted paths into maps and
+// the increment() / deleteField() values from fields.js.
+
+import { createFirestoreStore } from './firestore.js';
+import { createLocalStore } from './local.js';
+
+export { increment, deleteField } from './fields.js';
+
+const DEFAULT_STORAGE_PATH = 'data/gateway.json';
+const DEFAULT_USAGE_LOG_RETENTION_DAYS = 90;
+export const RESPONSE_RETENTION_DAYS = 30;
+
+function getBackendName() {
+  if (process.env.STORAGE_BACKEND) return process.env.STORAGE_BACKEND;
+  try {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
+    return serviceAccount.project_id ? 'firestore' : 'local';
+  } catch (e) {
+    return 'local';
+  }
+}
+
+let backend = null;
+
+// Created on first use, so importing a module never touches storage
+export function store() {
+  if (backend) return backend;
+  const name = getBackendName();
+  if (name === 'firestore') {
+    backend = createFirestoreStore();
+  } else if (name === 'local') {
+    if (process.env.VERCEL && !process.env.STORAGE_BACKEND) {
+      throw new Error('No storage configured - set FIREBASE_SERVICE_ACCOUNT on Vercel, where local storage would be lost between function instances');
+    }
+    backend = createLocalStore(process.env.STORAGE_PATH || DEFAULT_STORAGE_PATH, {
+      retention: {
+        usage_logs: { field: 'timestamp', days: Number(process.env.USAGE_LOG_RETENTION_DAYS) || DEFAULT_USAGE_LOG_RETENTION_DAYS },
+        responses: { field: 'createdAt', days: RESPONSE_RETENTION_DAYS },
+      },
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND '${name}' - expected firestore or local`);
+  }
+  return backend;
+}
+
+// Write pending changes before the process exits - a no-op for Firestore
+export async function flushStorage() {
+  await backend?.save?.();
+}
+
+export const users = {
+  collection: 'users',
+  get: id => store().get('users', id),
+  create: (id, data) => store().set('users', id, data),
+  update: (id, updates) => store().update('users', id, updates),
+  list: () => store().query('users'),
+
+  async findByEmail(email) {
+    const [user] = await store().query('users', { where: [['email', '==', email]], limit: 1 });
+    return user || null;
+  },
+
+  async findByApiKeyHash(hash) {
+    const [user] = await store().query('users', { where: [['apiKeyHashes', 'array-contains', hash]], limit: 1 });
+    return user || null;
+  },
+
+  // Accounts from before key hashing kept the secrets themselves
+  async findByLegacyApiKey(secret) {
+    const [user] = await store().query('users', { where: [['apiKey', '==', secret]], limit: 1 });
+    if (user) return user;
+    const [named] = await store().query('users', { where: [['apiKeyValues', 'array-contains', secret]], limit: 1 });
+    return named || null;
+  },
+};
+
+export const organizations = {
+  collection: 'organizations',
+  get: id => store().get('organizations', id),
+  create: (id, data) => store().set('organizations', id, data),
+  update: (id, updates) => store().update('organizations', id, updates),
+  delete: id => store().delete('organizations', id),
+  list: () => store().query('organizations'),
+};
+
+// The single system/config document
+export const systemConfig = {
+  collection: 'system',
+
+  async get() {
+    const { id, ...config } = (await store().get('system', 'config')) || {};
+    return config;
+  },
+
+  // Replaces each given top-level field whole
+  update: fields => store().merge('system', 'config', fields),
+};
+
+// The system/modelRouting document (see model-routing.js):
+// { version, updatedAt, updatedBy, routing, history }
+export const modelRouting = {
+  collection: 'system',
+  get: () => store().get('system', 'modelRouting'),
+  set: data => store().set('system', 'modelRouting', data),
+};
+
+export const usageLogs = {
+  collection: 'usage_logs',
+  add: entry => store().add('usage_logs', entry),
+
+  // Logs where field == value, newest first, optionally only since an ISO
+  // timestamp
+  async list(field, value, { since, limit } = {}) {
+    const where = [[field, '==', value]];
+    if (since) where.push(['timestamp', '>=', since]);
+    try {
+      return await store().query('usage_logs', { where, orderBy: ['timestamp', 'desc'], limit });
+    } catch (indexError) {
+      // Firestore needs a composite index (field, timestamp) - until it's
+      // built, take the latest 100 matches and sort them here
+      console.warn('Usage logs query failed (index may be needed):', indexError.message);
+      const logs = await store().query('usage_logs', { where: [[field, '==', value]], limit: 100 });
+      return logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+  },
+};
+
+// failed_keys/{YYYY-MM}: key hash -> { failedAt, reason }
+export const failedKeys = {
+  collection: 'failed_keys',
+
+  async getMonth(month) {
+    const { id, ...keys } = (await store().get('failed_keys', month)) || {};
+    return keys;
+  },
+
+  add: (month, hash, entry) => store().merge('failed_keys', month, { [hash]: entry }),
+};
+
+// Local sign-in accounts (see local-auth.js): { email, passwordHash, createdAt }
+export const credentials = {
+  collection: 'credentials',
+  get: uid => store().get('credentials', uid),
+  create: (uid, data) => store().set('credentials', uid, data),
+};
+
+// Stored Responses API responses, for previous_response_id
+export const responses = {
+  collection: 'responses',
+  get: id => store().get('responses', id),
+  set: (id, data) => store().set('responses', id, data),
+  delete: id => store().delete('responses', id),
+
+  // An owner's responses as { id, createdAt }, newest first
+  async listByOwner(owner) {
+    const where = [['owner', '==', owner]];
+    try {
+      return await store().query('responses', { where, orderBy: ['createdAt', 'desc'], select: ['createdAt'] });
+    } catch (indexError) {
+      // Firestore needs a composite index (owner, createdAt) - until it's
+      // built, sort here
+      console.warn('Responses query failed (index may be needed):', indexError.message);
+      const stored = await store().query('responses', { where, select: ['createdAt'] });
+      return stored.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+  },
+};
+
+// Writes to several documents that apply together, e.g.
+//   const batch = storage.batch();
+//   batch.update(users, uid, { orgId });
+//   batch.set(organizations, orgId, org);
+//   await batch.commit();
+// Firestore takes at most 500 writes per batch.
+export function batch() {
+  const writes = store().batch();
+  return {
+    set: (repository, id, data) => writes.set(repository.collection, id, data),
+    update: (repository, id, updates) => writes.update(repository.collection, id, updates),
+    delete: (repository, id) => writes.delete(repository.collection, id),
+    commit: () => writes.commit(),
+  };
+}
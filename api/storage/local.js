@@ -0,0 +1,309 @@
+// Embedded storage backend - documents in memory, persisted to a JSON file
+// For self-hosting on a single server and for offline tests. Documents live in
+// memory; shortly after a change the changed documents are appended, off the
+// request thread, to a log next to the file (<path>.log, one JSON line per
+// document). Once the log outgrows compactLogBytes the whole store is written
+// to <path> as a snapshot and the log starts over. Startup reads the snapshot
+// and replays the log after it. Pending changes are written on exit; servers
+// call save() from their own SIGTERM / SIGINT handling (see server.js), since
+// a signal ends the process without an exit event. retention maps a collection to { field, days }: documents whose
+// ISO timestamp in field is older are dropped at startup and every hour.
+// ':memory:' as the path never touches the disk. Each process keeps its own
+// copy, so this doesn't suit serverless deployments or several servers
+// sharing one file.
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { appendFile, mkdir, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { FieldIncrement, FieldDelete } from './fields.js';
+
+const SAVE_DELAY_MS = 100;
+const COMPACT_LOG_BYTES = 16 * 1024 * 1024;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Apply one update the way Firestore does: dotted paths reach into maps,
+// creating them as needed
+function applyField(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (typeof target[key] !== 'object' || target[key] === null || Array.isArray(target[key])) target[key] = {};
+    target = target[key];
+  }
+  if (value instanceof FieldDelete) delete target[last];
+  else if (value instanceof FieldIncrement) target[last] = (Number(target[last]) || 0) + value.by;
+  else target[last] = clone(value);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+function matches(doc, [field, op, expected]) {
+  const value = getPath(doc, field);
+  switch (op) {
+    case '==': return value === expected;
+    case 'array-contains': return Array.isArray(value) && value.includes(expected);
+    case '<': return value !== undefined && value < expected;
+    case '<=': return value !== undefined && value <= expected;
+    case '>': return value !== undefined && value > expected;
+    case '>=': return value !== undefined && value >= expected;
+    default: throw new Error(`Unsupported query operator '${op}'`);
+  }
+}
+
+export function createLocalStore(path, { retention = {}, compactLogBytes = COMPACT_LOG_BYTES } = {}) {
+  const inMemory = path === ':memory:';
+  const logPath = `${path}.log`;
+  // collection -> id -> document data
+  let collections = {};
+  // Number of the last change written; the snapshot records the one it includes
+  let seq = 0;
+  let logBytes = 0;
+  // 'collection/id' -> [collection, id] changed since the last write
+  const changed = new Map();
+  let saveTimer = null;
+  let writing = Promise.resolve();
+
+  const docs = collection => (collections[collection] ||= {});
+
+  function load() {
+    if (existsSync(path)) {
+      const data = JSON.parse(readFileSync(path, 'utf8'));
+      // Files from before the log held the collections alone
+      if (data.collections && Number.isInteger(data.seq)) {
+        collections = data.collections;
+        seq = data.seq;
+      } else {
+        collections = data;
+      }
+    }
+    if (!existsSync(logPath)) return;
+
+    const log = readFileSync(logPath, 'utf8');
+    logBytes = Buffer.byteLength(log);
+    const entries = [];
+    for (const line of log.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        console.warn(`[Storage] Skipping a damaged line in ${logPath}`);
+      }
+    }
+    // Lines up to the snapshot's seq are already in it
+    for (const { seq: entrySeq, collection, id, doc } of entries.sort((a, b) => a.seq - b.seq)) {
+      if (entrySeq <= seq) continue;
+      if (doc) docs(collection)[id] = doc;
+      else delete docs(collection)[id];
+      seq = entrySeq;
+    }
+  }
+
+  function markChanged(collection, id) {
+    if (inMemory) return;
+    changed.set(`${collection}/${id}`, [collection, id]);
+  }
+
+  // Log lines for the documents changed since the last write
+  function takeChanges() {
+    let lines = '';
+    for (const [collection, id] of changed.values()) {
+      const doc = docs(collection)[id] || null;
+      lines += `${JSON.stringify({ seq: ++seq, collection, id, doc })}\n`;
+    }
+    changed.clear();
+    return lines;
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a snapshot
+  async function writeSnapshot() {
+    changed.clear();
+    const data = JSON.stringify({ seq, collections });
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(`${path}.tmp`, data);
+    await rename(`${path}.tmp`, path);
+    await writeFile(logPath, '');
+    logBytes = 0;
+  }
+
+  async function writeChanges() {
+    if (!changed.size) return;
+    if (logBytes >= compactLogBytes) return writeSnapshot();
+    const lines = takeChanges();
+    await mkdir(dirname(path), { recursive: true });
+    await appendFile(logPath, lines);
+    logBytes += Buffer.byteLength(lines);
+  }
+
+  // Writes run one at a time, in order
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (inMemory) return Promise.resolve();
+    writing = writing.then(writeChanges).catch(error => {
+      console.error(`[Storage] Failed to write ${path}:`, error.message);
+    });
+    return writing;
+  }
+
+  function scheduleSave() {
+    if (inMemory || saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+  }
+
+  // For exit and signals - whatever is still pending, written before returning
+  function saveSync() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!changed.size) return;
+    mkdirSync(dirname(path), { recursive: true });
+    appendFileSync(logPath, takeChanges());
+  }
+
+  function pruneExpired() {
+    for (const [collection, { field, days }] of Object.entries(retention)) {
+      const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+      for (const [id, doc] of Object.entries(docs(collection))) {
+        if (typeof doc[field] === 'string' && doc[field] < cutoff) writeDelete(collection, id);
+      }
+    }
+    scheduleSave();
+  }
+
+  // set() takes field names literally - only update() follows dotted paths
+  function writeSet(collection, id, data) {
+    markChanged(collection, id);
+    docs(collection)[id] = Object.fromEntries(Object.entries(data)
+      .filter(([, value]) => !(value instanceof FieldDelete))
+      .map(([field, value]) => [field, value instanceof FieldIncrement ? value.by : clone(value)]));
+  }
+
+  function writeUpdate(collection, id, updates) {
+    markChanged(collection, id);
+    const doc = docs(collection)[id];
+    for (const [path, value] of Object.entries(updates)) applyField(doc, path, value);
+  }
+
+  function writeDelete(collection, id) {
+    markChanged(collection, id);
+    delete docs(collection)[id];
+  }
+
+  function write({ type, collection, id, data }) {
+    if (type === 'set') writeSet(collection, id, data);
+    else if (type === 'update') writeUpdate(collection, id, data);
+    else writeDelete(collection, id);
+  }
+
+  function missing(collection, id) {
+    return new Error(`No document to update: ${collection}/${id}`);
+  }
+
+  if (!inMemory) {
+    load();
+    process.on('exit', saveSync);
+  }
+  if (Object.keys(retention).length) {
+    pruneExpired();
+    setInterval(pruneExpired, PRUNE_INTERVAL_MS).unref();
+  }
+
+  return {
+    name: 'local',
+    // Write pending changes now - resolves once they are on disk
+    save,
+
+    async get(collection, id) {
+      const doc = docs(collection)[id];
+      return doc ? { id, ...clone(doc) } : null;
+    },
+
+    async set(collection, id, data) {
+      writeSet(collection, id, data);
+      scheduleSave();
+    },
+
+    // Replace the given top-level fields whole, creating the doc if needed
+    async merge(collection, id, fields) {
+      markChanged(collection, id);
+      docs(collection)[id] ||= {};
+      for (const [field, value] of Object.entries(fields)) {
+        const doc = docs(collection)[id];
+        if (value instanceof FieldDelete) delete doc[field];
+        else if (value instanceof FieldIncrement) doc[field] = (Number(doc[field]) || 0) + value.by;
+        else doc[field] = clone(value);
+      }
+      scheduleSave();
+    },
+
+    async update(collection, id, updates) {
+      if (!docs(collection)[id]) throw missing(collection, id);
+      writeUpdate(collection, id, updates);
+      scheduleSave();
+    },
+
+    async add(collection, data) {
+      const id = randomBytes(10).toString('hex');
+      writeSet(collection, id, data);
+      scheduleSave();
+      return id;
+    },
+
+    async delete(collection, id) {
+      writeDelete(collection, id);
+      scheduleSave();
+    },
+
+    async query(collection, { where = [], orderBy, limit, select } = {}) {
+      let results = Object.entries(docs(collection))
+        .filter(([, doc]) => where.every(condition => matches(doc, condition)));
+      if (orderBy) {
+        const [field, direction = 'asc'] = orderBy;
+        results = results.filter(([, doc]) => getPath(doc, field) !== undefined);
+        results.sort(([, a], [, b]) => compare(getPath(a, field), getPath(b, field)) * (direction === 'desc' ? -1 : 1));
+      }
+      if (limit) results = results.slice(0, limit);
+      if (select) {
+        return results.map(([id, doc]) => ({ id, ...clone(Object.fromEntries(select.map(field => [field, doc[field]]))) }));
+      }
+      return results.map(([id, doc]) => ({ id, ...clone(doc) }));
+    },
+
+    // All writes apply together, or none do when an update has no document
+    batch() {
+      const writes = [];
+      return {
+        set(collection, id, data) { writes.push({ type: 'set', collection, id, data }); },
+        update(collection, id, data) { writes.push({ type: 'update', collection, id, data }); },
+        delete(collection, id) { writes.push({ type: 'delete', collection, id }); },
+        async commit() {
+          // Whether each doc exists by the time its write runs
+          const exists = new Map();
+          for (const { type, collection, id } of writes) {
+            const key = `${collection}/${id}`;
+            const present = exists.has(key) ? exists.get(key) : !!docs(collection)[id];
+            if (type === 'update' && !present) throw missing(collection, id);
+            exists.set(key, type !== 'delete');
+          }
+          writes.forEach(write);
+          scheduleSave();
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,227 @@
+// OpenAI chat.completion.chunk stream writer
+// Every streaming provider goes through one writer, so clients (and the
+// Anthropic / Responses relays) see the same SSE shape whichever backend
+// answered: a role chunk first, content and reasoning_content deltas, indexed
+// tool_calls deltas, a finish chunk, a usage chunk (choices: []) when the
+// request set stream_options.include_usage, then [DONE]. The finish reason is
+// the upstream's when it reported one (e.g. length), and usage counted locally
+// is flagged in an X-Usage-Estimated trailer rather than in the usage chunk.
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+export const USAGE_ESTIMATED_HEADER = 'X-Usage-Estimated';
+
+// Splits streamed text into content and reasoning at <think> tags.
+// Tags can straddle chunks, so a possible partial tag at the end of a chunk is
+// held back until the next one arrives.
+export class ThinkTagParser {
+  constructor() {
+    this.insideThinkTag = false;
+    this.tagBuffer = '';
+  }
+
+  // Returns [{ type: 'content' | 'reasoning', text }]
+  push(chunkText) {
+    const parts = [];
+    let text = this.tagBuffer + chunkText;
+    this.tagBuffer = '';
+
+    while (text.length > 0) {
+      const tag = this.insideThinkTag ? '</think>' : '<think>';
+      const type = this.insideThinkTag ? 'reasoning' : 'content';
+      const tagIndex = text.indexOf(tag);
+
+      if (tagIndex !== -1) {
+        if (tagIndex > 0) parts.push({ type, text: text.substring(0, tagIndex) });
+        this.insideThinkTag = !this.insideThinkTag;
+        text = text.substring(tagIndex + tag.length);
+        continue;
+      }
+
+      // Check for partial tag at end (e.g., "<thi", "</thin")
+      let partialMatch = '';
+      for (let len = Math.min(tag.length - 1, text.length); len > 0; len--) {
+        const suffix = text.substring(text.length - len);
+        if (tag.startsWith(suffix)) {
+          partialMatch = suffix;
+          break;
+        }
+      }
+
+      const toSend = text.substring(0, text.length - partialMatch.length);
+      if (toSend) parts.push({ type, text: toSend });
+      this.tagBuffer = partialMatch;
+      text = '';
+    }
+
+    return parts;
+  }
+
+  // Release a held-back partial tag once the stream ends
+  flush() {
+    const text = this.tagBuffer;
+    this.tagBuffer = '';
+    return text ? [{ type: this.insideThinkTag ? 'reasoning' : 'content', text }] : [];
+  }
+}
+
+// Add up metered usage - a stream resumed on another key reports it per attempt
+function addUsage(total, usage) {
+  if (!total) return { ...usage };
+  const sum = { ...total };
+  for (const [field, value] of Object.entries(usage)) {
+    if (typeof value === 'number') sum[field] = (sum[field] || 0) + value;
+  }
+  return sum;
+}
+
+export class ChatStreamWriter {
+  constructor(res, model, { includeUsage = false } = {}) {
+    this.res = res;
+    this.model = model;
+    this.includeUsage = includeUsage;
+    this.id = `chatcmpl-${Date.now()}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.started = false;
+    this.content = ''; // Answer text sent so far (excludes reasoning)
+    this.reasoning = '';
+    this.toolCalls = [];
+    this.output = ''; // Everything generated - content, reasoning, tool calls - for estimates
+    this.usage = null; // Upstream-metered usage, if the provider reported any
+    this.toolCallIndex = 0;
+    this.finishReason = null; // Upstream's, if it reported one
+    this.thinkParser = new ThinkTagParser();
+    this.heartbeat = null;
+  }
+
+  // Headers go out lazily with the first chunk, so a request that fails before
+  // producing output can still get a normal JSON error or fall back to another model
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const { res } = this;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Model-Used', this.model);
+    res.setHeader('Trailer', USAGE_ESTIMATED_HEADER);
+    res.flushHeaders();
+
+    // SSE comments keep proxies from closing the connection during long pauses
+    // (thinking, tool argument generation, mid-stream key failover)
+    this.heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    this.writeChunk({ role: 'assistant' });
+  }
+
+  writeChunk(delta, finishReason = null) {
+    this.start();
+    this.res.write(`data: ${JSON.stringify({
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })}\n\n`);
+  }
+
+  // Adapter chunk: { type: 'text' | 'reasoning', text }, { type: 'tool_use', id, name, arguments },
+  // { type: 'usage', usage } or { type: 'finish', reason }
+  push(chunk) {
+    if (chunk.type === 'text' && chunk.text) {
+      this.thinkParser.push(chunk.text).forEach(part => this.writePart(part));
+    } else if (chunk.type === 'reasoning' && chunk.text) {
+      this.writePart({ type: 'reasoning', text: chunk.text });
+    } else if (chunk.type === 'usage' && chunk.usage) {
+      this.usage = addUsage(this.usage, chunk.usage);
+    } else if (chunk.type === 'finish' && chunk.reason) {
+      this.finishReason = chunk.reason;
+    } else if (chunk.type === 'tool_use') {
+      const toolCall = { id: chunk.id, type: 'function', function: { name: chunk.name, arguments: chunk.arguments } };
+      this.output += chunk.name + chunk.arguments;
+      this.toolCalls.push(toolCall);
+      this.writeChunk({ tool_calls: [{ index: this.toolCallIndex++, ...toolCall }] });
+    }
+  }
+
+  // { type: 'content' | 'reasoning', text } - already split from <think> tags
+  writePart(part) {
+    this.output += part.text;
+    if (part.type === 'reasoning') {
+      this.reasoning += part.text;
+      this.writeChunk({ reasoning_content: part.text });
+    } else {
+      this.content += part.text;
+      this.writeChunk({ content: part.text });
+    }
+  }
+
+  // Text held back by the think-tag parser - call before reading content/output
+  flush() {
+    this.thinkParser.flush().forEach(part => this.writePart(part));
+  }
+
+  // tool_calls if any were sent, otherwise the upstream's reason or stop
+  getFinishReason() {
+    return this.toolCalls.length > 0 ? 'tool_calls' : this.finishReason || 'stop';
+  }
+
+  // Finish chunk, the usage chunk if requested (token counts only - costs stay
+  // in our logs), then [DONE]
+  finish(usage) {
+    this.flush();
+    this.writeChunk({}, this.getFinishReason());
+    if (this.includeUsage) {
+      this.res.write(`data: ${JSON.stringify({
+        id: this.id,
+        object: 'chat.completion.chunk',
+        created: this.created,
+        model: this.model,
+        choices: [],
+        usage: {
+          prompt_tokens: usage.prompt_tokens,
+          completion_tokens: usage.completion_tokens,
+          total_tokens: usage.total_tokens,
+        }
+      })}\n\n`);
+    }
+    if (usage.estimated) this.res.addTrailers({ [USAGE_ESTIMATED_HEADER]: 'true' });
+    this.res.write('data: [DONE]\n\n');
+    this.end();
+  }
+
+  // The streamed answer as a chat.completion object (for the response cache)
+  toResponse(usage) {
+    const message = { role: 'assistant', content: this.content || null };
+    if (this.reasoning) message.reasoning_content = this.reasoning;
+    if (this.toolCalls.length > 0) message.tool_calls = this.toolCalls;
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, message, finish_reason: this.getFinishReason() }],
+      usage,
+    };
+  }
+
+  // Error event for a stream that already started - error is an OpenAI error
+  // object ({ message, type, code, param })
+  error(error) {
+    this.res.write(`data: ${JSON.stringify({ error })}\n\n`);
+    this.end();
+  }
+
+  end() {
+    this.stopHeartbeat();
+    this.res.end();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
@@ -0,0 +1,102 @@
+// Local token counting for responses that arrive without usage
+// G4F never reports token counts and some Puter replies (JSON fallbacks,
+// unmetered streams) come back without them, so prompt and completion tokens
+// are counted here with the BPE tables bundled in js-tiktoken. Current OpenAI
+// models use o200k_base; other families (Claude, Gemini, Llama, DeepSeek, ...)
+// have their own tokenizers, for which cl100k_base is the closest stand-in.
+// Counts produced here are flagged estimated: true.
+
+import { Tiktoken } from 'js-tiktoken/lite';
+
+// Rank tables are a few MB each - load one only when a request first needs it
+const RANK_LOADERS = {
+  o200k_base: () => import('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+};
+const encoders = new Map();
+
+// Chat format overhead: role and separators per message, plus the reply priming
+const TOKENS_PER_MESSAGE = 3;
+const REPLY_PRIMING_TOKENS = 3;
+
+// Flat cost of an image part (OpenAI's low-detail image size)
+const IMAGE_TOKENS = 85;
+// Flat cost of a file, document or audio part. What a provider extracts from
+// an attachment can't be known here, and its base64 payload is never encoded -
+// a PDF's data URL would count as hundreds of thousands of tokens.
+const ATTACHMENT_TOKENS = 1000;
+
+const IMAGE_PART_TYPES = new Set(['image_url', 'image', 'input_image']);
+
+const O200K_MODEL_PATTERN = /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|gpt-oss|chatgpt|o1|o3|o4)/;
+
+// Encoding for a model family - provider prefixes and vendor paths are ignored
+// ('openrouter:openai/gpt-4o' counts like 'gpt-4o')
+export function getEncodingName(modelId) {
+  const name = modelId.toLowerCase().split(':').pop().split('/').pop();
+  return O200K_MODEL_PATTERN.test(name) ? 'o200k_base' : 'cl100k_base';
+}
+
+async function getEncoder(encodingName) {
+  if (!encoders.has(encodingName)) {
+    const { default: ranks } = await RANK_LOADERS[encodingName]();
+    encoders.set(encodingName, new Tiktoken(ranks));
+  }
+  return encoders.get(encodingName);
+}
+
+// Special-token text (e.g. "<|endoftext|>") in user input is counted as plain text
+function encodeLength(encoder, text) {
+  return text ? encoder.encode(text, [], []).length : 0;
+}
+
+function countContent(encoder, content) {
+  if (content == null) return 0;
+  if (typeof content === 'string') return encodeLength(encoder, content);
+  if (Array.isArray(content)) {
+    return content.reduce((sum, part) => {
+      if (typeof part?.text === 'string') return sum + encodeLength(encoder, part.text);
+      return sum + (IMAGE_PART_TYPES.has(part?.type) ? IMAGE_TOKENS : ATTACHMENT_TOKENS);
+    }, 0);
+  }
+  return encodeLength(encoder, JSON.stringify(content));
+}
+
+// Tokens for a run of chat messages, without the reply priming - counts of
+// consecutive runs add up, so callers can subtract dropped messages
+export async function countMessageTokens(modelId, messages) {
+  const encoder = await getEncoder(getEncodingName(modelId));
+
+  let tokens = 0;
+  for (const msg of messages) {
+    tokens += TOKENS_PER_MESSAGE + encodeLength(encoder, msg.role) + countContent(encoder, msg.content);
+    if (msg.name) tokens += encodeLength(encoder, msg.name);
+    if (msg.tool_calls) tokens += encodeLength(encoder, JSON.stringify(msg.tool_calls));
+  }
+  return tokens;
+}
+
+// Prompt tokens for a request (tool definitions are sent along with the messages)
+export async function countPromptTokens(modelId, messages, tools) {
+  let tokens = REPLY_PRIMING_TOKENS + await countMessageTokens(modelId, messages);
+  if (tools?.length) tokens += await countTextTokens(modelId, JSON.stringify(tools));
+  return tokens;
+}
+
+export async function countTextTokens(modelId, text) {
+  const encoder = await getEncoder(getEncodingName(modelId));
+  return encodeLength(encoder, text);
+}
+
+// Usage for a request the upstream didn't meter.
+// output is everything generated: content, reasoning and tool calls.
+export async function estimateUsage(modelId, messages, output, tools) {
+  const promptTokens = await countPromptTokens(modelId, messages, tools);
+  const completionTokens = await countTextTokens(modelId, output);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    estimated: true,
+  };
+}
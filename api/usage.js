@@ -1,12 +1,15 @@
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
 import { 
   userCache, usageCache, 
   USER_CACHE_TTL, USAGE_CACHE_TTL 
 } from './cache.js';
+import { evaluateBudgets } from './budget.js';
+import { loadUserOrg, maskOrg } from './organizations.js';
+import { users, usageLogs } from './storage/index.js';
+import { isLocalAuth, verifySessionToken } from './local-auth.js';
 
-let db = null;
+// Firebase Admin for sign-in only - data lives in storage/
 let auth = null;
 
 try {
@@ -14,11 +17,9 @@ try {
     const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
     if (serviceAccount.project_id) {
       initializeApp({ credential: cert(serviceAccount) });
-      db = getFirestore();
       auth = getAuth();
     }
   } else {
-    db = getFirestore();
     auth = getAuth();
   }
 } catch (e) {
@@ -26,6 +27,7 @@ try {
 }
 
 async function verifyToken(idToken) {
+  if (isLocalAuth()) return verifySessionToken(idToken);
   if (!auth) return null;
   try {
     return await auth.verifyIdToken(idToken);
@@ -34,6 +36,131 @@ async function verifyToken(idToken) {
   }
 }
 
+// Usage logs from the last 30 days where field == value, newest first
+async function getUsageLogs(field, value, limit) {
+  try {
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    return await usageLogs.list(field, value, { since: thirtyDaysAgo.toISOString(), limit });
+  } catch (e) {
+    console.warn('Usage logs query failed:', e.message);
+    return [];
+  }
+}
+
+// Totals and breakdowns (model, provider, API key, member, day) of a set of logs
+function summarizeLogs(logs) {
+  const stats = {
+    totalRequests: logs.length,
+    successfulRequests: logs.filter(l => l.success).length,
+    failedRequests: logs.filter(l => !l.success && l.status !== 'cancelled').length,
+    cancelledRequests: logs.filter(l => l.status === 'cancelled').length,
+    cacheHits: logs.filter(l => l.cached).length,
+    totalPromptTokens: 0,
+    totalCompletionTokens: 0,
+    totalTokens: 0,
+    byModel: {},
+    byProvider: {},
+    byApiKey: {},
+    byMember: {},
+    byDate: {},
+    last24h: { requests: 0, tokens: 0 },
+    last7d: { requests: 0, tokens: 0 },
+  };
+
+  const now = new Date();
+  const oneDayAgo = new Date(now - 24 * 60 * 60 * 1000);
+  const sevenDaysAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+
+  logs.forEach(log => {
+    const logDate = new Date(log.timestamp);
+    const dateKey = log.date || log.timestamp?.split('T')[0];
+    
+    // Token totals
+    const promptTokens = log.promptTokens || 0;
+    const completionTokens = log.completionTokens || 0;
+    const totalTokens = log.totalTokens || (promptTokens + completionTokens);
+    
+    stats.totalPromptTokens += promptTokens;
+    stats.totalCompletionTokens += completionTokens;
+    stats.totalTokens += totalTokens;
+    
+    // By model
+    if (!stats.byModel[log.model]) {
+      stats.byModel[log.model] = { requests: 0, tokens: 0, promptTokens: 0, completionTokens: 0 };
+    }
+    stats.byModel[log.model].requests++;
+    stats.byModel[log.model].tokens += totalTokens;
+    stats.byModel[log.model].promptTokens += promptTokens;
+    stats.byModel[log.model].completionTokens += completionTokens;
+    
+    // By provider
+    const provider = log.provider || 'unknown';
+    if (!stats.byProvider[provider]) {
+      stats.byProvider[provider] = { requests: 0, tokens: 0 };
+    }
+    stats.byProvider[provider].requests++;
+    stats.byProvider[provider].tokens += totalTokens;
+    
+    // By API key - logs from before named keys came from the default key
+    const apiKeyId = log.apiKeyId || 'default';
+    if (!stats.byApiKey[apiKeyId]) {
+      stats.byApiKey[apiKeyId] = { requests: 0, tokens: 0, cost: 0 };
+    }
+    stats.byApiKey[apiKeyId].requests++;
+    stats.byApiKey[apiKeyId].tokens += totalTokens;
+    stats.byApiKey[apiKeyId].cost += log.totalCost || 0;
+    
+    // By member - who sent it, for org usage
+    const userId = log.userId || 'unknown';
+    if (!stats.byMember[userId]) {
+      stats.byMember[userId] = { requests: 0, tokens: 0, cost: 0 };
+    }
+    stats.byMember[userId].requests++;
+    stats.byMember[userId].tokens += totalTokens;
+    stats.byMember[userId].cost += log.totalCost || 0;
+    
+    // By date
+    if (dateKey) {
+      if (!stats.byDate[dateKey]) {
+        stats.byDate[dateKey] = { requests: 0, tokens: 0, successful: 0, failed: 0 };
+      }
+      stats.byDate[dateKey].requests++;
+      stats.byDate[dateKey].tokens += totalTokens;
+      if (log.success) {
+        stats.byDate[dateKey].successful++;
+      } else if (log.status !== 'cancelled') {
+        stats.byDate[dateKey].failed++;
+      }
+    }
+    
+    // Time-based stats
+    if (logDate >= oneDayAgo) {
+      stats.last24h.requests++;
+      stats.last24h.tokens += totalTokens;
+    }
+    if (logDate >= sevenDaysAgo) {
+      stats.last7d.requests++;
+      stats.last7d.tokens += totalTokens;
+    }
+  });
+
+  // Sort byDate for chart display
+  const sortedDates = Object.keys(stats.byDate).sort();
+  const dailyStats = sortedDates.map(date => ({
+    date,
+    ...stats.byDate[date]
+  }));
+
+  // Get top models by usage
+  const topModels = Object.entries(stats.byModel)
+    .sort((a, b) => b[1].requests - a[1].requests)
+    .slice(0, 10)
+    .map(([model, data]) => ({ model, ...data }));
+
+  return { ...stats, dailyStats, topModels };
+}
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -54,11 +181,14 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 
+  // ?scope=org - pooled usage of every member of the caller's org (not cached)
+  const orgScope = req.query?.scope === 'org';
+
   try {
     // Check cache first
     const cacheKey = `usage_${decoded.uid}`;
     const cached = usageCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < USAGE_CACHE_TTL) {
+    if (cached && !orgScope && Date.now() - cached.timestamp < USAGE_CACHE_TTL) {
       return res.json(cached.data);
     }
     
@@ -68,130 +198,24 @@ export default async function handler(req, res) {
     if (cachedUser && Date.now() - cachedUser.timestamp < USER_CACHE_TTL) {
       user = cachedUser.data;
     } else {
-      const userDoc = await db.collection('users').doc(decoded.uid).get();
-      if (!userDoc.exists) {
+      user = await users.get(decoded.uid);
+      if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
-      user = userDoc.data();
       userCache.set(decoded.uid, { data: user, timestamp: Date.now() });
     }
     
-    // Get usage logs (last 30 days)
-    let logs = [];
-    try {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      const logsSnapshot = await db.collection('usage_logs')
-        .where('userId', '==', decoded.uid)
-        .where('timestamp', '>=', thirtyDaysAgo.toISOString())
-        .orderBy('timestamp', 'desc')
-        .limit(500)
-        .get();
-
-      logs = logsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    } catch (indexError) {
-      // Index might not exist yet - try simpler query
-      console.warn('Usage logs query failed (index may be needed):', indexError.message);
-      try {
-        const logsSnapshot = await db.collection('usage_logs')
-          .where('userId', '==', decoded.uid)
-          .limit(100)
-          .get();
-        logs = logsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        // Sort manually
-        logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      } catch (e) {
-        console.warn('Fallback query also failed:', e.message);
+    const org = await loadUserOrg(user.orgId, decoded.uid);
+    if (orgScope) {
+      if (!org) {
+        return res.status(404).json({ error: 'You are not in an organization' });
       }
+      const orgLogs = await getUsageLogs('orgId', org.id, 1000);
+      return res.json({ org: maskOrg(org, decoded.uid), stats: summarizeLogs(orgLogs) });
     }
     
-    // Calculate comprehensive stats
-    const stats = {
-      totalRequests: logs.length,
-      successfulRequests: logs.filter(l => l.success).length,
-      failedRequests: logs.filter(l => !l.success).length,
-      totalPromptTokens: 0,
-      totalCompletionTokens: 0,
-      totalTokens: 0,
-      byModel: {},
-      byProvider: {},
-      byDate: {},
-      last24h: { requests: 0, tokens: 0 },
-      last7d: { requests: 0, tokens: 0 },
-    };
-
-    const now = new Date();
-    const oneDayAgo = new Date(now - 24 * 60 * 60 * 1000);
-    const sevenDaysAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
-
-    logs.forEach(log => {
-      const logDate = new Date(log.timestamp);
-      const dateKey = log.date || log.timestamp?.split('T')[0];
-      
-      // Token totals
-      const promptTokens = log.promptTokens || 0;
-      const completionTokens = log.completionTokens || 0;
-      const totalTokens = log.totalTokens || (promptTokens + completionTokens);
-      
-      stats.totalPromptTokens += promptTokens;
-      stats.totalCompletionTokens += completionTokens;
-      stats.totalTokens += totalTokens;
-      
-      // By model
-      if (!stats.byModel[log.model]) {
-        stats.byModel[log.model] = { requests: 0, tokens: 0, promptTokens: 0, completionTokens: 0 };
-      }
-      stats.byModel[log.model].requests++;
-      stats.byModel[log.model].tokens += totalTokens;
-      stats.byModel[log.model].promptTokens += promptTokens;
-      stats.byModel[log.model].completionTokens += completionTokens;
-      
-      // By provider
-      const provider = log.provider || 'unknown';
-      if (!stats.byProvider[provider]) {
-        stats.byProvider[provider] = { requests: 0, tokens: 0 };
-      }
-      stats.byProvider[provider].requests++;
-      stats.byProvider[provider].tokens += totalTokens;
-      
-      // By date
-      if (dateKey) {
-        if (!stats.byDate[dateKey]) {
-          stats.byDate[dateKey] = { requests: 0, tokens: 0, successful: 0, failed: 0 };
-        }
-        stats.byDate[dateKey].requests++;
-        stats.byDate[dateKey].tokens += totalTokens;
-        if (log.success) {
-          stats.byDate[dateKey].successful++;
-        } else {
-          stats.byDate[dateKey].failed++;
-        }
-      }
-      
-      // Time-based stats
-      if (logDate >= oneDayAgo) {
-        stats.last24h.requests++;
-        stats.last24h.tokens += totalTokens;
-      }
-      if (logDate >= sevenDaysAgo) {
-        stats.last7d.requests++;
-        stats.last7d.tokens += totalTokens;
-      }
-    });
-
-    // Sort byDate for chart display
-    const sortedDates = Object.keys(stats.byDate).sort();
-    const dailyStats = sortedDates.map(date => ({
-      date,
-      ...stats.byDate[date]
-    }));
-
-    // Get top models by usage
-    const topModels = Object.entries(stats.byModel)
-      .sort((a, b) => b[1].requests - a[1].requests)
-      .slice(0, 10)
-      .map(([model, data]) => ({ model, ...data }));
+    const logs = await getUsageLogs('userId', decoded.uid, 500);
+    const stats = summarizeLogs(logs);
 
     const response = {
       // User limits
@@ -201,6 +225,11 @@ export default async function handler(req, res) {
       dailyRequestsUsed: user.dailyRequestsUsed || 0,
       dailyLimit: 15,
       
+      // Spending budgets and this period's spend against them
+      budgets: user.budgets || null,
+      keyBudgets: user.keyBudgets || null,
+      budget: evaluateBudgets({ ...user, org }),
+      
       // Access status
       hasUnlimitedOpenAI: (user.bytezKeys?.length || 0) > 0,
       hasClaudeAccess: (user.puterKeys?.length || 0) > 0,
@@ -215,11 +244,7 @@ export default async function handler(req, res) {
       },
       
       // Stats from logs
-      stats: {
-        ...stats,
-        dailyStats,
-        topModels,
-      },
+      stats,
       
       // Recent logs for display
       recentLogs: logs.slice(0, 50).map(log => ({
@@ -229,10 +254,13 @@ export default async function handler(req, res) {
         promptTokens: log.promptTokens || 0,
         completionTokens: log.completionTokens || 0,
         totalTokens: log.totalTokens || 0,
+        estimated: !!log.estimated,
+        cached: !!log.cached,
         promptCost: log.promptCost || 0,
         completionCost: log.completionCost || 0,
         totalCost: log.totalCost || 0,
         success: log.success,
+        status: log.status || (log.success ? 'success' : 'error'),
         errorMessage: log.errorMessage,
         keyType: log.keyType,
         timestamp: log.timestamp,
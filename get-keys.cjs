@@ -17,9 +17,9 @@ const { getAuth } = require('firebase-admin/auth');
     const puterKeys = userDoc.data().puterKeys || [];
 
     console.log('Total keys:', puterKeys.length);
+    const { openKey } = await import('./api/key-vault.js');
     puterKeys.forEach((k, i) => {
-        const key = typeof k === 'string' ? k : k.key;
-        console.log(`${i + 1}: ${key}`);
+        console.log(`${i + 1}: ${openKey(k)}`);
     });
 
     process.exit(0);
@@ -0,0 +1,11 @@
+// Print the passwordHash of a password, for AUTH_USERS_FILE entries in local
+// auth mode (see api/local-auth.js):
+//   npm run hash-password -- 'the password'
+import { hashPassword } from './api/local-auth.js';
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+console.log(await hashPassword(password));
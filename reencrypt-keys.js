@@ -0,0 +1,65 @@
+// Re-wrap every stored Puter and upstream key under the current master key, and
+// seal keys still stored as plaintext or without their owner bound. Run after rotating
+// PUTER_KEYS_MASTER_KEY with the old key kept as PUTER_KEYS_PREVIOUS_MASTER_KEY
+// (see api/key-vault.js), and once after upgrading to owner-bound records:
+//   npm run reencrypt-keys
+import 'dotenv/config';
+import { resealKey, userKeyOwner, orgKeyOwner, SYSTEM_KEY_OWNER } from './api/key-vault.js';
+import { users, organizations, systemConfig } from './api/storage/index.js';
+
+// The resealed list, or null when every key is already current
+function resealAll(keys = [], owner) {
+  let changed = false;
+  const resealed = keys.map(stored => {
+    const record = resealKey(stored, owner);
+    if (record) changed = true;
+    return record || stored;
+  });
+  return changed ? resealed : null;
+}
+
+// The upstreams with their keys resealed, or null when every key is already current
+function resealUpstreams(upstreams = [], owner) {
+  let changed = false;
+  const resealed = upstreams.map(upstream => {
+    const record = upstream.apiKey ? resealKey(upstream.apiKey, owner) : null;
+    if (!record) return upstream;
+    changed = true;
+    return { ...upstream, apiKey: record };
+  });
+  return changed ? resealed : null;
+}
+
+const config = await systemConfig.get();
+const systemKeys = resealAll(config.systemPuterKeys, SYSTEM_KEY_OWNER);
+if (systemKeys) {
+  await systemConfig.update({ systemPuterKeys: systemKeys });
+  console.log(`System keys: re-encrypted ${systemKeys.length}`);
+}
+const systemUpstreams = resealUpstreams(config.systemUpstreams, SYSTEM_KEY_OWNER);
+if (systemUpstreams) {
+  await systemConfig.update({ systemUpstreams });
+  console.log(`System upstream keys: re-encrypted`);
+}
+
+const allUsers = await users.list();
+let updatedUsers = 0;
+for (const user of allUsers) {
+  const puterKeys = resealAll(user.puterKeys, userKeyOwner(user.id));
+  const upstreams = resealUpstreams(user.upstreams, userKeyOwner(user.id));
+  if (!puterKeys && !upstreams) continue;
+  await users.update(user.id, { ...(puterKeys && { puterKeys }), ...(upstreams && { upstreams }) });
+  updatedUsers++;
+}
+console.log(`User keys: re-encrypted for ${updatedUsers} of ${allUsers.length} users`);
+
+const orgs = await organizations.list();
+let updatedOrgs = 0;
+for (const org of orgs) {
+  const puterKeys = resealAll(org.puterKeys, orgKeyOwner(org.id));
+  if (!puterKeys) continue;
+  await organizations.update(org.id, { puterKeys });
+  updatedOrgs++;
+}
+console.log(`Org keys: re-encrypted for ${updatedOrgs} of ${orgs.length} organizations`);
+process.exit(0);
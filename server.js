@@ -13,15 +13,17 @@ app.use(express.json({ limit: '50mb' }));
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Token, X-Puter-Token, Idempotency-Key, anthropic-version, anthropic-beta');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Model-Used, X-Context-Management, X-Cache, X-Usage-Estimated, Idempotent-Replayed, Retry-After, X-Budget-Warning, x-ratelimit-limit-requests, x-ratelimit-remaining-requests, x-ratelimit-reset-requests, x-ratelimit-limit-tokens, x-ratelimit-remaining-tokens, x-ratelimit-reset-tokens');
   if (req.method === 'OPTIONS') return res.status(200).end();
   next();
 });
 
 // Import API handlers
-const chatHandler = (await import('./api/chat.js')).default;
+const { default: chatHandler, messagesHandler, responsesHandler } = await import('./api/chat.js');
 const modelsHandler = (await import('./api/models.js')).default;
 const authHandler = (await import('./api/auth.js')).default;
+const sessionHandler = (await import('./api/session.js')).default;
 const usageHandler = (await import('./api/usage.js')).default;
 const adminHandler = (await import('./api/admin.js')).default;
 const imagesHandler = (await import('./api/images.js')).default;
@@ -29,10 +31,14 @@ const puterUsageHandler = (await import('./api/puter-usage.js')).default;
 
 // API routes
 app.post('/v1/chat/completions', chatHandler);
+app.all('/v1/messages', messagesHandler);
+app.all('/v1/responses', responsesHandler);
+app.all('/v1/responses/:id', responsesHandler);
 app.get('/v1/models', modelsHandler);
 app.all('/v1/images/generations', imagesHandler);
 app.all('/api/images', imagesHandler);
 app.all('/api/auth', authHandler);
+app.all('/api/session', sessionHandler);
 app.all('/api/models', modelsHandler);
 app.all('/api/usage', usageHandler);
 app.all('/api/admin', adminHandler);
@@ -48,4 +54,15 @@ app.get('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+const server = app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+
+// Stop taking requests and write pending local storage changes before exiting
+const { flushStorage } = await import('./api/storage/index.js');
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    console.log(`${signal} received - shutting down`);
+    server.close();
+    await flushStorage();
+    process.exit(0);
+  });
+}
@@ -1,17 +1,28 @@
 import { useState, useEffect } from 'react';
 import { auth, googleProvider } from './firebase';
 import { signInWithPopup, signOut, onAuthStateChanged } from 'firebase/auth';
+import { getAuthConfig, restoreLocalSession, startLocalSession, endLocalSession } from './session';
 import Landing from './components/Landing';
 import Dashboard from './components/Dashboard';
 
 export default function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [authConfig, setAuthConfig] = useState(null);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
-      setUser(user);
-      setLoading(false);
+    let unsubscribe = () => {};
+    getAuthConfig().then(config => {
+      setAuthConfig(config);
+      if (config.mode === 'local') {
+        setUser(restoreLocalSession());
+        setLoading(false);
+        return;
+      }
+      unsubscribe = onAuthStateChanged(auth, (user) => {
+        setUser(user);
+        setLoading(false);
+      });
     });
     return () => unsubscribe();
   }, []);
@@ -24,7 +35,17 @@ export default function App() {
     }
   };
 
+  // Errors go back to the login form
+  const handleLocalSignIn = async (action, email, password) => {
+    setUser(await startLocalSession(action, email, password));
+  };
+
   const handleSignOut = async () => {
+    if (authConfig?.mode === 'local') {
+      endLocalSession();
+      setUser(null);
+      return;
+    }
     try {
       await signOut(auth);
     } catch (error) {
@@ -49,6 +70,6 @@ export default function App() {
   return user ? (
     <Dashboard user={user} onSignOut={handleSignOut} />
   ) : (
-    <Landing onSignIn={handleSignIn} />
+    <Landing onSignIn={handleSignIn} authConfig={authConfig} onLocalSignIn={handleLocalSignIn} />
   );
 }
@@ -1,8 +1,8 @@
 import { useState, useEffect } from 'react';
-import { auth } from '../firebase';
+import { getIdToken } from '../session';
 import { 
   Key, LogOut, Zap, Activity, Settings, 
-  BarChart3, Code, BookOpen, Image, PieChart, UserPlus, Menu, X 
+  BarChart3, Code, BookOpen, Image, PieChart, UserPlus, Users, Menu, X, AlertTriangle 
 } from 'lucide-react';
 import NavItem from './ui/NavItem';
 import OverviewPage from '../pages/OverviewPage';
@@ -14,10 +14,11 @@ import UsagePage from '../pages/UsagePage';
 import DocsPage from '../pages/DocsPage';
 import AdminPage from '../pages/AdminPage';
 import PuterAccountsPage from '../pages/PuterAccountsPage';
+import OrgPage from '../pages/OrgPage';
 import './Dashboard.css';
 
 const ADMIN_USER_IDS = ['7nMmX6NJHGX2mshNOeN7Zv97lrD2'];
-const VALID_TABS = ['overview', 'keys', 'models', 'playground', 'images', 'usage', 'puter-accounts', 'docs', 'admin'];
+const VALID_TABS = ['overview', 'keys', 'org', 'models', 'playground', 'images', 'usage', 'puter-accounts', 'docs', 'admin'];
 
 const getTabFromHash = () => {
   const hash = window.location.hash.replace('#', '').replace('/', '');
@@ -31,7 +32,8 @@ export default function Dashboard({ user, onSignOut }) {
   const [loading, setLoading] = useState(true);
   const [copied, setCopied] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const isAdmin = ADMIN_USER_IDS.includes(user.uid);
+  // Local auth mode marks its admins in the session (see api/local-auth.js)
+  const isAdmin = ADMIN_USER_IDS.includes(user.uid) || !!user.isAdmin;
 
   useEffect(() => {
     const handleHashChange = () => setActiveTab(getTabFromHash());
@@ -51,14 +53,12 @@ export default function Dashboard({ user, onSignOut }) {
 
   const loadData = async () => {
     try {
-      const token = await auth.currentUser.getIdToken();
-      const [profileRes, modelsRes] = await Promise.all([
+      const token = await getIdToken();
+      const [profileRes] = await Promise.all([
         fetch('/api/auth', { headers: { Authorization: `Bearer ${token}` } }),
-        fetch('/api/models?format=extended')
+        loadModels()
       ]);
       setProfile(await profileRes.json());
-      const modelsData = await modelsRes.json();
-      setModels(modelsData.models || []);
     } catch (e) {
       console.error('Load error:', e);
     } finally {
@@ -66,6 +66,14 @@ export default function Dashboard({ user, onSignOut }) {
     }
   };
 
+  // Signed in, so the list includes the user's model presets
+  const loadModels = async () => {
+    const token = await getIdToken();
+    const res = await fetch('/api/models?format=extended', { headers: { 'X-Session-Token': token } });
+    const data = await res.json();
+    setModels(data.models || []);
+  };
+
   const copyApiKey = () => {
     navigator.clipboard.writeText(profile?.apiKey || '');
     setCopied(true);
@@ -75,14 +83,14 @@ export default function Dashboard({ user, onSignOut }) {
   const regenerateKey = async () => {
     if (!confirm('Regenerate API key? Old key will stop working.')) return;
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/auth', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
         body: JSON.stringify({ action: 'regenerateApiKey' })
       });
       const data = await res.json();
-      if (data.apiKey) setProfile(prev => ({ ...prev, apiKey: data.apiKey }));
+      if (data.apiKey) setProfile(prev => ({ ...prev, apiKey: data.apiKey, apiKeyPrefix: data.apiKeyPrefix }));
     } catch (e) {
       console.error('Regenerate error:', e);
     }
@@ -115,6 +123,7 @@ export default function Dashboard({ user, onSignOut }) {
         <nav className="sidebar-nav">
           <NavItem icon={<BarChart3 />} label="Overview" tab="overview" active={activeTab === 'overview'} onClick={() => changeTab('overview')} />
           <NavItem icon={<Key />} label="API Keys" tab="keys" active={activeTab === 'keys'} onClick={() => changeTab('keys')} />
+          <NavItem icon={<Users />} label="Organization" tab="org" active={activeTab === 'org'} onClick={() => changeTab('org')} />
           <NavItem icon={<Activity />} label="Models" tab="models" active={activeTab === 'models'} onClick={() => changeTab('models')} />
           <NavItem icon={<Code />} label="Playground" tab="playground" active={activeTab === 'playground'} onClick={() => changeTab('playground')} />
           <NavItem icon={<Image />} label="Images" tab="images" active={activeTab === 'images'} onClick={() => changeTab('images')} />
@@ -126,9 +135,9 @@ export default function Dashboard({ user, onSignOut }) {
 
         <div className="sidebar-footer">
           <div className="user-info">
-            <img src={user.photoURL} alt="" className="user-avatar" />
+            {user.photoURL && <img src={user.photoURL} alt="" className="user-avatar" />}
             <div className="user-details">
-              <span className="user-name">{user.displayName}</span>
+              <span className="user-name">{user.displayName || user.email.split('@')[0]}</span>
               <span className="user-email">{user.email}</span>
             </div>
           </div>
@@ -139,9 +148,16 @@ export default function Dashboard({ user, onSignOut }) {
       </aside>
 
       <main className="main-content">
+        {profile?.budget?.message && (
+          <div className={`test-result ${profile.budget.status === 'exceeded' ? 'error' : 'warning'}`} style={{ marginTop: 0, marginBottom: '1rem' }}>
+            <AlertTriangle size={16} />
+            <span>{profile.budget.message}</span>
+          </div>
+        )}
         {activeTab === 'overview' && <OverviewPage profile={profile} copyApiKey={copyApiKey} copied={copied} />}
         {activeTab === 'keys' && <KeysPage profile={profile} setProfile={setProfile} copyApiKey={copyApiKey} copied={copied} regenerateKey={regenerateKey} />}
-        {activeTab === 'models' && <ModelsPage models={models} />}
+        {activeTab === 'org' && <OrgPage profile={profile} setProfile={setProfile} />}
+        {activeTab === 'models' && <ModelsPage models={models} profile={profile} setProfile={setProfile} onPresetsChange={loadModels} />}
         {activeTab === 'playground' && <PlaygroundPage profile={profile} models={models} />}
         {activeTab === 'images' && <ImagesPage profile={profile} />}
         {activeTab === 'usage' && <UsagePage />}
@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Zap, Shield, Key, ArrowRight, Sparkles, Globe, Code } from 'lucide-react';
+import { Zap, Shield, Key, ArrowRight, Sparkles, Globe, Code, X } from 'lucide-react';
 import './Landing.css';
 
-export default function Landing({ onSignIn }) {
+export default function Landing({ onSignIn, authConfig, onLocalSignIn }) {
   const [models, setModels] = useState([]);
+  const [showLogin, setShowLogin] = useState(false);
+  // Local auth mode signs in with a password form instead of Google
+  const signIn = authConfig?.mode === 'local' ? () => setShowLogin(true) : onSignIn;
 
   useEffect(() => {
     fetch('/api/models?format=extended')
@@ -20,7 +23,7 @@ export default function Landing({ onSignIn }) {
             <Sparkles size={24} />
             <span>UnifiedAI</span>
           </div>
-          <button className="btn btn-primary" onClick={onSignIn}>
+          <button className="btn btn-primary" onClick={signIn}>
             Sign In
           </button>
         </div>
@@ -39,7 +42,7 @@ export default function Landing({ onSignIn }) {
             No complex setup. Just plug and play.
           </p>
           <div className="hero-actions">
-            <button className="btn btn-primary btn-lg" onClick={onSignIn}>
+            <button className="btn btn-primary btn-lg" onClick={signIn}>
               Get Started Free
               <ArrowRight size={18} />
             </button>
@@ -140,7 +143,7 @@ export default function Landing({ onSignIn }) {
           <div className="cta-card">
             <h2>Ready to get started?</h2>
             <p>Sign up now and get 15 free API requests per day.</p>
-            <button className="btn btn-primary btn-lg" onClick={onSignIn}>
+            <button className="btn btn-primary btn-lg" onClick={signIn}>
               Create Free Account
               <ArrowRight size={18} />
             </button>
@@ -148,6 +151,10 @@ export default function Landing({ onSignIn }) {
         </div>
       </section>
 
+      {showLogin && (
+        <LoginForm signup={authConfig.signup} onSubmit={onLocalSignIn} onClose={() => setShowLogin(false)} />
+      )}
+
       <footer className="footer">
         <div className="container">
           <p>© 2024 UnifiedAI. Built with ❤️</p>
@@ -157,6 +164,59 @@ export default function Landing({ onSignIn }) {
   );
 }
 
+function LoginForm({ signup, onSubmit, onClose }) {
+  const [action, setAction] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(action, email.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const isRegister = action === 'register';
+
+  return (
+    <div className="login-overlay" onClick={onClose}>
+      <form className="login-card" onSubmit={submit} onClick={(e) => e.stopPropagation()}>
+        <div className="login-header">
+          <h2>{isRegister ? 'Create Account' : 'Sign In'}</h2>
+          <button type="button" className="login-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+        <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} autoFocus required />
+        <input
+          type="password"
+          placeholder={isRegister ? 'Password (at least 8 characters)' : 'Password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          required
+        />
+        {error && <p className="login-error">{error}</p>}
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Sign In'}
+        </button>
+        {signup && (
+          <button type="button" className="login-switch" onClick={() => { setAction(isRegister ? 'login' : 'register'); setError(null); }}>
+            {isRegister ? 'Already have an account? Sign in' : 'No account yet? Create one'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
+
 function ModelCard({ model }) {
   const tierColors = {
     premium: '#f59e0b',
@@ -0,0 +1,27 @@
+import { Copy, Check } from 'lucide-react';
+
+// The default API key. Only its prefix is stored, so the full key is only
+// there right after it was issued (sign-up, regeneration).
+export default function ApiKeyDisplay({ profile, copyApiKey, copied }) {
+  if (!profile) {
+    return <div className="api-key-display"><code>Loading...</code></div>;
+  }
+
+  return (
+    <>
+      <div className="api-key-display">
+        <code>{profile.apiKey || `${profile.apiKeyPrefix}...`}</code>
+        {profile.apiKey && (
+          <button className="btn-icon" onClick={copyApiKey}>
+            {copied ? <Check size={16} /> : <Copy size={16} />}
+          </button>
+        )}
+      </div>
+      <p className="card-desc" style={{ marginTop: '0.5rem' }}>
+        {profile.apiKey
+          ? "Copy your key now - it won't be shown again."
+          : 'Keys are only shown once. Regenerate it if you lost it.'}
+      </p>
+    </>
+  );
+}
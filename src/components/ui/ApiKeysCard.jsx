@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { Plus, Pencil, Trash2, Copy, Check, X, Save } from 'lucide-react';
+import { formatNumber } from '../../utils/format';
+import { formatChains, parseChains } from './FallbackChainsEditor';
+
+const ENDPOINTS = ['chat', 'images'];
+
+// Editable fields; models are edited as a comma-separated list, the expiry
+// as a date (keys expire at the start of that day, UTC) and fallback chains
+// like the account's
+function toFields(apiKey) {
+  return {
+    name: apiKey?.name || '',
+    expiresAt: apiKey?.expiresAt ? apiKey.expiresAt.split('T')[0] : '',
+    models: (apiKey?.models || []).join(', '),
+    endpoints: apiKey?.endpoints || ENDPOINTS,
+    fallbackChains: formatChains(apiKey?.fallbackChains),
+  };
+}
+
+function toOptions(fields) {
+  return {
+    name: fields.name.trim(),
+    expiresAt: fields.expiresAt || null,
+    models: fields.models,
+    // All endpoints ticked means unrestricted
+    endpoints: fields.endpoints.length === ENDPOINTS.length ? null : fields.endpoints,
+    fallbackChains: parseChains(fields.fallbackChains),
+  };
+}
+
+export default function ApiKeysCard({ apiKeys = [], usageByKey = {}, onCreate, onUpdate, onRevoke }) {
+  // null = closed, 'new' = creating, otherwise the id of the key being edited
+  const [editing, setEditing] = useState(null);
+  const [fields, setFields] = useState(toFields(null));
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  const [created, setCreated] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const open = (apiKey) => {
+    setEditing(apiKey ? apiKey.id : 'new');
+    setFields(toFields(apiKey));
+    setResult(null);
+    setCreated(null);
+  };
+
+  const update = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+    setResult(null);
+  };
+
+  const toggleEndpoint = (endpoint) => {
+    update('endpoints', fields.endpoints.includes(endpoint)
+      ? fields.endpoints.filter(e => e !== endpoint)
+      : [...fields.endpoints, endpoint]);
+  };
+
+  const save = async () => {
+    if (fields.endpoints.length === 0) {
+      setResult({ valid: false, message: 'Pick at least one endpoint' });
+      return;
+    }
+    setSaving(true);
+    setResult(null);
+    try {
+      const outcome = editing === 'new'
+        ? await onCreate(toOptions(fields))
+        : await onUpdate(editing, toOptions(fields));
+      if (outcome?.error) {
+        setResult({ valid: false, message: outcome.error });
+      } else {
+        if (outcome?.key) setCreated(outcome);
+        setEditing(null);
+      }
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const revoke = async (apiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Requests using it will be rejected.`)) return;
+    const outcome = await onRevoke(apiKey.id);
+    if (outcome?.error) setResult({ valid: false, message: outcome.error });
+  };
+
+  const copyCreated = () => {
+    navigator.clipboard.writeText(created.key);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div>
+          <h3>Named API Keys</h3>
+          <p className="card-desc">Separate keys per app or environment, each with its own expiry, models and usage</p>
+        </div>
+        <button className="btn btn-primary" onClick={() => open(null)}>
+          <Plus size={16} /> New Key
+        </button>
+      </div>
+
+      {created && (
+        <div className="add-key-section">
+          <p className="card-desc">Copy "{created.name}" now - it won't be shown again.</p>
+          <div className="api-key-display">
+            <code>{created.key}</code>
+            <button className="btn-icon" onClick={copyCreated}>
+              {copied ? <Check size={16} /> : <Copy size={16} />}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <div className="add-key-section">
+          <div className="add-key-form">
+            <input type="text" placeholder="Name, e.g. production" value={fields.name} onChange={(e) => update('name', e.target.value)} disabled={saving} />
+            <input type="date" title="Expires on (optional)" value={fields.expiresAt} onChange={(e) => update('expiresAt', e.target.value)} disabled={saving} />
+          </div>
+          <div className="add-key-form">
+            <input type="text" placeholder="Allowed models, e.g. gpt-4o, claude-* (empty = all)" value={fields.models} onChange={(e) => update('models', e.target.value)} disabled={saving} />
+          </div>
+          <div className="form-group">
+            <textarea
+              rows={3}
+              value={fields.fallbackChains}
+              onChange={(e) => update('fallbackChains', e.target.value)}
+              placeholder="Fallback chains, e.g. gpt-4o -> gpt-4o-mini (empty = your account's)"
+              spellCheck={false}
+              disabled={saving}
+            />
+          </div>
+          <div className="add-key-form">
+            {ENDPOINTS.map(endpoint => (
+              <label key={endpoint} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.35rem' }}>
+                <input type="checkbox" checked={fields.endpoints.includes(endpoint)} onChange={() => toggleEndpoint(endpoint)} disabled={saving} />
+                {endpoint}
+              </label>
+            ))}
+            <button className="btn btn-primary" onClick={save} disabled={saving || !fields.name.trim()}>
+              <Save size={16} /> {saving ? 'Saving...' : editing === 'new' ? 'Create Key' : 'Save'}
+            </button>
+            <button className="btn btn-ghost" onClick={() => setEditing(null)} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+          {result.valid ? <Check size={16} /> : <X size={16} />}
+          <span>{result.message}</span>
+        </div>
+      )}
+
+      {apiKeys.length > 0 && (
+        <div className="system-keys-list" style={{ marginTop: '1rem' }}>
+          {apiKeys.map(apiKey => {
+            const usage = usageByKey[apiKey.id];
+            return (
+              <div key={apiKey.id} className="system-key-item">
+                <strong>{apiKey.name}</strong>
+                <code>{apiKey.preview}</code>
+                {apiKey.expired
+                  ? <span className="status-badge">Expired</span>
+                  : apiKey.expiresAt && <span className="status-badge">Expires {apiKey.expiresAt.split('T')[0]}</span>}
+                {apiKey.endpoints && <span className="status-badge">{apiKey.endpoints.join(', ')}</span>}
+                {apiKey.models && <span className="status-badge" title={apiKey.models.join(', ')}>{apiKey.models.length} models</span>}
+                {apiKey.fallbackChains && <span className="status-badge" title={formatChains(apiKey.fallbackChains)}>Own fallbacks</span>}
+                <span className="status-badge active">{formatNumber(usage?.requests || 0)} requests (30d)</span>
+                <button className="btn-icon" onClick={() => open(apiKey)} title="Edit">
+                  <Pencil size={16} />
+                </button>
+                <button className="btn-icon" onClick={() => revoke(apiKey)} title="Revoke">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
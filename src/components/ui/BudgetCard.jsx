@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { Check, X, Save } from 'lucide-react';
+import { formatDollars } from '../../utils/format';
+
+const UNITS_PER_DOLLAR = 100000000;
+
+// Budgets are stored in Puter units, edited in dollars
+function toFields(budgets) {
+  return {
+    daily: budgets?.daily ? budgets.daily / UNITS_PER_DOLLAR : '',
+    monthly: budgets?.monthly ? budgets.monthly / UNITS_PER_DOLLAR : '',
+    alertPercent: budgets?.alertPercent ?? '',
+  };
+}
+
+function toBudgets(fields) {
+  return {
+    daily: fields.daily === '' ? '' : Math.round(Number(fields.daily) * UNITS_PER_DOLLAR),
+    monthly: fields.monthly === '' ? '' : Math.round(Number(fields.monthly) * UNITS_PER_DOLLAR),
+    alertPercent: fields.alertPercent,
+  };
+}
+
+const BAR_COLORS = { ok: 'var(--primary)', warning: 'var(--warning)', exceeded: 'var(--error)' };
+
+const SCOPE_LABELS = { key: ' (API key)', org: ' (organization)' };
+
+export default function BudgetCard({
+  budget,
+  budgets,
+  onSave,
+  title = 'Spending Budgets',
+  description = 'Daily and monthly caps on what your requests cost. Requests get a warning header past the alert threshold and are rejected at the cap.',
+}) {
+  const [fields, setFields] = useState(toFields(budgets));
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => { setFields(toFields(budgets)); }, [budgets]);
+
+  const update = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+    setResult(null);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setResult(null);
+    try {
+      const error = await onSave(toBudgets(fields));
+      setResult(error ? { valid: false, message: error } : { valid: true, message: 'Saved!' });
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>{title}</h3>
+      <p className="card-desc">{description}</p>
+
+      {budget?.items?.map(item => (
+        <div key={`${item.scope}-${item.period}`} className="usage-progress-section" style={{ marginBottom: '0.75rem' }}>
+          <div className="usage-progress-header">
+            <span>{item.period === 'daily' ? 'Today' : 'This month'}{SCOPE_LABELS[item.scope] || ''}</span>
+            <span>{formatDollars(item.spent)} / {formatDollars(item.limit)}</span>
+          </div>
+          <div className="key-progress">
+            <div className="key-progress-bar" style={{ width: `${Math.min(100, item.percent)}%`, background: BAR_COLORS[item.status] }} />
+          </div>
+          <div className="usage-progress-footer">
+            <span>{item.percent}% used</span>
+            {item.status === 'exceeded' && <span>Cap reached</span>}
+          </div>
+        </div>
+      ))}
+
+      <div className="add-key-form">
+        <input type="number" min="0" step="0.01" placeholder="Daily ($)" value={fields.daily} onChange={(e) => update('daily', e.target.value)} />
+        <input type="number" min="0" step="0.01" placeholder="Monthly ($)" value={fields.monthly} onChange={(e) => update('monthly', e.target.value)} />
+        <input type="number" min="1" max="100" placeholder="Alert at (%, default 80)" value={fields.alertPercent} onChange={(e) => update('alertPercent', e.target.value)} />
+        <button className="btn btn-primary" onClick={save} disabled={saving}>
+          <Save size={16} /> {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+      <p className="card-desc">Leave a field empty for no cap.</p>
+
+      {result && (
+        <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+          {result.valid ? <Check size={16} /> : <X size={16} />}
+          <span>{result.message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { Check, X, Save } from 'lucide-react';
+
+// One chain per line: "gpt-5.1 -> gpt-5, gpt-4.1, g4f:gpt-4o"
+// (model IDs can contain ':', so the arrow separates model and fallbacks)
+export function formatChains(chains) {
+  return Object.entries(chains || {})
+    .map(([model, fallbacks]) => `${model} -> ${fallbacks.join(', ')}`)
+    .join('\n');
+}
+
+export function parseChains(text) {
+  const chains = {};
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const [model, fallbacks = ''] = line.split('->');
+    chains[model.trim()] = fallbacks.split(',').map(m => m.trim()).filter(Boolean);
+  }
+  return chains;
+}
+
+export default function FallbackChainsEditor({ title, description, chains, onSave }) {
+  const [text, setText] = useState(formatChains(chains));
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => { setText(formatChains(chains)); }, [chains]);
+
+  const save = async () => {
+    setSaving(true);
+    setResult(null);
+    try {
+      const error = await onSave(parseChains(text));
+      setResult(error ? { valid: false, message: error } : { valid: true, message: 'Saved!' });
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div>
+          <h3>{title}</h3>
+          <p className="card-desc">{description}</p>
+        </div>
+        <button className="btn btn-primary" onClick={save} disabled={saving}>
+          <Save size={16} /> {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <div className="form-group">
+        <textarea
+          rows={6}
+          value={text}
+          onChange={(e) => { setText(e.target.value); setResult(null); }}
+          placeholder="gpt-5.1 -> gpt-5, gpt-4.1, g4f:gpt-4o"
+          spellCheck={false}
+        />
+      </div>
+      <p className="card-desc">One model per line, followed by the models to try if it fails. Leave the list empty to turn fallback off for a model.</p>
+
+      {result && (
+        <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+          {result.valid ? <Check size={16} /> : <X size={16} />}
+          <span>{result.message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { Check, X, Save, RotateCcw } from 'lucide-react';
+
+function formatRouting(routing) {
+  return JSON.stringify(routing || {}, null, 2);
+}
+
+function describeVersion({ version, updatedAt, updatedBy }) {
+  const when = updatedAt ? new Date(updatedAt).toLocaleString() : 'built-in defaults';
+  return `v${version} - ${when}${updatedBy ? ` by ${updatedBy}` : ''}`;
+}
+
+// JSON editor for the model routing config (api/model-routing.js).
+// onSave(routing, baseVersion) and onRollback(version) resolve with an error
+// message, or nothing on success.
+export default function ModelRoutingEditor({ modelRouting, onSave, onRollback }) {
+  const [text, setText] = useState(formatRouting(modelRouting?.routing));
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => { setText(formatRouting(modelRouting?.routing)); }, [modelRouting]);
+
+  if (!modelRouting) return null;
+  const { version, source, readOnly, history = [] } = modelRouting;
+
+  const run = async (action) => {
+    setSaving(true);
+    setResult(null);
+    try {
+      const error = await action();
+      setResult(error ? { valid: false, message: error } : { valid: true, message: 'Saved - applies within 30 seconds' });
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = () => run(() => {
+    let routing;
+    try {
+      routing = JSON.parse(text);
+    } catch (err) {
+      return `Invalid JSON: ${err.message}`;
+    }
+    return onSave(routing, version);
+  });
+
+  const rollback = (target) => {
+    if (!confirm(`Restore model routing v${target}? It is saved as a new version.`)) return;
+    run(() => onRollback(target));
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div>
+          <h3>Model Routing</h3>
+          <p className="card-desc">
+            {source === 'file'
+              ? 'Read from MODEL_ROUTING_FILE - edit the file to change it'
+              : `Model name maps for chat, G4F and images, and the auto model's rules - ${version ? describeVersion(modelRouting) : 'built-in defaults'}`}
+          </p>
+        </div>
+        {!readOnly && (
+          <button className="btn btn-primary" onClick={save} disabled={saving}>
+            <Save size={16} /> {saving ? 'Saving...' : 'Save'}
+          </button>
+        )}
+      </div>
+
+      <div className="form-group">
+        <textarea
+          rows={16}
+          value={text}
+          onChange={(e) => { setText(e.target.value); setResult(null); }}
+          readOnly={readOnly}
+          spellCheck={false}
+        />
+      </div>
+      <p className="card-desc">Sections or fields left out use the built-in defaults. Gateways pick up a saved version within 30 seconds.</p>
+
+      {result && (
+        <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+          {result.valid ? <Check size={16} /> : <X size={16} />}
+          <span>{result.message}</span>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div className="system-keys-list">
+          {history.map(entry => (
+            <div key={entry.version} className="system-key-item">
+              <span className="key-date">{describeVersion(entry)}</span>
+              <button className="btn-icon" onClick={() => rollback(entry.version)} disabled={saving} title="Restore">
+                <RotateCcw size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { Check, X, Save, Trash2, Pencil } from 'lucide-react';
+
+const EMPTY_FIELDS = { name: '', model: '', temperature: '', max_tokens: '', system: '' };
+
+function describePreset(preset) {
+  const parts = [];
+  if (preset.temperature !== undefined) parts.push(`temperature ${preset.temperature}`);
+  if (preset.max_tokens) parts.push(`max ${preset.max_tokens} tokens`);
+  if (preset.system) parts.push('system prompt');
+  return parts.join(' · ');
+}
+
+// Model presets (api/presets.js) of the user or their organization.
+// onSave(name, preset) and onDelete(name) resolve with an error message, or
+// nothing on success. Without canEdit the presets are only listed.
+export default function PresetsCard({ title, description, presets, canEdit = true, onSave, onDelete }) {
+  const [fields, setFields] = useState(EMPTY_FIELDS);
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  const entries = Object.entries(presets || {}).sort(([a], [b]) => a.localeCompare(b));
+
+  const update = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+    setResult(null);
+  };
+
+  const edit = (name, preset) => {
+    setFields({ ...EMPTY_FIELDS, ...preset, name });
+    setResult(null);
+  };
+
+  const run = async (action, successMessage) => {
+    setSaving(true);
+    setResult(null);
+    try {
+      const error = await action();
+      setResult(error ? { valid: false, message: error } : { valid: true, message: successMessage });
+      return !error;
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = async () => {
+    const { name, ...preset } = fields;
+    if (await run(() => onSave(name.trim(), preset), 'Saved!')) setFields(EMPTY_FIELDS);
+  };
+
+  const remove = (name) => {
+    if (!confirm(`Delete preset ${name}?`)) return;
+    run(() => onDelete(name), 'Deleted');
+  };
+
+  return (
+    <div className="card">
+      <h3>{title}</h3>
+      <p className="card-desc">{description}</p>
+
+      {entries.length > 0 ? (
+        <div className="system-keys-list">
+          {entries.map(([name, preset]) => (
+            <div key={name} className="system-key-item">
+              <code>{name} → {preset.model}</code>
+              <span className="key-date">{describePreset(preset)}</span>
+              {canEdit && (
+                <>
+                  <button className="btn-icon" onClick={() => edit(name, preset)} title="Edit">
+                    <Pencil size={16} />
+                  </button>
+                  <button className="btn-icon" onClick={() => remove(name)} disabled={saving} title="Delete">
+                    <Trash2 size={16} />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="card-desc">No presets yet.</p>
+      )}
+
+      {canEdit && (
+        <>
+          <div className="add-key-form">
+            <input type="text" placeholder="Name (e.g. team-fast)" value={fields.name} onChange={(e) => update('name', e.target.value)} />
+            <input type="text" placeholder="Model (e.g. g4f:gpt-4o-mini)" value={fields.model} onChange={(e) => update('model', e.target.value)} />
+            <input type="number" min="0" max="2" step="0.1" placeholder="Temperature" value={fields.temperature} onChange={(e) => update('temperature', e.target.value)} />
+            <input type="number" min="1" placeholder="Max tokens" value={fields.max_tokens} onChange={(e) => update('max_tokens', e.target.value)} />
+          </div>
+          <div className="form-group">
+            <textarea
+              rows={3}
+              value={fields.system}
+              onChange={(e) => update('system', e.target.value)}
+              placeholder="System prompt prefix (optional)"
+            />
+          </div>
+          <button className="btn btn-primary" onClick={save} disabled={saving || !fields.name.trim() || !fields.model.trim()}>
+            <Save size={16} /> {saving ? 'Saving...' : 'Save Preset'}
+          </button>
+        </>
+      )}
+
+      {result && (
+        <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+          {result.valid ? <Check size={16} /> : <X size={16} />}
+          <span>{result.message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useState, useEffect } from 'react';
+import { Check, X, Save } from 'lucide-react';
+
+// Requests / tokens per minute. Empty fields are sent as '' - the server
+// treats them as "not set" (unlimited, or the default for user overrides).
+function toFields(limits) {
+  return { rpm: limits?.rpm ?? '', tpm: limits?.tpm ?? '' };
+}
+
+export default function RateLimitsEditor({ title, description, limits, onSave, withEmail = false }) {
+  const [fields, setFields] = useState(toFields(limits));
+  const [email, setEmail] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => { setFields(toFields(limits)); }, [limits]);
+
+  const update = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+    setResult(null);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setResult(null);
+    try {
+      const error = await onSave(fields, email.trim());
+      setResult(error ? { valid: false, message: error } : { valid: true, message: 'Saved!' });
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div>
+          <h3>{title}</h3>
+          <p className="card-desc">{description}</p>
+        </div>
+      </div>
+
+      <div className="add-key-form">
+        {withEmail && (
+          <input
+            type="email"
+            placeholder="User email"
+            value={email}
+            onChange={(e) => { setEmail(e.target.value); setResult(null); }}
+          />
+        )}
+        <input type="number" min="0" placeholder="Requests / min" value={fields.rpm} onChange={(e) => update('rpm', e.target.value)} />
+        <input type="number" min="0" placeholder="Tokens / min" value={fields.tpm} onChange={(e) => update('tpm', e.target.value)} />
+        <button className="btn btn-primary" onClick={save} disabled={saving || (withEmail && !email.trim())}>
+          <Save size={16} /> {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+      <p className="card-desc">
+        {withEmail ? 'Empty fields use the defaults; 0 means no limit.' : 'Leave a field empty (or 0) for no limit.'}
+      </p>
+
+      {result && (
+        <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+          {result.valid ? <Check size={16} /> : <X size={16} />}
+          <span>{result.message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
-import { auth } from '../firebase';
-import { Activity, Key, Zap, Plus, Trash2, RefreshCw, Check, X, Shield, Eye, Copy } from 'lucide-react';
+import { getIdToken } from '../session';
+import { Activity, Key, Zap, Plus, Trash2, RefreshCw, Check, X, Shield } from 'lucide-react';
 import StatCard from '../components/ui/StatCard';
+import FallbackChainsEditor from '../components/ui/FallbackChainsEditor';
+import RateLimitsEditor from '../components/ui/RateLimitsEditor';
+import ModelRoutingEditor from '../components/ui/ModelRoutingEditor';
 import { formatDollars, getUsagePercent } from '../utils/format';
 
 export default function AdminPage() {
@@ -16,36 +19,12 @@ export default function AdminPage() {
   const [systemUsage, setSystemUsage] = useState(null);
   const [loadingUsage, setLoadingUsage] = useState(false);
   const [expandedKeys, setExpandedKeys] = useState({});
-  const [viewingKey, setViewingKey] = useState(null);
-  const [fullKey, setFullKey] = useState('');
 
   useEffect(() => { loadAdminData(); }, []);
 
-  const viewKey = async (keyIndex) => {
-    try {
-      const token = await auth.currentUser.getIdToken();
-      const res = await fetch('/api/admin', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'getFullKey', keyIndex })
-      });
-      const data = await res.json();
-      if (data.key) {
-        setFullKey(data.key);
-        setViewingKey(keyIndex);
-      }
-    } catch (err) {
-      console.error(err);
-    }
-  };
-
-  const copyFullKey = () => {
-    navigator.clipboard.writeText(fullKey);
-  };
-
   const loadAdminData = async () => {
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/admin', { headers: { Authorization: `Bearer ${token}` } });
       const data = await res.json();
       if (data.error) setError(data.error);
@@ -64,7 +43,7 @@ export default function AdminPage() {
     setKeyUsage(null);
     
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/admin', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -96,7 +75,7 @@ export default function AdminPage() {
     setTestResult({ testing: true, message: 'Adding...' });
     
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/admin', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -123,7 +102,7 @@ export default function AdminPage() {
   const removeSystemKey = async (keyIndex) => {
     if (!confirm('Remove key?')) return;
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       await fetch('/api/admin', {
         method: 'DELETE',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -139,7 +118,7 @@ export default function AdminPage() {
   const loadSystemUsage = async () => {
     setLoadingUsage(true);
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/admin', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -154,6 +133,82 @@ export default function AdminPage() {
     }
   };
 
+  const saveFallbackChains = async (fallbackChains) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/admin', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'updateConfig', fallbackChains })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    loadAdminData();
+  };
+
+  const saveRateLimits = async (rateLimits) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/admin', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'updateConfig', rateLimits })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    loadAdminData();
+  };
+
+  const saveModelRouting = async (routing, baseVersion) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/admin', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'updateModelRouting', routing, baseVersion })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    loadAdminData();
+  };
+
+  const rollbackModelRouting = async (version) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/admin', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'rollbackModelRouting', version })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    loadAdminData();
+  };
+
+  const saveUserRateLimits = async (rateLimits, email) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/admin', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'setUserRateLimits', email, rateLimits })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+  };
+
+  const migrateApiKeys = async () => {
+    if (!confirm(`Hash the API keys of ${adminData.plaintextKeyUsers} users? Their keys keep working but can no longer be shown.`)) return;
+    try {
+      const token = await getIdToken();
+      const res = await fetch('/api/admin', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'migrateApiKeys' })
+      });
+      const data = await res.json();
+      if (data.error) setError(data.error);
+      else loadAdminData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const toggleExpand = (idx) => setExpandedKeys(prev => ({ ...prev, [idx]: !prev[idx] }));
 
   if (loading) return <div className="tab-content"><p>Loading...</p></div>;
@@ -171,6 +226,34 @@ export default function AdminPage() {
         <StatCard icon={<Zap />} value={adminData?.dailyFreeLimit || 15} label="Daily Limit" />
       </div>
 
+      {adminData?.plaintextKeyUsers > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <div>
+              <h3>Plaintext API Keys</h3>
+              <p className="card-desc">{adminData.plaintextKeyUsers} users still have API keys stored from before hashing. They are hashed on next use, or all at once here.</p>
+            </div>
+            <button className="btn btn-primary" onClick={migrateApiKeys}>
+              <Shield size={16} /> Hash Now
+            </button>
+          </div>
+        </div>
+      )}
+
+      <RateLimitsEditor
+        title="Rate Limits"
+        description="Default requests and tokens per minute for every user, on top of the daily free limit"
+        limits={adminData?.rateLimits}
+        onSave={saveRateLimits}
+      />
+
+      <RateLimitsEditor
+        title="User Rate Limits"
+        description="Override the defaults for one user"
+        onSave={saveUserRateLimits}
+        withEmail
+      />
+
       <div className="card">
         <div className="card-header">
           <div>
@@ -230,16 +313,8 @@ export default function AdminPage() {
           <div className="system-keys-list">
             {adminData.systemKeys.map((key, index) => (
               <div key={index} className="system-key-item">
-                <code>{viewingKey === key.id ? fullKey : key.preview}</code>
+                <code>{key.preview}</code>
                 <span className="key-date">{key.addedAt ? new Date(key.addedAt).toLocaleDateString() : ''}</span>
-                <button className="btn-icon" onClick={() => viewingKey === key.id ? setViewingKey(null) : viewKey(key.id)} title={viewingKey === key.id ? 'Hide' : 'View'}>
-                  <Eye size={16} />
-                </button>
-                {viewingKey === key.id && (
-                  <button className="btn-icon" onClick={copyFullKey} title="Copy">
-                    <Copy size={16} />
-                  </button>
-                )}
                 <button className="btn-icon" onClick={() => removeSystemKey(key.id)} title="Remove">
                   <Trash2 size={16} />
                 </button>
@@ -321,6 +396,19 @@ export default function AdminPage() {
           </>
         )}
       </div>
+
+      <FallbackChainsEditor
+        title="Fallback Chains"
+        description="Models tried in order when the requested model fails"
+        chains={adminData?.fallbackChains}
+        onSave={saveFallbackChains}
+      />
+
+      <ModelRoutingEditor
+        modelRouting={adminData?.modelRouting}
+        onSave={saveModelRouting}
+        onRollback={rollbackModelRouting}
+      />
     </div>
   );
 }
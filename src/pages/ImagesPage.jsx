@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { getIdToken } from '../session';
 import { X } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || window.location.origin;
@@ -53,7 +54,8 @@ export default function ImagesPage({ profile }) {
 
       const res = await fetch('/v1/images/generations', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${profile?.apiKey}` },
+        // The API key isn't readable after creation - the dashboard signs requests with its session
+        headers: { 'Content-Type': 'application/json', 'X-Session-Token': await getIdToken() },
         body: JSON.stringify(body)
       });
       const data = await res.json();
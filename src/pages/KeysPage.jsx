@@ -1,7 +1,10 @@
-import { useState } from 'react';
-import { auth } from '../firebase';
-import { Copy, RefreshCw, Plus, Trash2, Check, X, Eye, ChevronLeft, ChevronRight, UserPlus } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { getIdToken } from '../session';
+import { RefreshCw, Plus, Trash2, Check, X, ChevronLeft, ChevronRight, UserPlus } from 'lucide-react';
 import { formatDollars } from '../utils/format';
+import FallbackChainsEditor from '../components/ui/FallbackChainsEditor';
+import ApiKeysCard from '../components/ui/ApiKeysCard';
+import ApiKeyDisplay from '../components/ui/ApiKeyDisplay';
 
 const KEYS_PER_PAGE = 5;
 
@@ -12,31 +15,22 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
   const [checking, setChecking] = useState(false);
   const [testResult, setTestResult] = useState(null);
   const [keyUsage, setKeyUsage] = useState(null);
-  const [viewingKey, setViewingKey] = useState(null);
-  const [fullKey, setFullKey] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
+  const [usageByKey, setUsageByKey] = useState({});
 
-  const viewKey = async (keyIndex) => {
-    try {
-      const token = await auth.currentUser.getIdToken();
-      const res = await fetch('/api/auth', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'getFullKey', keyIndex })
-      });
-      const data = await res.json();
-      if (data.key) {
-        setFullKey(data.key);
-        setViewingKey(keyIndex);
+  // Per-key request counts for the named keys list
+  useEffect(() => {
+    (async () => {
+      try {
+        const token = await getIdToken();
+        const res = await fetch('/api/usage', { headers: { Authorization: `Bearer ${token}` } });
+        const data = await res.json();
+        if (data.stats?.byApiKey) setUsageByKey(data.stats.byApiKey);
+      } catch (err) {
+        console.error(err);
       }
-    } catch (err) {
-      console.error(err);
-    }
-  };
-
-  const copyFullKey = () => {
-    navigator.clipboard.writeText(fullKey);
-  };
+    })();
+  }, []);
 
   const resetForm = () => {
     setShowAddKey(false);
@@ -52,7 +46,7 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
     setKeyUsage(null);
     
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/auth', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -83,7 +77,7 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
     setTestResult({ testing: true, message: 'Adding key...' });
     
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/auth', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -110,7 +104,7 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
   const removeKey = async (keyIndex) => {
     if (!confirm('Remove this Puter key?')) return;
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/auth', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -125,6 +119,48 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
     }
   };
 
+  const saveFallbackChains = async (fallbackChains) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/auth', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'setFallbackChains', fallbackChains })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    setProfile({ ...profile, fallbackChains: data.fallbackChains });
+  };
+
+  const apiKeyAction = async (body) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/auth', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return res.json();
+  };
+
+  const createApiKey = async (apiKey) => {
+    const data = await apiKeyAction({ action: 'createApiKey', apiKey });
+    if (data.error) return { error: data.error };
+    const { key, ...masked } = data.apiKey;
+    setProfile({ ...profile, apiKeys: [...(profile.apiKeys || []), masked] });
+    return data.apiKey;
+  };
+
+  const updateApiKey = async (keyId, apiKey) => {
+    const data = await apiKeyAction({ action: 'updateApiKey', keyId, apiKey });
+    if (data.error) return { error: data.error };
+    setProfile({ ...profile, apiKeys: data.apiKeys });
+  };
+
+  const revokeApiKey = async (keyId) => {
+    const data = await apiKeyAction({ action: 'revokeApiKey', keyId });
+    if (data.error) return { error: data.error };
+    setProfile({ ...profile, apiKeys: data.apiKeys });
+  };
+
   return (
     <div className="tab-content">
       <h1>API Keys</h1>
@@ -133,20 +169,23 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
         <div className="card-header">
           <div>
             <h3>Your UnifiedAI Key</h3>
-            <p className="card-desc">Personal API key for all requests</p>
+            <p className="card-desc">Default key with access to everything, also used by the Playground</p>
           </div>
           <button className="btn btn-secondary" onClick={regenerateKey}>
             <RefreshCw size={16} /> Regenerate
           </button>
         </div>
-        <div className="api-key-display">
-          <code>{profile?.apiKey || 'Loading...'}</code>
-          <button className="btn-icon" onClick={copyApiKey}>
-            {copied ? <Check size={16} /> : <Copy size={16} />}
-          </button>
-        </div>
+        <ApiKeyDisplay profile={profile} copyApiKey={copyApiKey} copied={copied} />
       </div>
 
+      <ApiKeysCard
+        apiKeys={profile?.apiKeys}
+        usageByKey={usageByKey}
+        onCreate={createApiKey}
+        onUpdate={updateApiKey}
+        onRevoke={revokeApiKey}
+      />
+
       <div className="card">
         <div className="card-header">
           <div>
@@ -246,15 +285,7 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
               </div>
               {paginatedKeys.map((key) => (
                 <div key={key.id} className="system-key-item">
-                  <code className={viewingKey === key.id ? 'full-key' : ''}>{viewingKey === key.id ? fullKey : key.preview}</code>
-                  <button className="btn-icon" onClick={() => viewingKey === key.id ? setViewingKey(null) : viewKey(key.id)} title={viewingKey === key.id ? 'Hide' : 'View'}>
-                    <Eye size={16} />
-                  </button>
-                  {viewingKey === key.id && (
-                    <button className="btn-icon" onClick={copyFullKey} title="Copy">
-                      <Copy size={16} />
-                    </button>
-                  )}
+                  <code>{key.preview}</code>
                   <button className="btn-icon" onClick={() => removeKey(key.id)} title="Remove">
                     <Trash2 size={16} />
                   </button>
@@ -277,6 +308,13 @@ export default function KeysPage({ profile, setProfile, copyApiKey, copied, rege
           </a> to get new Puter keys
         </p>
       </div>
+
+      <FallbackChainsEditor
+        title="Fallback Chains"
+        description="Override the default fallback models for your key"
+        chains={profile?.fallbackChains}
+        onSave={saveFallbackChains}
+      />
     </div>
   );
 }
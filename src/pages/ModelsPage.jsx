@@ -1,8 +1,32 @@
 import { useState } from 'react';
+import { getIdToken } from '../session';
+import PresetsCard from '../components/ui/PresetsCard';
 
-export default function ModelsPage({ models }) {
+export default function ModelsPage({ models, profile, setProfile, onPresetsChange }) {
   const [filter, setFilter] = useState('all');
   const [search, setSearch] = useState('');
+  const org = profile?.org;
+  const canManageOrg = org?.role === 'owner' || org?.role === 'admin';
+
+  // scope 'org' edits the organization's presets; the answer carries the
+  // updated presets (or org), and the models list is reloaded to show them
+  const presetAction = async (body) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/auth', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    setProfile(prev => (body.scope === 'org' ? { ...prev, org: data.org } : { ...prev, presets: data.presets }));
+    onPresetsChange();
+  };
+
+  const presetHandlers = (scope) => ({
+    onSave: (name, preset) => presetAction({ action: 'savePreset', scope, name, preset }),
+    onDelete: (name) => presetAction({ action: 'deletePreset', scope, name }),
+  });
   
   const providers = [...new Set(models.map(m => m.provider))];
   
@@ -42,6 +66,25 @@ export default function ModelsPage({ models }) {
         </div>
       </div>
 
+      <PresetsCard
+        title="Model Presets"
+        description="Your own model names: call a preset like any model and it runs its model with these defaults. Temperature applies when a request sets none, max tokens caps the request, and the system prompt goes before the request's own."
+        presets={profile?.presets}
+        {...presetHandlers('user')}
+      />
+
+      {org && (
+        <PresetsCard
+          title={`${org.name} Presets`}
+          description={canManageOrg
+            ? 'Shared with every member of your organization. A personal preset with the same name takes precedence.'
+            : 'Shared by your organization. Owners and admins can change them.'}
+          presets={org.presets}
+          canEdit={canManageOrg}
+          {...presetHandlers('org')}
+        />
+      )}
+
       <div className="models-table">
         <div className="table-header">
           <span>Model</span>
@@ -53,7 +96,7 @@ export default function ModelsPage({ models }) {
           <div key={model.id} className="table-row">
             <div className="model-cell">
               <span className="model-name">{getModelName(model.id)}</span>
-              <span className="model-id">{model.id}</span>
+              <span className="model-id">{model.target ? `→ ${model.target}` : model.id}</span>
             </div>
             <span className={`provider-badge ${model.provider}`}>{model.provider}</span>
             <span className={`tier-badge ${model.tier}`}>{model.tier}</span>
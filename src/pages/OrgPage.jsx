@@ -0,0 +1,280 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getIdToken } from '../session';
+import { Users, Zap, Activity, DollarSign, Key, Plus, Trash2, Check, X, LogOut, UserPlus, Mail } from 'lucide-react';
+import StatCard from '../components/ui/StatCard';
+import BudgetCard from '../components/ui/BudgetCard';
+import { formatNumber, formatDollars } from '../utils/format';
+
+export default function OrgPage({ profile, setProfile }) {
+  const org = profile?.org;
+  const orgInvites = profile?.orgInvites || [];
+  const canManage = org?.role === 'owner' || org?.role === 'admin';
+  const [orgName, setOrgName] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState('member');
+  const [newKey, setNewKey] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  const [usage, setUsage] = useState(null);
+
+  // Pooled usage of every member, last 30 days
+  const loadUsage = useCallback(async () => {
+    try {
+      const token = await getIdToken();
+      const res = await fetch('/api/usage?scope=org', { headers: { Authorization: `Bearer ${token}` } });
+      const data = await res.json();
+      if (!data.error) setUsage(data.stats);
+    } catch (err) {
+      console.error(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (org?.id) loadUsage();
+  }, [org?.id, loadUsage]);
+
+  // Every org action answers with the org as it is afterwards (and invite
+  // answers with the invites left)
+  const orgAction = async (body, successMessage) => {
+    setSaving(true);
+    setResult(null);
+    try {
+      const token = await getIdToken();
+      const res = await fetch('/api/auth', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (data.error) {
+        setResult({ valid: false, message: data.error });
+        return data.error;
+      }
+      setProfile(prev => ({ ...prev, org: data.org, ...(data.orgInvites ? { orgInvites: data.orgInvites } : {}) }));
+      if (successMessage) setResult({ valid: true, message: successMessage });
+    } catch (err) {
+      setResult({ valid: false, message: err.message });
+      return err.message;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const createOrg = async () => {
+    if (!(await orgAction({ action: 'createOrg', name: orgName.trim() }))) setOrgName('');
+  };
+
+  const inviteMember = async () => {
+    if (!(await orgAction({ action: 'inviteOrgMember', email: memberEmail.trim(), role: memberRole }, 'Invite sent - they join once they accept it'))) {
+      setMemberEmail('');
+    }
+  };
+
+  const cancelInvite = (invite) => {
+    if (!confirm(`Withdraw the invite to ${invite.email}?`)) return;
+    orgAction({ action: 'cancelOrgInvite', memberId: invite.uid });
+  };
+
+  const answerInvite = (invite, accept) => {
+    if (!accept && !confirm(`Decline the invite to ${invite.orgName}?`)) return;
+    orgAction({ action: accept ? 'acceptOrgInvite' : 'declineOrgInvite', orgId: invite.orgId });
+  };
+
+  const removeMember = (member) => {
+    if (!confirm(`Remove ${member.email} from ${org.name}?`)) return;
+    orgAction({ action: 'removeOrgMember', memberId: member.uid });
+  };
+
+  const addKey = async () => {
+    if (!(await orgAction({ action: 'addOrgKey', key: newKey.trim() }, 'Key added!'))) setNewKey('');
+  };
+
+  const removeKey = (keyIndex) => {
+    if (!confirm('Remove this Puter key from the organization?')) return;
+    orgAction({ action: 'removeOrgKey', keyIndex });
+  };
+
+  const leaveOrg = () => {
+    const isOwner = org.role === 'owner';
+    const question = isOwner
+      ? `Delete ${org.name}? Members go back to their own keys and the shared keys are removed.`
+      : `Leave ${org.name}?`;
+    if (!confirm(question)) return;
+    orgAction({ action: isOwner ? 'deleteOrg' : 'leaveOrg' });
+  };
+
+  const resultMessage = result && (
+    <div className={`test-result ${result.valid ? 'success' : 'error'}`}>
+      {result.valid ? <Check size={16} /> : <X size={16} />}
+      <span>{result.message}</span>
+    </div>
+  );
+
+  if (!org) {
+    return (
+      <div className="tab-content">
+        <h1>Organization</h1>
+        {orgInvites.length > 0 && (
+          <div className="card">
+            <h3>Invites</h3>
+            <p className="card-desc">Accepting an invite lets the organization see your usage through its pooled stats.</p>
+            <div className="system-keys-list">
+              {orgInvites.map(invite => (
+                <div key={invite.orgId} className="system-key-item">
+                  <code>{invite.orgName}</code>
+                  <span className="status-badge">{invite.role}</span>
+                  {invite.invitedBy && <span className="key-date">from {invite.invitedBy}</span>}
+                  <button className="btn btn-primary" onClick={() => answerInvite(invite, true)} disabled={saving}>
+                    <Check size={16} /> Accept
+                  </button>
+                  <button className="btn-icon" onClick={() => answerInvite(invite, false)} title="Decline" disabled={saving}>
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        <div className="card">
+          <h3>Create an Organization</h3>
+          <p className="card-desc">
+            Share Puter keys, usage and budgets with your team. To join an existing organization,
+            ask its owner or an admin to invite {profile?.email || 'your email'}.
+          </p>
+          <div className="add-key-form">
+            <input type="text" placeholder="Organization name" value={orgName} onChange={(e) => { setOrgName(e.target.value); setResult(null); }} disabled={saving} />
+            <button className="btn btn-primary" onClick={createOrg} disabled={saving || !orgName.trim()}>
+              <Plus size={16} /> {saving ? 'Creating...' : 'Create'}
+            </button>
+          </div>
+          {resultMessage}
+        </div>
+      </div>
+    );
+  }
+
+  const totalCost = Object.values(usage?.byMember || {}).reduce((sum, member) => sum + member.cost, 0);
+
+  return (
+    <div className="tab-content">
+      <div className="page-header">
+        <h1>{org.name}</h1>
+        <button className="btn btn-secondary" onClick={leaveOrg} disabled={saving}>
+          {org.role === 'owner' ? <><Trash2 size={16} /> Delete Organization</> : <><LogOut size={16} /> Leave</>}
+        </button>
+      </div>
+
+      {resultMessage}
+
+      <div className="stats-grid">
+        <StatCard icon={<Activity />} value={formatNumber(usage?.totalRequests || 0)} label="Requests (30d)" />
+        <StatCard icon={<Zap />} value={formatNumber(usage?.totalTokens || 0)} label="Tokens (30d)" />
+        <StatCard icon={<DollarSign />} value={formatDollars(totalCost)} label="Cost (30d)" />
+        <StatCard icon={<Users />} value={org.members.length} label="Members" />
+      </div>
+
+      <div className="card">
+        <h3>Members</h3>
+        <p className="card-desc">Owners and admins manage members, shared keys and budgets. Usage is for the last 30 days.</p>
+
+        {canManage && (
+          <div className="add-key-form">
+            <input type="email" placeholder="Email of an existing account" value={memberEmail} onChange={(e) => { setMemberEmail(e.target.value); setResult(null); }} disabled={saving} />
+            <select value={memberRole} onChange={(e) => setMemberRole(e.target.value)} disabled={saving}>
+              <option value="member">Member</option>
+              <option value="admin">Admin</option>
+            </select>
+            <button className="btn btn-primary" onClick={inviteMember} disabled={saving || !memberEmail.trim()}>
+              <UserPlus size={16} /> Invite
+            </button>
+          </div>
+        )}
+
+        <div className="system-keys-list">
+          {org.members.map(member => {
+            const memberUsage = usage?.byMember?.[member.uid];
+            const editable = canManage && member.role !== 'owner';
+            return (
+              <div key={member.uid} className="system-key-item">
+                <code>{member.email}</code>
+                {editable ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => orgAction({ action: 'updateOrgMember', memberId: member.uid, role: e.target.value })}
+                    disabled={saving}
+                  >
+                    <option value="member">Member</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                ) : (
+                  <span className="status-badge active">{member.role}</span>
+                )}
+                <span className="status-badge">{formatNumber(memberUsage?.requests || 0)} requests</span>
+                <span className="status-badge">{formatDollars(memberUsage?.cost || 0)}</span>
+                {editable && (
+                  <button className="btn-icon" onClick={() => removeMember(member)} title="Remove" disabled={saving}>
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+          {org.invites.map(invite => (
+            <div key={invite.uid} className="system-key-item">
+              <code>{invite.email}</code>
+              <span className="status-badge"><Mail size={12} /> invited as {invite.role}</span>
+              <button className="btn-icon" onClick={() => cancelInvite(invite)} title="Withdraw invite" disabled={saving}>
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="card">
+        <h3>Shared Puter Keys</h3>
+        <p className="card-desc">Used by every member who has no Puter keys of their own, before the free system keys</p>
+
+        {canManage && (
+          <div className="add-key-form">
+            <input type="password" placeholder="Puter API key" value={newKey} onChange={(e) => { setNewKey(e.target.value); setResult(null); }} disabled={saving} />
+            <button className="btn btn-primary" onClick={addKey} disabled={saving || !newKey.trim()}>
+              <Plus size={16} /> {saving ? 'Adding...' : 'Add Key'}
+            </button>
+          </div>
+        )}
+
+        {org.puterKeys.length > 0 && (
+          <div className="system-keys-list">
+            {org.puterKeys.map(key => (
+              <div key={key.id} className="system-key-item">
+                <code>{key.preview}</code>
+                {canManage && (
+                  <button className="btn-icon" onClick={() => removeKey(key.id)} title="Remove" disabled={saving}>
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="keys-status" style={{ marginTop: '1rem' }}>
+          <span className={`status-badge ${org.puterKeysCount > 0 ? 'active' : ''}`}>
+            <Key size={12} /> {org.puterKeysCount} keys
+          </span>
+        </div>
+      </div>
+
+      {canManage && (
+        <BudgetCard
+          title="Organization Budgets"
+          description="Caps on what all members' requests cost together. Requests get a warning header past the alert threshold and are rejected at the cap."
+          budget={org.budget}
+          budgets={org.budgets}
+          onSave={(budgets) => orgAction({ action: 'setOrgBudgets', budgets })}
+        />
+      )}
+    </div>
+  );
+}
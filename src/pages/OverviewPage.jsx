@@ -1,7 +1,9 @@
 import { useState, useEffect, useCallback } from 'react';
-import { auth } from '../firebase';
-import { Zap, Shield, Activity, BarChart3, Copy, Check, RefreshCw } from 'lucide-react';
+import { getIdToken } from '../session';
+import { Zap, Shield, Activity, BarChart3, RefreshCw } from 'lucide-react';
 import StatCard from '../components/ui/StatCard';
+import BudgetCard from '../components/ui/BudgetCard';
+import ApiKeyDisplay from '../components/ui/ApiKeyDisplay';
 import { formatNumber, estimateCost, formatLogCost } from '../utils/format';
 
 const API_URL = import.meta.env.VITE_API_URL || window.location.origin;
@@ -15,7 +17,7 @@ export default function OverviewPage({ profile, copyApiKey, copied }) {
   const loadUsage = useCallback(async (isManual = false) => {
     if (isManual) setRefreshing(true);
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/usage', { headers: { Authorization: `Bearer ${token}` } });
       const data = await res.json();
       if (!data.error) {
@@ -37,6 +39,18 @@ export default function OverviewPage({ profile, copyApiKey, copied }) {
     return () => clearInterval(interval);
   }, [loadUsage]);
 
+  const saveBudgets = async (budgets) => {
+    const token = await getIdToken();
+    const res = await fetch('/api/auth', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'setBudgets', budgets })
+    });
+    const data = await res.json();
+    if (data.error) return data.error;
+    loadUsage();
+  };
+
   const dailyLimit = 15;
   const dailyUsed = usage?.dailyRequestsUsed || profile?.dailyRequestsUsed || 0;
   const dailyRemaining = Math.max(0, dailyLimit - dailyUsed);
@@ -102,10 +116,16 @@ export default function OverviewPage({ profile, copyApiKey, copied }) {
               <span className="usage-stat-value">{estimateCost(usage?.lifetimeTotals?.totalTokens)}</span>
               <span className="usage-stat-label">Est. Total Cost</span>
             </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{usage?.stats?.cacheHits || 0}</span>
+              <span className="usage-stat-label">Cache Hits</span>
+            </div>
           </div>
         )}
       </div>
 
+      <BudgetCard budget={usage?.budget} budgets={usage?.budgets} onSave={saveBudgets} />
+
       {usage?.recentLogs?.length > 0 && (
         <div className="card">
           <div className="card-header" style={{ marginBottom: '1rem' }}>
@@ -127,13 +147,19 @@ export default function OverviewPage({ profile, copyApiKey, copied }) {
               <div key={log.id || i} className={`log-entry ${log.success ? 'success' : 'error'}`}>
                 <div className="log-model">{log.model}</div>
                 <div className="log-tokens">
-                  {log.success ? (
+                  {log.cached ? (
+                    <span className="token-count">Cache hit (free)</span>
+                  ) : log.success ? (
                     <>
-                      <span className="token-count">{formatNumber(log.totalTokens)} tokens</span>
+                      <span className="token-count" title={log.estimated ? 'Estimated locally - the provider reported no usage' : undefined}>
+                        {log.estimated && '~'}{formatNumber(log.totalTokens)} tokens
+                      </span>
                       <span className="token-cost">
                         ({log.totalCost > 0 ? formatLogCost(log.totalCost) : estimateCost(log.totalTokens)})
                       </span>
                     </>
+                  ) : log.status === 'cancelled' ? (
+                    `Cancelled after ${formatNumber(log.totalTokens)} tokens`
                   ) : (log.errorMessage || 'Failed')}
                 </div>
                 <div className="log-time">{new Date(log.timestamp).toLocaleString()}</div>
@@ -146,12 +172,7 @@ export default function OverviewPage({ profile, copyApiKey, copied }) {
       <div className="card">
         <h3>Your API Key</h3>
         <p className="card-desc">Use this key to authenticate your API requests</p>
-        <div className="api-key-display">
-          <code>{profile?.apiKey || 'Loading...'}</code>
-          <button className="btn-icon" onClick={copyApiKey}>
-            {copied ? <Check size={16} /> : <Copy size={16} />}
-          </button>
-        </div>
+        <ApiKeyDisplay profile={profile} copyApiKey={copyApiKey} copied={copied} />
       </div>
 
       <div className="card">
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { getIdToken } from '../session';
 
 export default function PlaygroundPage({ profile, models }) {
   // Get all chat models, not just openrouter prefixed ones
@@ -54,7 +55,8 @@ export default function PlaygroundPage({ profile, models }) {
     try {
       const res = await fetch('/v1/chat/completions', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${profile?.apiKey}` },
+        // The API key isn't readable after creation - the dashboard signs requests with its session
+        headers: { 'Content-Type': 'application/json', 'X-Session-Token': await getIdToken() },
         body: JSON.stringify({ model, messages: [{ role: 'user', content: message }], stream })
       });
 
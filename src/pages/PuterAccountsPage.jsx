@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { auth } from '../firebase';
+import { getIdToken } from '../session';
 import { Plus, Copy, Check, RefreshCw, X, Trash2, AlertTriangle, Smartphone } from 'lucide-react';
 import { formatDollars } from '../utils/format';
 
@@ -84,7 +84,7 @@ export default function PuterAccountsPage({ profile, setProfile }) {
     setChecking(true);
     
     try {
-      const authToken = await auth.currentUser.getIdToken();
+      const authToken = await getIdToken();
       const res = await fetch('/api/auth', {
         method: 'POST',
         headers: { Authorization: `Bearer ${authToken}`, 'Content-Type': 'application/json' },
@@ -107,7 +107,7 @@ export default function PuterAccountsPage({ profile, setProfile }) {
     setTestResult({ testing: true, message: 'Adding key to your budget...' });
     
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/auth', {
         method: 'POST',
         headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { auth } from '../firebase';
+import { getIdToken } from '../session';
 import { Zap, Shield, Activity, Key, RefreshCw } from 'lucide-react';
 import StatCard from '../components/ui/StatCard';
 import { formatDollars, getUsagePercent } from '../utils/format';
@@ -15,7 +15,7 @@ export default function UsagePage() {
     setLoading(true);
     setError(null);
     try {
-      const token = await auth.currentUser.getIdToken();
+      const token = await getIdToken();
       const res = await fetch('/api/puter-usage', { headers: { Authorization: `Bearer ${token}` } });
       const data = await res.json();
       if (data.error) setError(data.error);
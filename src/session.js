@@ -0,0 +1,59 @@
+import { auth } from './firebase';
+
+// Who the dashboard calls our API as: the Firebase user, or in local auth mode
+// (see api/local-auth.js) a session from /api/session kept in localStorage
+const SESSION_STORAGE_KEY = 'localSession';
+
+let localSession = null;
+
+// Token for the Authorization header of /api routes
+export async function getIdToken() {
+  if (localSession) return localSession.token;
+  return auth.currentUser.getIdToken();
+}
+
+// { mode: 'firebase' | 'local', signup } - Firebase if the server doesn't say
+export async function getAuthConfig() {
+  try {
+    const res = await fetch('/api/session');
+    return await res.json();
+  } catch (e) {
+    return { mode: 'firebase', signup: false };
+  }
+}
+
+// The user of the stored session, or null once it has expired
+export function restoreLocalSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    const payload = stored.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    if (JSON.parse(atob(payload)).exp * 1000 > Date.now()) {
+      localSession = stored;
+      return stored.user;
+    }
+  } catch (e) {
+    // Nothing stored, or not a session
+  }
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  return null;
+}
+
+// action: 'login' | 'register'. Resolves with the user, throws with the
+// server's message
+export async function startLocalSession(action, email, password) {
+  const res = await fetch('/api/session', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action, email, password })
+  });
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  localSession = data;
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(data));
+  return data.user;
+}
+
+export function endLocalSession() {
+  localSession = null;
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
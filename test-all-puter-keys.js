@@ -2,6 +2,7 @@ import 'dotenv/config';
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
+import { openKey, userKeyOwner } from './api/key-vault.js';
 
 // Initialize Firebase Admin
 if (!getApps().length) {
@@ -126,8 +127,7 @@ async function main() {
         // Test each key
         const results = [];
         for (let i = 0; i < puterKeys.length; i++) {
-            const keyData = puterKeys[i];
-            const key = typeof keyData === 'string' ? keyData : keyData.key;
+            const key = openKey(puterKeys[i], userKeyOwner(userRecord.uid));
             console.log(`Testing key ${i + 1}/${puterKeys.length}...`);
             const result = await testPuterKey(key, i + 1);
             results.push(result);
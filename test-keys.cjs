@@ -21,6 +21,7 @@ const { getAuth } = require('firebase-admin/auth');
         const userDoc = await db.collection('users').doc(userRecord.uid).get();
         const userData = userDoc.data();
         const puterKeys = userData.puterKeys || [];
+        const { openKey } = await import('./api/key-vault.js');
 
         console.log('📦 Found', puterKeys.length, 'Puter keys\n');
         console.log('='.repeat(80));
@@ -32,8 +33,7 @@ const { getAuth } = require('firebase-admin/auth');
         let errorCount = 0;
 
         for (let i = 0; i < puterKeys.length; i++) {
-            const keyData = puterKeys[i];
-            const key = typeof keyData === 'string' ? keyData : keyData.key;
+            const key = openKey(puterKeys[i]);
             const preview = key.substring(0, 20) + '...' + key.slice(-8);
 
             try {
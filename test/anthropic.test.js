@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { anthropicToOpenAIRequest, openAIToAnthropicResponse, createAnthropicRelay } from '../api/anthropic.js';
+import { mockResponse } from './helpers/http.js';
+
+// Events the relay wrote, as [event, data] pairs
+function sentEvents(res) {
+  return res.chunks.join('').split('\n\n').filter(Boolean).map(event => {
+    const [eventLine, dataLine] = event.split('\n');
+    return [eventLine.slice('event: '.length), JSON.parse(dataLine.slice('data: '.length))];
+  });
+}
+
+function relayChunks(chunks) {
+  const res = mockResponse();
+  const relay = createAnthropicRelay(res, 'claude-test');
+  for (const chunk of chunks) relay.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  relay.write('data: [DONE]\n\n');
+  relay.end();
+  return sentEvents(res);
+}
+
+test('system blocks, tool_use and tool_result become OpenAI messages', () => {
+  const request = anthropicToOpenAIRequest({
+    model: 'claude-test',
+    max_tokens: 100,
+    system: [{ type: 'text', text: 'Be brief.' }, { type: 'text', text: 'Use tools.' }],
+    tools: [{ name: 'lookup', description: 'Find things', input_schema: { type: 'object', properties: { q: { type: 'string' } } } }],
+    tool_choice: { type: 'tool', name: 'lookup' },
+    messages: [
+      { role: 'user', content: 'Find cats' },
+      { role: 'assistant', content: [{ type: 'text', text: 'Looking.' }, { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'cats' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '3 cats' }] }, { type: 'text', text: 'Thanks' }] },
+    ],
+  });
+
+  assert.deepEqual(request.messages, [
+    { role: 'system', content: 'Be brief.\nUse tools.' },
+    { role: 'user', content: 'Find cats' },
+    {
+      role: 'assistant',
+      content: 'Looking.',
+      tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"cats"}' } }],
+    },
+    { role: 'tool', tool_call_id: 'toolu_1', content: '3 cats' },
+    { role: 'user', content: 'Thanks' },
+  ]);
+  assert.equal(request.tools[0].function.name, 'lookup');
+  assert.deepEqual(request.tool_choice, { type: 'function', function: { name: 'lookup' } });
+  assert.equal(request.max_tokens, 100);
+});
+
+test('a failed tool result is marked as an error', () => {
+  const request = anthropicToOpenAIRequest({
+    model: 'claude-test',
+    messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_2', content: 'not found', is_error: true }] }],
+  });
+  assert.deepEqual(request.messages, [{ role: 'tool', tool_call_id: 'toolu_2', content: 'Error: not found' }]);
+});
+
+test('finish reasons map to Anthropic stop reasons', () => {
+  const expected = { stop: 'end_turn', tool_calls: 'tool_use', length: 'max_tokens', content_filter: 'refusal', unknown: 'end_turn' };
+  for (const [finishReason, stopReason] of Object.entries(expected)) {
+    const message = openAIToAnthropicResponse({
+      id: 'chatcmpl-1',
+      choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: finishReason }],
+      usage: { prompt_tokens: 5, completion_tokens: 2 },
+    }, 'claude-test');
+    assert.equal(message.stop_reason, stopReason, finishReason);
+    assert.deepEqual(message.usage, { input_tokens: 5, output_tokens: 2 });
+  }
+});
+
+test('stream events come in Anthropic order', () => {
+  const events = relayChunks([
+    { id: 'chatcmpl-2', model: 'claude-test', choices: [{ index: 0, delta: { reasoning_content: 'Hmm' } }] },
+    { id: 'chatcmpl-2', choices: [{ index: 0, delta: { content: 'Hel' } }] },
+    { id: 'chatcmpl-2', choices: [{ index: 0, delta: { content: 'lo' }, finish_reason: 'length' }] },
+    { id: 'chatcmpl-2', choices: [], usage: { prompt_tokens: 4, completion_tokens: 3 } },
+  ]);
+
+  assert.deepEqual(events.map(([event, data]) => `${event}${data.index !== undefined ? `:${data.index}` : ''}`), [
+    'message_start',
+    'content_block_start:0',
+    'content_block_delta:0',
+    'content_block_delta:0', // signature
+    'content_block_stop:0',
+    'content_block_start:1',
+    'content_block_delta:1',
+    'content_block_delta:1',
+    'content_block_stop:1',
+    'message_delta',
+    'message_stop',
+  ]);
+  const messageDelta = events.find(([event]) => event === 'message_delta')[1];
+  assert.equal(messageDelta.delta.stop_reason, 'max_tokens');
+  assert.equal(messageDelta.usage.output_tokens, 3);
+});
+
+test('arguments for an earlier tool call still reach its open block', () => {
+  const events = relayChunks([
+    { id: 'chatcmpl-3', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_a', function: { name: 'first', arguments: '{"a":' } }] } }] },
+    { id: 'chatcmpl-3', choices: [{ index: 0, delta: { tool_calls: [{ index: 1, id: 'call_b', function: { name: 'second', arguments: '{}' } }] } }] },
+    { id: 'chatcmpl-3', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '1}' } }] }, finish_reason: 'tool_calls' }] },
+  ]);
+
+  const stopped = new Set();
+  for (const [event, data] of events) {
+    if (event === 'content_block_delta') assert.ok(!stopped.has(data.index), `delta for closed block ${data.index}`);
+    if (event === 'content_block_stop') stopped.add(data.index);
+  }
+  const firstArgs = events
+    .filter(([event, data]) => event === 'content_block_delta' && data.index === 0)
+    .map(([, data]) => data.delta.partial_json).join('');
+  assert.equal(firstArgs, '{"a":1}');
+  assert.deepEqual([...stopped], [0, 1]);
+  assert.equal(events.find(([event]) => event === 'message_delta')[1].delta.stop_reason, 'tool_use');
+});
@@ -0,0 +1,125 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import authHandler from '../api/auth.js';
+import chatHandler from '../api/chat.js';
+import { getRequestCredential, lookupCredential, issueApiKey, checkApiKeySalt, checkApiKeyAccess, isModelAllowed, DASHBOARD_KEY_ID } from '../api/api-keys.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+// An account with its default API key and a dashboard session token
+async function accountWithKey(email) {
+  const account = await createAccount(email);
+  const profile = await call(authHandler, { method: 'GET', headers: { authorization: `Bearer ${account.token}` } });
+  return { ...account, apiKey: profile.body.apiKey };
+}
+
+test('API keys and session tokens are looked up by their own header only', async () => {
+  const { uid, token, apiKey } = await accountWithKey('keys@example.com');
+  assert.match(apiKey, /^sk-/);
+
+  const byKey = await lookupCredential(getRequestCredential({ headers: { authorization: `Bearer ${apiKey}` } }));
+  assert.equal(byKey.id, uid);
+  assert.equal(byKey.authKey.id, 'default');
+
+  const bySession = await lookupCredential(getRequestCredential({ headers: { 'x-session-token': token } }));
+  assert.equal(bySession.id, uid);
+  assert.equal(bySession.authKey.id, DASHBOARD_KEY_ID);
+
+  // Each kind of credential in the other's place
+  assert.equal(await lookupCredential(getRequestCredential({ headers: { authorization: `Bearer ${token}` } })), null);
+  assert.equal(await lookupCredential(getRequestCredential({ headers: { 'x-api-key': token } })), null);
+  assert.equal(await lookupCredential(getRequestCredential({ headers: { 'x-session-token': apiKey } })), null);
+});
+
+test('chat completions refuse a session token sent as an API key', async () => {
+  const { token } = await accountWithKey('chat@example.com');
+
+  const asApiKey = await call(chatHandler, { path: '/v1/chat/completions', headers: { authorization: `Bearer ${token}` }, body: {} });
+  assert.equal(asApiKey.statusCode, 401);
+  assert.equal(asApiKey.body.error.message, 'Invalid API key');
+
+  // Authenticated, then rejected for the missing messages
+  const asSession = await call(chatHandler, { path: '/v1/chat/completions', headers: { 'x-session-token': token }, body: {} });
+  assert.equal(asSession.statusCode, 400);
+});
+
+test('without API_KEY_SALT no key can be issued or checked', async () => {
+  const salt = process.env.API_KEY_SALT;
+  delete process.env.API_KEY_SALT;
+  try {
+    // A fresh copy of the module, reading the environment without the salt
+    const unsalted = await import('../api/api-keys.js?without-salt');
+    assert.throws(() => unsalted.issueApiKey(), /API_KEY_SALT is not configured/);
+    await assert.rejects(unsalted.lookupApiKey('sk-0123456789abcdef'), /API_KEY_SALT is not configured/);
+    assert.deepEqual(unsalted.checkApiKeySalt(), {
+      error: 'API keys are not configured on this gateway - API_KEY_SALT is not set',
+      status: 503,
+      code: 'api_keys_not_configured',
+    });
+  } finally {
+    process.env.API_KEY_SALT = salt;
+  }
+  assert.ok(issueApiKey().hash);
+  assert.equal(checkApiKeySalt(), null);
+});
+
+test('named keys are refused once expired, and outside their endpoints and models', () => {
+  const key = { id: 'key_1', name: 'ci', endpoints: ['chat'], models: ['gpt-4o', 'claude-*'] };
+
+  assert.equal(checkApiKeyAccess(null, { endpoint: 'images', model: 'dall-e-3' }), null);
+  assert.equal(checkApiKeyAccess(key, { endpoint: 'chat', model: 'gpt-4o' }), null);
+  assert.equal(checkApiKeyAccess(key, { endpoint: 'chat', model: 'claude-sonnet-4' }), null);
+  assert.equal(checkApiKeyAccess({ ...key, expiresAt: new Date(Date.now() + 60000).toISOString() }), null);
+
+  assert.deepEqual(checkApiKeyAccess({ ...key, expiresAt: '2020-01-01T00:00:00.000Z' }, { endpoint: 'chat', model: 'gpt-4o' }), {
+    error: "API key 'ci' expired on 2020-01-01T00:00:00.000Z",
+    status: 401,
+    code: 'api_key_expired',
+  });
+  assert.deepEqual(checkApiKeyAccess(key, { endpoint: 'images' }), {
+    error: "API key 'ci' is not allowed to use the images endpoint",
+    status: 403,
+    code: 'endpoint_not_allowed',
+  });
+  assert.deepEqual(checkApiKeyAccess(key, { endpoint: 'chat', model: 'gpt-4o-mini' }), {
+    error: "API key 'ci' is not allowed to use model 'gpt-4o-mini'",
+    status: 403,
+    code: 'model_not_allowed',
+    param: 'model',
+  });
+
+  // Only a trailing '*' matches by prefix
+  assert.equal(isModelAllowed(key, 'claude-'), true);
+  assert.equal(isModelAllowed(key, 'g4f:claude-sonnet-4'), false);
+  assert.equal(isModelAllowed({ models: null }, 'anything'), true);
+});
+
+test('chat completions apply the restrictions of the key they came in with', async () => {
+  const { token } = await accountWithKey('restricted@example.com');
+  const session = { authorization: `Bearer ${token}` };
+  const createKey = async (apiKey) => {
+    const created = await call(authHandler, { method: 'POST', headers: session, body: { action: 'createApiKey', apiKey } });
+    assert.equal(created.statusCode, 200);
+    return { authorization: `Bearer ${created.body.apiKey.key}` };
+  };
+  const ask = (headers, model) => call(chatHandler, {
+    path: '/v1/chat/completions',
+    headers,
+    body: { model, messages: [{ role: 'user', content: 'hi' }] },
+  });
+
+  const expired = await ask(await createKey({ name: 'old', expiresAt: '2020-01-01' }), 'gpt-4o');
+  assert.equal(expired.statusCode, 401);
+  assert.equal(expired.body.error.code, 'api_key_expired');
+  assert.equal(expired.body.error.message, "API key 'old' expired on 2020-01-01T00:00:00.000Z");
+
+  const imagesOnly = await ask(await createKey({ name: 'images', endpoints: ['images'] }), 'gpt-4o');
+  assert.equal(imagesOnly.statusCode, 403);
+  assert.equal(imagesOnly.body.error.code, 'endpoint_not_allowed');
+
+  const claudeOnly = await ask(await createKey({ name: 'claude', models: 'claude-*' }), 'gpt-4o');
+  assert.equal(claudeOnly.statusCode, 403);
+  assert.equal(claudeOnly.body.error.code, 'model_not_allowed');
+  assert.equal(claudeOnly.body.error.param, 'model');
+});
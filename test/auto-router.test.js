@@ -0,0 +1,200 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import { getRequestFeatures, selectAutoModel } from '../api/auto-router.js';
+import chatCompletionsHandler from '../api/chat.js';
+import { saveModelRouting } from '../api/model-routing.js';
+import authHandler from '../api/auth.js';
+import { users } from '../api/storage/index.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+// Requests run on the free tier, against a system Puter key
+process.env.PUTER_API_KEY = 'test-system-key';
+
+const CLASSIFIER = {
+  model: 'gpt-4o-mini',
+  categories: { code: 'Programming questions', chat: 'Anything else' },
+};
+
+let classifierCalls = 0;
+let completionCalls = 0;
+let classifierSignal = null;
+
+// Answers classifier questions with 'code' and everything else with 'Hi!'
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: true,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId, options) {
+    const classifying = messages[0]?.content?.startsWith?.('You are a request classifier');
+    if (classifying) {
+      classifierCalls++;
+      classifierSignal = options.signal;
+    } else completionCalls++;
+    return {
+      response: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: classifying ? 'code' : 'Hi!' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+      },
+      keyUsed: null,
+    };
+  },
+  async stream() {
+    throw new Error('not used');
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+const user = (content) => ({ role: 'user', content });
+
+async function useAutoRouting(auto) {
+  const saved = await saveModelRouting({ auto }, { updatedBy: 'test' });
+  assert.ok(saved.version, saved.error);
+}
+
+async function apiKeyFor(email) {
+  const account = await createAccount(email);
+  const profile = await call(authHandler, { method: 'GET', headers: { authorization: `Bearer ${account.token}` } });
+  return { uid: account.uid, headers: { authorization: `Bearer ${profile.body.apiKey}` } };
+}
+
+test('a cached auto request is answered before routing and the classifier', async () => {
+  await useAutoRouting({ rules: [{ category: 'code', model: 'gpt-4.1' }], default: 'gpt-4o-mini', classifier: CLASSIFIER });
+
+  const { headers } = await apiKeyFor('auto-cache@example.com');
+  const body = { model: 'auto', temperature: 0, cache: true, messages: [user('Why does my loop never end?')] };
+
+  const first = await call(chatCompletionsHandler, { method: 'POST', headers, body });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['x-cache'], 'MISS');
+  assert.equal(first.headers['x-model-used'], 'gpt-4.1');
+  assert.equal(classifierCalls, 1);
+  assert.equal(completionCalls, 1);
+
+  const second = await call(chatCompletionsHandler, { method: 'POST', headers, body });
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.headers['x-cache'], 'HIT');
+  assert.equal(second.headers['x-model-used'], 'gpt-4.1');
+  assert.equal(second.body.choices[0].message.content, 'Hi!');
+  assert.equal(classifierCalls, 1, 'the classifier is not asked again');
+  assert.equal(completionCalls, 1);
+});
+
+test('the classifier gets the request\'s abort signal', async () => {
+  await useAutoRouting({ rules: [{ category: 'code', model: 'gpt-4.1' }], default: 'gpt-4o-mini', classifier: CLASSIFIER });
+  const { headers } = await apiKeyFor('auto-signal@example.com');
+
+  const response = await call(chatCompletionsHandler, { method: 'POST', headers, body: { model: 'auto', messages: [user('Fix my regex')] } });
+  assert.equal(response.statusCode, 200);
+  assert.ok(classifierSignal instanceof AbortSignal);
+});
+
+test('a free-tier classifier is not asked once the daily free requests are used', async () => {
+  await useAutoRouting({ rules: [{ category: 'code', model: 'gpt-4.1' }], default: 'gpt-4o-mini', classifier: CLASSIFIER });
+  const { uid, headers } = await apiKeyFor('auto-quota@example.com');
+  await users.update(uid, { dailyRequestsUsed: 15, lastRequestDate: new Date().toISOString().split('T')[0] });
+  const classified = classifierCalls;
+
+  const response = await call(chatCompletionsHandler, { method: 'POST', headers, body: { model: 'auto', messages: [user('Fix my regex')] } });
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.error.code, 'DAILY_LIMIT_EXCEEDED');
+  assert.equal(response.headers['x-auto-route'], 'gpt-4o-mini; default');
+  assert.equal(classifierCalls, classified);
+});
+
+test('request features', async () => {
+  const plain = await getRequestFeatures({ messages: [user('Hello there')] });
+  assert.deepEqual({ ...plain, promptTokens: undefined }, { images: false, tools: false, thinking: false, code: false, promptTokens: undefined });
+  assert.ok(plain.promptTokens > 0);
+
+  const rich = await getRequestFeatures({
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+      user('```js\nconsole.log(1)\n```'),
+    ],
+    tools: [{ type: 'function', function: { name: 'lookup', parameters: {} } }],
+    thinking_budget: 1000,
+  });
+  assert.deepEqual([rich.images, rich.tools, rich.thinking, rich.code], [true, true, true, true]);
+
+  const codeLines = await getRequestFeatures({ messages: [user('const a = 1;\nlet b = 2;\nreturn a + b;\nthanks')] });
+  assert.equal(codeLines.code, true);
+});
+
+test('the first matching rule picks the model, and the default covers the rest', async () => {
+  await useAutoRouting({
+    rules: [
+      { images: true, model: 'vision-model' },
+      { tools: true, code: true, model: 'agent-model' },
+      { minPromptTokens: 50, model: 'long-model' },
+    ],
+    default: 'small-model',
+  });
+  const classify = () => assert.fail('no rule needs the classifier');
+
+  const vision = await selectAutoModel({
+    messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] }],
+    tools: [{ type: 'function', function: { name: 'f', parameters: {} } }],
+  }, { classify });
+  assert.equal(vision.model, 'vision-model');
+  assert.equal(vision.reason, 'rule 1 (images=true)');
+
+  const toolsOnly = await selectAutoModel({ messages: [user('hi')], tools: [{ type: 'function', function: { name: 'f', parameters: {} } }] }, { classify });
+  assert.equal(toolsOnly.model, 'small-model', 'every condition of a rule must hold');
+  assert.equal(toolsOnly.reason, 'default');
+
+  const long = await selectAutoModel({ messages: [user('word '.repeat(200))] }, { classify });
+  assert.equal(long.model, 'long-model');
+  assert.equal(long.reason, 'rule 3 (minPromptTokens=50)');
+});
+
+test('the classifier is asked only when a category rule is reached', async () => {
+  await useAutoRouting({
+    rules: [
+      { thinking: true, model: 'thinking-model' },
+      { category: 'code', model: 'code-model' },
+    ],
+    default: 'small-model',
+    classifier: CLASSIFIER,
+  });
+  const questions = [];
+  const answer = (text) => async (model, messages) => {
+    questions.push({ model, messages });
+    return text;
+  };
+
+  const thinking = await selectAutoModel({ messages: [user('Think hard')], thinking_budget: 500 }, { classify: answer('code') });
+  assert.equal(thinking.model, 'thinking-model');
+  assert.equal(questions.length, 0);
+
+  const code = await selectAutoModel({ messages: [user('first'), user('Fix my regex')] }, { classify: answer(' Code.') });
+  assert.equal(code.model, 'code-model');
+  assert.equal(code.category, 'code');
+  assert.equal(questions.length, 1);
+  assert.equal(questions[0].model, CLASSIFIER.model);
+  assert.equal(questions[0].messages.at(-1).content, 'Fix my regex', 'only the latest user message is classified');
+
+  const unknown = await selectAutoModel({ messages: [user('Hello')] }, { classify: answer('poetry') });
+  assert.equal(unknown.model, 'small-model');
+  assert.equal(unknown.category, undefined);
+});
+
+test('a failed classifier matches no category rule', async (t) => {
+  await useAutoRouting({ rules: [{ category: 'code', model: 'code-model' }], default: 'small-model', classifier: CLASSIFIER });
+  const logged = t.mock.method(console, 'error', () => {});
+
+  const selected = await selectAutoModel({ messages: [user('Fix my regex')] }, {
+    classify: async () => { throw new Error('classifier down'); },
+  });
+  assert.equal(selected.model, 'small-model');
+  assert.equal(selected.reason, 'default');
+  assert.equal(logged.mock.callCount(), 1);
+});
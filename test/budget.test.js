@@ -0,0 +1,155 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import { evaluateBudgets, getSpend, getKeySpend, getSpendPeriods, normalizeBudgets } from '../api/budget.js';
+import chatCompletionsHandler from '../api/chat.js';
+import authHandler from '../api/auth.js';
+import { users } from '../api/storage/index.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+// Every request costs $0.02
+const REQUEST_COST = 2000000;
+
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId) {
+    return {
+      response: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4, total_cost: REQUEST_COST },
+      },
+      keyUsed: null,
+    };
+  },
+  async stream() {
+    throw new Error('not used');
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+const ask = (headers) => call(chatCompletionsHandler, {
+  method: 'POST',
+  headers,
+  body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] },
+});
+
+test('budgets are validated, and 0 means no cap', () => {
+  assert.deepEqual(normalizeBudgets({ daily: '5000000.4', monthly: 0, alertPercent: '50' }), { budgets: { daily: 5000000, alertPercent: 50 } });
+  assert.equal(normalizeBudgets({ daily: -1 }).error, 'daily budget must be a non-negative number');
+  assert.equal(normalizeBudgets({ alertPercent: 101 }).error, 'alertPercent must be between 1 and 100');
+});
+
+test('spend from an earlier day or month counts as 0', () => {
+  const now = new Date('2026-03-01T00:00:05Z');
+  assert.deepEqual(getSpendPeriods(now), { date: '2026-03-01', month: '2026-03' });
+
+  const lastNight = { dailySpend: 700, spendDate: '2026-02-28', monthlySpend: 900, spendMonth: '2026-02' };
+  assert.deepEqual(getSpend(lastNight, now), { daily: 0, monthly: 0 });
+  assert.deepEqual(getSpend({ ...lastNight, spendDate: '2026-03-01', spendMonth: '2026-03' }, now), { daily: 700, monthly: 900 });
+
+  const user = { keySpend: { key_1: { daily: 300, date: '2026-02-28', monthly: 400, month: '2026-03' } } };
+  assert.deepEqual(getKeySpend(user, 'key_1', now), { daily: 0, monthly: 400 });
+  assert.deepEqual(getKeySpend(user, 'key_2', now), { daily: 0, monthly: 0 });
+});
+
+test('the most pressing cap across account, key and org decides', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const spent = (daily, monthly) => ({ dailySpend: daily, spendDate: '2026-03-10', monthlySpend: monthly, spendMonth: '2026-03' });
+  const user = {
+    ...spent(50000000, 50000000),
+    budgets: { daily: 100000000 },
+    keySpend: { key_1: { daily: 0, date: '2026-03-10', monthly: 90000000, month: '2026-03' } },
+    org: { ...spent(0, 300000000), budgets: { monthly: 300000000 } },
+  };
+  const key = { id: 'key_1', budgets: { monthly: 100000000, alertPercent: 90 } };
+
+  const budget = evaluateBudgets(user, key, now);
+  assert.deepEqual(budget.items.map(({ scope, period, status }) => [scope, period, status]), [
+    ['account', 'daily', 'ok'],
+    ['key', 'monthly', 'warning'],
+    ['org', 'monthly', 'exceeded'],
+  ]);
+  assert.equal(budget.status, 'exceeded');
+  assert.equal(budget.message, 'Your monthly organization budget is used up ($3.00 of $3.00). It resets at the start of the next month (UTC).');
+
+  const warned = evaluateBudgets({ ...user, org: null }, key, now);
+  assert.equal(warned.status, 'warning');
+  assert.equal(warned.message, '90% of your monthly API key budget used ($0.90 of $1.00)');
+
+  // The default key's caps are the account's keyBudgets
+  assert.equal(evaluateBudgets({ keyBudgets: { daily: 1 }, keySpend: { default: { daily: 1, date: '2026-03-10' } } }, undefined, now).status, 'exceeded');
+  assert.deepEqual(evaluateBudgets({}, null, now), { status: 'ok', items: [], message: null });
+});
+
+test('requests warn near the daily cap, stop at it, and start again the next day', async () => {
+  const account = await createAccount('budget@example.com');
+  const session = { authorization: `Bearer ${account.token}` };
+  const profile = await call(authHandler, { method: 'GET', headers: session });
+  const apiKey = { authorization: `Bearer ${profile.body.apiKey}` };
+
+  const set = await call(authHandler, { method: 'POST', headers: session, body: { action: 'setBudgets', budgets: { daily: 3 * REQUEST_COST, alertPercent: 60 } } });
+  assert.equal(set.statusCode, 200);
+
+  const first = await ask(apiKey);
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['x-budget-warning'], undefined);
+
+  // $0.02 of $0.06 spent - 33%, then past the 60% alert
+  assert.equal((await ask(apiKey)).statusCode, 200);
+  const third = await ask(apiKey);
+  assert.equal(third.statusCode, 200);
+  assert.equal(third.headers['x-budget-warning'], '66.7% of your daily account budget used ($0.04 of $0.06)');
+
+  const capped = await ask(apiKey);
+  assert.equal(capped.statusCode, 429);
+  assert.equal(capped.body.error.type, 'insufficient_quota');
+  assert.equal(capped.body.error.code, 'budget_exceeded');
+  assert.equal(capped.body.error.message, 'Your daily account budget is used up ($0.06 of $0.06). It resets at the start of the next day (UTC).');
+
+  // The counters were last written yesterday
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  await users.update(account.uid, { spendDate: yesterday });
+
+  const nextDay = await ask(apiKey);
+  assert.equal(nextDay.statusCode, 200);
+  const user = await users.get(account.uid);
+  assert.equal(user.spendDate, getSpendPeriods().date);
+  assert.equal(user.dailySpend, REQUEST_COST);
+  // Only the day rolled over - the month's spend carries on
+  assert.equal(user.monthlySpend, 4 * REQUEST_COST);
+});
+
+test("a named key's budget caps only that key", async () => {
+  const account = await createAccount('budget-key@example.com');
+  const session = { authorization: `Bearer ${account.token}` };
+  const profile = await call(authHandler, { method: 'GET', headers: session });
+  const defaultKey = { authorization: `Bearer ${profile.body.apiKey}` };
+
+  const created = await call(authHandler, {
+    method: 'POST',
+    headers: session,
+    body: { action: 'createApiKey', apiKey: { name: 'ci', budgets: { daily: REQUEST_COST, alertPercent: 50 } } },
+  });
+  assert.equal(created.statusCode, 200);
+  const namedKey = { authorization: `Bearer ${created.body.apiKey.key}` };
+
+  assert.equal((await ask(namedKey)).statusCode, 200);
+  const capped = await ask(namedKey);
+  assert.equal(capped.statusCode, 429);
+  assert.match(capped.body.error.message, /^Your daily API key budget is used up \(\$0\.02 of \$0\.02\)/);
+
+  assert.equal((await ask(defaultKey)).statusCode, 200);
+  const user = await users.get(account.uid);
+  assert.equal(user.keySpend[created.body.apiKey.id].daily, REQUEST_COST);
+  assert.equal(user.dailySpend, 2 * REQUEST_COST);
+});
@@ -0,0 +1,84 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import chatCompletionsHandler from '../api/chat.js';
+import authHandler from '../api/auth.js';
+import { usageLogs } from '../api/storage/index.js';
+import { createAccount } from './helpers/accounts.js';
+import { call, mockRequest, mockResponse } from './helpers/http.js';
+
+// The upstream answers nothing until the request is aborted; streams send one
+// chunk first
+let called;
+let upstreamSignal = null;
+
+function waitForAbort(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+  });
+}
+
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId, options) {
+    upstreamSignal = options.signal;
+    called();
+    return waitForAbort(options.signal);
+  },
+  async stream(messages, modelId, options, credentials, onChunk) {
+    upstreamSignal = options.signal;
+    onChunk({ type: 'text', text: 'Hello there, partial answer' });
+    called();
+    return waitForAbort(options.signal);
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+// Send a chat request, hang up once the upstream is working on it, and return
+// the response the handler was writing to
+async function askAndDisconnect(email, body) {
+  const account = await createAccount(email);
+  const profile = await call(authHandler, { method: 'GET', headers: { authorization: `Bearer ${account.token}` } });
+  const upstreamCalled = new Promise(resolve => { called = resolve; });
+  upstreamSignal = null;
+
+  const res = mockResponse();
+  const handled = chatCompletionsHandler(mockRequest({
+    headers: { authorization: `Bearer ${profile.body.apiKey}` },
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }], ...body },
+  }), res);
+
+  await upstreamCalled;
+  assert.equal(upstreamSignal.aborted, false);
+  res.emit('close');
+  await handled;
+  return { res, logs: await usageLogs.list('userId', account.uid) };
+}
+
+test('a client hanging up aborts the upstream request and logs it as cancelled', async () => {
+  const { res, logs } = await askAndDisconnect('disconnect@example.com', {});
+
+  assert.equal(upstreamSignal.aborted, true);
+  assert.ok(!res.writableEnded);
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].status, 'cancelled');
+  assert.equal(logs[0].success, false);
+  assert.equal(logs[0].model, 'gpt-4o-mini');
+});
+
+test('a stream cut off by the client logs what was generated so far', async () => {
+  const { res, logs } = await askAndDisconnect('disconnect-stream@example.com', { stream: true });
+
+  assert.equal(upstreamSignal.aborted, true);
+  assert.match(res.chunks.join(''), /partial answer/);
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].status, 'cancelled');
+  assert.equal(logs[0].estimated, true);
+  assert.ok(logs[0].completionTokens > 0);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, isRateLimitError } from '../api/errors.js';
+
+test('context and token length failures are 400s, not rate limits', () => {
+  for (const message of ['context length exceeded', 'This model\'s maximum context length is 8192 tokens', 'max tokens exceeded', 'prompt is too long: 300000 tokens']) {
+    const failure = classifyError(new Error(message));
+    assert.equal(failure.status, 400, message);
+    assert.equal(failure.body.error.code, 'context_length_exceeded');
+    assert.equal(failure.retryAfter, undefined);
+    assert.equal(isRateLimitError(message), false, message);
+  }
+
+  const flagged = classifyError(Object.assign(new Error('Puter API error: 400'), { status: 400, isContextLength: true }));
+  assert.equal(flagged.body.error.code, 'context_length_exceeded');
+});
+
+test('rate and quota wording is still a 429', () => {
+  for (const message of ['Rate limit exceeded', 'request limit exceeded', 'You exceeded your current quota', 'Too many requests']) {
+    assert.equal(isRateLimitError(message), true, message);
+  }
+  const failure = classifyError(Object.assign(new Error('rate limit exceeded'), { retryAfter: 30 }));
+  assert.equal(failure.status, 429);
+  assert.equal(failure.body.error.code, 'rate_limit_exceeded');
+  assert.equal(failure.retryAfter, 30);
+
+  assert.equal(isRateLimitError('daily budget exceeded for the widget'), false, 'exceeded alone is not a rate limit');
+});
@@ -0,0 +1,132 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import { DEFAULT_FALLBACK_CHAINS, MAX_FALLBACK_MODELS, getUserFallbackChains, resolveFallbackChain } from '../api/fallback.js';
+import chatCompletionsHandler from '../api/chat.js';
+import authHandler from '../api/auth.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+// Models that fail upstream; every other model answers
+const failing = new Set();
+let tried = [];
+
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId) {
+    tried.push(modelId);
+    if (failing.has(modelId)) throw new Error(`${modelId} is down`);
+    return {
+      response: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+      },
+      keyUsed: null,
+    };
+  },
+  async stream() {
+    throw new Error('not used');
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+const ask = (headers, model) => call(chatCompletionsHandler, {
+  method: 'POST',
+  headers,
+  body: { model, messages: [{ role: 'user', content: 'hi' }] },
+});
+
+test('the requested model comes first, then its chain in order', () => {
+  assert.deepEqual(resolveFallbackChain('gpt-5', {}, DEFAULT_FALLBACK_CHAINS), ['gpt-5', 'gpt-4.1', 'gpt-4o', 'gpt-4o-mini']);
+  assert.deepEqual(resolveFallbackChain('unknown-model', {}, DEFAULT_FALLBACK_CHAINS), ['unknown-model']);
+  assert.deepEqual(resolveFallbackChain('gpt-4o', { 'gpt-4o': ['gpt-4o', 'g4f:gpt-4o'] }, DEFAULT_FALLBACK_CHAINS), ['gpt-4o', 'g4f:gpt-4o']);
+  assert.equal(resolveFallbackChain('a', { a: ['b', 'c', 'd', 'e', 'f', 'g', 'h'] }, {}).length, MAX_FALLBACK_MODELS + 1);
+});
+
+test('user chains replace the system chain for their model, and an empty one turns fallback off', () => {
+  assert.deepEqual(resolveFallbackChain('gpt-4.1', { 'gpt-4.1': ['g4f:gpt-4.1'] }, DEFAULT_FALLBACK_CHAINS), ['gpt-4.1', 'g4f:gpt-4.1']);
+  assert.deepEqual(resolveFallbackChain('gpt-4.1', { 'gpt-4.1': [] }, DEFAULT_FALLBACK_CHAINS), ['gpt-4.1']);
+  assert.deepEqual(resolveFallbackChain('gpt-4o', { 'gpt-4.1': [] }, DEFAULT_FALLBACK_CHAINS), ['gpt-4o', 'gpt-4o-mini']);
+});
+
+test("a named key's chains override the account's model by model", () => {
+  const user = {
+    fallbackChains: { 'gpt-4o': ['gpt-4.1'], 'gpt-5': ['gpt-4o'] },
+    authKey: { id: 'key_1', fallbackChains: { 'gpt-4o': ['claude-sonnet-4'] } },
+  };
+  assert.deepEqual(getUserFallbackChains(user), { 'gpt-4o': ['claude-sonnet-4'], 'gpt-5': ['gpt-4o'] });
+  assert.deepEqual(getUserFallbackChains({ ...user, authKey: { id: 'default' } }), user.fallbackChains);
+  assert.deepEqual(getUserFallbackChains({}), {});
+});
+
+test('requests fall back along the chain of the key they came in with', async () => {
+  const account = await createAccount('fallback@example.com');
+  const session = { authorization: `Bearer ${account.token}` };
+  const profile = await call(authHandler, { method: 'GET', headers: session });
+  const defaultKey = { authorization: `Bearer ${profile.body.apiKey}` };
+
+  const chains = await call(authHandler, { method: 'POST', headers: session, body: { action: 'setFallbackChains', fallbackChains: { 'gpt-4o': ['gpt-4.1', 'gpt-4o-mini'] } } });
+  assert.equal(chains.statusCode, 200);
+
+  const created = await call(authHandler, {
+    method: 'POST',
+    headers: session,
+    body: { action: 'createApiKey', apiKey: { name: 'ci', fallbackChains: { 'gpt-4o': ['gpt-5'] } } },
+  });
+  assert.equal(created.statusCode, 200);
+  assert.deepEqual(created.body.apiKey.fallbackChains, { 'gpt-4o': ['gpt-5'] });
+  const namedKey = { authorization: `Bearer ${created.body.apiKey.key}` };
+
+  failing.add('gpt-4o');
+  failing.add('gpt-4.1');
+  try {
+    tried = [];
+    const viaDefault = await ask(defaultKey, 'gpt-4o');
+    assert.equal(viaDefault.statusCode, 200);
+    assert.equal(viaDefault.headers['x-model-used'], 'gpt-4o-mini');
+    assert.deepEqual(tried, ['gpt-4o', 'gpt-4.1', 'gpt-4o-mini']);
+
+    tried = [];
+    const viaNamed = await ask(namedKey, 'gpt-4o');
+    assert.equal(viaNamed.headers['x-model-used'], 'gpt-5');
+    assert.deepEqual(tried, ['gpt-4o', 'gpt-5']);
+
+    // Clearing the key's chains falls back to the account's
+    const cleared = await call(authHandler, {
+      method: 'POST',
+      headers: session,
+      body: { action: 'updateApiKey', keyId: created.body.apiKey.id, apiKey: { fallbackChains: null } },
+    });
+    assert.equal(cleared.body.apiKeys[0].fallbackChains, null);
+    tried = [];
+    const afterClear = await ask(namedKey, 'gpt-4o');
+    assert.equal(afterClear.headers['x-model-used'], 'gpt-4o-mini');
+
+    failing.add('gpt-4o-mini');
+    const allFailed = await ask(defaultKey, 'gpt-4o');
+    assert.equal(allFailed.statusCode, 502);
+    assert.match(allFailed.body.error.message, /^All models failed \(gpt-4o → gpt-4\.1 → gpt-4o-mini\)/);
+  } finally {
+    failing.clear();
+  }
+});
+
+test('invalid key chains are refused', async () => {
+  const account = await createAccount('fallback-invalid@example.com');
+  const res = await call(authHandler, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${account.token}` },
+    body: { action: 'createApiKey', apiKey: { name: 'bad', fallbackChains: { 'gpt-4o': 'gpt-4.1' } } },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Fallback chain for 'gpt-4o' must be a list of models");
+});
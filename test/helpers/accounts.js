@@ -0,0 +1,10 @@
+import { credentials } from '../../api/storage/index.js';
+import { getLocalUserId, issueSessionToken } from '../../api/local-auth.js';
+
+// A local sign-in account and a session token for it (no password - tests
+// sign in with the token directly)
+export async function createAccount(email) {
+  const uid = getLocalUserId(email);
+  await credentials.create(uid, { email, passwordHash: 'unused', createdAt: new Date().toISOString() });
+  return { uid, email, token: issueSessionToken({ uid, email }) };
+}
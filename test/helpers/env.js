@@ -0,0 +1,8 @@
+// Offline settings for tests - imported first, before any gateway module reads
+// its environment
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_PATH = ':memory:';
+process.env.FIREBASE_SERVICE_ACCOUNT = '';
+process.env.AUTH_MODE = 'local';
+process.env.AUTH_SESSION_SECRET = 'test-session-secret';
+process.env.API_KEY_SALT = 'test-salt';
@@ -0,0 +1,45 @@
+import { EventEmitter, once } from 'events';
+
+// Minimal stand-ins for the Express request and response the handlers use
+export function mockRequest({ method = 'POST', path = '/', headers = {}, body = {}, query = {}, ip = '127.0.0.1' } = {}) {
+  return { method, path, url: path, headers, body, query, ip, socket: { remoteAddress: ip } };
+}
+
+export function mockResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.chunks = [];
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.getHeader = (name) => res.headers[name.toLowerCase()];
+  res.removeHeader = (name) => { delete res.headers[name.toLowerCase()]; };
+  res.flushHeaders = () => { res.headersSent = true; };
+  res.trailers = {};
+  res.addTrailers = (trailers) => { Object.assign(res.trailers, trailers); };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => {
+    res.body = body;
+    res.headersSent = true;
+    res.writableEnded = true;
+    res.emit('finish');
+    return res;
+  };
+  res.write = (chunk) => { res.chunks.push(String(chunk)); res.headersSent = true; return true; };
+  res.end = (chunk) => {
+    if (chunk) res.chunks.push(String(chunk));
+    res.headersSent = true;
+    res.writableEnded = true;
+    res.emit('finish');
+    return res;
+  };
+  return res;
+}
+
+// Run a handler and return its response once it has been sent - some
+// handlers return before they answer
+export async function call(handler, request) {
+  const res = mockResponse();
+  await handler(mockRequest(request), res);
+  if (!res.writableEnded) await once(res, 'finish');
+  return res;
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withIdempotency } from '../api/idempotency.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+function request(idempotencyKey, body = { model: 'gpt-4o', messages: [] }) {
+  return mockRequest({
+    path: '/v1/chat/completions',
+    headers: { authorization: 'Bearer test-key', 'idempotency-key': idempotencyKey },
+    body,
+  });
+}
+
+function respondWith(statusCode, body) {
+  let calls = 0;
+  const handler = async (req, res) => {
+    calls++;
+    res.status(statusCode).json(body);
+  };
+  return { handler, calls: () => calls };
+}
+
+test('a successful response is replayed for the same key', async () => {
+  const first = respondWith(200, { id: 'chatcmpl-1' });
+  await withIdempotency(request('key-ok'), mockResponse(), first.handler);
+
+  const res = mockResponse();
+  await withIdempotency(request('key-ok'), res, first.handler);
+  assert.equal(first.calls(), 1);
+  assert.equal(res.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(res.body, { id: 'chatcmpl-1' });
+});
+
+test('a retry after a 429 runs the request again', async () => {
+  const limited = respondWith(429, { error: { type: 'rate_limit_error' } });
+  await withIdempotency(request('key-429'), mockResponse(), limited.handler);
+
+  const retry = respondWith(200, { id: 'chatcmpl-2' });
+  const res = mockResponse();
+  await withIdempotency(request('key-429'), res, retry.handler);
+  assert.equal(retry.calls(), 1);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['idempotent-replayed'], undefined);
+  assert.deepEqual(res.body, { id: 'chatcmpl-2' });
+});
+
+test('auth, timeout, conflict and server errors are not stored', async () => {
+  for (const status of [401, 403, 408, 409, 500, 503]) {
+    const key = `key-${status}`;
+    await withIdempotency(request(key), mockResponse(), respondWith(status, { error: {} }).handler);
+    const retry = respondWith(200, { id: 'ok' });
+    await withIdempotency(request(key), mockResponse(), retry.handler);
+    assert.equal(retry.calls(), 1, `status ${status} should not be replayed`);
+  }
+});
+
+test('a 400 is replayed and a reused key with another body is rejected', async () => {
+  const invalid = respondWith(400, { error: { type: 'invalid_request_error' } });
+  await withIdempotency(request('key-400'), mockResponse(), invalid.handler);
+  const replayed = mockResponse();
+  await withIdempotency(request('key-400'), replayed, invalid.handler);
+  assert.equal(invalid.calls(), 1);
+  assert.equal(replayed.statusCode, 400);
+
+  const reused = mockResponse();
+  await withIdempotency(request('key-400', { model: 'other' }), reused, invalid.handler);
+  assert.equal(reused.statusCode, 422);
+  assert.equal(reused.body.error.code, 'idempotency_key_reused');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCipheriv, randomBytes } from 'crypto';
+
+const OLD_MASTER_KEY = randomBytes(32);
+const NEW_MASTER_KEY = randomBytes(32);
+
+process.env.PUTER_KEYS_MASTER_KEY = OLD_MASTER_KEY.toString('base64');
+process.env.PUTER_KEYS_MASTER_KEY_ID = 'k1';
+const vault = await import('../api/key-vault.js');
+const { sealKey, openKey, resealKey, getKeyFingerprint, getKeyPreview, userKeyOwner, orgKeyOwner, SYSTEM_KEY_OWNER } = vault;
+
+// The same module after a rotation: a new current key, the old one as previous
+async function importRotatedVault() {
+  process.env.PUTER_KEYS_MASTER_KEY = NEW_MASTER_KEY.toString('base64');
+  process.env.PUTER_KEYS_MASTER_KEY_ID = 'k2';
+  process.env.PUTER_KEYS_PREVIOUS_MASTER_KEY = OLD_MASTER_KEY.toString('base64');
+  process.env.PUTER_KEYS_PREVIOUS_MASTER_KEY_ID = 'k1';
+  return import('../api/key-vault.js?rotated');
+}
+
+function encrypt(key, plaintext) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+// A version 1 record, sealed before owners were bound
+function unboundRecord(plaintext) {
+  const dataKey = randomBytes(32);
+  const wrapped = encrypt(OLD_MASTER_KEY, dataKey);
+  const sealed = encrypt(dataKey, Buffer.from(plaintext));
+  return {
+    v: 1,
+    kid: 'k1',
+    wrappedKey: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.data]).toString('base64'),
+    iv: sealed.iv.toString('base64'),
+    tag: sealed.tag.toString('base64'),
+    data: sealed.data.toString('base64'),
+    fingerprint: 'legacy',
+    preview: 'legacy',
+  };
+}
+
+const PLAINTEXT = 'puter-key-0123456789abcdefghijklmnop';
+
+test('a sealed key opens for its owner only', () => {
+  const owner = userKeyOwner('alice');
+  const record = sealKey(PLAINTEXT, owner);
+
+  assert.equal(record.v, 2);
+  assert.equal(record.kid, 'k1');
+  assert.ok(!JSON.stringify(record).includes(PLAINTEXT), 'no plaintext in the record');
+  assert.equal(openKey(record, owner), PLAINTEXT);
+  assert.equal(getKeyFingerprint(record), getKeyFingerprint(PLAINTEXT));
+  assert.equal(getKeyPreview(record), getKeyPreview(PLAINTEXT));
+
+  assert.throws(() => openKey(record, userKeyOwner('mallory')));
+  assert.throws(() => openKey(record, orgKeyOwner('alice')));
+  assert.throws(() => openKey(record), /owner is required/);
+  assert.throws(() => sealKey(PLAINTEXT), /owner is required/);
+});
+
+test('a tampered record or a wrong master key does not open', () => {
+  const record = sealKey(PLAINTEXT, SYSTEM_KEY_OWNER);
+  const data = Buffer.from(record.data, 'base64');
+  data[0] ^= 1;
+  assert.throws(() => openKey({ ...record, data: data.toString('base64') }, SYSTEM_KEY_OWNER));
+  assert.throws(() => openKey({ ...record, kid: 'k9' }, SYSTEM_KEY_OWNER), /Master key 'k9' is not configured/);
+
+  const foreign = { ...record, wrappedKey: unboundRecord(PLAINTEXT).wrappedKey };
+  assert.throws(() => openKey(foreign, SYSTEM_KEY_OWNER), 'another data key cannot decrypt it');
+});
+
+test('plaintext and unbound records still open and are upgraded by resealKey', () => {
+  const owner = orgKeyOwner('team');
+  assert.equal(openKey(PLAINTEXT, owner), PLAINTEXT);
+  assert.equal(openKey({ key: PLAINTEXT }, owner), PLAINTEXT);
+
+  const sealed = resealKey(PLAINTEXT, owner);
+  assert.equal(sealed.v, 2);
+  assert.equal(openKey(sealed, owner), PLAINTEXT);
+
+  const unbound = unboundRecord(PLAINTEXT);
+  assert.equal(openKey(unbound), PLAINTEXT);
+  const upgraded = resealKey(unbound, owner);
+  assert.equal(upgraded.v, 2);
+  assert.equal(openKey(upgraded, owner), PLAINTEXT);
+  assert.throws(() => openKey(upgraded, userKeyOwner('team')));
+
+  assert.equal(resealKey(upgraded, owner), null, 'a current record is left alone');
+});
+
+test('rotating the master key re-wraps records that keep opening', async () => {
+  const owner = userKeyOwner('bob');
+  const record = sealKey(PLAINTEXT, owner);
+  const rotated = await importRotatedVault();
+
+  assert.equal(rotated.openKey(record, owner), PLAINTEXT, 'the previous key still opens old records');
+  const resealed = rotated.resealKey(record, owner);
+  assert.equal(resealed.kid, 'k2');
+  assert.equal(resealed.data, record.data, 'only the data key is re-wrapped');
+  assert.equal(rotated.openKey(resealed, owner), PLAINTEXT);
+  assert.equal(rotated.resealKey(resealed, owner), null);
+
+  assert.throws(() => openKey(resealed, owner), /Master key 'k2' is not configured/);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, existsSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { execFileSync, spawn } from 'child_process';
+import { createLocalStore } from '../api/storage/local.js';
+import { increment, deleteField } from '../api/storage/fields.js';
+import { getLocalUserId } from '../api/local-auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tempPath() {
+  return join(mkdtempSync(join(tmpdir(), 'gateway-store-')), 'gateway.json');
+}
+
+test('changes are appended to the log and replayed on startup', async () => {
+  const path = tempPath();
+  const store = createLocalStore(path);
+  await store.set('users', 'u1', { email: 'a@example.com', totalRequests: 1 });
+  await store.update('users', 'u1', { totalRequests: increment(2), 'settings.theme': 'dark' });
+  await store.set('users', 'u2', { email: 'b@example.com' });
+  await store.delete('users', 'u2');
+  await store.save();
+
+  assert.equal(existsSync(path), false, 'no snapshot is written for a small log');
+  const lines = readFileSync(`${path}.log`, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 2, 'changes to one document between writes share a line');
+
+  const reopened = createLocalStore(path);
+  assert.deepEqual(await reopened.get('users', 'u1'), {
+    id: 'u1', email: 'a@example.com', totalRequests: 3, settings: { theme: 'dark' },
+  });
+  assert.equal(await reopened.get('users', 'u2'), null);
+});
+
+test('a large log is folded into a snapshot', async () => {
+  const path = tempPath();
+  const store = createLocalStore(path, { compactLogBytes: 1 });
+  await store.set('users', 'u1', { email: 'a@example.com' });
+  await store.save();
+  await store.update('users', 'u1', { email: 'c@example.com', old: deleteField() });
+  await store.save();
+
+  assert.equal(readFileSync(`${path}.log`, 'utf8'), '');
+  assert.equal(JSON.parse(readFileSync(path, 'utf8')).collections.users.u1.email, 'c@example.com');
+
+  await store.set('users', 'u2', { email: 'd@example.com' });
+  await store.save();
+  const reopened = createLocalStore(path);
+  assert.equal((await reopened.get('users', 'u1')).email, 'c@example.com');
+  assert.equal((await reopened.get('users', 'u2')).email, 'd@example.com');
+});
+
+test('files from before the log are still read', async () => {
+  const path = tempPath();
+  writeFileSync(path, JSON.stringify({ users: { u1: { email: 'a@example.com' } } }));
+  const store = createLocalStore(path);
+  assert.equal((await store.get('users', 'u1')).email, 'a@example.com');
+});
+
+test('documents past their retention period are dropped', async () => {
+  const path = tempPath();
+  const store = createLocalStore(path);
+  const old = new Date(Date.now() - 100 * DAY_MS).toISOString();
+  const recent = new Date(Date.now() - DAY_MS).toISOString();
+  await store.set('usage_logs', 'old', { timestamp: old });
+  await store.set('usage_logs', 'recent', { timestamp: recent });
+  await store.set('responses', 'old', { createdAt: old });
+  await store.save();
+
+  const reopened = createLocalStore(path, {
+    retention: { usage_logs: { field: 'timestamp', days: 90 }, responses: { field: 'createdAt', days: 30 } },
+  });
+  assert.deepEqual((await reopened.query('usage_logs')).map(log => log.id), ['recent']);
+  assert.equal(await reopened.get('responses', 'old'), null);
+});
+
+test('pending changes are written on exit', async () => {
+  const path = tempPath();
+  const moduleUrl = new URL('../api/storage/local.js', import.meta.url).href;
+  // Writes, then exits before the delayed write would run
+  const script = `
+    const { createLocalStore } = await import(${JSON.stringify(moduleUrl)});
+    const store = createLocalStore(${JSON.stringify(path)});
+    await store.set('users', 'u1', { email: 'a@example.com' });
+    process.exit(0);
+  `;
+  execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 });
+
+  const reopened = createLocalStore(path);
+  assert.equal((await reopened.get('users', 'u1')).email, 'a@example.com');
+});
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  test(`the server writes pending changes on ${signal}`, async () => {
+    const path = tempPath();
+    const serverUrl = new URL('../server.js', import.meta.url);
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const env = {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_BACKEND: 'local',
+      STORAGE_PATH: path,
+      FIREBASE_SERVICE_ACCOUNT: '',
+      AUTH_MODE: 'local',
+      AUTH_SESSION_SECRET: 'test-session-secret',
+      LOCAL_AUTH_SIGNUP: 'true',
+    };
+    const server = spawn(process.execPath, [serverUrl.pathname], { env, stdio: ['ignore', 'pipe', 'inherit'] });
+    const exited = new Promise(resolve => server.on('exit', (code, killedBy) => resolve({ code, killedBy })));
+    try {
+      await new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => chunk.toString().includes('Server running') && resolve());
+        server.on('exit', () => reject(new Error('server exited before listening')));
+      });
+
+      const res = await fetch(`http://127.0.0.1:${port}/api/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'register', email: 'shutdown@example.com', password: 'long enough password' }),
+      });
+      assert.equal(res.status, 200);
+      server.kill(signal);
+      assert.deepEqual(await exited, { code: 0, killedBy: null });
+    } finally {
+      server.kill('SIGKILL');
+    }
+
+    const reopened = createLocalStore(path);
+    assert.equal((await reopened.get('credentials', getLocalUserId('shutdown@example.com'))).email, 'shutdown@example.com');
+  });
+}
+
+test('local storage is refused on Vercel unless asked for', async () => {
+  const saved = { VERCEL: process.env.VERCEL, STORAGE_BACKEND: process.env.STORAGE_BACKEND, FIREBASE_SERVICE_ACCOUNT: process.env.FIREBASE_SERVICE_ACCOUNT };
+  process.env.VERCEL = '1';
+  delete process.env.STORAGE_BACKEND;
+  process.env.FIREBASE_SERVICE_ACCOUNT = '';
+  try {
+    const storage = await import('../api/storage/index.js?vercel');
+    assert.throws(() => storage.store(), /set FIREBASE_SERVICE_ACCOUNT on Vercel/);
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+});
@@ -0,0 +1,120 @@
+import './helpers/env.js';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_MODEL_ROUTING,
+  MAX_ROUTING_HISTORY,
+  normalizeModelRouting,
+  saveModelRouting,
+  rollbackModelRouting,
+  refreshModelRouting,
+  getModelRouting,
+  getModelRoutingHistory,
+} from '../api/model-routing.js';
+import { modelRouting as routingStore } from '../api/storage/index.js';
+
+test('sections and fields left out take the defaults', () => {
+  const { routing } = normalizeModelRouting({ chat: { aliases: { ' gpt-x ': 'gpt-4o' } } });
+  assert.deepEqual(routing.chat.aliases, { 'gpt-x': 'gpt-4o' });
+  assert.deepEqual(routing.chat.thinking, DEFAULT_MODEL_ROUTING.chat.thinking);
+  assert.deepEqual(routing.g4f, DEFAULT_MODEL_ROUTING.g4f);
+  assert.deepEqual(routing.auto, DEFAULT_MODEL_ROUTING.auto);
+});
+
+test('typos and invalid values are refused', () => {
+  const cases = [
+    [[], 'Model routing must be an object with chat, g4f, images and auto sections'],
+    [{ chats: {} }, "Unknown model routing section 'chats' - expected chat, g4f, images, auto"],
+    [{ chat: { alias: {} } }, "Unknown field 'chat.alias' - expected aliases, thinking"],
+    [{ chat: { aliases: { 'gpt-x': '' } } }, "chat.aliases['gpt-x'] must map a model name to a model name"],
+    [{ g4f: { fallback: { model: 'gpt-4o' } } }, 'g4f.fallback must be { model, provider }'],
+    [{ images: { defaultDriver: 'dall-e' } }, 'images.defaultDriver must be one of openai-image-generation, gemini-image-generation, together-image-generation'],
+    [{ images: { drivers: [{ driver: 'openai-image-generation' }] } }, "images.drivers[0] needs 'any' or 'all' substrings"],
+    [{ auto: { default: 'auto' } }, "auto.default cannot be 'auto'"],
+    [{ auto: { rules: [{ model: 'gpt-4o' }] } }, 'auto.rules[0] has no conditions - use auto.default for the fallback model'],
+    [{ auto: { rules: [{ model: 'gpt-4o', image: true }] } }, "Unknown condition 'auto.rules[0].image' - expected category, images, tools, thinking, code, minPromptTokens, maxPromptTokens"],
+    [{ auto: { rules: [{ model: 'gpt-4o', category: 'code' }] } }, "auto.rules: category 'code' is not one of auto.classifier's categories"],
+  ];
+  for (const [input, message] of cases) {
+    assert.deepEqual(normalizeModelRouting(input), { error: message }, JSON.stringify(input));
+  }
+});
+
+test('saves are versioned, refused when stale and can be rolled back', async () => {
+  const first = await saveModelRouting({ chat: { aliases: { 'gpt-x': 'gpt-4o' } } }, { updatedBy: 'admin-1' });
+  assert.equal(getModelRouting().chat.aliases['gpt-x'], 'gpt-4o', 'picked up without waiting for the reload interval');
+
+  const second = await saveModelRouting({ chat: { aliases: { 'gpt-x': 'gpt-4.1' } } }, { baseVersion: first.version, updatedBy: 'admin-2' });
+  assert.equal(second.version, first.version + 1);
+  assert.equal(getModelRouting().chat.aliases['gpt-x'], 'gpt-4.1');
+
+  const stale = await saveModelRouting({ chat: { aliases: {} } }, { baseVersion: first.version, updatedBy: 'admin-1' });
+  assert.equal(stale.status, 409);
+  assert.match(stale.error, /changed by someone else/);
+
+  const invalid = await saveModelRouting({ chat: { aliases: 'gpt-4o' } }, { updatedBy: 'admin-1' });
+  assert.equal(invalid.status, 400);
+  assert.equal(getModelRouting().chat.aliases['gpt-x'], 'gpt-4.1', 'a refused save changes nothing');
+
+  const history = await getModelRoutingHistory();
+  assert.deepEqual(history[0], { version: first.version, updatedAt: history[0].updatedAt, updatedBy: 'admin-1' });
+
+  const restored = await rollbackModelRouting(first.version, { updatedBy: 'admin-2' });
+  assert.equal(restored.version, second.version + 1);
+  assert.equal(getModelRouting().chat.aliases['gpt-x'], 'gpt-4o');
+  assert.equal((await rollbackModelRouting(999, { updatedBy: 'admin-2' })).status, 404);
+
+  for (let i = 0; i < MAX_ROUTING_HISTORY + 2; i++) {
+    await saveModelRouting({}, { updatedBy: 'admin-1' });
+  }
+  assert.equal((await getModelRoutingHistory()).length, MAX_ROUTING_HISTORY);
+});
+
+test("another process's save is picked up on the next reload, and a broken one is skipped", async () => {
+  const { version } = await saveModelRouting({ chat: { aliases: { 'gpt-y': 'gpt-4o' } } }, { updatedBy: 'admin-1' });
+  const doc = await routingStore.get();
+
+  // Written by another gateway process
+  await routingStore.set({ ...doc, version: version + 1, routing: { chat: { aliases: { 'gpt-y': 'gpt-5' } } } });
+  await refreshModelRouting();
+  assert.equal(getModelRouting().chat.aliases['gpt-y'], 'gpt-4o', 'not before the reload interval');
+  await refreshModelRouting({ force: true });
+  assert.equal(getModelRouting().chat.aliases['gpt-y'], 'gpt-5');
+
+  mock.method(console, 'error', () => {});
+  try {
+    await routingStore.set({ ...doc, version: version + 2, routing: { chat: { aliases: 'broken' } } });
+    await refreshModelRouting({ force: true });
+    assert.equal(getModelRouting().chat.aliases['gpt-y'], 'gpt-5', 'the last good routing is kept');
+  } finally {
+    console.error.mock.restore();
+  }
+});
+
+test('MODEL_ROUTING_FILE is re-read when it changes and makes the admin copy read-only', async () => {
+  const path = join(mkdtempSync(join(tmpdir(), 'gateway-routing-')), 'routing.json');
+  writeFileSync(path, JSON.stringify({ chat: { aliases: { 'gpt-z': 'gpt-4o' } } }));
+  process.env.MODEL_ROUTING_FILE = path;
+  try {
+    // A fresh copy of the module, reading the environment with the file set
+    const fromFile = await import('../api/model-routing.js?file');
+    await fromFile.refreshModelRouting({ force: true });
+    assert.equal(fromFile.getModelRouting().chat.aliases['gpt-z'], 'gpt-4o');
+    assert.equal(fromFile.getModelRoutingState().source, 'file');
+
+    writeFileSync(path, JSON.stringify({ chat: { aliases: { 'gpt-z': 'gpt-4.1' } } }));
+    const later = new Date(Date.now() + 5000);
+    utimesSync(path, later, later);
+    await fromFile.refreshModelRouting({ force: true });
+    assert.equal(fromFile.getModelRouting().chat.aliases['gpt-z'], 'gpt-4.1');
+
+    const save = await fromFile.saveModelRouting({}, { updatedBy: 'admin-1' });
+    assert.equal(save.status, 409);
+    assert.deepEqual(await fromFile.getModelRoutingHistory(), []);
+  } finally {
+    delete process.env.MODEL_ROUTING_FILE;
+  }
+});
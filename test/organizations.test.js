@@ -0,0 +1,84 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import authHandler from '../api/auth.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+async function session(email) {
+  const { uid, token } = await createAccount(email);
+  const request = (method, body) => call(authHandler, { method, headers: { authorization: `Bearer ${token}` }, body });
+  return {
+    uid,
+    profile: async () => (await request('GET')).body,
+    action: async (action, body = {}) => request('POST', { action, ...body }),
+  };
+}
+
+test('members join an organization only by accepting an invite', async () => {
+  const owner = await session('owner@example.com');
+  const invitee = await session('invitee@example.com');
+  await owner.profile();
+  await invitee.profile();
+
+  const created = await owner.action('createOrg', { name: 'Team' });
+  const orgId = created.body.org.id;
+
+  const invited = await owner.action('inviteOrgMember', { email: 'invitee@example.com', role: 'admin' });
+  assert.equal(invited.statusCode, 200);
+  assert.equal(invited.body.org.members.length, 1);
+  assert.deepEqual(invited.body.org.invites.map(i => [i.email, i.role]), [['invitee@example.com', 'admin']]);
+
+  let profile = await invitee.profile();
+  assert.equal(profile.org, null);
+  assert.deepEqual(profile.orgInvites.map(i => [i.orgId, i.orgName, i.role]), [[orgId, 'Team', 'admin']]);
+
+  const accepted = await invitee.action('acceptOrgInvite', { orgId });
+  assert.equal(accepted.statusCode, 200);
+  assert.equal(accepted.body.org.id, orgId);
+  assert.equal(accepted.body.org.role, 'admin');
+  assert.deepEqual(accepted.body.orgInvites, []);
+
+  const org = (await owner.profile()).org;
+  assert.equal(org.members.length, 2);
+  assert.deepEqual(org.invites, []);
+
+  // A member can leave again
+  const left = await invitee.action('leaveOrg');
+  assert.equal(left.statusCode, 200);
+  assert.equal((await invitee.profile()).org, null);
+  assert.equal((await owner.profile()).org.members.length, 1);
+});
+
+test('invites can be declined or withdrawn', async () => {
+  const owner = await session('owner2@example.com');
+  const invitee = await session('invitee2@example.com');
+  await owner.profile();
+  await invitee.profile();
+  const orgId = (await owner.action('createOrg', { name: 'Other team' })).body.org.id;
+
+  await owner.action('inviteOrgMember', { email: 'invitee2@example.com' });
+  const declined = await invitee.action('declineOrgInvite', { orgId });
+  assert.equal(declined.statusCode, 200);
+  assert.equal(declined.body.org, null);
+  assert.deepEqual((await owner.profile()).org.invites, []);
+
+  await owner.action('inviteOrgMember', { email: 'invitee2@example.com' });
+  const withdrawn = await owner.action('cancelOrgInvite', { memberId: invitee.uid });
+  assert.deepEqual(withdrawn.body.org.invites, []);
+  assert.deepEqual((await invitee.profile()).orgInvites, []);
+  assert.equal((await invitee.action('acceptOrgInvite', { orgId })).statusCode, 404);
+});
+
+test('plain members cannot invite', async () => {
+  const owner = await session('owner3@example.com');
+  const member = await session('member3@example.com');
+  await owner.profile();
+  await member.profile();
+  const orgId = (await owner.action('createOrg', { name: 'Third team' })).body.org.id;
+  await owner.action('inviteOrgMember', { email: 'member3@example.com' });
+  await member.action('acceptOrgInvite', { orgId });
+
+  const res = await member.action('inviteOrgMember', { email: 'owner@example.com' });
+  assert.equal(res.statusCode, 403);
+});
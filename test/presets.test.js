@@ -0,0 +1,154 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import { normalizePreset, resolvePreset, applyPreset, listPresets } from '../api/presets.js';
+import chatCompletionsHandler from '../api/chat.js';
+import authHandler from '../api/auth.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+// What the upstream was last asked
+let asked = null;
+
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId, options) {
+    asked = { messages, modelId, options };
+    return {
+      response: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+      },
+      keyUsed: null,
+    };
+  },
+  async stream() {
+    throw new Error('not used');
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+test('presets are validated before they are saved', () => {
+  assert.deepEqual(normalizePreset(' fast ', { model: 'gpt-4o-mini', temperature: '0.2', max_tokens: 100, system: ' Be brief. ' }), {
+    name: 'fast',
+    preset: { model: 'gpt-4o-mini', temperature: 0.2, max_tokens: 100, system: 'Be brief.' },
+  });
+  assert.deepEqual(normalizePreset('alias', { model: 'gpt-4o', temperature: '', max_tokens: null }), { name: 'alias', preset: { model: 'gpt-4o' } });
+
+  assert.match(normalizePreset('g4f:fast', { model: 'gpt-4o' }).error, /^Preset name must be/);
+  assert.equal(normalizePreset('fast', ['gpt-4o']).error, 'preset must be an object with a model');
+  assert.equal(normalizePreset('fast', { model: ' ' }).error, 'Preset model is required');
+  assert.equal(normalizePreset('fast', { model: 'fast' }).error, 'A preset cannot point at itself');
+  assert.equal(normalizePreset('fast', { model: 'gpt-4o', temperature: 3 }).error, 'temperature must be between 0 and 2');
+  assert.equal(normalizePreset('fast', { model: 'gpt-4o', max_tokens: 1.5 }).error, 'max_tokens must be a positive whole number');
+  assert.match(normalizePreset('fast', { model: 'gpt-4o', system: 'x'.repeat(4001) }).error, /limited to 4000 characters/);
+});
+
+test("a user's preset wins over the org's, and presets resolve one step only", () => {
+  const user = {
+    presets: { fast: { model: 'gpt-4o-mini' }, chained: { model: 'fast' } },
+    org: { presets: { fast: { model: 'gpt-4.1' }, review: { model: 'gpt-5' } } },
+  };
+
+  assert.deepEqual(resolvePreset('fast', user), { name: 'fast', scope: 'user', preset: { model: 'gpt-4o-mini' } });
+  assert.deepEqual(resolvePreset('review', user), { name: 'review', scope: 'org', preset: { model: 'gpt-5' } });
+  assert.equal(resolvePreset('gpt-4o', user), null);
+  assert.equal(resolvePreset('toString', user), null);
+  assert.equal(resolvePreset(undefined, user), null);
+
+  // 'chained' names another preset, which is then just a model name
+  assert.equal(applyPreset({}, resolvePreset('chained', user).preset).model, 'fast');
+
+  assert.deepEqual(listPresets(user).map(({ name, scope, model }) => [name, scope, model]), [
+    ['chained', 'user', 'fast'],
+    ['fast', 'user', 'gpt-4o-mini'],
+    ['review', 'org', 'gpt-5'],
+  ]);
+});
+
+test("preset defaults fill in, cap and prefix the request's own", () => {
+  const preset = { model: 'gpt-4o-mini', temperature: 0.2, max_tokens: 100, system: 'Be brief.' };
+  const messages = [{ role: 'user', content: 'hi' }];
+
+  assert.deepEqual(applyPreset({ model: 'fast', messages }, preset), {
+    model: 'gpt-4o-mini',
+    temperature: 0.2,
+    max_tokens: 100,
+    messages: [{ role: 'system', content: 'Be brief.' }, ...messages],
+  });
+
+  const own = applyPreset({
+    model: 'fast',
+    temperature: 0,
+    max_tokens: 500,
+    messages: [{ role: 'system', content: 'You are a bot.' }, ...messages],
+  }, preset);
+  assert.equal(own.temperature, 0);
+  assert.equal(own.max_tokens, 100);
+  assert.deepEqual(own.messages[0], { role: 'system', content: 'Be brief.\n\nYou are a bot.' });
+  assert.equal(applyPreset({ max_tokens: 50 }, preset).max_tokens, 50);
+});
+
+test('chat requests for a preset run on its model, under the key restrictions for that model', async () => {
+  const account = await createAccount('presets@example.com');
+  const session = { authorization: `Bearer ${account.token}` };
+  const action = (body) => call(authHandler, { method: 'POST', headers: session, body });
+  const profile = await call(authHandler, { method: 'GET', headers: session });
+  const defaultKey = { authorization: `Bearer ${profile.body.apiKey}` };
+  const ask = (headers, model) => call(chatCompletionsHandler, {
+    method: 'POST',
+    headers,
+    body: { model, max_tokens: 1000, messages: [{ role: 'user', content: 'hi' }] },
+  });
+
+  const org = await action({ action: 'createOrg', name: 'Preset Co' });
+  assert.equal(org.statusCode, 200);
+  const orgPreset = await action({ action: 'savePreset', scope: 'org', name: 'team-fast', preset: { model: 'gpt-4.1' } });
+  assert.equal(orgPreset.statusCode, 200);
+  const orgOnly = await action({ action: 'savePreset', scope: 'org', name: 'team-review', preset: { model: 'gpt-5' } });
+  assert.equal(orgOnly.statusCode, 200);
+  const userPreset = await action({
+    action: 'savePreset',
+    name: 'team-fast',
+    preset: { model: 'gpt-4o-mini', max_tokens: 100, system: 'Be brief.' },
+  });
+  assert.equal(userPreset.statusCode, 200);
+  assert.deepEqual(userPreset.body.presets['team-fast'], { model: 'gpt-4o-mini', max_tokens: 100, system: 'Be brief.' });
+
+  asked = null;
+  const fast = await ask(defaultKey, 'team-fast');
+  assert.equal(fast.statusCode, 200);
+  assert.equal(fast.headers['x-model-used'], 'gpt-4o-mini');
+  assert.equal(asked.modelId, 'gpt-4o-mini');
+  assert.equal(asked.options.max_tokens, 100);
+  assert.deepEqual(asked.messages[0], { role: 'system', content: 'Be brief.' });
+
+  const review = await ask(defaultKey, 'team-review');
+  assert.equal(review.headers['x-model-used'], 'gpt-5');
+
+  // A key limited to gpt-4o-* may call the user's preset but not the org's
+  const created = await action({ action: 'createApiKey', apiKey: { name: 'mini only', models: ['gpt-4o-*'] } });
+  assert.equal(created.statusCode, 200);
+  const limitedKey = { authorization: `Bearer ${created.body.apiKey.key}` };
+
+  assert.equal((await ask(limitedKey, 'team-fast')).statusCode, 200);
+  const denied = await ask(limitedKey, 'team-review');
+  assert.equal(denied.statusCode, 403);
+  assert.equal(denied.body.error.code, 'model_not_allowed');
+  assert.equal(denied.body.error.message, "API key 'mini only' is not allowed to use model 'gpt-5'");
+
+  const removed = await action({ action: 'deletePreset', name: 'team-fast' });
+  assert.deepEqual(removed.body.presets, {});
+  assert.equal((await action({ action: 'deletePreset', name: 'team-fast' })).statusCode, 404);
+  const orgFast = await ask(defaultKey, 'team-fast');
+  assert.equal(orgFast.headers['x-model-used'], 'gpt-4.1');
+});
@@ -0,0 +1,75 @@
+import './helpers/env.js';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { aiChatAdapter } from '../api/providers/puter.js';
+import { classifyError } from '../api/errors.js';
+
+// Every Puter stream sends some text, then breaks
+function brokenStream() {
+  const body = '{"type":"text","text":"Hel"}\n{"success":false,"error":"connection reset"}\n';
+  return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+}
+
+test('failovers made before the last key fails are reported with the error', async (t) => {
+  const fetchMock = mock.method(globalThis, 'fetch', async () => brokenStream());
+  t.after(() => fetchMock.mock.restore());
+  const logged = mock.method(console, 'error', () => {});
+  t.after(() => logged.mock.restore());
+
+  const chunks = [];
+  const error = await aiChatAdapter.stream(
+    [{ role: 'user', content: 'Hello' }], 'gpt-4o-mini', {},
+    { systemKeys: ['key-one', 'key-two'] }, chunk => chunks.push(chunk),
+  ).then(() => null, err => err);
+
+  assert.ok(error, 'the stream fails once every key has failed');
+  assert.equal(fetchMock.mock.callCount(), 2, 'one pass over the keys - no second round of continuations');
+  assert.equal(error.failovers, 1);
+  assert.ok(logged.mock.calls.some(call => String(call.arguments[0]).includes(`Failed after ${error.failovers} failover(s)`)));
+  assert.ok(chunks.some(chunk => chunk.type === 'text'));
+});
+
+test('an error body from Puter is classified but not put in the message', async (t) => {
+  const body = '{"error":{"message":"context_length_exceeded: secret-internal-detail"}}';
+  const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(body, { status: 400 }));
+  t.after(() => fetchMock.mock.restore());
+  const logged = mock.method(console, 'error', () => {});
+  t.after(() => logged.mock.restore());
+
+  const error = await aiChatAdapter.stream([{ role: 'user', content: 'Hello' }], 'gpt-4o-mini', {}, { systemKeys: ['key-one'] }, () => {})
+    .then(() => null, err => err);
+  assert.equal(error.message, 'Puter API error: 400');
+  assert.equal(error.isContextLength, true);
+  assert.doesNotMatch(classifyError(error).body.error.message, /secret-internal-detail/);
+});
+
+test('a stream that goes quiet fails over instead of hanging', async (t) => {
+  // Sends one chunk, then nothing until it is aborted
+  const fetchMock = mock.method(globalThis, 'fetch', async (url, init) => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('{"type":"text","text":"Hel"}\n'));
+      init.signal.addEventListener('abort', () => controller.error(new DOMException('aborted', 'AbortError')));
+    },
+  }), { headers: { 'content-type': 'text/event-stream' } }));
+  t.after(() => fetchMock.mock.restore());
+  const logged = mock.method(console, 'error', () => {});
+  t.after(() => logged.mock.restore());
+  mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => mock.timers.reset());
+
+  const chunks = [];
+  let settled = false;
+  const streaming = aiChatAdapter.stream([{ role: 'user', content: 'Hello' }], 'gpt-4o-mini', {}, { systemKeys: ['key-one', 'key-two'] }, chunk => chunks.push(chunk))
+    .then(() => null, err => err)
+    .finally(() => { settled = true; });
+
+  while (!settled) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (chunks.length > 0) mock.timers.tick(60000);
+  }
+  const error = await streaming;
+
+  assert.match(error.message, /stalled - no data for 60s/);
+  assert.equal(fetchMock.mock.callCount(), 2, 'the second key resumed the stalled answer');
+  assert.equal(error.failovers, 1);
+});
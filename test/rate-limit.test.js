@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { acquireRateLimit, sweepRateLimitWindows, RATE_LIMIT_WINDOW_MS } from '../api/rate-limit.js';
+
+test('requests over the per-minute limit get Retry-After', () => {
+  const scopes = [{ id: 'user:limited', limits: { rpm: 2, tpm: 0 } }];
+  assert.equal(acquireRateLimit(scopes).allowed, true);
+  const second = acquireRateLimit(scopes);
+  assert.equal(second.allowed, true);
+  assert.equal(second.headers['x-ratelimit-remaining-requests'], '0');
+
+  const third = acquireRateLimit(scopes);
+  assert.equal(third.allowed, false);
+  assert.ok(third.retryAfter >= 1);
+});
+
+test('scopes that stop sending are swept once their window empties', () => {
+  const now = Date.now();
+  acquireRateLimit([{ id: 'user:idle', limits: { rpm: 10, tpm: 0 } }]);
+  const tracked = sweepRateLimitWindows(now);
+  assert.ok(tracked >= 1);
+
+  assert.equal(sweepRateLimitWindows(now + RATE_LIMIT_WINDOW_MS + 1), 0);
+});
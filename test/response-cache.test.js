@@ -0,0 +1,52 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import chatCompletionsHandler from '../api/chat.js';
+import authHandler from '../api/auth.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+let completions = 0;
+
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId) {
+    completions++;
+    return {
+      response: {
+        id: `chatcmpl-${completions}`,
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+      },
+      keyUsed: null,
+    };
+  },
+  async stream() {
+    throw new Error('not used');
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+test('cached answers are shared by one API key, not by every key of the account', async () => {
+  const account = await createAccount('cache-keys@example.com');
+  const dashboard = { authorization: `Bearer ${account.token}` };
+  const profile = await call(authHandler, { method: 'GET', headers: dashboard });
+  const created = await call(authHandler, { method: 'POST', headers: dashboard, body: { action: 'createApiKey', apiKey: { name: 'second' } } });
+  assert.equal(created.statusCode, 200);
+
+  const body = { model: 'gpt-4o-mini', temperature: 0, cache: true, messages: [{ role: 'user', content: 'Hello' }] };
+  const ask = (secret) => call(chatCompletionsHandler, { method: 'POST', headers: { authorization: `Bearer ${secret}` }, body });
+
+  assert.equal((await ask(profile.body.apiKey)).headers['x-cache'], 'MISS');
+  assert.equal((await ask(profile.body.apiKey)).headers['x-cache'], 'HIT');
+  assert.equal((await ask(created.body.apiKey.key)).headers['x-cache'], 'MISS');
+  assert.equal(completions, 2);
+});
@@ -0,0 +1,80 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAdapter } from '../api/providers/index.js';
+import { responsesHandler } from '../api/chat.js';
+import { responses } from '../api/storage/index.js';
+import authHandler from '../api/auth.js';
+import { createAccount } from './helpers/accounts.js';
+import { call } from './helpers/http.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answers every request without going upstream
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId) {
+    return {
+      response: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 },
+      },
+      keyUsed: null,
+    };
+  },
+  async stream() {
+    throw new Error('not used');
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+async function apiKeyFor(email) {
+  const account = await createAccount(email);
+  const profile = await call(authHandler, { method: 'GET', headers: { authorization: `Bearer ${account.token}` } });
+  return { uid: account.uid, headers: { authorization: `Bearer ${profile.body.apiKey}` } };
+}
+
+test('expired responses are gone when looked up', async () => {
+  const { uid, headers } = await apiKeyFor('expired@example.com');
+  await responses.set('resp_old', {
+    owner: uid, messages: [], response: { id: 'resp_old' }, createdAt: new Date(Date.now() - 31 * DAY_MS).toISOString(),
+  });
+
+  const res = await call(responsesHandler, { method: 'GET', headers, query: { id: 'resp_old' } });
+  assert.equal(res.statusCode, 404);
+  assert.equal(await responses.get('resp_old'), null);
+});
+
+test('storing a response prunes the owner\'s expired and surplus responses', async () => {
+  const { uid, headers } = await apiKeyFor('many@example.com');
+  const other = await apiKeyFor('other@example.com');
+  await responses.set('resp_expired', {
+    owner: uid, messages: [], response: {}, createdAt: new Date(Date.now() - 40 * DAY_MS).toISOString(),
+  });
+  for (let i = 0; i < 200; i++) {
+    await responses.set(`resp_${i}`, {
+      owner: uid, messages: [], response: {}, createdAt: new Date(Date.now() - (1000 - i) * 1000).toISOString(),
+    });
+  }
+  await responses.set('resp_other', { owner: other.uid, messages: [], response: {}, createdAt: new Date().toISOString() });
+
+  const res = await call(responsesHandler, { method: 'POST', path: '/v1/responses', headers, body: { model: 'gpt-4o-mini', input: 'Hello' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.output_text, 'Hi!');
+
+  const kept = await responses.listByOwner(uid);
+  assert.equal(kept.length, 200);
+  assert.equal(kept[0].id, res.body.id);
+  assert.equal(await responses.get('resp_expired'), null);
+  assert.equal(await responses.get('resp_0'), null, 'the oldest one goes over the cap');
+  assert.ok(await responses.get('resp_1'));
+  assert.ok(await responses.get('resp_other'), 'other owners are untouched');
+});
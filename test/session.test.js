@@ -0,0 +1,74 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sessionHandler from '../api/session.js';
+import { getLocalUserId, hashPassword, verifyPassword, checkAccountPassword } from '../api/local-auth.js';
+import { credentials } from '../api/storage/index.js';
+import { call } from './helpers/http.js';
+
+async function createAccount(email, password) {
+  await credentials.create(getLocalUserId(email), { email, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() });
+}
+
+const login = (email, password, ip) => call(sessionHandler, { method: 'POST', ip, body: { action: 'login', email, password } });
+
+test('passwords hash and verify asynchronously', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$/);
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('wrong horse', stored), false);
+});
+
+test('sign-up is off unless LOCAL_AUTH_SIGNUP=true', async () => {
+  const info = await call(sessionHandler, { method: 'GET' });
+  assert.equal(info.body.signup, false);
+
+  const res = await call(sessionHandler, { method: 'POST', body: { action: 'register', email: 'new@example.com', password: 'long enough' } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(await credentials.get(getLocalUserId('new@example.com')), null);
+});
+
+test('an account is locked for an address after repeated failed sign-ins from it', async () => {
+  await createAccount('locked@example.com', 'right password');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const res = await login('locked@example.com', 'wrong password', '10.0.0.1');
+    assert.equal(res.statusCode, 401);
+  }
+
+  const blocked = await login('locked@example.com', 'right password', '10.0.0.1');
+  assert.equal(blocked.statusCode, 429);
+  assert.ok(Number(blocked.headers['retry-after']) > 0);
+
+  // The owner, signing in from elsewhere, isn't locked out
+  const owner = await login('locked@example.com', 'right password', '10.0.1.1');
+  assert.equal(owner.statusCode, 200);
+});
+
+test('unknown accounts are refused after the same password check', async () => {
+  assert.equal(await checkAccountPassword(null, 'whatever'), false);
+
+  const res = await login('missing@example.com', 'whatever', '10.0.3.1');
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Invalid email or password');
+});
+
+test('an address is throttled across accounts, and a success clears only the account', async () => {
+  await createAccount('ok@example.com', 'right password');
+
+  const failed = await login('ok@example.com', 'wrong password', '10.0.2.1');
+  assert.equal(failed.statusCode, 401);
+  const ok = await login('ok@example.com', 'right password', '10.0.2.1');
+  assert.equal(ok.statusCode, 200);
+  assert.ok(ok.body.token);
+
+  for (let attempt = 1; attempt < 20; attempt++) {
+    const res = await login(`nobody${attempt}@example.com`, 'whatever', '10.0.2.1');
+    assert.equal(res.statusCode, 401);
+  }
+
+  const fromAddress = await login('ok@example.com', 'right password', '10.0.2.1');
+  assert.equal(fromAddress.statusCode, 429);
+  const elsewhere = await login('ok@example.com', 'right password', '10.0.2.2');
+  assert.equal(elsewhere.statusCode, 200);
+});
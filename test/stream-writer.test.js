@@ -0,0 +1,176 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatStreamWriter, ThinkTagParser } from '../api/stream-writer.js';
+import { registerAdapter } from '../api/providers/index.js';
+import chatCompletionsHandler from '../api/chat.js';
+import authHandler from '../api/auth.js';
+import { createAccount } from './helpers/accounts.js';
+import { call, mockResponse } from './helpers/http.js';
+
+// An upstream that reports no token counts
+registerAdapter({
+  id: 'ai-chat',
+  name: 'Test',
+  usesPuterKeys: false,
+  capabilities: { streaming: true, tools: true, vision: true, thinking: true },
+  async complete(messages, modelId) {
+    return {
+      response: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: modelId,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' }, finish_reason: 'length' }],
+      },
+      keyUsed: null,
+    };
+  },
+  async stream(messages, modelId, options, credentials, onChunk) {
+    onChunk({ type: 'text', text: 'Hi!' });
+    onChunk({ type: 'finish', reason: 'length' });
+    return { keyUsed: null };
+  },
+  async listModels() {
+    return [];
+  },
+});
+
+// The data: payloads a writer sent, parsed
+function events(res) {
+  return res.chunks
+    .join('')
+    .split('\n\n')
+    .filter(event => event.startsWith('data: '))
+    .map(event => event.slice(6))
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+const METERED = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7, prompt_cost: 10, completion_cost: 4, total_cost: 14 };
+
+test('include_usage adds a final usage chunk with no choices before [DONE]', () => {
+  const res = mockResponse();
+  const writer = new ChatStreamWriter(res, 'gpt-4o', { includeUsage: true });
+  writer.push({ type: 'text', text: 'Hello' });
+  writer.finish(METERED);
+
+  const sent = events(res);
+  assert.deepEqual(sent.map(event => event === '[DONE]' ? event : event.choices[0]?.delta ?? 'usage'), [
+    { role: 'assistant' },
+    { content: 'Hello' },
+    {},
+    'usage',
+    '[DONE]',
+  ]);
+  assert.equal(sent[2].choices[0].finish_reason, 'stop');
+  const usageChunk = sent[3];
+  assert.deepEqual(usageChunk.choices, []);
+  assert.equal(usageChunk.id, sent[0].id);
+  assert.deepEqual(usageChunk.usage, { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }, 'costs stay out');
+  assert.equal(res.headers['x-model-used'], 'gpt-4o');
+  assert.deepEqual(res.trailers, {});
+});
+
+test('without include_usage there is no usage chunk', () => {
+  const res = mockResponse();
+  const writer = new ChatStreamWriter(res, 'gpt-4o');
+  writer.push({ type: 'text', text: 'Hello' });
+  writer.finish(METERED);
+
+  const sent = events(res);
+  assert.equal(sent.length, 4);
+  assert.ok(sent.slice(0, 3).every(event => !event.usage));
+  assert.equal(sent.at(-1), '[DONE]');
+});
+
+test('think tags split across chunks still separate reasoning from content', () => {
+  const parser = new ThinkTagParser();
+  const parts = ['Sure. <thi', 'nk>Let me ', 'check.</thin', 'k>The answer', ' is 4.'].flatMap(text => parser.push(text));
+
+  assert.deepEqual(parts, [
+    { type: 'content', text: 'Sure. ' },
+    { type: 'reasoning', text: 'Let me ' },
+    { type: 'reasoning', text: 'check.' },
+    { type: 'content', text: 'The answer' },
+    { type: 'content', text: ' is 4.' },
+  ]);
+  assert.deepEqual(parser.flush(), []);
+});
+
+test('text that only looked like the start of a tag is released', () => {
+  const parser = new ThinkTagParser();
+  assert.deepEqual(parser.push('a <'), [{ type: 'content', text: 'a ' }]);
+  assert.deepEqual(parser.push('b> c <th'), [{ type: 'content', text: '<b> c ' }]);
+  // The stream ended mid-tag
+  assert.deepEqual(parser.flush(), [{ type: 'content', text: '<th' }]);
+
+  const thinking = new ThinkTagParser();
+  assert.deepEqual(thinking.push('<think>hmm </'), [{ type: 'reasoning', text: 'hmm ' }]);
+  assert.deepEqual(thinking.flush(), [{ type: 'reasoning', text: '</' }]);
+});
+
+test('the writer sends think-tagged text as reasoning_content deltas', () => {
+  const res = mockResponse();
+  const writer = new ChatStreamWriter(res, 'deepseek-r1');
+  for (const text of ['<think>Two plus', ' two.</th', 'ink>4']) writer.push({ type: 'text', text });
+  writer.finish(METERED);
+
+  assert.deepEqual(events(res).slice(1, -2).map(event => event.choices[0].delta), [
+    { reasoning_content: 'Two plus' },
+    { reasoning_content: ' two.' },
+    { content: '4' },
+  ]);
+  assert.equal(writer.reasoning, 'Two plus two.');
+  assert.equal(writer.content, '4');
+});
+
+test('estimated usage is flagged in a trailer, not in the usage chunk', () => {
+  const res = mockResponse();
+  const writer = new ChatStreamWriter(res, 'g4f:gpt-4o', { includeUsage: true });
+  writer.push({ type: 'text', text: 'Hi' });
+  writer.finish({ prompt_tokens: 4, completion_tokens: 1, total_tokens: 5, estimated: true });
+
+  const usageChunk = events(res).at(-2);
+  assert.deepEqual(usageChunk.usage, { prompt_tokens: 4, completion_tokens: 1, total_tokens: 5 });
+  assert.equal(res.headers.trailer, 'X-Usage-Estimated');
+  assert.deepEqual(res.trailers, { 'X-Usage-Estimated': 'true' });
+});
+
+test("the upstream's finish reason is passed through, and tool calls win over it", () => {
+  const res = mockResponse();
+  const writer = new ChatStreamWriter(res, 'gpt-4o');
+  writer.push({ type: 'text', text: 'A long ans' });
+  writer.push({ type: 'finish', reason: 'length' });
+  writer.finish(METERED);
+  assert.equal(events(res).at(-2).choices[0].finish_reason, 'length');
+  assert.equal(writer.toResponse(METERED).choices[0].finish_reason, 'length');
+
+  const withTools = new ChatStreamWriter(mockResponse(), 'gpt-4o');
+  withTools.push({ type: 'tool_use', id: 'call_1', name: 'lookup', arguments: '{}' });
+  withTools.push({ type: 'finish', reason: 'stop' });
+  withTools.finish(METERED);
+  assert.equal(withTools.toResponse(METERED).choices[0].finish_reason, 'tool_calls');
+});
+
+test('chat completions flag estimated usage in a header and keep the finish reason', async () => {
+  const account = await createAccount('estimated@example.com');
+  const profile = await call(authHandler, { method: 'GET', headers: { authorization: `Bearer ${account.token}` } });
+  const headers = { authorization: `Bearer ${profile.body.apiKey}` };
+  const messages = [{ role: 'user', content: 'hi' }];
+
+  const json = await call(chatCompletionsHandler, { method: 'POST', headers, body: { model: 'gpt-4o', messages } });
+  assert.equal(json.statusCode, 200);
+  assert.equal(json.headers['x-usage-estimated'], 'true');
+  assert.equal(json.body.usage.estimated, undefined);
+  assert.ok(json.body.usage.total_tokens > 0);
+  assert.equal(json.body.choices[0].finish_reason, 'length');
+
+  const streamed = await call(chatCompletionsHandler, {
+    method: 'POST',
+    headers,
+    body: { model: 'gpt-4o', messages, stream: true, stream_options: { include_usage: true } },
+  });
+  const sent = events(streamed);
+  assert.equal(sent.at(-3).choices[0].finish_reason, 'length');
+  assert.equal(sent.at(-2).usage.estimated, undefined);
+  assert.deepEqual(streamed.trailers, { 'X-Usage-Estimated': 'true' });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countPromptTokens, countTextTokens } from '../api/tokenizer.js';
+import { fitContext } from '../api/context.js';
+
+// ~600 KB of base64, the size of a small PDF
+const LARGE_BASE64 = Buffer.alloc(450 * 1024, 'JVBERi0xLjQK').toString('base64');
+
+function attachmentMessages() {
+  return [{
+    role: 'user',
+    content: [
+      { type: 'text', text: 'Summarize this document.' },
+      { type: 'file', file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${LARGE_BASE64}` } },
+      { type: 'image_url', image_url: { url: `data:image/png;base64,${LARGE_BASE64}` } },
+    ],
+  }];
+}
+
+test('text content is counted with the model tokenizer', async () => {
+  assert.equal(await countTextTokens('gpt-4o', 'hello world'), 2);
+  const tokens = await countPromptTokens('gpt-4o', [{ role: 'user', content: 'hello world' }]);
+  assert.ok(tokens > 2 && tokens < 20);
+});
+
+test('attachments get a flat estimate instead of encoding their base64', async () => {
+  const started = Date.now();
+  const tokens = await countPromptTokens('gpt-4o', attachmentMessages());
+  assert.ok(tokens < 2000, `counted ${tokens} tokens`);
+  assert.ok(Date.now() - started < 1000, 'counting should not encode the payload');
+});
+
+test('Anthropic document and Responses input_file parts are not encoded', async () => {
+  const tokens = await countPromptTokens('claude-3.7-sonnet', [{
+    role: 'user',
+    content: [
+      { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: LARGE_BASE64 } },
+      { type: 'input_file', filename: 'a.pdf', file_data: LARGE_BASE64 },
+    ],
+  }]);
+  assert.ok(tokens < 3000, `counted ${tokens} tokens`);
+});
+
+test('a large attachment fits the context window under the reject policy', async () => {
+  const result = await fitContext({ modelId: 'gpt-4o', messages: attachmentMessages(), policy: 'reject' });
+  assert.equal(result.error, undefined);
+  assert.equal(result.action, 'none');
+});